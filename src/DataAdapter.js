@@ -0,0 +1,332 @@
+const DataSet = require('./DataSet');
+const DataRowState = require('./enums/DataRowState');
+const ConflictOption = require('./enums/ConflictOption');
+const SqlCommandBuilder = require('./sql/SqlCommandBuilder');
+const { getDialect, quoteTableName } = require('./sql/SqlDialect');
+const DBConcurrencyException = require('./errors/DBConcurrencyException');
+const { convertValue, valuesEqual } = require('./utils/typeUtils');
+
+/**
+ * Reads rows from a database into tables and saves their changes back, like the DataAdapter of .NET.
+ *
+ * The driver is any object with:
+ * - query(sql, params): resolves with the result rows, or an object with rows, field metadata (fields), the number of affected rows
+ *   (rowCount, affectedRows, changes or rowsAffected) and the generated id (lastInsertId, insertId, lastID or lastInsertRowid)
+ * - transaction() (optional): resolves with an object having the same query() plus commit() and rollback()
+ *
+ * Commands are SQL strings, { text, values } objects or functions returning one of them.
+ * The insert, update and delete commands receive the row to save and are generated by SqlCommandBuilder when omitted.
+ */
+class DataAdapter {
+    /**
+     * @param {Object} driver - Database driver, see above
+     * @param {Object} [options={}] - Adapter options
+     * @param {string|Object|Function} [options.selectCommand] - Query filling the tables, receiving the table when a function.
+     * SELECT * FROM the filled table by default
+     * @param {Object|Function} [options.insertCommand] - Command inserting an added row
+     * @param {Object|Function} [options.updateCommand] - Command updating a modified row
+     * @param {Object|Function} [options.deleteCommand] - Command deleting a deleted row
+     * @param {string|Object} [options.dialect='postgres'] - SQL dialect of the generated commands, see SqlCommandBuilder
+     * @param {string} [options.schema=null] - Schema of the database tables
+     * @param {string} [options.conflictOption='OverwriteChanges'] - Optimistic concurrency checks, see ConflictOption
+     * @param {boolean} [options.continueUpdateOnError=false] - Whether update() records the error of a row and goes on
+     * @throws {Error} If the driver has no query function or the dialect is unknown
+     */
+    constructor(driver, options = {}) {
+        if (!driver || typeof driver.query !== 'function') {
+            throw new Error('A driver with a query(sql, params) function is required');
+        }
+        this.driver = driver;
+        this.selectCommand = options.selectCommand || null;
+        this.insertCommand = options.insertCommand || null;
+        this.updateCommand = options.updateCommand || null;
+        this.deleteCommand = options.deleteCommand || null;
+        this.dialect = getDialect(options.dialect || 'postgres');
+        this.schema = options.schema || null;
+        this.conflictOption = options.conflictOption || ConflictOption.OVERWRITE_CHANGES;
+        this.continueUpdateOnError = options.continueUpdateOnError || false;
+    }
+
+    /**
+     * Runs the select command and loads its rows as unchanged rows. Columns are created from the field metadata
+     * of the result, or from a sample of the rows, when the table has none. Rows matching the primary key of an existing row overwrite it, pending changes included.
+     * @param {DataTable|DataSet} target - Table to fill, or DataSet holding it
+     * @param {string} [tableName='Table'] - Name of the table to fill or create in the DataSet
+     * @returns {Promise<number>} Number of rows read
+     * @throws {ConstraintException} If the loaded rows violate a constraint of the table
+     */
+    async fill(target, tableName = 'Table') {
+        let table = target;
+        if (target instanceof DataSet) {
+            table = target.hasTable(tableName) ? target.table(tableName) : target.addTable(tableName);
+        }
+
+        const command = this._resolveCommand(this.selectCommand, table)
+            || { text: `SELECT * FROM ${quoteTableName(this.dialect, table.tableName, this.schema)}`, values: [] };
+        const { rows, fields } = DataAdapter._normalizeResult(await this.driver.query(command.text, command.values));
+
+        if (table.columns.count === 0 && (rows.length > 0 || fields)) {
+            const keyColumns = table._inferColumns(rows, fields);
+            if (keyColumns.length > 0) {
+                table.primaryKey = keyColumns;
+            }
+        }
+
+        table.beginLoadData();
+        try {
+            for (const values of rows) {
+                this._loadRow(table, values);
+            }
+        } finally {
+            table.endLoadData();
+        }
+        return rows.length;
+    }
+
+    /**
+     * Saves the pending changes, then accepts them. Inserts and updates run parent tables first,
+     * deletes child tables first, following the relations of the DataSet.
+     * Values generated by the database, e.g. identities, are written back to the inserted rows
+     * and cascade to their child rows.
+     *
+     * Without continueUpdateOnError the changes are saved in a transaction when the driver supports it:
+     * the first failure is recorded in the rowError of its row, rolls everything back and is thrown.
+     * Drivers without transactions keep the rows saved before the failure.
+     * With continueUpdateOnError each failing row keeps its changes and its error, and the other rows are saved.
+     * @param {DataTable|DataSet} target - Table or DataSet to save
+     * @returns {Promise<number>} Number of rows saved
+     * @throws {DBConcurrencyException} If an update or delete affects no record
+     * @throws {Error} If the driver fails, or a command can't be generated
+     */
+    async update(target) {
+        const tables = target instanceof DataSet ? target._orderedTables() : [target];
+        const rows = [];
+        for (const table of tables) {
+            rows.push(...table.getChanges().filter(row => row._rowState !== DataRowState.DELETED));
+        }
+        for (const table of tables.slice().reverse()) {
+            rows.push(...table.getRowsByState(DataRowState.DELETED));
+        }
+
+        const builders = new Map();
+        const connection = !this.continueUpdateOnError && typeof this.driver.transaction === 'function'
+            ? await this.driver.transaction()
+            : null;
+        const executor = connection || this.driver;
+        const saved = [];
+        const writeBacks = [];
+
+        try {
+            for (const row of rows) {
+                try {
+                    await this._saveRow(executor, row, builders, writeBacks);
+                    row.rowError = '';
+                    saved.push(row);
+                } catch (error) {
+                    row.rowError = error.message;
+                    if (!this.continueUpdateOnError) {
+                        throw error;
+                    }
+                }
+            }
+            if (connection) {
+                await connection.commit();
+            }
+        } catch (error) {
+            if (connection) {
+                await connection.rollback();
+                // The generated values belong to records that no longer exist
+                for (const { row, previous } of writeBacks.reverse()) {
+                    row._applyValues(previous, null);
+                }
+            } else {
+                // Without a transaction the rows sent before the failure stay saved
+                DataAdapter._acceptRows(saved);
+            }
+            throw error;
+        }
+
+        DataAdapter._acceptRows(saved);
+        return saved.length;
+    }
+
+    /**
+     * @param {Array<DataRow>} rows - Saved rows, whose changes become their Original version
+     * @private
+     */
+    static _acceptRows(rows) {
+        for (const row of rows) {
+            // Without cascading to the child rows: a child row that failed keeps its changes
+            if (row.hasChanges()) {
+                row._acceptChanges(false);
+            }
+        }
+    }
+
+    /**
+     * Sends the command saving a row and checks its result
+     * @param {Object} executor - Driver or transaction running the command
+     * @param {DataRow} row - Changed row
+     * @param {Map<DataTable, SqlCommandBuilder>} builders - Builders by table, created on demand
+     * @param {Array<{row: DataRow, previous: Object}>} writeBacks - Values replaced by generated values
+     * @returns {Promise<void>}
+     * @throws {DBConcurrencyException} If an update or delete affects no record
+     * @private
+     */
+    async _saveRow(executor, row, builders, writeBacks) {
+        const state = row._rowState;
+        const custom = {
+            [DataRowState.ADDED]: this.insertCommand,
+            [DataRowState.MODIFIED]: this.updateCommand,
+            [DataRowState.DELETED]: this.deleteCommand
+        }[state];
+
+        let command;
+        if (custom) {
+            command = this._resolveCommand(custom, row);
+        } else {
+            if (!builders.has(row._table)) {
+                builders.set(row._table, new SqlCommandBuilder(row._table, {
+                    dialect: this.dialect,
+                    schema: this.schema,
+                    conflictOption: this.conflictOption
+                }));
+            }
+            command = builders.get(row._table).getCommand(row);
+        }
+        // Nothing to save, e.g. an update changing no stored column
+        if (!command) {
+            return;
+        }
+
+        const result = DataAdapter._normalizeResult(await executor.query(command.text, command.values));
+        if (state === DataRowState.ADDED) {
+            this._writeBack(row, result, writeBacks);
+        } else if (result.rowCount === 0) {
+            throw new DBConcurrencyException(row, state === DataRowState.MODIFIED ? 'UpdateCommand' : 'DeleteCommand');
+        }
+    }
+
+    /**
+     * Copies the values generated by the database into an inserted row: the columns returned by the insert,
+     * or the inserted id when the table has a single auto-increment column
+     * @param {DataRow} row - Inserted row
+     * @param {{rows: Array<Object>, lastInsertId: *}} result - Result of the insert
+     * @param {Array<{row: DataRow, previous: Object}>} writeBacks - Values replaced by generated values
+     * @private
+     */
+    _writeBack(row, result, writeBacks) {
+        const table = row._table;
+        let generated = {};
+        if (result.rows.length > 0) {
+            generated = result.rows[0];
+        } else if (result.lastInsertId !== undefined && result.lastInsertId !== null) {
+            const identities = Array.from(table.columns).filter(column => column.autoIncrement);
+            if (identities.length === 1) {
+                generated = { [identities[0].columnName]: result.lastInsertId };
+            }
+        }
+
+        const changes = {};
+        const previous = {};
+        for (const [name, value] of Object.entries(generated)) {
+            const column = table.columns._columns.get(name);
+            if (column && !column._expression && row._values[name] !== value) {
+                changes[name] = value;
+                previous[name] = row._values[name];
+            }
+        }
+        if (Object.keys(changes).length > 0) {
+            // Not set(): identity columns are usually read only
+            row._applyValues(changes, null);
+            writeBacks.push({ row, previous });
+        }
+    }
+
+    /**
+     * Adds a read row as unchanged, or overwrites the row having the same primary key
+     * @param {DataTable} table - Filled table
+     * @param {Object} values - Values read from the database, converted to the column types before being compared
+     * @throws {Error} If a value doesn't match the data type of its column
+     * @private
+     */
+    _loadRow(table, values) {
+        // Drivers return e.g. bigint and numeric values as strings
+        const converted = {};
+        for (const column of table.columns) {
+            const name = column.columnName;
+            if (!column._expression && name in values) {
+                converted[name] = convertValue(values[name] === undefined ? null : values[name], column.dataType, name);
+            }
+        }
+
+        const constraint = table.constraints.primaryKey;
+        const existing = constraint
+            ? constraint._index.find(constraint.columnNames.map(name => (name in converted ? converted[name] : null)))[0]
+            : undefined;
+
+        if (!existing) {
+            table.rows.add(values).acceptChanges();
+            return;
+        }
+
+        if (existing._rowState === DataRowState.DELETED || existing._rowState === DataRowState.MODIFIED) {
+            existing.rejectChanges();
+        }
+        const changes = {};
+        for (const [name, value] of Object.entries(converted)) {
+            if (!valuesEqual(existing._values[name], value, table.columns._columns.get(name).dataType)) {
+                changes[name] = value;
+            }
+        }
+        if (Object.keys(changes).length > 0) {
+            existing._applyValues(changes, null);
+        }
+        existing.acceptChanges();
+    }
+
+    /**
+     * @param {string|Object|Function|null} command - Command as given to the adapter
+     * @param {DataTable|DataRow} argument - Argument of a command function
+     * @returns {{text: string, values: Array}|null} The command to run, null if there is none
+     * @private
+     */
+    _resolveCommand(command, argument) {
+        const resolved = typeof command === 'function' ? command(argument) : command;
+        if (!resolved) {
+            return null;
+        }
+        return typeof resolved === 'string'
+            ? { text: resolved, values: [] }
+            : { text: resolved.text, values: resolved.values || [] };
+    }
+
+    /**
+     * Reads the result of a driver query, whatever its shape
+     * @param {Array|Object} result - Result of driver.query()
+     * @returns {{rows: Array<Object>, fields: Array<Object>|null, rowCount: number|undefined, lastInsertId: *}} Normalized result
+     * @private
+     */
+    static _normalizeResult(result) {
+        // Plain rows don't tell how many records a change affected
+        if (Array.isArray(result)) {
+            return { rows: result, fields: null, rowCount: undefined, lastInsertId: undefined };
+        }
+        const source = result || {};
+        const counts = [source.rowCount, source.affectedRows, source.changes, source.rowsAffected];
+        let rowCount = counts.find(count => count !== undefined && count !== null);
+        // mssql reports one count per statement
+        if (Array.isArray(rowCount)) {
+            rowCount = rowCount.reduce((sum, count) => sum + count, 0);
+        }
+        const ids = [source.lastInsertId, source.insertId, source.lastID, source.lastInsertRowid];
+        return {
+            rows: source.rows || source.recordset || [],
+            fields: source.fields || null,
+            rowCount,
+            lastInsertId: ids.find(id => id !== undefined && id !== null)
+        };
+    }
+}
+
+module.exports = DataAdapter;
@@ -1,3 +1,6 @@
+const DataExpression = require('./expressions/DataExpression');
+const { checkColumnType } = require('./types/TypeRegistry');
+
 class DataColumn {
     constructor(columnName, dataType = null, allowNull = true, defaultValue = null) {
         this.columnName = columnName;
@@ -6,16 +9,142 @@ class DataColumn {
         this.allowNull = allowNull;
         this.defaultValue = defaultValue;
         this.caption = columnName;
-        this.expression = null;
+        this._expression = null;
         this.readOnly = false;
-        this.unique = false;
-        this.isPrimaryKey = false;
+        this._unique = false;
+        this._isPrimaryKey = false;
+        // New rows take autoIncrementSeed, then values moving by autoIncrementStep
+        this.autoIncrement = false;
+        this.autoIncrementSeed = 0;
+        this.autoIncrementStep = 1;
+        this._autoIncrementNext = null;
         this._table = null;
     }
 
     get table() {
         return this._table;
     }
+
+    /**
+     * Name of the data type of the column in the type registry, null for an untyped column
+     * @returns {string|null}
+     */
+    get dataType() {
+        return this._dataType;
+    }
+
+    /**
+     * An unknown name is deprecated: the column stays untyped and a warning is emitted
+     * @param {string|null} value - Name of the data type
+     * @throws {Error} If the parameters of a parameterized type are invalid
+     */
+    set dataType(value) {
+        checkColumnType(value, this.columnName);
+        this._dataType = value;
+    }
+
+    /**
+     * Expression computing the value of the column, e.g. "Price * Quantity"
+     * @returns {string|null}
+     */
+    get expression() {
+        return this._expression ? this._expression.text : null;
+    }
+
+    /**
+     * Setting an expression makes the column read only and computes it for every row
+     * @param {string|null} value - Expression text, null or empty to make the column a plain column again
+     * @throws {SyntaxErrorException} If the expression is not valid
+     * @throws {EvaluateException} If the expression can't be evaluated or references itself
+     */
+    set expression(value) {
+        const previous = this._expression;
+        const previousReadOnly = this.readOnly;
+
+        this._expression = value ? new DataExpression(value) : null;
+        if (this._expression) {
+            this.readOnly = true;
+        } else if (previous) {
+            this.readOnly = false;
+        }
+
+        if (this._table) {
+            try {
+                this._table._onColumnExpressionChanged(this);
+            } catch (error) {
+                this._expression = previous;
+                this.readOnly = previousReadOnly;
+                this._table._onColumnExpressionChanged(this);
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Whether the values of the column must be unique across the rows of the table
+     * @returns {boolean}
+     */
+    get unique() {
+        return this._unique;
+    }
+
+    /**
+     * Setting the flag adds or removes the matching UniqueConstraint on the table
+     * @param {boolean} value - Whether the column must be unique
+     * @throws {ConstraintException} If the existing rows already contain duplicates
+     */
+    set unique(value) {
+        this._unique = Boolean(value);
+        if (this._table) {
+            this._table.constraints._syncColumnUnique(this);
+        }
+    }
+
+    /**
+     * Whether the column is part of the primary key of the table
+     * @returns {boolean}
+     */
+    get isPrimaryKey() {
+        return this._isPrimaryKey;
+    }
+
+    /**
+     * Setting the flag rebuilds the primary key constraint of the table
+     * @param {boolean} value - Whether the column belongs to the primary key
+     * @throws {ConstraintException} If the existing rows violate the new key
+     */
+    set isPrimaryKey(value) {
+        this._isPrimaryKey = Boolean(value);
+        if (this._table) {
+            this._table.constraints._syncPrimaryKey();
+        }
+    }
+
+    /**
+     * Reserves the value of an auto-increment column for a new row
+     * @returns {number}
+     * @private
+     */
+    _nextAutoIncrement() {
+        const value = this._autoIncrementNext === null ? this.autoIncrementSeed : this._autoIncrementNext;
+        this._autoIncrementNext = value + this.autoIncrementStep;
+        return value;
+    }
+
+    /**
+     * Moves the next auto-increment value past a value stored in the column, e.g. by a loaded row
+     * @param {*} value - Value of the column
+     * @private
+     */
+    _trackAutoIncrement(value) {
+        if (typeof value !== 'number') {
+            return;
+        }
+        const next = this._autoIncrementNext === null ? this.autoIncrementSeed : this._autoIncrementNext;
+        if (this.autoIncrementStep > 0 ? value >= next : value <= next) {
+            this._autoIncrementNext = value + this.autoIncrementStep;
+        }
+    }
 }
 
-module.exports = DataColumn;
\ No newline at end of file
+module.exports = DataColumn;
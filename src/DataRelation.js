@@ -10,6 +10,7 @@ class DataRelation {
         this.childColumn = childColumn;
         this.parentTable = parentColumn.table;
         this.childTable = childColumn.table;
+        this.childKeyConstraint = null;
     }
 
     /**
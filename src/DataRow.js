@@ -1,53 +1,121 @@
 const DataRowState = require('./enums/DataRowState');
+const DataRowVersion = require('./enums/DataRowVersion');
+const DataRowAction = require('./enums/DataRowAction');
+const DataColumnChangeEventArgs = require('./events/DataColumnChangeEventArgs');
+const DataRowChangeEventArgs = require('./events/DataRowChangeEventArgs');
+const ReadOnlyException = require('./errors/ReadOnlyException');
+const NoNullAllowedException = require('./errors/NoNullAllowedException');
+const VersionNotFoundException = require('./errors/VersionNotFoundException');
+const { convertValue } = require('./utils/typeUtils');
 
 class DataRow {
     constructor(table) {
         this._table = table;
         this._values = {};
         this._rowState = DataRowState.ADDED;
-        this._originalValues = {};
+        // Snapshot taken by acceptChanges(), null until the row is first accepted
+        this._originalValues = null;
+        // Values set since beginEdit(), null outside of an edit session
+        this._proposedValues = null;
+        this._attached = false;
+        // Error recorded on the row, e.g. by DataAdapter.update()
+        this.rowError = '';
+        // Errors recorded on columns of the row by column name, see setColumnError()
+        this._columnErrors = {};
 
         for (const column of table.columns) {
-            this._values[column.columnName] = column.defaultValue;
+            this._values[column.columnName] = column.autoIncrement ? column._nextAutoIncrement() : column.defaultValue;
         }
     }
 
     /**
      * Alias for get()
      * @param {string} columnName - Name of the column to retrieve value from
+     * @param {string} [version='Default'] - Version of the value, see DataRowVersion
      * @returns {*} The value stored in the specified column
      * @throws {Error} If the column doesn't exist
+     * @throws {VersionNotFoundException} If the row doesn't have the requested version
      */
-    item(columnName) {
-        return this.get(columnName);
+    item(columnName, version = DataRowVersion.DEFAULT) {
+        return this.get(columnName, version);
     }
 
     /**
      * @param {number|string} index - Numeric index or column name
+     * @param {string} [version='Default'] - Version of the value, see DataRowVersion
      * @returns {*} The value stored at the specified index or column name
      * @throws {Error} If the column doesn't exist
+     * @throws {VersionNotFoundException} If the row doesn't have the requested version
      */
-    get(index) {
+    get(index, version = DataRowVersion.DEFAULT) {
         if (typeof index === 'number') {
             const columnNames = Array.from(this._table.columns._columns.keys());
             const columnName = columnNames[index];
             if (!this._table.columns.contains(columnName)) {
                 throw new Error(`Column at index ${index} does not exist`);
             }
-            return this._values[columnName];
+            return this._versionValues(version)[columnName];
         }
         if (!this._table.columns.contains(index)) {
             throw new Error(`Column '${index}' does not exist`);
         }
-        return this._values[index];
+        return this._versionValues(version)[index];
     }
 
     /**
+     * @param {string} version - Version to look for, see DataRowVersion
+     * @returns {boolean} True if get() can read the version
+     * @throws {Error} If the version is unknown
+     */
+    hasVersion(version) {
+        switch (version) {
+            case DataRowVersion.ORIGINAL:
+                return this._originalValues !== null;
+            case DataRowVersion.CURRENT:
+                return this._rowState !== DataRowState.DELETED;
+            case DataRowVersion.PROPOSED:
+                return this._proposedValues !== null;
+            case DataRowVersion.DEFAULT:
+                return true;
+            default:
+                throw new Error(`Unknown row version '${version}'`);
+        }
+    }
+
+    /**
+     * @param {string} version - Version to read, see DataRowVersion
+     * @returns {Object} Values of the version by column name
+     * @throws {VersionNotFoundException} If the row doesn't have the version
+     * @private
+     */
+    _versionValues(version) {
+        if (!this.hasVersion(version)) {
+            throw new VersionNotFoundException(version);
+        }
+        switch (version) {
+            case DataRowVersion.ORIGINAL:
+                return this._originalValues;
+            case DataRowVersion.PROPOSED:
+                return this._proposedValues;
+            case DataRowVersion.DEFAULT:
+                return this._proposedValues || this._values;
+            default:
+                return this._values;
+        }
+    }
+
+    /**
+     * Sets the value of a column. During an edit session the value is only proposed
+     * and its null, type and constraint checks are deferred to endEdit().
+     * Raises columnChanging, whose handlers can rewrite or cancel the value, then rowChanging,
+     * columnChanged and rowChanged when the row belongs to the table.
      * @param {string} columnName - Name of the column to set value for
      * @param {*} value - Value to set in the specified column
      * @throws {Error} If the column doesn't exist
-     * @throws {Error} If null is not allowed for the column
+     * @throws {ReadOnlyException} If the column is read only and the row belongs to the table
+     * @throws {NoNullAllowedException} If null is not allowed for the column
      * @throws {Error} If value type doesn't match column data type
+     * @throws {ConstraintException} If the value violates a constraint of the table
      */
     set(columnName, value) {
         if (!this._table.columns.contains(columnName)) {
@@ -55,51 +123,155 @@ class DataRow {
         }
     
         const column = this._table.columns._columns.get(columnName);
-    
-        // Null validation
-        if (value === null && !column.allowNull) {
-            throw new Error(`Column '${columnName}' does not allow null values`);
+
+        // Read-only columns can only be filled before the row is added to the table
+        if (column.readOnly && this._attached) {
+            throw new ReadOnlyException(columnName);
         }
-    
-        // Type validation
-        if (value !== null && column.dataType) {
-            switch(column.dataType.toLowerCase()) {
-                case 'number':
-                    if (isNaN(Number(value))) {
-                        throw new Error(`Value '${value}' cannot be converted to number for column '${columnName}'`);
-                    }
-                    value = Number(value);
-                    break;
-                case 'date':
-                    if (!(value instanceof Date) && isNaN(Date.parse(value))) {
-                        throw new Error(`Value '${value}' cannot be converted to date for column '${columnName}'`);
-                    }
-                    value = new Date(value);
-                    break;
-                case 'string':
-                    value = String(value);
-                    break;
-                case 'boolean':
-                    if (typeof value !== 'boolean') {
-                        value = Boolean(value);
-                    }
-                    break;
+
+        if (this._attached) {
+            const args = new DataColumnChangeEventArgs(this, column, value);
+            if (!this._table._raise('columnChanging', args)) {
+                return;
             }
+            value = args.proposedValue;
         }
-    
-        // Save original value if not already saved
-        if (!this._originalValues.hasOwnProperty(columnName)) {
-            this._originalValues[columnName] = this._values[columnName];
+
+        if (this._proposedValues) {
+            this._proposedValues[columnName] = value;
+            if (this._attached) {
+                this._table.emit('columnChanged', new DataColumnChangeEventArgs(this, column, value));
+            }
+            return;
         }
-    
-        this._values[columnName] = value;
+
+        this._applyValues({ [columnName]: value }, columnName);
+    }
+
+    // ===== EDIT SESSION METHODS =====
+
+    /**
+     * Starts an edit session: set() only proposes values until endEdit() or cancelEdit().
+     * Does nothing if the row is already being edited.
+     * @throws {Error} If the row is deleted
+     */
+    beginEdit() {
+        if (this._rowState === DataRowState.DELETED) {
+            throw new Error('Cannot edit a deleted row');
+        }
+        if (!this._proposedValues) {
+            this._proposedValues = { ...this._values };
+        }
+    }
+
+    /**
+     * Validates the proposed values together and stores them all at once, ending the edit session.
+     * The session stays open if a check fails, so the values can be fixed or cancelled.
+     * The values are discarded if a rowChanging handler cancels the change.
+     * Does nothing if the row isn't being edited.
+     * @throws {NoNullAllowedException} If null is proposed for a column that doesn't allow it
+     * @throws {Error} If a proposed value doesn't match the column data type
+     * @throws {ConstraintException} If the proposed values violate a constraint of the table
+     */
+    endEdit() {
+        if (!this._proposedValues) {
+            return;
+        }
+
+        const changes = {};
+        for (const [columnName, value] of Object.entries(this._proposedValues)) {
+            if (value !== this._values[columnName]) {
+                changes[columnName] = value;
+            }
+        }
+
+        if (Object.keys(changes).length > 0) {
+            this._applyValues(changes, null);
+        }
+        this._proposedValues = null;
+    }
+
+    /**
+     * Discards the proposed values, ending the edit session
+     */
+    cancelEdit() {
+        this._proposedValues = null;
+    }
+
+    /**
+     * Validates and stores new values, then notifies the table and raises the change events
+     * @param {Object} changes - New values by column name
+     * @param {string|null} columnName - Single changed column raising columnChanged, null to check every constraint
+     * @returns {boolean} False if a rowChanging handler cancelled the change
+     * @private
+     */
+    _applyValues(changes, columnName) {
+        this._table._beginJournalStep();
+        try {
+            const values = { ...this._values };
+            for (const [name, value] of Object.entries(changes)) {
+                const column = this._table.columns._columns.get(name);
+
+                // Null validation
+                if (value === null && !column.allowNull) {
+                    throw new NoNullAllowedException(name);
+                }
+
+                // Type validation
+                values[name] = convertValue(value, column.dataType, name);
+            }
+
+            if (!this._raiseRowEvent('rowChanging', DataRowAction.CHANGE)) {
+                return false;
+            }
+
+            // Constraint validation
+            if (this._attached) {
+                this._table._checkConstraints(this, values, columnName);
+                this._table._journalRow(this);
+            }
+
+            const previous = {};
+            for (const name of Object.keys(changes)) {
+                previous[name] = this._values[name];
+                this._values[name] = values[name];
+            }
+
+            if (this._attached) {
+                this._table._onRowChanged(this, previous);
+            }
         
-        // Update state only if not already ADDED
-        if (this._rowState !== DataRowState.ADDED) {
-            this._rowState = DataRowState.MODIFIED;
+            // Update state only if not already ADDED
+            if (this._rowState !== DataRowState.ADDED) {
+                this._setRowState(DataRowState.MODIFIED);
+            }
+
+            // Child rows follow the update rules of their foreign keys
+            if (this._attached) {
+                this._table._onParentValuesChanged(this, previous);
+                if (columnName !== null) {
+                    const column = this._table.columns._columns.get(columnName);
+                    this._table.emit('columnChanged', new DataColumnChangeEventArgs(this, column, this._values[columnName]));
+                }
+            }
+            this._raiseRowEvent('rowChanged', DataRowAction.CHANGE);
+            return true;
+        } finally {
+            this._table._endJournalStep();
         }
     }
 
+    /**
+     * Raises a row event on the table, if the row belongs to it
+     * @param {string} eventName - Name of the event
+     * @param {string} action - Action of the event, see DataRowAction
+     * @returns {boolean} False if a handler cancelled the change
+     * @private
+     */
+    _raiseRowEvent(eventName, action) {
+        return !this._attached || this._table._raise(eventName, new DataRowChangeEventArgs(this, action));
+    }
+
     toJSON() {
         return this._values;
     }
@@ -111,23 +283,106 @@ class DataRow {
     // ===== ROWSTATE MANAGEMENT METHODS =====
 
     /**
-     * Accepts all changes made to the row
+     * Accepts all changes made to the row, ending a pending edit session first.
+     * The current values become the Original version, and a deleted row is removed from the table.
+     * Raises rowChanging and rowChanged with the Commit action.
      */
     acceptChanges() {
-        this._originalValues = { ...this._values };
-        this._rowState = DataRowState.UNCHANGED;
+        this._acceptChanges(true);
     }
 
     /**
-     * Rejects all changes and restores original values
+     * @param {boolean} cascade - Whether the accept/reject rules of the foreign keys apply to the child rows
+     * @private
      */
-    rejectChanges() {
-        if (this._rowState === DataRowState.ADDED) {
-            throw new Error('Cannot reject changes for newly added rows');
+    _acceptChanges(cascade) {
+        this._table._beginJournalStep();
+        try {
+            this.endEdit();
+            if (!this._raiseRowEvent('rowChanging', DataRowAction.COMMIT)) {
+                return;
+            }
+            if (this._attached) {
+                this._table._journalRow(this);
+            }
+            if (this._rowState === DataRowState.DELETED) {
+                if (this._attached) {
+                    if (cascade) {
+                        this._table._onRowAcceptReject(this, 'accept');
+                    }
+                    this._table.rows._removeRow(this);
+                    this._table.emit('rowChanged', new DataRowChangeEventArgs(this, DataRowAction.COMMIT));
+                }
+                return;
+            }
+            this._originalValues = { ...this._values };
+            this._setRowState(DataRowState.UNCHANGED);
+
+            if (this._attached && cascade) {
+                this._table._onRowAcceptReject(this, 'accept');
+            }
+            this._raiseRowEvent('rowChanged', DataRowAction.COMMIT);
+        } finally {
+            this._table._endJournalStep();
         }
+    }
+
+    /**
+     * Rejects all changes and restores original values, discarding a pending edit session, and clears the errors.
+     * A deleted row that was never accepted goes back to ADDED with its current values.
+     * Raises rowChanging and rowChanged with the Rollback action.
+     * @throws {Error} If the row is ADDED
+     * @throws {ConstraintException} If another row took the key the row would get back
+     */
+    rejectChanges() {
+        this._rejectChanges(true);
+    }
+
+    /**
+     * @param {boolean} check - Whether to check the unique constraints, false when the caller checked the rows together
+     * @private
+     */
+    _rejectChanges(check) {
+        this._table._beginJournalStep();
+        try {
+            if (this._rowState === DataRowState.ADDED) {
+                throw new Error('Cannot reject changes for newly added rows');
+            }
+            if (check && this._attached && this.hasChanges()) {
+                this._table._checkRejectedKeys([this]);
+            }
+            this.cancelEdit();
+            if (!this._raiseRowEvent('rowChanging', DataRowAction.ROLLBACK)) {
+                return;
+            }
+            this.clearErrors();
+
+            // Child rows are rejected first, while they still match the current key
+            if (this._attached) {
+                this._table._journalRow(this);
+                this._table._onRowAcceptReject(this, 'reject');
+            }
         
-        this._values = { ...this._originalValues };
-        this._rowState = DataRowState.UNCHANGED;
+            if (!this._originalValues) {
+                this._setRowState(DataRowState.ADDED);
+                if (this._attached) {
+                    this._table._propagateExpressions(this, null);
+                }
+                this._raiseRowEvent('rowChanged', DataRowAction.ROLLBACK);
+                return;
+            }
+
+            const previous = this._values;
+            this._values = { ...this._originalValues };
+            this._setRowState(DataRowState.UNCHANGED);
+
+            if (this._attached) {
+                this._table._onRowChanged(this, previous);
+            }
+            this._raiseRowEvent('rowChanged', DataRowAction.ROLLBACK);
+        } finally {
+            this._table._endJournalStep();
+        }
     }
 
     /**
@@ -147,13 +402,112 @@ class DataRow {
     }
 
     /**
-     * Marks the row as deleted
+     * @param {string} state - New state of the row
+     * @private
      */
-    delete() {
-        if (this._rowState === DataRowState.DELETED) {
+    _setRowState(state) {
+        if (this._rowState === state) {
             return;
         }
-        this._rowState = DataRowState.DELETED;
+        this._rowState = state;
+        if (this._attached) {
+            this._table._onRowStateChanged(this);
+        }
+    }
+
+    /**
+     * Marks the row as deleted, applying the delete rules of the foreign keys referencing it.
+     * A pending edit session is discarded. Raises rowDeleting, which can cancel the deletion, and rowDeleted.
+     * @throws {ConstraintException} If a delete rule is None and the row has child rows
+     */
+    delete() {
+        this._table._beginJournalStep();
+        try {
+            if (this._rowState === DataRowState.DELETED) {
+                return;
+            }
+            if (!this._raiseRowEvent('rowDeleting', DataRowAction.DELETE)) {
+                return;
+            }
+            if (this._attached) {
+                this._table._journalRow(this);
+                this._table._onRowDeleting(this);
+            }
+            this.cancelEdit();
+            this._setRowState(DataRowState.DELETED);
+
+            // Aggregates skip deleted rows
+            if (this._attached) {
+                this._table._propagateExpressions(this, null);
+            }
+            this._raiseRowEvent('rowDeleted', DataRowAction.DELETE);
+        } finally {
+            this._table._endJournalStep();
+        }
+    }
+
+    // ===== ERROR METHODS =====
+
+    /**
+     * Whether the row has a row error or a column error
+     * @returns {boolean}
+     */
+    get hasErrors() {
+        return Boolean(this.rowError) || Object.keys(this._columnErrors).length > 0;
+    }
+
+    /**
+     * Records an error on a column of the row, e.g. a value flagged by an import or a validation
+     * @param {string|DataColumn} column - Column, or name of the column
+     * @param {string} error - Description of the error, an empty string clears it
+     * @throws {Error} If the column doesn't exist
+     */
+    setColumnError(column, error) {
+        const columnName = this._errorColumnName(column);
+        if (error) {
+            this._columnErrors[columnName] = String(error);
+        } else {
+            delete this._columnErrors[columnName];
+        }
+    }
+
+    /**
+     * @param {string|DataColumn} column - Column, or name of the column
+     * @returns {string} The error recorded on the column, an empty string if none
+     * @throws {Error} If the column doesn't exist
+     */
+    getColumnError(column) {
+        return this._columnErrors[this._errorColumnName(column)] || '';
+    }
+
+    /**
+     * @returns {Array<DataColumn>} The columns having an error, in column order
+     */
+    getColumnsInError() {
+        return Array.from(this._table.columns).filter(column => column.columnName in this._columnErrors);
+    }
+
+    /**
+     * Clears the row error and the column errors
+     */
+    clearErrors() {
+        this.rowError = '';
+        this._columnErrors = {};
+    }
+
+    /**
+     * @param {string|DataColumn} column - Column, or name of the column
+     * @returns {string} Name of the column
+     * @throws {Error} If the column doesn't belong to the table of the row
+     * @private
+     */
+    _errorColumnName(column) {
+        const columnName = typeof column === 'string' ? column : column.columnName;
+        if (!this._table.columns.contains(columnName) ||
+            (typeof column !== 'string' && this._table.columns._columns.get(columnName) !== column)) {
+            throw new Error(`Column '${columnName}' does not exist`);
+        }
+        return columnName;
     }
 }
 
@@ -1,11 +1,17 @@
 const DataTable = require('./DataTable');
 const DataRelation = require('./DataRelation');
+const ForeignKeyConstraint = require('./constraints/ForeignKeyConstraint');
+const DataRowState = require('./enums/DataRowState');
+const MissingSchemaAction = require('./enums/MissingSchemaAction');
+const { readSource, mergeSchema, mergeRows } = require('./changes/ChangeMerger');
+const { createScript } = require('./sql/DdlGenerator');
 
 class DataSet {
     constructor(dataSetName = '') {
         this.dataSetName = dataSetName;
         this.tables = new Map();
         this.relations = [];
+        this._journals = new Set();
     }
 
     /**
@@ -25,7 +31,15 @@ class DataSet {
             throw new Error(`Table '${table.tableName}' already exists in the DataSet`);
         }
         
+        if (table.dataSet && table.dataSet !== this) {
+            throw new Error(`Table '${table.tableName}' already belongs to another DataSet`);
+        }
+        
         this.tables.set(table.tableName, table);
+        table._dataSet = this;
+        for (const journal of this._journals) {
+            journal._attach(table);
+        }
         return table;
     }
 
@@ -37,13 +51,21 @@ class DataSet {
             throw new Error(`Table '${tableName}' does not exist in the DataSet`);
         }
         
-        // Remove any relations involving this table
-        this.relations = this.relations.filter(rel => 
-            rel.parentTable.tableName !== tableName && 
-            rel.childTable.tableName !== tableName
-        );
+        // Remove any relations involving this table, with their foreign keys
+        this.relations = this.relations.filter(rel => {
+            const involved = rel.parentTable.tableName === tableName || rel.childTable.tableName === tableName;
+            if (involved) {
+                DataSet._removeChildKeyConstraint(rel);
+            }
+            return !involved;
+        });
         
+        const table = this.tables.get(tableName);
         this.tables.delete(tableName);
+        table._dataSet = null;
+        for (const journal of this._journals) {
+            journal._detach(table);
+        }
     }
 
     /**
@@ -63,12 +85,21 @@ class DataSet {
      * @param {string} relationName - Name of the relation
      * @param {string|DataColumn} parentTableOrColumn - Parent table name or column
      * @param {string|DataColumn} childTableOrColumn - Child table name or column
-     * @param {string} [parentColumnName] - Name of the parent column if parentTableOrColumn is a table name
+     * @param {string|boolean} [parentColumnName] - Name of the parent column if parentTableOrColumn is a table name,
+     * or createConstraints when columns are given
      * @param {string} [childColumnName] - Name of the child column if childTableOrColumn is a table name
+     * @param {boolean} [createConstraints=true] - Whether to add a ForeignKeyConstraint named after the relation to the child table
      * @returns {DataRelation} The created relation
+     * @throws {ConstraintException} If child rows reference missing parent rows
      */
-    addRelation(relationName, parentTableOrColumn, childTableOrColumn, parentColumnName, childColumnName) {
+    addRelation(relationName, parentTableOrColumn, childTableOrColumn, parentColumnName, childColumnName, createConstraints = true) {
         let parentColumn, childColumn;
+
+        // addRelation(name, parentColumn, childColumn, createConstraints)
+        if (typeof parentColumnName === 'boolean') {
+            createConstraints = parentColumnName;
+            parentColumnName = undefined;
+        }
         
         if (typeof parentTableOrColumn === 'string' && parentColumnName) {
             const parentTable = this.table(parentTableOrColumn);
@@ -91,18 +122,41 @@ class DataSet {
         }
         
         const relation = new DataRelation(relationName, parentColumn, childColumn);
+        if (createConstraints) {
+            relation.childKeyConstraint = relation.childTable.constraints.add(
+                new ForeignKeyConstraint(relationName, parentColumn, childColumn)
+            );
+        }
         this.relations.push(relation);
+
+        // Parent and Child references may now resolve
+        relation.parentTable._refreshExpressions();
+        relation.childTable._refreshExpressions();
         
         return relation;
     }
 
     /**
      * @param {string} relationName - Name of the relation to remove
+     * @throws {Error} If an expression column references the relation by name
      */
     removeRelation(relationName) {
         const index = this.relations.findIndex(rel => rel.relationName === relationName);
         if (index !== -1) {
+            const relation = this.relations[index];
+            for (const table of [relation.parentTable, relation.childTable]) {
+                for (const column of table._getExpressionColumns()) {
+                    const dependencies = column._expression.dependencies;
+                    if (dependencies.parents.concat(dependencies.children).some(dependency => dependency.relation === relationName)) {
+                        throw new Error(`Cannot remove relation '${relationName}' because it is referenced by the expression of column '${column.columnName}'`);
+                    }
+                }
+            }
+
             this.relations.splice(index, 1);
+            DataSet._removeChildKeyConstraint(relation);
+            relation.parentTable._refreshExpressions();
+            relation.childTable._refreshExpressions();
         }
     }
 
@@ -114,6 +168,24 @@ class DataSet {
         return this.tables.has(tableName);
     }
 
+    /**
+     * Sorts the tables so that parent tables come before their child tables
+     * @returns {Array<DataTable>} Tables, parents first. Tables in a cycle keep their DataSet order.
+     * @private
+     */
+    _orderedTables() {
+        const remaining = Array.from(this.tables.values());
+        const ordered = [];
+        while (remaining.length > 0) {
+            const next = remaining.find(table => !this.relations.some(relation =>
+                relation.childTable === table && relation.parentTable !== table && remaining.includes(relation.parentTable)
+            )) || remaining[0];
+            ordered.push(next);
+            remaining.splice(remaining.indexOf(next), 1);
+        }
+        return ordered;
+    }
+
     /**
      * Get relations for a specific table
      * @param {string} tableName - Name of the table to find relations for
@@ -141,9 +213,7 @@ class DataSet {
         const parentValue = parentRow.get(relation.parentColumn.columnName);
         const childTable = relation.childTable;
         
-        return childTable.findRows(row => 
-            row.get(relation.childColumn.columnName) === parentValue
-        );
+        return childTable.findRows({ [relation.childColumn.columnName]: parentValue });
     }
 
     /**
@@ -161,30 +231,313 @@ class DataSet {
         const childValue = childRow.get(relation.childColumn.columnName);
         const parentTable = relation.parentTable;
         
-        return parentTable.findOne(row => 
-            row.get(relation.parentColumn.columnName) === childValue
-        );
+        return parentTable.findOne({ [relation.parentColumn.columnName]: childValue });
     }
 
     /**
-     * Clears all data from all tables while maintaining structure
+     * Joins the parent and child tables of a relation on the relation columns
+     * @param {string} relationName - Name of the relation
+     * @param {string} [type='inner'] - 'inner', 'left', 'right' or 'full', the parent table being the left side
+     * @param {Object} [options={}] - Other options of DataTable.join(), such as select
+     * @returns {DataTable} New table with the joined rows
+     * @throws {Error} If the relation doesn't exist
+     */
+    joinRelation(relationName, type = 'inner', options = {}) {
+        const relation = this.relations.find(rel => rel.relationName === relationName);
+        if (!relation) {
+            throw new Error(`Relation '${relationName}' does not exist`);
+        }
+
+        return relation.parentTable.join(relation.childTable, {
+            tableName: relationName,
+            ...options,
+            on: { [relation.parentColumn.columnName]: relation.childColumn.columnName },
+            type
+        });
+    }
+
+    /**
+     * Clears all data from all tables while maintaining structure, child tables first
      */
     clear() {
-        for (const table of this.tables.values()) {
+        for (const table of this._orderedTables().reverse()) {
             table.clear();
         }
     }
 
+    /**
+     * Generates the CREATE TABLE statements of the tables, parent tables first,
+     * with the foreign keys of their relations
+     * @param {string} [dialect='postgres'] - 'postgres', 'mysql', 'sqlite' or 'mssql'
+     * @param {Object} [options={}] - Generation options: schema
+     * @returns {string} The statements, each ending with a semicolon
+     * @throws {Error} If the dialect is not supported or a table has no stored column
+     */
+    toDdl(dialect = 'postgres', options = {}) {
+        return createScript(this, dialect, options);
+    }
+
+    /**
+     * Writes the DataSet to an object that JSON.stringify() can write and DataSet.fromJSON() restores:
+     * the tables and their rows, see DataTable.toJSON(), then the relations with the rules of their foreign keys
+     * @param {Object} [options={}] - Serialization options of DataTable.toJSON(): includeSchema, includeChanges and diffgram
+     * @returns {Object} { dataSetName, tables, relations }, without relations if the schema isn't included
+     */
+    toJSON(options = {}) {
+        // JSON.stringify() passes the property name of the DataSet
+        if (typeof options !== 'object' || options === null) {
+            options = {};
+        }
+        const json = {
+            dataSetName: this.dataSetName,
+            tables: Array.from(this.tables.values(), table => table.toJSON(options))
+        };
+        if (options.includeSchema !== false) {
+            json.relations = this.relations.map(relation => {
+                const constraint = relation.childKeyConstraint;
+                return {
+                    relationName: relation.relationName,
+                    parentTable: relation.parentTable.tableName,
+                    parentColumn: relation.parentColumn.columnName,
+                    childTable: relation.childTable.tableName,
+                    childColumn: relation.childColumn.columnName,
+                    constraint: constraint ? {
+                        updateRule: constraint.updateRule,
+                        deleteRule: constraint.deleteRule,
+                        acceptRejectRule: constraint.acceptRejectRule
+                    } : null
+                };
+            });
+        }
+        return json;
+    }
+
+    /**
+     * Creates a DataSet from the object written by toJSON() or its JSON text, restoring every table, relation,
+     * row state, original value, row error and column error. The constraints are checked once all the rows are loaded.
+     * @param {Object|string} json - Object written by toJSON(), or its JSON text
+     * @param {Object} [options={}] - Loading options
+     * @param {DataSet} [options.dataSet] - Existing DataSet receiving the rows, needed when the schema wasn't written.
+     * Its tables and relations are kept, the missing ones are created.
+     * @returns {DataSet} The DataSet
+     * @throws {Error} If a table was serialized without its schema and doesn't exist in the DataSet, or the state of a row is unknown
+     * @throws {ConstraintException} If the rows violate a constraint
+     */
+    static fromJSON(json, options = {}) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        const dataSet = options.dataSet || new DataSet(data.dataSetName);
+
+        // Expressions may go through relations, so they are set once the relations exist
+        const expressions = [];
+        const tables = data.tables.map(tableData => {
+            if (dataSet.hasTable(tableData.tableName) || !tableData.schema) {
+                return dataSet.table(tableData.tableName);
+            }
+            const table = dataSet.addTable(DataTable._importJSONSchema(tableData.schema, false));
+            for (const column of tableData.schema.columns) {
+                if (column.expression) {
+                    expressions.push({ column: table.columns._columns.get(column.name), expression: column.expression });
+                }
+            }
+            return table;
+        });
+
+        tables.forEach(table => table.beginLoadData());
+        try {
+            tables.forEach((table, index) => table._loadJSONRows(data.tables[index]));
+
+            for (const relationData of data.relations || []) {
+                if (dataSet.relations.some(relation => relation.relationName === relationData.relationName)) {
+                    continue;
+                }
+                const relation = dataSet.addRelation(
+                    relationData.relationName,
+                    relationData.parentTable,
+                    relationData.childTable,
+                    relationData.parentColumn,
+                    relationData.childColumn,
+                    relationData.constraint !== null
+                );
+                if (relationData.constraint) {
+                    relation.childKeyConstraint.updateRule = relationData.constraint.updateRule;
+                    relation.childKeyConstraint.deleteRule = relationData.constraint.deleteRule;
+                    relation.childKeyConstraint.acceptRejectRule = relationData.constraint.acceptRejectRule;
+                }
+            }
+
+            for (const { column, expression } of expressions) {
+                column.expression = expression;
+            }
+        } finally {
+            tables.forEach(table => table.endLoadData());
+        }
+        return dataSet;
+    }
+
+    /**
+     * Checks if a table of the DataSet has unsaved changes
+     * @returns {boolean}
+     */
+    hasChanges() {
+        return Array.from(this.tables.values()).some(table => table.hasChanges());
+    }
+
+    /**
+     * Whether a row of a table of the DataSet has a row error or a column error
+     * @returns {boolean}
+     */
+    get hasErrors() {
+        return Array.from(this.tables.values()).some(table => table.hasErrors);
+    }
+
+    /**
+     * Gets the changes of all the tables
+     * @param {Object} [options={}] - Options
+     * @param {string} [options.format='dataSet'] - 'dataSet' for a detached copy of the DataSet holding the changed rows,
+     * plus the parent rows they reference so that the foreign keys hold, or 'changeSet' for the change sets of the
+     * changed tables, parent tables first, see DataTable.getChanges()
+     * @param {string|Array<string>} [options.rowStates] - States of the rows to get, all the changed states by default
+     * @returns {DataSet|Object} The DataSet, or { dataSetName, tables } holding the change sets
+     * @throws {Error} If the format is unknown
+     */
+    getChanges(options = {}) {
+        const { format = 'dataSet', rowStates } = options;
+        if (format === 'changeSet') {
+            return {
+                dataSetName: this.dataSetName,
+                tables: this._orderedTables()
+                    .map(table => table.getChanges({ format: 'changeSet', rowStates }))
+                    .filter(changeSet => changeSet.changes.length > 0)
+            };
+        }
+        if (format !== 'dataSet') {
+            throw new Error(`Unknown changes format '${format}', expected dataSet or changeSet`);
+        }
+
+        const selected = new Map();
+        const pending = [];
+        for (const table of this.tables.values()) {
+            const rows = table.getChanges({ rowStates });
+            selected.set(table, new Set(rows));
+            pending.push(...rows);
+        }
+        // Parent rows of the copied rows come along, and their own parent rows in turn
+        while (pending.length > 0) {
+            const row = pending.pop();
+            if (row._rowState === DataRowState.DELETED) {
+                continue;
+            }
+            for (const relation of this.relations) {
+                if (relation.childTable !== row._table || !relation.childKeyConstraint) {
+                    continue;
+                }
+                const value = row._values[relation.childColumn.columnName];
+                const parent = value === null || value === undefined ? null
+                    : relation.parentTable.findOne({ [relation.parentColumn.columnName]: value });
+                if (parent && !selected.get(relation.parentTable).has(parent)) {
+                    selected.get(relation.parentTable).add(parent);
+                    pending.push(parent);
+                }
+            }
+        }
+        return this._cloneWith(table => table.rows._rows.filter(row => selected.get(table).has(row)));
+    }
+
+    /**
+     * Merges another DataSet, a table or the change sets of getChanges({ format: 'changeSet' }) into the DataSet,
+     * table by table with the same name, see DataTable.merge(). The constraints are checked once all the rows
+     * are merged. With the Add actions, the missing tables are created, and the missing relations of a DataSet added.
+     * @param {DataSet|DataTable|Object} source - DataSet, table, or { tables } holding change sets
+     * @param {Object} [options={}] - Merge options
+     * @param {boolean} [options.preserveChanges=false] - Whether the changed rows keep their current values
+     * @param {string} [options.missingSchemaAction='Add'] - What to do with the missing tables and columns,
+     * see MissingSchemaAction
+     * @throws {Error} If a table or a column is missing and the action is Error, or the rowState of a change is unknown
+     * @throws {ConstraintException} If the merged rows violate a constraint
+     */
+    merge(source, options = {}) {
+        const { preserveChanges = false, missingSchemaAction = MissingSchemaAction.ADD } = options;
+        let sources;
+        if (source instanceof DataSet) {
+            sources = source._orderedTables();
+        } else {
+            sources = source.tables ? source.tables : [source];
+        }
+
+        const merges = [];
+        for (const item of sources) {
+            const incoming = readSource(item);
+            if (!this.hasTable(incoming.tableName)) {
+                if (missingSchemaAction === MissingSchemaAction.IGNORE) {
+                    continue;
+                }
+                if (missingSchemaAction === MissingSchemaAction.ERROR) {
+                    throw new Error(`Table '${incoming.tableName}' does not exist in the DataSet`);
+                }
+                this.addTable(incoming.tableName);
+            }
+            const table = this.table(incoming.tableName);
+            mergeSchema(table, incoming, missingSchemaAction);
+            merges.push({ table, incoming });
+        }
+
+        if (source instanceof DataSet && [MissingSchemaAction.ADD, MissingSchemaAction.ADD_WITH_KEY].includes(missingSchemaAction)) {
+            for (const relation of source.relations) {
+                if (this.relations.some(existing => existing.relationName === relation.relationName)) {
+                    continue;
+                }
+                const newRelation = this.addRelation(
+                    relation.relationName,
+                    relation.parentTable.tableName,
+                    relation.childTable.tableName,
+                    relation.parentColumn.columnName,
+                    relation.childColumn.columnName,
+                    relation.childKeyConstraint !== null
+                );
+                if (relation.childKeyConstraint) {
+                    newRelation.childKeyConstraint.updateRule = relation.childKeyConstraint.updateRule;
+                    newRelation.childKeyConstraint.deleteRule = relation.childKeyConstraint.deleteRule;
+                    newRelation.childKeyConstraint.acceptRejectRule = relation.childKeyConstraint.acceptRejectRule;
+                }
+            }
+        }
+
+        // The rows of all the tables form a single undo step
+        merges.forEach(({ table }) => table._beginJournalStep());
+        try {
+            merges.forEach(({ table }) => table.beginLoadData());
+            try {
+                for (const { table, incoming } of merges) {
+                    mergeRows(table, incoming, preserveChanges);
+                }
+            } finally {
+                merges.forEach(({ table }) => table.endLoadData());
+            }
+        } finally {
+            merges.forEach(({ table }) => table._endJournalStep());
+        }
+    }
+
     /**
      * Creates a deep copy of the DataSet
      * @returns {DataSet} A new instance of DataSet with the same structure and data
      */
     clone() {
+        return this._cloneWith(table => table.rows._rows);
+    }
+
+    /**
+     * Copies the structure of the DataSet with some of the rows of its tables
+     * @param {Function} rowsOf - Function returning the rows to copy of a table
+     * @returns {DataSet} A new instance of DataSet
+     * @private
+     */
+    _cloneWith(rowsOf) {
         const newDataSet = new DataSet(this.dataSetName);
         
         // Clone tables
-        for (const [name, table] of this.tables.entries()) {
-            newDataSet.addTable(table.clone());
+        for (const table of this.tables.values()) {
+            newDataSet.addTable(table._cloneWith(rowsOf(table)));
         }
         
         // Clone relations
@@ -195,15 +548,34 @@ class DataSet {
             const parentColumn = parentTable.columns._columns.get(relation.parentColumn.columnName);
             const childColumn = childTable.columns._columns.get(relation.childColumn.columnName);
             
-            newDataSet.addRelation(
+            const newRelation = newDataSet.addRelation(
                 relation.relationName,
                 parentColumn,
-                childColumn
+                childColumn,
+                relation.childKeyConstraint !== null
             );
+
+            if (relation.childKeyConstraint) {
+                newRelation.childKeyConstraint.updateRule = relation.childKeyConstraint.updateRule;
+                newRelation.childKeyConstraint.deleteRule = relation.childKeyConstraint.deleteRule;
+                newRelation.childKeyConstraint.acceptRejectRule = relation.childKeyConstraint.acceptRejectRule;
+            }
         }
         
         return newDataSet;
     }
+
+    /**
+     * @param {DataRelation} relation - Relation being removed
+     * @private
+     */
+    static _removeChildKeyConstraint(relation) {
+        const constraint = relation.childKeyConstraint;
+        if (constraint && relation.childTable.constraints.get(constraint.constraintName) === constraint) {
+            relation.childTable.constraints.remove(constraint);
+        }
+        relation.childKeyConstraint = null;
+    }
 }
 
 module.exports = DataSet;
\ No newline at end of file
@@ -1,17 +1,735 @@
+const EventEmitter = require('events');
 const DataColumnCollection = require('./collections/DataColumnCollection');
 const DataRowCollection = require('./collections/DataRowCollection');
+const ConstraintCollection = require('./collections/ConstraintCollection');
 const DataColumn = require('./DataColumn');
 const DataRow = require('./DataRow');
-
-class DataTable {
+const DataRowState = require('./enums/DataRowState');
+const UniqueConstraint = require('./constraints/UniqueConstraint');
+const ForeignKeyConstraint = require('./constraints/ForeignKeyConstraint');
+const DataIndex = require('./indexes/DataIndex');
+const { planQuery, candidateRows } = require('./indexes/QueryPlanner');
+const { compileCriteria } = require('./query/CriteriaMatcher');
+const DataExpression = require('./expressions/DataExpression');
+const DataGrouping = require('./query/DataGrouping');
+const { joinTables } = require('./query/TableJoiner');
+const { pivotTable, unpivotTable } = require('./query/PivotTransform');
+const EvaluateException = require('./errors/EvaluateException');
+const DataTableNewRowEventArgs = require('./events/DataTableNewRowEventArgs');
+const { convertValue, valuesEqual } = require('./utils/typeUtils');
+const { getType } = require('./types/TypeRegistry');
+const { createKey } = require('./utils/keyUtils');
+const { inferColumns } = require('./utils/schemaUtils');
+const { encodeValue, reviveValue } = require('./utils/jsonUtils');
+const { createTableSql, migrationSql } = require('./sql/DdlGenerator');
+const { mergeTable, toChangeSet } = require('./changes/ChangeMerger');
+const CsvReader = require('./csv/CsvReader');
+const CsvWriter = require('./csv/CsvWriter');
+const CsvLoader = require('./csv/CsvLoader');
+
+/**
+ * In-memory table of typed rows.
+ *
+ * Emits change events with the arguments of src/events:
+ * - columnChanging / columnChanged (DataColumnChangeEventArgs)
+ * - rowChanging / rowChanged, rowDeleting / rowDeleted (DataRowChangeEventArgs)
+ * - tableClearing / tableCleared (DataTableClearEventArgs)
+ * - tableNewRow (DataTableNewRowEventArgs)
+ * Handlers of the *ing events can cancel the change, columnChanging handlers can also rewrite the value.
+ */
+class DataTable extends EventEmitter {
     /**
      * @param {string} [tableName=''] - Name of the table
      */
     constructor(tableName = '') {
+        super();
         this.tableName = tableName;
         this.rows = new DataRowCollection(this);
+        this.constraints = new ConstraintCollection(this);
         this.columns = new DataColumnCollection(this);
         this.caseSensitive = false;
+        this._enforceConstraints = true;
+        this._loadDataEnforceConstraints = null;
+        this._indexes = new Set();
+        this._namedIndexes = new Map();
+        this._dataSet = null;
+        this._expressionColumns = null;
+        this._expressionsSuspended = false;
+        this._aggregateCache = null;
+        this._referencingConstraints = new Set();
+        this._views = new Set();
+        this._journals = new Set();
+    }
+
+    /**
+     * The DataSet the table belongs to, if any
+     * @returns {DataSet|null}
+     */
+    get dataSet() {
+        return this._dataSet;
+    }
+
+    /**
+     * Columns composing the primary key of the table
+     * @returns {Array<DataColumn>} Key columns, empty if the table has no primary key
+     */
+    get primaryKey() {
+        const constraint = this.constraints.primaryKey;
+        return constraint ? constraint.columns : [];
+    }
+
+    /**
+     * Sets the primary key of the table, building the index used by rows.find()
+     * @param {Array<string|DataColumn>|string|DataColumn|null} columns - Key columns, null or empty to drop the key
+     * @throws {Error} If a column doesn't exist in the table
+     * @throws {ConstraintException} If the existing rows contain duplicate or null keys
+     */
+    set primaryKey(columns) {
+        if (columns === null || columns === undefined) {
+            columns = [];
+        }
+        if (!Array.isArray(columns)) {
+            columns = [columns];
+        }
+
+        const keyColumns = columns.map(column => {
+            const columnName = column instanceof DataColumn ? column.columnName : column;
+            const keyColumn = this.columns._columns.get(columnName);
+            if (!keyColumn || (column instanceof DataColumn && keyColumn !== column)) {
+                throw new Error(`Column '${columnName}' does not exist in table '${this.tableName}'`);
+            }
+            return keyColumn;
+        });
+
+        const previous = this.primaryKey;
+        for (const column of this.columns) {
+            column._isPrimaryKey = keyColumns.includes(column);
+        }
+
+        try {
+            this.constraints._syncPrimaryKey();
+        } catch (error) {
+            for (const column of this.columns) {
+                column._isPrimaryKey = previous.includes(column);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Whether constraints are checked on every row write
+     * @returns {boolean}
+     */
+    get enforceConstraints() {
+        return this._enforceConstraints;
+    }
+
+    /**
+     * Turning enforcement back on validates all the rows at once
+     * @param {boolean} value - Whether constraints must be enforced
+     * @throws {ConstraintException} If the rows violate a constraint, enforcement stays off
+     */
+    set enforceConstraints(value) {
+        value = Boolean(value);
+        if (value && !this._enforceConstraints) {
+            this.validateConstraints();
+        }
+        this._enforceConstraints = value;
+    }
+
+    /**
+     * Validates every row against every constraint of the table. Each row violating a constraint
+     * gets the message of the violation as row error, and as column error on the columns of the constraint.
+     * @throws {ConstraintException} The first violation, if any row violates a constraint
+     */
+    validateConstraints() {
+        const violations = [];
+        for (const constraint of this.constraints) {
+            constraint._validate(violations);
+        }
+        for (const violation of violations) {
+            violation.row.rowError = violation.message;
+            for (const column of violation.constraint.columns) {
+                violation.row.setColumnError(column, violation.message);
+            }
+        }
+        if (violations.length > 0) {
+            throw violations[0];
+        }
+    }
+
+    /**
+     * Turns off constraint enforcement while loading data
+     */
+    beginLoadData() {
+        if (this._loadDataEnforceConstraints === null) {
+            this._loadDataEnforceConstraints = this._enforceConstraints;
+        }
+        this._enforceConstraints = false;
+    }
+
+    /**
+     * Restores constraint enforcement, validating the loaded rows
+     * @throws {ConstraintException} If the loaded rows violate a constraint
+     */
+    endLoadData() {
+        const enforce = this._loadDataEnforceConstraints;
+        this._loadDataEnforceConstraints = null;
+        if (enforce !== null) {
+            this.enforceConstraints = enforce;
+        }
+    }
+
+    /**
+     * Registers an index, filling it with the current rows
+     * @param {DataIndex} index - Index to maintain
+     * @private
+     */
+    _addIndex(index) {
+        index._rebuild();
+        this._indexes.add(index);
+    }
+
+    /**
+     * @param {DataIndex} index - Index to stop maintaining
+     * @private
+     */
+    _removeIndex(index) {
+        this._indexes.delete(index);
+    }
+
+    /**
+     * @param {DataRow} row - Row added to the table
+     * @private
+     */
+    _onRowAdded(row) {
+        for (const column of this.columns) {
+            if (column.autoIncrement) {
+                column._trackAutoIncrement(row._values[column.columnName]);
+            }
+        }
+        for (const index of this._indexes) {
+            index._add(row);
+        }
+        // Views learn about the row before the aggregates over it are recomputed
+        for (const view of this._views) {
+            view._onRowAdded(row);
+        }
+        this._propagateExpressions(row, null);
+    }
+
+    /**
+     * @param {DataRow} row - Row removed from the table
+     * @private
+     */
+    _onRowRemoved(row) {
+        for (const index of this._indexes) {
+            index._remove(row);
+        }
+        for (const view of this._views) {
+            view._onRowRemoved(row);
+        }
+        this._propagateExpressions(row, null);
+    }
+
+    /**
+     * Recomputes the expressions depending on the changed columns and updates the indexes
+     * @param {DataRow} row - Row whose values changed
+     * @param {Object} oldValues - Previous values of the changed columns
+     * @private
+     */
+    _onRowChanged(row, oldValues) {
+        const computedValues = this._computeRow(row, Object.keys(oldValues));
+        this._onValuesChanged(row, { ...computedValues, ...oldValues });
+    }
+
+    /**
+     * @param {DataRow} row - Row whose values changed, including computed ones
+     * @param {Object} oldValues - Previous values of the changed columns
+     * @private
+     */
+    _onValuesChanged(row, oldValues) {
+        const changedColumns = Object.keys(oldValues);
+        if (changedColumns.length === 0) {
+            return;
+        }
+        for (const index of this._indexes) {
+            if (changedColumns.some(name => index.involves(name))) {
+                index._update(row, oldValues);
+            }
+        }
+        this._propagateExpressions(row, oldValues);
+        for (const view of this._views) {
+            view._onRowChanged(row, true);
+        }
+    }
+
+    /**
+     * @param {DataRow} row - Row whose state changed
+     * @private
+     */
+    _onRowStateChanged(row) {
+        for (const view of this._views) {
+            view._onRowChanged(row, false);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _onRowsCleared() {
+        for (const index of this._indexes) {
+            index._clear();
+        }
+        for (const view of this._views) {
+            view._onRowsCleared();
+        }
+
+        if (this._dataSet && !this._expressionsSuspended) {
+            for (const relation of this._dataSet.relations) {
+                if (relation.childTable === this && relation.parentTable !== this) {
+                    relation.parentTable._refreshExpressions();
+                }
+                if (relation.parentTable === this && relation.childTable !== this) {
+                    relation.childTable._refreshExpressions();
+                }
+            }
+        }
+    }
+
+    /**
+     * Expression columns sorted so that each one comes after the expression columns it reads
+     * @returns {Array<DataColumn>} Expression columns in evaluation order
+     * @throws {EvaluateException} If expressions reference each other in a cycle
+     * @private
+     */
+    _getExpressionColumns() {
+        if (this._expressionColumns) {
+            return this._expressionColumns;
+        }
+
+        const ordered = [];
+        const states = new Map();
+        const visit = column => {
+            if (states.get(column) === 'done') {
+                return;
+            }
+            if (states.get(column) === 'visiting') {
+                throw new EvaluateException(`Cannot set the expression of column '${column.columnName}' because of a circular reference`);
+            }
+            states.set(column, 'visiting');
+            for (const name of column._expression.dependencies.columns) {
+                const dependency = this.columns._columns.get(name);
+                if (dependency && dependency._expression) {
+                    visit(dependency);
+                }
+            }
+            states.set(column, 'done');
+            ordered.push(column);
+        };
+
+        for (const column of this.columns) {
+            if (column._expression) {
+                visit(column);
+            }
+        }
+
+        this._expressionColumns = ordered;
+        return ordered;
+    }
+
+    /**
+     * Evaluates the expression columns of a row and stores the results
+     * @param {DataRow} row - Row to compute
+     * @param {Array<string>|null} changedColumns - Changed columns, null to compute every expression column
+     * @returns {Object} Previous values of the computed columns that changed
+     * @throws {EvaluateException} If an expression can't be evaluated
+     * @private
+     */
+    _computeRow(row, changedColumns) {
+        const oldValues = {};
+        if (this._expressionsSuspended) {
+            return oldValues;
+        }
+
+        const changed = changedColumns ? new Set(changedColumns) : null;
+        for (const column of this._getExpressionColumns()) {
+            if (changed && !Array.from(this._expressionInputs(column)).some(name => changed.has(name))) {
+                continue;
+            }
+
+            const value = convertValue(column._expression.evaluate(row), column.dataType, column.columnName);
+            const previous = row._values[column.columnName];
+            if (createKey([value]) !== createKey([previous])) {
+                oldValues[column.columnName] = previous;
+                row._values[column.columnName] = value;
+                if (changed) {
+                    changed.add(column.columnName);
+                }
+            }
+        }
+
+        return oldValues;
+    }
+
+    /**
+     * Columns of this table whose change affects an expression column,
+     * including the keys of the relations its Parent and Child references go through
+     * @param {DataColumn} column - Expression column
+     * @returns {Set<string>} Names of the input columns
+     * @private
+     */
+    _expressionInputs(column) {
+        const dependencies = column._expression.dependencies;
+        const inputs = new Set(dependencies.columns);
+
+        if (this._dataSet && (dependencies.parents.length > 0 || dependencies.children.length > 0)) {
+            for (const relation of this._dataSet.relations) {
+                if (relation.childTable === this && dependencies.parents.length > 0) {
+                    inputs.add(relation.childColumn.columnName);
+                }
+                if (relation.parentTable === this && dependencies.children.length > 0) {
+                    inputs.add(relation.parentColumn.columnName);
+                }
+            }
+        }
+
+        return inputs;
+    }
+
+    /**
+     * Recomputes every expression column of a row and propagates the changes
+     * @param {DataRow} row - Row of this table
+     * @private
+     */
+    _refreshRow(row) {
+        const oldValues = this._computeRow(row, null);
+        if (row._attached) {
+            this._onValuesChanged(row, oldValues);
+        }
+    }
+
+    /**
+     * Recomputes the expression columns of all the rows
+     * @private
+     */
+    _refreshExpressions() {
+        if (this._getExpressionColumns().length === 0) {
+            return;
+        }
+        for (const row of this.rows._rows) {
+            this._refreshRow(row);
+        }
+    }
+
+    /**
+     * Computes a column whose expression changed for all the rows, writing nothing if any row fails
+     * @param {DataColumn} column - Column whose expression changed
+     * @throws {EvaluateException} If the expression can't be evaluated or creates a cycle
+     * @private
+     */
+    _onColumnExpressionChanged(column) {
+        this._expressionColumns = null;
+        this._getExpressionColumns();
+
+        if (!column._expression || this._expressionsSuspended) {
+            return;
+        }
+
+        const values = this.rows._rows.map(row =>
+            convertValue(column._expression.evaluate(row), column.dataType, column.columnName)
+        );
+
+        this.rows._rows.forEach((row, position) => {
+            const previous = row._values[column.columnName];
+            if (createKey([values[position]]) !== createKey([previous])) {
+                row._values[column.columnName] = values[position];
+                this._onRowChanged(row, { [column.columnName]: previous });
+            }
+        });
+    }
+
+    /**
+     * Recomputes the expressions of other rows that read values of a changed, added or removed row:
+     * table level aggregates, Child aggregates of parent rows and Parent references of child rows
+     * @param {DataRow} row - Changed row
+     * @param {Object|null} oldValues - Previous values of the changed columns, null if the row was added or removed
+     * @private
+     */
+    _propagateExpressions(row, oldValues) {
+        if (this._expressionsSuspended) {
+            return;
+        }
+
+        const changed = oldValues ? Object.keys(oldValues) : null;
+        const touches = columnNames => changed === null || columnNames.some(name => changed.includes(name));
+
+        const aggregated = this._getExpressionColumns().some(column =>
+            touches(Array.from(column._expression.dependencies.aggregates))
+        );
+        if (aggregated) {
+            // Table level aggregates are the same for every row, evaluate them once per pass
+            const previousCache = this._aggregateCache;
+            this._aggregateCache = new Map();
+            try {
+                for (const other of this.rows._rows) {
+                    this._refreshRow(other);
+                }
+            } finally {
+                this._aggregateCache = previousCache;
+            }
+        }
+
+        if (!this._dataSet) {
+            return;
+        }
+
+        const valueBefore = columnName => oldValues && Object.prototype.hasOwnProperty.call(oldValues, columnName)
+            ? oldValues[columnName]
+            : row._values[columnName];
+
+        for (const relation of this._dataSet.relations) {
+            const parentColumn = relation.parentColumn.columnName;
+            const childColumn = relation.childColumn.columnName;
+            const uses = dependency => dependency.relation === null || dependency.relation === relation.relationName;
+
+            if (relation.childTable === this) {
+                const parentTable = relation.parentTable;
+                const dependent = parentTable._getExpressionColumns().some(column =>
+                    column._expression.dependencies.children.some(dependency =>
+                        uses(dependency) && touches([dependency.column, childColumn])
+                    )
+                );
+                if (dependent) {
+                    const keys = new Set([row._values[childColumn], valueBefore(childColumn)]);
+                    keys.delete(null);
+                    keys.delete(undefined);
+                    for (const key of keys) {
+                        for (const parentRow of parentTable.findRows({ [parentColumn]: key })) {
+                            parentTable._refreshRow(parentRow);
+                        }
+                    }
+                }
+            }
+
+            if (relation.parentTable === this) {
+                const childTable = relation.childTable;
+                const dependent = childTable._getExpressionColumns().some(column =>
+                    column._expression.dependencies.parents.some(dependency =>
+                        uses(dependency) && touches([dependency.column, parentColumn])
+                    )
+                );
+                if (dependent) {
+                    const keys = new Set([row._values[parentColumn], valueBefore(parentColumn)]);
+                    keys.delete(null);
+                    keys.delete(undefined);
+                    for (const key of keys) {
+                        for (const childRow of childTable.findRows({ [childColumn]: key })) {
+                            childTable._refreshRow(childRow);
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * @param {DataColumn} column - Column added to the table
+     * @private
+     */
+    _onColumnAdded(column) {
+        if (column._expression) {
+            this._onColumnExpressionChanged(column);
+        }
+
+        // Registers the constraints implied by the column flags
+        if (column.isPrimaryKey) {
+            this.constraints._syncPrimaryKey();
+        }
+        if (column.unique) {
+            this.constraints._syncColumnUnique(column);
+        }
+    }
+
+    /**
+     * @param {string} columnName - Name of the column about to be removed
+     * @throws {Error} If an expression column references the column
+     * @private
+     */
+    _onColumnRemoving(columnName) {
+        for (const column of this._getExpressionColumns()) {
+            const dependencies = column._expression.dependencies;
+            if (column.columnName !== columnName &&
+                (dependencies.columns.has(columnName) || dependencies.aggregates.has(columnName))) {
+                throw new Error(`Cannot remove column '${columnName}' because it is referenced by the expression of column '${column.columnName}'`);
+            }
+        }
+
+        const foreignKeys = Array.from(this.constraints).filter(constraint => constraint instanceof ForeignKeyConstraint)
+            .filter(constraint => constraint.involves(columnName))
+            .concat(Array.from(this._referencingConstraints).filter(constraint => constraint.involvesParent(columnName)));
+        if (foreignKeys.length > 0) {
+            throw new Error(`Cannot remove column '${columnName}' because it is part of the foreign key constraint '${foreignKeys[0].constraintName}'`);
+        }
+    }
+
+    /**
+     * Drops the constraints and indexes built on a removed column
+     * @param {string} columnName - Name of the removed column
+     * @private
+     */
+    _onColumnRemoved(columnName) {
+        this._expressionColumns = null;
+        this.constraints._onColumnRemoved(columnName);
+        for (const [name, index] of Array.from(this._namedIndexes)) {
+            if (index.involves(columnName)) {
+                this._namedIndexes.delete(name);
+                this._removeIndex(index);
+            }
+        }
+        for (const view of Array.from(this._views)) {
+            view._invalidate();
+        }
+    }
+
+    /**
+     * Checks a row write against the constraints of the table
+     * @param {DataRow} row - Row being written
+     * @param {Object} values - Proposed values of the row
+     * @param {string} [columnName=null] - Changed column, limits the check to the constraints involving it
+     * @private
+     */
+    _checkConstraints(row, values, columnName = null) {
+        // Foreign keys referencing this table follow the enforcement of their child table
+        for (const constraint of this._referencingConstraints) {
+            if (columnName === null || constraint.involvesParent(columnName)) {
+                constraint._checkParentChange(row, values);
+            }
+        }
+
+        if (!this._enforceConstraints) {
+            return;
+        }
+        for (const constraint of this.constraints) {
+            if (columnName === null || constraint.involves(columnName)) {
+                constraint._checkRow(row, values);
+            }
+        }
+    }
+
+    /**
+     * Applies the update rules of the foreign keys referencing a row whose values changed
+     * @param {DataRow} row - Changed row
+     * @param {Object} oldValues - Previous values of the changed columns
+     * @private
+     */
+    _onParentValuesChanged(row, oldValues) {
+        for (const constraint of this._referencingConstraints) {
+            if (Object.keys(oldValues).some(columnName => constraint.involvesParent(columnName))) {
+                constraint._onParentChanged(row, oldValues);
+            }
+        }
+    }
+
+    /**
+     * Applies the delete rules of the foreign keys referencing a row about to be deleted,
+     * once all of them are known to succeed
+     * @param {DataRow} row - Row being deleted
+     * @throws {ConstraintException} If a delete rule is None and the row has child rows
+     * @throws {NoNullAllowedException|ReadOnlyException} If a delete rule writes child values their columns reject
+     * @private
+     */
+    _onRowDeleting(row) {
+        this._checkRowDelete(row);
+        for (const constraint of this._referencingConstraints) {
+            constraint._onParentDeleting(row);
+        }
+    }
+
+    /**
+     * Checks that the delete rules of the foreign keys referencing a row can be applied, without applying them
+     * @param {DataRow} row - Row about to be deleted
+     * @param {Set<DataRow>} [visited] - Rows already checked, for rows referencing each other
+     * @private
+     */
+    _checkRowDelete(row, visited = new Set()) {
+        if (visited.has(row)) {
+            return;
+        }
+        visited.add(row);
+        for (const constraint of this._referencingConstraints) {
+            constraint._checkParentDelete(row, visited);
+        }
+    }
+
+    /**
+     * Emits a change event
+     * @param {string} eventName - Name of the event
+     * @param {Object} args - Event arguments with a cancel flag
+     * @returns {boolean} False if a handler cancelled the change
+     * @private
+     */
+    _raise(eventName, args) {
+        this.emit(eventName, args);
+        return !args.cancel;
+    }
+
+    /**
+     * Cascades acceptChanges() and rejectChanges() to the child rows of a row
+     * @param {DataRow} row - Row whose changes are accepted or rejected
+     * @param {string} action - 'accept' or 'reject'
+     * @private
+     */
+    _onRowAcceptReject(row, action) {
+        for (const constraint of this._referencingConstraints) {
+            constraint._onParentAcceptReject(row, action);
+        }
+    }
+
+    /**
+     * Starts a change recorded as a single undo step by the journals of the table, see ChangeJournal.
+     * Every call must be followed by _endJournalStep(), nested calls belong to the outermost step.
+     * @private
+     */
+    _beginJournalStep() {
+        for (const journal of this._journals) {
+            journal._begin();
+        }
+    }
+
+    /**
+     * Ends a change started by _beginJournalStep()
+     * @private
+     */
+    _endJournalStep() {
+        for (const journal of this._journals) {
+            journal._end();
+        }
+    }
+
+    /**
+     * Lets the journals of the table record a row about to be added, changed or removed
+     * @param {DataRow} row - Row of the table
+     * @private
+     */
+    _journalRow(row) {
+        for (const journal of this._journals) {
+            journal._captureRow(row);
+        }
+    }
+
+    /**
+     * Lets the journals of the table record a column just added, or about to be removed, as an undo step
+     * @param {DataColumn} column - Column of the table
+     * @param {boolean} added - True once added, false before being removed
+     * @private
+     */
+    _journalColumn(column, added) {
+        for (const journal of this._journals) {
+            journal._begin();
+            journal._captureColumn(column, added);
+            journal._end();
+        }
     }
 
     /**
@@ -38,8 +756,14 @@ class DataTable {
         return this.columns.contains(columnName);
     }
 
+    /**
+     * Creates a row with the columns of the table, not added yet. Raises tableNewRow.
+     * @returns {DataRow} The new row
+     */
     newRow() {
-        return new DataRow(this);
+        const row = new DataRow(this);
+        this.emit('tableNewRow', new DataTableNewRowEventArgs(row));
+        return row;
     }
 
     /**
@@ -58,10 +782,17 @@ class DataTable {
     }
 
     /**
-     * @param {Function} filterExpression - Filter function to select rows
+     * @param {Function|string} filterExpression - Filter function receiving the row values,
+     * or filter expression such as "Age >= 18 AND City LIKE 'Mil%'"
      * @returns {Array} Array of filtered rows
+     * @throws {SyntaxErrorException} If the filter expression is not valid
+     * @throws {EvaluateException} If the filter expression can't be evaluated
      */
     select(filterExpression) {
+        if (typeof filterExpression === 'string') {
+            const expression = new DataExpression(filterExpression);
+            return this.rows._rows.filter(row => expression.test(row)).map(row => row._values);
+        }
         return this.rows._rows.filter(row => filterExpression(row._values)).map(row => row._values);
     }
 
@@ -74,46 +805,54 @@ class DataTable {
         if (typeof columnNameOrComparer === 'function') {
             this.rows._rows.sort(columnNameOrComparer);
         } else {
-            this.rows._rows.sort((a, b) => {
-                const valueA = a.item(columnNameOrComparer);
-                const valueB = b.item(columnNameOrComparer);
-
-                // Gestione null/undefined
-                if (valueA === valueB) return 0;
-                if (valueA == null) return 1;
-                if (valueB == null) return -1;
-
-                // Gestione dei tipi
-                const column = this.columns._columns.get(columnNameOrComparer);
-                let comparison = 0;
-
-                switch (column.dataType?.toLowerCase()) {
-                    case 'number':
-                        comparison = Number(valueA) - Number(valueB);
-                        break;
-                    case 'date':
-                        comparison = new Date(valueA) - new Date(valueB);
-                        break;
-                    case 'string':
-                        comparison = String(valueA).localeCompare(String(valueB));
-                        break;
-                    default:
-                        // Fallback
-                        comparison = String(valueA).localeCompare(String(valueB));
-                }
-
-                return order === 'asc' ? comparison : -comparison;
-            });
+            this.rows._rows.sort(this._columnComparer(columnNameOrComparer, order));
         }
         return this;
     }
 
+    /**
+     * Comparer of rows by the value of a column, nulls come last in both orders
+     * @param {string} columnName - Name of the column to compare
+     * @param {string} [order='asc'] - Sort order ('asc' or 'desc')
+     * @returns {Function} Comparer receiving two rows
+     * @private
+     */
+    _columnComparer(columnName, order = 'asc') {
+        // A missing column is reported by item()
+        const column = this.columns._columns.get(columnName);
+        const type = getType(column ? column.dataType : null);
+        return (a, b) => {
+            const valueA = a.item(columnName);
+            const valueB = b.item(columnName);
+
+            // Gestione null/undefined
+            if (valueA === valueB) return 0;
+            if (valueA == null) return 1;
+            if (valueB == null) return -1;
+
+            // The data type orders the values
+            const comparison = type.compare(valueA, valueB);
+            return order === 'asc' ? comparison : -comparison;
+        };
+    }
+
     /**
      * @param {Function} expression - Expression function for sorting
      * @returns {DataTable} The current table instance
      */
     sortBy(expression) {
-        this.rows._rows.sort((a, b) => {
+        this.rows._rows.sort(this._expressionComparer(expression));
+        return this;
+    }
+
+    /**
+     * Comparer of rows by a value computed from each row, nulls come last
+     * @param {Function} expression - Function receiving a row and returning the value to compare
+     * @returns {Function} Comparer receiving two rows
+     * @private
+     */
+    _expressionComparer(expression) {
+        return (a, b) => {
             const valueA = expression(a);
             const valueB = expression(b);
 
@@ -122,26 +861,22 @@ class DataTable {
             if (valueB === null) return -1;
 
             return valueA < valueB ? -1 : 1;
-        });
-        return this;
+        };
     }
 
     /**
+     * Sorts by several columns, each compared like sort() does: by its data type, nulls last
      * @param {...Object} sortCriteria - Array of objects with column and order properties
      * @returns {DataTable} The current table instance
      */
     sortMultiple(...sortCriteria) {
+        const comparers = sortCriteria.map(({ column, order = 'asc' }) => this._columnComparer(column, order));
         this.rows._rows.sort((a, b) => {
-            for (const { column, order = 'asc' } of sortCriteria) {
-                const valueA = a.item(column);
-                const valueB = b.item(column);
-
-                if (valueA === valueB) continue;
-                if (valueA === null) return 1;
-                if (valueB === null) return -1;
-
-                const comparison = valueA < valueB ? -1 : 1;
-                return order === 'asc' ? comparison : -comparison;
+            for (const comparer of comparers) {
+                const comparison = comparer(a, b);
+                if (comparison !== 0) {
+                    return comparison;
+                }
             }
             return 0;
         });
@@ -157,6 +892,16 @@ class DataTable {
      * @returns {DataTable} A new instance of DataTable with the same structure and data
      */
     clone() {
+        return this._cloneWith(this.rows._rows);
+    }
+
+    /**
+     * Copies the structure of the table with some of its rows, keeping their state and original values
+     * @param {Array<DataRow>} rows - Rows of the table to copy
+     * @returns {DataTable} A new instance of DataTable
+     * @private
+     */
+    _cloneWith(rows) {
         const newTable = new DataTable(this.tableName);
 
         // Clone columns
@@ -171,20 +916,64 @@ class DataTable {
             newColumn.expression = col.expression;
             newColumn.readOnly = col.readOnly;
             newColumn.unique = col.unique;
+            newColumn.isPrimaryKey = col.isPrimaryKey;
+            newColumn.autoIncrement = col.autoIncrement;
+            newColumn.autoIncrementSeed = col.autoIncrementSeed;
+            newColumn.autoIncrementStep = col.autoIncrementStep;
             newTable.columns.add(newColumn);
         }
 
-        // Clone rows state
-        for (const row of this.rows) {
+        // Clone multi-column unique constraints, the others come from the column flags
+        for (const constraint of this.constraints) {
+            if (constraint instanceof UniqueConstraint && !newTable.constraints._findUnique(constraint.columnNames)) {
+                newTable.constraints.add(new UniqueConstraint(
+                    constraint.constraintName,
+                    constraint.columnNames.map(name => newTable.columns._columns.get(name))
+                ));
+            }
+        }
+
+        // Rows are already valid and computed in the source table
+        newTable._enforceConstraints = false;
+        newTable._expressionsSuspended = true;
+
+        // Clone rows state, the data types copying the values
+        const cloneValues = values => {
+            const copy = {};
+            for (const column of this.columns) {
+                const value = values[column.columnName];
+                copy[column.columnName] = value === null || value === undefined ? value : getType(column.dataType).clone(value);
+            }
+            return copy;
+        };
+        for (const row of rows) {
             const newRow = newTable.newRow();
-            Object.assign(newRow._values, row._values);
-            Object.assign(newRow._originalValues, row._originalValues);
+            Object.assign(newRow._values, cloneValues(row._values));
+            newRow._originalValues = row._originalValues ? cloneValues(row._originalValues) : null;
             newRow._rowState = row._rowState;
+            newRow.rowError = row.rowError;
+            newRow._columnErrors = { ...row._columnErrors };
             newTable.rows.add(newRow);
         }
+        for (const col of this.columns) {
+            newTable.columns._columns.get(col.columnName)._autoIncrementNext = col._autoIncrementNext;
+        }
+
+        // Clone secondary indexes
+        for (const index of this._namedIndexes.values()) {
+            const newIndex = new DataIndex(newTable, index.columnNames, {
+                name: index.name,
+                unique: index.unique,
+                sorted: index.sorted
+            });
+            newTable._addIndex(newIndex);
+            newTable._namedIndexes.set(index.name, newIndex);
+        }
 
         // Clone other properties
         newTable.caseSensitive = this.caseSensitive;
+        newTable._enforceConstraints = this._enforceConstraints;
+        newTable._expressionsSuspended = false;
 
         return newTable;
     }
@@ -194,36 +983,203 @@ class DataTable {
     }
 
     /**
+     * Finds the rows matching Mongo-style criteria, using an index of the table when one can answer them.
+     * Operators: $eq, $ne, $gt, $gte, $lt, $lte, $between, $in, $nin, $exists, $contains, $startsWith,
+     * $endsWith, $regex (with $options flags) and $not on columns, $and, $or and $not to combine criteria.
      * @param {Object|Function} criteria - Search criteria or filter function
      * @returns {Array<DataRow>} Array of rows that match the criteria
+     * @throws {Error} If the criteria uses an unknown operator or column
      */
     findRows(criteria) {
         if (typeof criteria === 'function') {
             return this.rows._rows.filter(row => criteria(row));
         }
 
-        return this.rows._rows.filter(row => {
-            return Object.entries(criteria).every(([key, value]) => {
-                const rowValue = row._values[key];
+        const matches = compileCriteria(this, criteria);
+        const plan = planQuery(this, criteria);
+        const rows = plan.type === 'scan'
+            ? this.rows._rows
+            : this.rows._inTableOrder(candidateRows(plan));
 
-                if (value instanceof RegExp) {
-                    return value.test(String(rowValue));
-                }
+        return rows.filter(matches);
+    }
 
-                if (typeof value === 'object' && value !== null) {
-                    // support operators
-                    if ('$gt' in value) return rowValue > value.$gt;
-                    if ('$gte' in value) return rowValue >= value.$gte;
-                    if ('$lt' in value) return rowValue < value.$lt;
-                    if ('$lte' in value) return rowValue <= value.$lte;
-                    if ('$ne' in value) return rowValue !== value.$ne;
-                    if ('$in' in value) return value.$in.includes(rowValue);
-                    if ('$contains' in value) return String(rowValue).includes(value.$contains);
-                }
+    /**
+     * Reports how findRows() would answer the criteria
+     * @param {Object|Function} criteria - Search criteria or filter function
+     * @returns {Object} Plan with type ('scan', 'lookup' or 'range'), index name, indexed columns and number of candidate rows
+     */
+    explain(criteria) {
+        if (typeof criteria !== 'function') {
+            compileCriteria(this, criteria);
+        }
+        const plan = planQuery(this, criteria);
+        return {
+            type: plan.type,
+            index: plan.index ? plan.index.name : null,
+            columns: plan.columns,
+            candidates: plan.type === 'scan' ? this.rows._rows.length : candidateRows(plan).length
+        };
+    }
 
-                return rowValue === value;
-            });
+    /**
+     * Creates a secondary index used by findRows(), findOne(), DataView and DataSet lookups
+     * @param {string} name - Name of the index
+     * @param {string|Array<string>} columns - Indexed column or columns
+     * @param {Object} [options={}] - Index options
+     * @param {boolean} [options.unique=false] - Also adds a unique constraint named after the index
+     * @param {boolean} [options.sorted=false] - Allows range queries ($gt, $gte, $lt, $lte) on the first column
+     * @returns {DataIndex} The created index
+     * @throws {Error} If an index with the same name exists or a column doesn't exist
+     * @throws {ConstraintException} If the index is unique and the rows contain duplicates
+     */
+    createIndex(name, columns, options = {}) {
+        if (this._namedIndexes.has(name)) {
+            throw new Error(`Index '${name}' already exists`);
+        }
+
+        const columnNames = Array.isArray(columns) ? columns : [columns];
+        for (const columnName of columnNames) {
+            if (!this.columns.contains(columnName)) {
+                throw new Error(`Column '${columnName}' does not exist in table '${this.tableName}'`);
+            }
+        }
+
+        if (options.unique) {
+            this.constraints.add(new UniqueConstraint(
+                name,
+                columnNames.map(columnName => this.columns._columns.get(columnName))
+            ));
+        }
+
+        const index = new DataIndex(this, columnNames, {
+            name,
+            unique: options.unique,
+            sorted: options.sorted
         });
+        this._addIndex(index);
+        this._namedIndexes.set(name, index);
+
+        return index;
+    }
+
+    /**
+     * @param {string} name - Name of the index to drop
+     * @throws {Error} If the index doesn't exist
+     */
+    dropIndex(name) {
+        const index = this._namedIndexes.get(name);
+        if (!index) {
+            throw new Error(`Index '${name}' does not exist`);
+        }
+
+        this._namedIndexes.delete(name);
+        this._removeIndex(index);
+        if (index.unique && this.constraints.contains(name)) {
+            this.constraints.remove(name);
+        }
+    }
+
+    /**
+     * @param {string} name - Name of the index
+     * @returns {DataIndex|null} The index or null if it doesn't exist
+     */
+    getIndex(name) {
+        return this._namedIndexes.get(name) || null;
+    }
+
+    /**
+     * @returns {Array<DataIndex>} Secondary indexes created with createIndex()
+     */
+    get indexes() {
+        return Array.from(this._namedIndexes.values());
+    }
+
+    /**
+     * Groups the rows by the values of one or more columns, see DataGrouping.aggregate()
+     * @param {string|Array<string>} columns - Column or columns to group by
+     * @returns {DataGrouping} The grouped rows, without DELETED rows
+     * @throws {Error} If a column doesn't exist
+     */
+    groupBy(columns) {
+        return new DataGrouping(this, this.rows._rows, columns);
+    }
+
+    /**
+     * Joins this table with another one into a new table, using a hash join on equal key values.
+     * Columns of the other table whose name is already taken are renamed 'OtherTable_column',
+     * key columns with the same name on both sides are merged.
+     * @param {DataTable} other - Right side of the join
+     * @param {Object} options - Join options
+     * @param {string|Array<string>|Object<string, string>} options.on - Shared key column(s) or map of this table's columns to the other's
+     * @param {string} [options.type='inner'] - 'inner', 'left', 'right' or 'full'
+     * @param {Array<string>|Object<string, string>} [options.select] - Result columns, by name or as 'Table.column', optionally aliased
+     * @param {string} [options.tableName] - Name of the new table
+     * @returns {DataTable} New table with the joined rows, DELETED rows are skipped
+     * @throws {Error} If the join type, a column or a selected column is invalid
+     */
+    join(other, options) {
+        return joinTables(this, other, options);
+    }
+
+    /**
+     * Creates a cross-tab: one column per distinct value of a column, holding an aggregate of another column
+     * @param {Object} options - Pivot options
+     * @param {string|Array<string>} [options.rows=[]] - Columns identifying a row of the result
+     * @param {string} options.columns - Column whose distinct values become columns
+     * @param {string} options.values - Column aggregated into the cells
+     * @param {string|Function} [options.aggregate='sum'] - sum, avg, min, max, count, countDistinct, first, last or a reducer
+     * @param {*} [options.fill=null] - Value of the cells without source rows
+     * @returns {DataTable} New table, this table is left untouched
+     * @throws {Error} If a column doesn't exist or the options are invalid
+     * @example
+     * sales.pivot({ rows: ['customer'], columns: 'month', values: 'amount', aggregate: 'sum', fill: 0 });
+     */
+    pivot(options) {
+        return pivotTable(this, options);
+    }
+
+    /**
+     * Reverses a pivot, turning columns into rows of name and value
+     * @param {Object} [options={}] - Unpivot options
+     * @param {string|Array<string>} [options.id=[]] - Columns copied to every produced row
+     * @param {Array<string>} [options.valueColumns] - Columns turned into rows, all the other columns by default
+     * @param {string} [options.nameColumn='name'] - Column receiving the source column name
+     * @param {string} [options.valueColumn='value'] - Column receiving the source value
+     * @param {boolean} [options.dropNulls=false] - Whether null values produce no row
+     * @returns {DataTable} New table, this table is left untouched
+     * @throws {Error} If a column doesn't exist or the options are invalid
+     */
+    unpivot(options = {}) {
+        return unpivotTable(this, options);
+    }
+
+    /**
+     * Computes an aggregate expression over the rows passing a filter, like DataTable.Compute in .NET
+     * @param {string} expression - Expression made of aggregates, e.g. "Sum(amount) / Count(id)"
+     * @param {string|Object|Function|null} [filter=null] - Filter expression, search criteria or filter function
+     * @returns {*} Value of the expression, DELETED rows are skipped
+     * @throws {SyntaxErrorException} If the expression or filter expression is not valid
+     * @throws {EvaluateException} If the expression reads a column outside of an aggregate
+     */
+    compute(expression, filter = null) {
+        return new DataExpression(expression).evaluateAggregate(this, this._filterRows(filter));
+    }
+
+    /**
+     * @param {string|Object|Function|null} filter - Filter expression, search criteria or filter function
+     * @returns {Array<DataRow>} Rows passing the filter, all the rows if there is none
+     * @private
+     */
+    _filterRows(filter) {
+        if (filter === null || filter === undefined || filter === '') {
+            return this.rows._rows;
+        }
+        if (typeof filter === 'string') {
+            const expression = new DataExpression(filter);
+            return this.rows._rows.filter(row => expression.test(row));
+        }
+        return this.findRows(filter);
     }
 
     /**
@@ -236,41 +1192,240 @@ class DataTable {
     }
 
     /**
-     * Loads the results of a query into the DataTable
+     * Loads the results of a query into the DataTable. Columns missing from the table are created,
+     * typed from the field metadata of the driver when given, otherwise from a sample of the rows.
      * @param {Array<Object>} queryResults - Array of objects resulting from the query
+     * @param {Object} [options={}] - Load options
+     * @param {Array<Object>} [options.fields] - Field metadata of the driver: pg result.fields,
+     * mysql2 FieldPacket[] or better-sqlite3 statement.columns()
+     * @param {number} [options.sampleSize=100] - Number of rows sampled to infer the types without metadata
+     * @param {string} [options.mode='replace'] - 'replace' removes the existing rows first, 'append' adds the rows,
+     * 'merge' updates the rows having the same primary key and adds the others
+     * @param {string|Array<string>} [options.primaryKey] - Key columns, the key columns of the metadata by default
+     * @throws {Error} If the mode is unknown, or the table has no primary key to merge
+     * @throws {ConstraintException} If the rows violate a constraint of the table
      */
-    loadFromQuery(queryResults) {
-        if (!Array.isArray(queryResults) || queryResults.length === 0) {
+    loadFromQuery(queryResults, options = {}) {
+        const { fields = null, sampleSize = 100, mode = 'replace' } = options;
+        if (!['replace', 'append', 'merge'].includes(mode)) {
+            throw new Error(`Unknown load mode '${mode}', expected replace, append or merge`);
+        }
+        if (!Array.isArray(queryResults) || (queryResults.length === 0 && !fields)) {
             return;
         }
 
+        // Create the missing columns
+        const keyColumns = this._inferColumns(queryResults, fields, sampleSize);
+
         // Clear existing data
-        this.clear();
+        if (mode === 'replace') {
+            this.clear();
+        }
 
-        // Create columns from the first row
-        const firstRow = queryResults[0];
-        for (const columnName in firstRow) {
-            const value = firstRow[columnName];
-            let dataType = typeof value;
-            if (value instanceof Date) dataType = 'date';
-            if (value === null) dataType = 'string'; // default type for null values
+        const primaryKey = options.primaryKey || (this.primaryKey.length === 0 && keyColumns.length > 0 ? keyColumns : null);
+        if (primaryKey) {
+            this.primaryKey = primaryKey;
+        }
+        const constraint = this.constraints.primaryKey;
+        if (mode === 'merge' && !constraint) {
+            throw new Error(`Table '${this.tableName}' doesn't have a primary key to merge the query results`);
+        }
 
-            this.addColumn(columnName, dataType);
+        // Add all rows, a single undo step
+        this._beginJournalStep();
+        try {
+            queryResults.forEach(values => {
+                // find() converts the key, drivers return e.g. bigint and numeric values as strings
+                const existing = mode === 'merge' ? this.rows.find(constraint.columnNames.map(name => values[name])) : null;
+                if (existing) {
+                    this._mergeRow(existing, values);
+                } else {
+                    this.addRow(values);
+                }
+            });
+        } finally {
+            this._endJournalStep();
         }
+    }
 
-        // Add all rows
-        queryResults.forEach(row => {
-            this.addRow(row);
-        });
+    /**
+     * Copies the values of a query result row into an existing row
+     * @param {DataRow} row - Row with the same primary key
+     * @param {Object} values - Values of the query result row
+     * @private
+     */
+    _mergeRow(row, values) {
+        const changes = {};
+        for (const column of this.columns) {
+            const name = column.columnName;
+            if (!column._expression && name in values &&
+                !valuesEqual(row._values[name], convertValue(values[name], column.dataType, name), column.dataType)) {
+                changes[name] = values[name];
+            }
+        }
+        if (Object.keys(changes).length > 0) {
+            row._applyValues(changes, null);
+        }
+    }
+
+    /**
+     * Adds the columns of query results missing from the table
+     * @param {Array<Object>} rows - Result rows
+     * @param {Array<Object>|null} [fields=null] - Field metadata of the driver
+     * @param {number} [sampleSize=100] - Number of rows sampled to infer the types without metadata
+     * @returns {Array<string>} Names of the key columns according to the metadata
+     * @private
+     */
+    _inferColumns(rows, fields = null, sampleSize = 100) {
+        const keyColumns = [];
+        for (const definition of inferColumns(rows, fields, sampleSize)) {
+            if (definition.isPrimaryKey) {
+                keyColumns.push(definition.name);
+            }
+            if (this.columns.contains(definition.name)) {
+                continue;
+            }
+            const column = this.addColumn(definition.name, definition.dataType);
+            column.allowNull = definition.allowNull;
+            column.autoIncrement = definition.autoIncrement;
+        }
+        return keyColumns;
     }
 
     /**
      * Loads the results of an asynchronous query into the DataTable
      * @param {Promise<Array<Object>>} queryPromise - Promise that resolves with the query results
+     * @param {Object} [options={}] - Load options, see loadFromQuery()
      */
-    async loadFromQueryAsync(queryPromise) {
+    async loadFromQueryAsync(queryPromise, options = {}) {
         const results = await queryPromise;
-        this.loadFromQuery(results);
+        this.loadFromQuery(results, options);
+    }
+
+    /**
+     * Creates a table from CSV text, or reads a CSV stream into a table.
+     * The header names the columns. The types come from the types option, else from the first sampleSize records:
+     * date, number or boolean when all the values read as such, string otherwise, e.g. for codes with leading zeros.
+     * Each field is parsed for the type of its column and stored with DataRow.set(), so the rows follow the same
+     * null, type and constraint checks. Empty unquoted fields are null.
+     * @param {string|Uint8Array|AsyncIterable} input - CSV text, its bytes, or a readable stream such as fs.createReadStream()
+     * @param {Object} [options={}] - Reading options
+     * @param {string} [options.delimiter=','] - Field delimiter
+     * @param {string} [options.quote='"'] - Quote character
+     * @param {boolean} [options.header=true] - Whether the first record holds the column names
+     * @param {Array<string>} [options.columns] - Column names, replacing the header. Column1, Column2... without header
+     * @param {Object} [options.types] - Data types by column name
+     * @param {boolean} [options.inferTypes=true] - Whether to infer the missing types, strings otherwise
+     * @param {number} [options.sampleSize=100] - Number of records sampled to infer the types, at most batchSize with onBatch
+     * @param {string} [options.locale] - Locale of the numbers and dates, e.g. 'de-DE' for "1.234,5" and "22.11.2024"
+     * @param {string} [options.dateFormat] - Format of the dates such as 'DD/MM/YYYY HH:mm', ISO 8601 by default
+     * @param {string} [options.encoding='utf-8'] - Encoding of bytes. A byte order mark is skipped.
+     * @param {Array<Object>} [options.errors] - Collects the records that fail as { line, values, error }
+     * instead of throwing the first error
+     * @param {boolean} [options.flagErrors=false] - Whether the fields that can't be read are left empty and flagged
+     * with a column error on their row, see DataRow.setColumnError(), instead of failing the record
+     * @param {DataTable} [options.table] - Existing table to fill, whose columns type the matching fields
+     * @param {string} [options.tableName=''] - Name of the created table
+     * @param {Function} [options.onBatch] - With a stream, async function receiving the table every batchSize rows,
+     * whose rows are then removed so that files larger than memory can be processed
+     * @param {number} [options.batchSize=10000] - Number of rows handed to onBatch at once
+     * @returns {DataTable|Promise<DataTable>} The table, or a promise of the table when reading a stream
+     * @throws {Error} If the text is not valid CSV, or a record can't be stored and errors are not collected
+     */
+    static fromCsv(input, options = {}) {
+        const table = options.table || new DataTable(options.tableName || '');
+        const loader = new CsvLoader(table, options);
+        if (typeof input === 'string' || input instanceof Uint8Array) {
+            for (const record of CsvReader.parse(input, options)) {
+                loader.add(record);
+            }
+            loader.finish();
+            return table;
+        }
+        return DataTable._readCsvStream(table, loader, input, options);
+    }
+
+    /**
+     * @param {DataTable} table - Table receiving the rows
+     * @param {CsvLoader} loader - Loader of the table
+     * @param {AsyncIterable} source - CSV stream
+     * @param {Object} options - Reading options of fromCsv()
+     * @returns {Promise<DataTable>} The table
+     * @private
+     */
+    static async _readCsvStream(table, loader, source, options) {
+        const { onBatch = null, batchSize = 10000 } = options;
+        const handOver = async () => {
+            if (onBatch && table.rows.count > 0) {
+                await onBatch(table);
+                table.rows.clear();
+            }
+        };
+
+        for await (const record of CsvReader.records(source, options)) {
+            loader.add(record);
+            if (table.rows.count >= batchSize) {
+                await handOver();
+            }
+        }
+        loader.finish();
+        await handOver();
+        return table;
+    }
+
+    /**
+     * Writes the rows as RFC 4180 CSV, deleted rows excluded
+     * @param {Object} [options={}] - Writing options
+     * @param {string} [options.delimiter=','] - Field delimiter
+     * @param {string} [options.quote='"'] - Quote character
+     * @param {string} [options.newline='\r\n'] - Line break ending the records
+     * @param {boolean} [options.header=true] - Whether to write the column names first
+     * @param {Array<string>} [options.columns] - Columns to write, in order, all the columns by default
+     * @param {boolean} [options.quoteAll=false] - Whether to quote every field
+     * @param {boolean} [options.bom=false] - Whether to start with a byte order mark, which Excel needs to detect UTF-8
+     * @param {string} [options.locale] - Locale of the decimal separator of numbers
+     * @param {string} [options.dateFormat] - Format of the dates such as 'DD/MM/YYYY', ISO 8601 by default
+     * @returns {string} The CSV text
+     * @throws {Error} If a column to write doesn't exist
+     */
+    toCsv(options = {}) {
+        const lines = Array.from(new CsvWriter(options).lines(this));
+        return (options.bom ? '\uFEFF' : '') + lines.join('');
+    }
+
+    /**
+     * Writes the rows as CSV to a stream chunk by chunk, waiting for the stream to drain,
+     * so that the whole text is never in memory. Takes the options of toCsv().
+     * @param {Writable} stream - Writable stream, e.g. fs.createWriteStream()
+     * @param {Object} [options={}] - Writing options of toCsv(), plus:
+     * @param {string} [options.encoding='utf-8'] - Encoding of the bytes: 'utf-8', 'utf-16le' or 'latin1'
+     * @param {boolean} [options.end=true] - Whether to end the stream once the rows are written
+     * @returns {Promise<void>} Resolves when the rows are written, and the stream finished if ended
+     * @throws {Error} If a column to write doesn't exist or the stream fails
+     */
+    async writeCsv(stream, options = {}) {
+        const { encoding = 'utf-8', end = true } = options;
+        const write = async text => {
+            if (!stream.write(Buffer.from(text, encoding))) {
+                await EventEmitter.once(stream, 'drain');
+            }
+        };
+
+        let chunk = options.bom ? '\uFEFF' : '';
+        for (const line of new CsvWriter(options).lines(this)) {
+            chunk += line;
+            if (chunk.length >= 65536) {
+                await write(chunk);
+                chunk = '';
+            }
+        }
+        if (chunk) {
+            await write(chunk);
+        }
+        if (end) {
+            stream.end();
+            await EventEmitter.once(stream, 'finish');
+        }
     }
 
     /**
@@ -297,7 +1452,10 @@ class DataTable {
                 readOnly: column.readOnly,
                 unique: column.unique,
                 ordinal: column.ordinal,
-                caption: column.caption
+                caption: column.caption,
+                autoIncrement: column.autoIncrement,
+                autoIncrementSeed: column.autoIncrementSeed,
+                autoIncrementStep: column.autoIncrementStep
             });
 
             // Add primary key info
@@ -307,12 +1465,14 @@ class DataTable {
                 }
                 schema.primaryKey.push(column.columnName);
             }
+        }
 
-            // Add unique constraints
-            if (column.unique && !column.isPrimaryKey) {
+        // Add unique constraints
+        for (const constraint of this.constraints) {
+            if (constraint instanceof UniqueConstraint && !constraint.isPrimaryKey) {
                 schema.uniqueConstraints.push({
-                    columns: [column.columnName],
-                    name: `UQ_${this.tableName}_${column.columnName}`
+                    columns: constraint.columnNames,
+                    name: constraint.constraintName
                 });
             }
         }
@@ -338,12 +1498,27 @@ class DataTable {
             column.readOnly = columnDef.readOnly || false;
             column.unique = columnDef.unique || false;
             column.caption = columnDef.caption || columnDef.name;
+            column.autoIncrement = columnDef.autoIncrement || false;
+            column.autoIncrementSeed = columnDef.autoIncrementSeed !== undefined ? columnDef.autoIncrementSeed : 0;
+            column.autoIncrementStep = columnDef.autoIncrementStep !== undefined ? columnDef.autoIncrementStep : 1;
 
             // Set primary key
             if (schema.primaryKey && schema.primaryKey.includes(columnDef.name)) {
                 column.isPrimaryKey = true;
                 column.allowNull = false; // Primary key cannot be null
-                column.unique = true;     // Primary key must be unique
+                if (schema.primaryKey.length === 1) {
+                    column.unique = true; // Single column primary key must be unique
+                }
+            }
+        }
+
+        // Import multi-column unique constraints
+        for (const constraintDef of schema.uniqueConstraints || []) {
+            if (!table.constraints._findUnique(constraintDef.columns)) {
+                table.constraints.add(new UniqueConstraint(
+                    constraintDef.name,
+                    constraintDef.columns.map(name => table.columns._columns.get(name))
+                ));
             }
         }
 
@@ -488,36 +1663,369 @@ class DataTable {
         return DataTable.importSchema(schema);
     }
 
+    /**
+     * Writes the table to an object that JSON.stringify() can write and DataTable.fromJSON() restores.
+     * Values are written by the serialize() of their data type: by default dates, bigints, binary values and
+     * non-finite numbers are tagged with their type, see encodeValue().
+     * Values proposed by a pending edit session are not written.
+     * @param {Object} [options={}] - Serialization options
+     * @param {boolean} [options.includeSchema=true] - Whether to write the schema, needed to recreate the table
+     * @param {boolean} [options.includeChanges=true] - Whether to write the row states and original values.
+     * Otherwise only the rows not deleted are written, with their errors, and they are restored unchanged.
+     * @param {boolean} [options.diffgram=false] - Whether to write the current values of the rows not deleted,
+     * then the original values of the modified and deleted rows apart, as a DiffGram does.
+     * Rows added then deleted are left out.
+     * @returns {Object} { tableName, schema, rows }, or { tableName, schema, current, before } for a diffgram
+     */
+    toJSON(options = {}) {
+        // JSON.stringify() passes the property name of the table
+        if (typeof options !== 'object' || options === null) {
+            options = {};
+        }
+        const { includeSchema = true, includeChanges = true, diffgram = false } = options;
+        const json = { tableName: this.tableName };
+        if (includeSchema) {
+            json.schema = this.exportSchema();
+            for (const column of json.schema.columns) {
+                column.defaultValue = encodeValue(column.defaultValue);
+            }
+        }
+
+        const encodeValues = values => {
+            const encoded = {};
+            for (const column of this.columns) {
+                const value = values[column.columnName];
+                encoded[column.columnName] = value === null || value === undefined ? null : getType(column.dataType).serialize(value);
+            }
+            return encoded;
+        };
+        // Rows are written without their state when unchanged, and without their errors when they have none
+        const rowJSON = (row, entry) => {
+            if (row.rowError) {
+                entry.rowError = row.rowError;
+            }
+            if (Object.keys(row._columnErrors).length > 0) {
+                entry.columnErrors = { ...row._columnErrors };
+            }
+            return entry;
+        };
+
+        if (diffgram) {
+            json.current = [];
+            json.before = [];
+            this.rows._rows.forEach((row, id) => {
+                const state = row._rowState;
+                if (state !== DataRowState.DELETED) {
+                    const entry = { id, values: encodeValues(row._values) };
+                    if (state !== DataRowState.UNCHANGED) {
+                        entry.rowState = state;
+                    }
+                    json.current.push(rowJSON(row, entry));
+                }
+                if ((state === DataRowState.MODIFIED || state === DataRowState.DELETED) && row._originalValues) {
+                    const entry = { id, values: encodeValues(row._originalValues) };
+                    json.before.push(state === DataRowState.DELETED ? rowJSON(row, entry) : entry);
+                }
+            });
+            return json;
+        }
+
+        json.rows = [];
+        for (const row of this.rows._rows) {
+            const state = row._rowState;
+            if (!includeChanges) {
+                if (state !== DataRowState.DELETED) {
+                    json.rows.push(rowJSON(row, { values: encodeValues(row._values) }));
+                }
+                continue;
+            }
+            const entry = { values: encodeValues(row._values) };
+            if (state !== DataRowState.UNCHANGED) {
+                entry.rowState = state;
+            }
+            if (state === DataRowState.MODIFIED || state === DataRowState.DELETED) {
+                entry.original = row._originalValues ? encodeValues(row._originalValues) : null;
+            }
+            json.rows.push(rowJSON(row, entry));
+        }
+        return json;
+    }
+
+    /**
+     * Creates a table from the object written by toJSON() or its JSON text, with the row states,
+     * original values, row errors and column errors
+     * @param {Object|string} json - Object written by toJSON(), or its JSON text
+     * @param {Object} [options={}] - Loading options
+     * @param {DataTable} [options.table] - Existing table receiving the rows, needed when the schema wasn't written
+     * @returns {DataTable} The table
+     * @throws {Error} If there is neither a schema nor a table to fill, or the state of a row is unknown
+     * @throws {ConstraintException} If the rows violate a constraint of the table
+     */
+    static fromJSON(json, options = {}) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        let table = options.table;
+        if (!table) {
+            if (!data.schema) {
+                throw new Error(`Table '${data.tableName}' was serialized without its schema, pass the table to fill`);
+            }
+            table = DataTable._importJSONSchema(data.schema);
+        }
+
+        table.beginLoadData();
+        try {
+            table._loadJSONRows(data);
+        } finally {
+            table.endLoadData();
+        }
+        return table;
+    }
+
+    /**
+     * @param {Object} schema - Schema written by toJSON()
+     * @param {boolean} [withExpressions=true] - Whether to set the expressions, which may need DataSet relations
+     * @returns {DataTable} A new table with the schema
+     * @private
+     */
+    static _importJSONSchema(schema, withExpressions = true) {
+        return DataTable.importSchema({
+            ...schema,
+            columns: schema.columns.map(column => ({
+                ...column,
+                defaultValue: reviveValue(column.defaultValue),
+                expression: withExpressions ? column.expression : null
+            }))
+        });
+    }
+
+    /**
+     * Adds the rows written by toJSON() as they were: values, state, original values and errors
+     * @param {Object} data - Object written by toJSON()
+     * @throws {Error} If the state of a row is unknown
+     * @private
+     */
+    _loadJSONRows(data) {
+        const reviveValues = values => {
+            const revived = {};
+            for (const [name, value] of Object.entries(values)) {
+                if (this.columns.contains(name)) {
+                    revived[name] = value === null ? null : getType(this.columns._columns.get(name).dataType).deserialize(value);
+                }
+            }
+            return revived;
+        };
+        const autoIncrementColumns = Array.from(this.columns).filter(column => column.autoIncrement);
+        const counters = autoIncrementColumns.map(column => column._autoIncrementNext);
+
+        const addRow = (values, state, original, errors) => {
+            if (!DataRowState.isValid(state)) {
+                throw new Error(`Unknown row state '${state}' in the rows of table '${this.tableName}'`);
+            }
+            const row = this.newRow();
+            Object.assign(row._values, reviveValues(values));
+            if (state === DataRowState.UNCHANGED) {
+                row._originalValues = { ...row._values };
+            } else if (original) {
+                row._originalValues = { ...row._values, ...reviveValues(original) };
+            }
+            row._rowState = state;
+            row.rowError = errors.rowError || '';
+            for (const [name, error] of Object.entries(errors.columnErrors || {})) {
+                if (this.columns.contains(name)) {
+                    row.setColumnError(name, error);
+                }
+            }
+            this.rows.add(row);
+        };
+
+        if (data.current || data.before) {
+            // DiffGram: rows only found in the before section are deleted
+            const before = new Map((data.before || []).map(entry => [entry.id, entry]));
+            const current = new Map((data.current || []).map(entry => [entry.id, entry]));
+            const ids = Array.from(new Set([...current.keys(), ...before.keys()])).sort((a, b) => a - b);
+            for (const id of ids) {
+                const entry = current.get(id);
+                const original = before.get(id);
+                if (entry) {
+                    addRow(entry.values, entry.rowState || DataRowState.UNCHANGED, original && original.values, entry);
+                } else {
+                    addRow(original.values, DataRowState.DELETED, original.values, original);
+                }
+            }
+        } else {
+            for (const entry of data.rows || []) {
+                addRow(entry.values, entry.rowState || DataRowState.UNCHANGED, entry.original, entry);
+            }
+        }
+
+        // New rows continue after the loaded values, not after the values reserved while loading
+        autoIncrementColumns.forEach((column, index) => {
+            column._autoIncrementNext = counters[index];
+            for (const row of this.rows._rows) {
+                column._trackAutoIncrement(row._values[column.columnName]);
+            }
+        });
+    }
+
+    /**
+     * Generates the CREATE TABLE statement of the table, with the foreign keys of its constraints and DataSet relations
+     * @param {string} [dialect='postgres'] - 'postgres', 'mysql', 'sqlite' or 'mssql'
+     * @param {Object} [options={}] - Generation options: tableName, schema and foreignKeys (true by default)
+     * @returns {string} The statement
+     * @throws {Error} If the dialect is not supported or the table has no stored column
+     */
+    toCreateTableSql(dialect = 'postgres', options = {}) {
+        return createTableSql(this, dialect, options);
+    }
+
+    /**
+     * Generates the ALTER TABLE statements turning a database table with the schema of this table
+     * into the schema of another table, from the differences reported by compareSchema()
+     * @param {DataTable} targetTable - Table with the wanted schema
+     * @param {string} [dialect='postgres'] - 'postgres', 'mysql', 'sqlite' or 'mssql'
+     * @param {Object} [options={}] - Generation options: tableName, schema and dropColumns (false by default)
+     * @returns {string} The statements, each ending with a semicolon, empty if the schemas match
+     * @throws {Error} If the dialect is not supported
+     */
+    toMigrationSql(targetTable, dialect = 'postgres', options = {}) {
+        return migrationSql(this, targetTable, dialect, options);
+    }
+
     // ===== ROWSTATE MANAGEMENT METHODS =====
 
     /**
-     * Accepts changes for all rows in the table
+     * Accepts changes for all rows in the table, removing the deleted ones
      */
     acceptAllChanges() {
-        for (const row of this.rows) {
-            if (row.hasChanges()) {
-                row.acceptChanges();
+        this._beginJournalStep();
+        try {
+            // Accepted deletions leave the collection
+            for (const row of this.rows._rows.slice()) {
+                if (row.hasChanges()) {
+                    row.acceptChanges();
+                }
             }
+        } finally {
+            this._endJournalStep();
         }
     }
 
     /**
      * Rejects changes for all modified rows in the table
+     * @throws {ConstraintException} If a row would get back a key another row holds, no row is changed then
      */
     rejectAllChanges() {
-        for (const row of this.rows) {
-            if (row.hasChanges() && row.getRowState() !== 'ADDED') {
-                row.rejectChanges();
+        const rows = this.rows._rows.filter(row => row.hasChanges() && row._rowState !== DataRowState.ADDED);
+        // Checked once for all the rows, which may swap their keys back
+        this._checkRejectedKeys(rows);
+        this._beginJournalStep();
+        try {
+            for (const row of rows) {
+                // Rows may already be rejected by a parent row
+                if (row.hasChanges() && row._rowState !== DataRowState.ADDED) {
+                    row._rejectChanges(false);
+                }
+            }
+        } finally {
+            this._endJournalStep();
+        }
+    }
+
+    /**
+     * Checks the values that rows get back when their changes are rejected against the unique constraints,
+     * before any row changes
+     * @param {Array<DataRow>} rows - Modified or deleted rows of the table
+     * @throws {ConstraintException} If a rejected row would share a key with another row
+     * @private
+     */
+    _checkRejectedKeys(rows) {
+        if (!this._enforceConstraints) {
+            return;
+        }
+        const rejected = new Set(rows);
+        const entries = [];
+        for (const row of this.rows._rows) {
+            if (rejected.has(row)) {
+                // Deleted rows never accepted go back to ADDED with their current values
+                entries.push({ row, values: row._originalValues || row._values });
+            } else if (row._rowState !== DataRowState.DELETED) {
+                entries.push({ row, values: row._values });
+            }
+        }
+        for (const constraint of this.constraints) {
+            if (constraint instanceof UniqueConstraint) {
+                constraint._checkKeys(entries);
             }
         }
     }
 
     /**
      * Gets all rows that have changes
-     * @returns {Array<DataRow>} Array of rows with changes
+     * @param {Object} [options={}] - Options
+     * @param {string} [options.format='rows'] - 'rows' for the rows themselves, 'table' for a detached copy
+     * of the table holding only the changed rows, with their states and original values, or 'changeSet'
+     * for their before and after values as plain objects written like toJSON() writes them, e.g. to send them to a server
+     * @param {string|Array<string>} [options.rowStates] - States of the rows to get, all the changed states by default
+     * @returns {Array<DataRow>|DataTable|Object} The rows, the table, or the change set described by merge()
+     * @throws {Error} If the format is unknown
      */
-    getChanges() {
-        return this.rows._rows.filter(row => row.hasChanges());
+    getChanges(options = {}) {
+        const { format = 'rows' } = options;
+        const rowStates = options.rowStates ? [].concat(options.rowStates) : null;
+        const rows = this.rows._rows.filter(row => row.hasChanges() && (!rowStates || rowStates.includes(row._rowState)));
+
+        switch (format) {
+            case 'rows':
+                return rows;
+            case 'table':
+                return this._cloneWith(rows);
+            case 'changeSet':
+                return toChangeSet(this, rows);
+            default:
+                throw new Error(`Unknown changes format '${format}', expected rows, table or changeSet`);
+        }
+    }
+
+    /**
+     * Merges rows into the table. The rows are matched by primary key: a matched row takes the incoming current
+     * and original values and the incoming state, an added row matching a row with an Original version becomes modified.
+     * With preserveChanges, the rows changed in the table keep their current values and only take the incoming
+     * values as their Original version. Rows matching no row, or all the rows when the table has no primary key, are added.
+     *
+     * Change sets come from getChanges({ format: 'changeSet' }), possibly through a server:
+     * { tableName, columns, primaryKey, changes: [{ rowState, key, before, after }] }. The key finds the row,
+     * so a server can return the values it generated, including new keys, in after. Values are read by the
+     * deserialize() of their data type, then converted to the types of the columns, e.g. ISO dates read from JSON.
+     * @param {DataTable|Array<DataRow>|Object} source - Table, rows of a table, or change set
+     * @param {Object} [options={}] - Merge options
+     * @param {boolean} [options.preserveChanges=false] - Whether the changed rows keep their current values
+     * @param {string} [options.missingSchemaAction='Add'] - What to do with the columns missing from the table,
+     * see MissingSchemaAction
+     * @throws {Error} If a column is missing and the action is Error, or the rowState of a change is unknown
+     * @throws {ConstraintException} If the merged rows violate a constraint of the table
+     */
+    merge(source, options = {}) {
+        this._beginJournalStep();
+        try {
+            mergeTable(this, source, options);
+        } finally {
+            this._endJournalStep();
+        }
+    }
+
+    /**
+     * Whether a row of the table has a row error or a column error
+     * @returns {boolean}
+     */
+    get hasErrors() {
+        return this.rows._rows.some(row => row.hasErrors);
+    }
+
+    /**
+     * Gets the rows having a row error or a column error, e.g. to review a bulk import
+     * @returns {Array<DataRow>} The rows in error, in table order
+     */
+    getErrors() {
+        return this.rows._rows.filter(row => row.hasErrors);
     }
 
     /**
@@ -583,17 +2091,23 @@ class DataTable {
 
     /**
      * Clears all row states without losing data (sets all rows to UNCHANGED)
-     * This is useful when you want to reset tracking without accepting/rejecting changes
+     * This is useful when you want to reset tracking without accepting/rejecting changes.
+     * Unlike acceptAllChanges(), deleted rows are kept as they are and nothing cascades to child rows.
      */
     clearChanges() {
-        for (const row of this.rows._rows) {
-            if (row.getRowState() !== 'DELETED') {
-                row._setRowState('UNCHANGED');
-                // Clear original values tracking
-                if (row._originalValues) {
-                    row._originalValues = {};
+        this._beginJournalStep();
+        try {
+            for (const row of this.rows._rows) {
+                if (row.getRowState() !== 'DELETED') {
+                    this._journalRow(row);
+                    row.cancelEdit();
+                    // The current values become the Original version
+                    row._originalValues = { ...row._values };
+                    row._setRowState('UNCHANGED');
                 }
             }
+        } finally {
+            this._endJournalStep();
         }
     }
 
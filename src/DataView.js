@@ -1,69 +1,315 @@
-class DataView {
+const EventEmitter = require('events');
+const DataExpression = require('./expressions/DataExpression');
+const DataGrouping = require('./query/DataGrouping');
+const DataViewWindow = require('./DataViewWindow');
+const DataRowState = require('./enums/DataRowState');
+const DataRowVersion = require('./enums/DataRowVersion');
+const UniqueConstraint = require('./constraints/UniqueConstraint');
+const ListChangedType = require('./enums/ListChangedType');
+const ListChangedEventArgs = require('./events/ListChangedEventArgs');
+const { compileCriteria } = require('./query/CriteriaMatcher');
+const { parseSort, createCollator, createValueComparer } = require('./query/SortExpression');
+const { convertValue } = require('./utils/typeUtils');
+
+const ROW_STATES = [DataRowState.UNCHANGED, DataRowState.ADDED, DataRowState.MODIFIED, DataRowState.DELETED];
+// Rows shown by default, as the current rows of the table
+const CURRENT_ROWS = [DataRowState.UNCHANGED, DataRowState.ADDED, DataRowState.MODIFIED];
+
+/**
+ * @param {*} value - Number of rows
+ * @param {string} name - Name of the argument, used in error messages
+ * @param {number} [minimum=0] - Smallest allowed value
+ * @throws {Error} If the value is not an integer of at least the minimum
+ */
+function checkCount(value, name, minimum = 0) {
+    if (!Number.isInteger(value) || value < minimum) {
+        throw new Error(`${name} must be an integer greater than or equal to ${minimum}, received '${value}'`);
+    }
+}
+
+/**
+ * Filtered and sorted view of the rows of a DataTable.
+ *
+ * The matching rows are kept in view order, built on first access and then updated
+ * incrementally as rows are added, changed or removed in the table, emitting
+ * listChanged (ListChangedEventArgs) with the affected positions.
+ * Rows marked as DELETED are not part of the view unless the row state filter includes them.
+ *
+ * skip(), take() and after() return a window of the rows of the view, see DataViewWindow, and page() reads pages.
+ */
+class DataView extends EventEmitter {
     /**
      * @param {DataTable} table - Table to create view for
-     * @param {Function|Object} [rowFilter=null] - Filter function or criteria
-     * @param {string|Function} [sort=null] - Sort expression or function
-     * @param {string} [sortOrder='asc'] - Sort order ('asc' or 'desc')
+     * @param {Function|Object|string} [rowFilter=null] - Filter function, criteria or filter expression
+     * @param {string|Array|Function} [sort=null] - Sort expression such as "LastName ASC, Created DESC", or sort function
+     * @param {string} [sortOrder='asc'] - Sort order of the columns without direction ('asc' or 'desc')
+     * @param {Array<string>|Set<string>} [rowStateFilter] - States of the rows shown, all but DELETED by default
+     * @throws {SyntaxErrorException} If the filter expression is not valid
+     * @throws {Error} If the sort expression or the row state filter is not valid
      */
-    constructor(table, rowFilter = null, sort = null, sortOrder = 'asc') {
+    constructor(table, rowFilter = null, sort = null, sortOrder = 'asc', rowStateFilter = CURRENT_ROWS) {
+        super();
         this._table = table;
-        this._rowFilter = rowFilter;
-        this._sort = sort;
-        this._sortOrder = sortOrder;
+        this._rowFilter = null;
+        this._sort = null;
+        this._sortOrder = 'asc';
+        this._collation = {};
+        this._rowStates = new Set(CURRENT_ROWS);
+        this._rowVersion = DataRowVersion.CURRENT;
+        // Rows of the view in view order, null until needed again
+        this._rows = null;
+        this._matches = null;
+        this._sortColumns = null;
+        // Sort columns followed by the primary key breaking their ties, null if nothing breaks them
+        this._keyColumns = null;
+        this._keyOf = null;
+        this._compareKeys = null;
+        // Sort values of the rows of the view
+        this._keys = new Map();
+        // Arrival order of the table rows, breaks ties between rows with the same sort values
+        this._sequence = new Map();
+        this._nextSequence = 0;
+        this.setFilter(rowFilter);
+        this.setSort(sort, sortOrder);
+        this.setRowStateFilter(rowStateFilter);
     }
 
     /**
      * Sets the filter for the view
-     * @param {Function|Object} filter - Filter function or criteria object
+     * @param {Function|Object|string} filter - Filter function, criteria object
+     * or filter expression such as "Age >= 18 AND City IN ('Rome', 'Milan')"
      * @returns {DataView} The current view instance for chaining
+     * @throws {SyntaxErrorException} If the filter expression is not valid
      */
     setFilter(filter) {
-        this._rowFilter = filter;
+        this._rowFilter = typeof filter === 'string' && filter.trim() !== ''
+            ? new DataExpression(filter)
+            : filter || null;
+        this._invalidate();
         return this;
     }
 
     /**
-     * Sets the sort expression for the view
-     * @param {string|Function} sort - Column name or sort function
-     * @param {string} [order='asc'] - Sort order ('asc' or 'desc')
+     * Sets the sort of the view. Columns are compared according to their data type,
+     * strings with a collator that ignores case unless the table is case sensitive.
+     * @param {string|Array<{column: string, order: string}>|Function|null} sort - Sort expression such as
+     * "LastName ASC, FirstName ASC, Created DESC", criteria like the ones of DataTable.sortMultiple(),
+     * or function returning the value to sort a row by
+     * @param {string} [order='asc'] - Sort order of the columns without direction ('asc' or 'desc')
+     * @param {Object} [collation={}] - Intl.Collator options for strings, plus the locale, e.g. { locale: 'de', numeric: true }
      * @returns {DataView} The current view instance for chaining
+     * @throws {Error} If a column doesn't exist or a direction is not valid
      */
-    setSort(sort, order = 'asc') {
-        this._sort = sort;
+    setSort(sort, order = 'asc', collation = {}) {
+        if (sort && typeof sort !== 'function') {
+            parseSort(this._table, sort, order);
+        }
+        this._sort = sort || null;
         this._sortOrder = order;
+        this._collation = collation;
+        this._invalidate();
+        return this;
+    }
+
+    /**
+     * Sets the states of the rows shown by the view
+     * @param {Array<string>|Set<string>|string} states - DataRowState values, e.g. [DataRowState.ADDED, DataRowState.MODIFIED]
+     * @param {string} [rowVersion='Current'] - 'Original' to filter, sort and export modified rows with their Original values.
+     * Deleted rows always use their Original values when they have them.
+     * @returns {DataView} The current view instance for chaining
+     * @throws {Error} If a state or the row version is not valid
+     */
+    setRowStateFilter(states, rowVersion = DataRowVersion.CURRENT) {
+        const rowStates = new Set(typeof states === 'string' ? [states] : states);
+        for (const state of rowStates) {
+            if (!ROW_STATES.includes(state)) {
+                throw new Error(`Unknown row state '${state}', expected one of ${ROW_STATES.join(', ')}`);
+            }
+        }
+        if (rowVersion !== DataRowVersion.CURRENT && rowVersion !== DataRowVersion.ORIGINAL) {
+            throw new Error(`Row version of a view must be '${DataRowVersion.CURRENT}' or '${DataRowVersion.ORIGINAL}'`);
+        }
+        this._rowStates = rowStates;
+        this._rowVersion = rowVersion;
+        this._invalidate();
         return this;
     }
 
+    /**
+     * States of the rows shown by the view
+     * @returns {Array<string>} DataRowState values
+     */
+    get rowStateFilter() {
+        return Array.from(this._rowStates);
+    }
+
+    /**
+     * Version of the values used for the modified rows, 'Current' or 'Original'
+     * @returns {string}
+     */
+    get rowVersion() {
+        return this._rowVersion;
+    }
+
     /**
      * Gets the filtered and sorted rows
-     * @returns {Array<DataRow>} Array of DataRow objects
+     * @returns {Array<DataRow>} The rows of the table in view order
      */
     getRows() {
-        let rows = this._table.rows._rows;
-        
-        // Apply filter if exists
-        if (this._rowFilter) {
-            if (typeof this._rowFilter === 'function') {
-                rows = rows.filter(row => this._rowFilter(row));
-            } else {
-                rows = this._table.findRows(this._rowFilter);
-            }
+        return this._getRows().slice();
+    }
+
+    /**
+     * Number of rows of the view, as count
+     * @returns {number}
+     */
+    get totalCount() {
+        return this._getRows().length;
+    }
+
+    /**
+     * Gets a page of the view. Pages are read from the cached rows of the view.
+     * @param {number|Object} pageIndex - Zero based index of the page, or keyset options
+     * @param {*|Array} [pageIndex.after=null] - Sort values of the last row of the previous page, null for the first page
+     * @param {number} [pageIndex.pageSize] - Number of rows of a page, for keyset options
+     * @param {number} [pageSize] - Number of rows of a page
+     * @returns {{rows: Array<DataRow>, totalCount: number, pageCount: number, pageIndex: number, pageSize: number, lastKey: Array|null}}
+     * The rows of the page, with lastKey holding the sort values of its last row, followed by its primary key
+     * if the sort columns aren't unique, to pass as 'after' for the next page
+     * @throws {Error} If the page index or size is not valid, or 'after' is used on a view not sorted by columns,
+     * or matches several rows that nothing orders, see after()
+     * @example
+     * let page = view.page({ pageSize: 50 });
+     * page = view.page({ after: page.lastKey, pageSize: 50 });
+     */
+    page(pageIndex, pageSize) {
+        let start;
+        if (typeof pageIndex === 'object' && pageIndex !== null) {
+            pageSize = pageIndex.pageSize;
+            checkCount(pageSize, 'Page size', 1);
+            start = pageIndex.after === undefined || pageIndex.after === null ? 0 : this._afterPosition(pageIndex.after);
+        } else {
+            checkCount(pageIndex, 'Page index');
+            checkCount(pageSize, 'Page size', 1);
+            start = pageIndex * pageSize;
         }
-        
-        // Apply sort if exists
-        if (this._sort) {
-            const sortedTable = this._cloneTableWithRows(rows);
-            
-            if (typeof this._sort === 'function') {
-                sortedTable.sortBy(this._sort);
-            } else {
-                sortedTable.sort(this._sort, this._sortOrder);
-            }
-            
-            rows = sortedTable.rows._rows;
+
+        const rows = this._getRows().slice(start, start + pageSize);
+        const lastRow = rows[rows.length - 1];
+        return {
+            rows,
+            totalCount: this._rows.length,
+            pageCount: Math.ceil(this._rows.length / pageSize),
+            pageIndex: Math.floor(start / pageSize),
+            pageSize,
+            lastKey: lastRow && this._sortColumns ? this._keys.get(lastRow).slice() : null
+        };
+    }
+
+    /**
+     * Window skipping the first rows of the view
+     * @param {number} count - Number of rows to skip, 0 to skip none
+     * @returns {DataViewWindow} A window over the rows of the view, which is left unchanged
+     * @throws {Error} If the count is not a non-negative integer
+     */
+    skip(count) {
+        return this._window(count, null, null);
+    }
+
+    /**
+     * Window limiting the number of rows
+     * @param {number|null} count - Maximum number of rows, null for no limit
+     * @returns {DataViewWindow} A window over the rows of the view, which is left unchanged
+     * @throws {Error} If the count is not a non-negative integer
+     */
+    take(count) {
+        return this._window(0, count, null);
+    }
+
+    /**
+     * Window starting after the rows that come before or match a key in view order (keyset pagination)
+     * @param {*|Array|null} key - Sort values of the last row already read followed by its primary key, see page(),
+     * or values of the first sort columns, null to start at the first row. Without a unique sort or a primary key,
+     * a key holding all the sort values must match at most one row, reading the window throws otherwise.
+     * @returns {DataViewWindow} A window over the rows of the view, which is left unchanged
+     */
+    after(key) {
+        return this._window(0, null, key);
+    }
+
+    /**
+     * @param {number} skip - Number of rows skipped
+     * @param {number|null} take - Maximum number of rows, null for no limit
+     * @param {*|Array|null|undefined} after - Key after which the window starts
+     * @returns {DataViewWindow} The window
+     * @throws {Error} If a count is not a non-negative integer
+     * @private
+     */
+    _window(skip, take, after) {
+        checkCount(skip, 'Skip count');
+        if (take !== null) {
+            checkCount(take, 'Take count');
         }
-        
-        return rows;
+        return new DataViewWindow(this, skip, take, after === undefined ? null : after);
+    }
+
+    /**
+     * Rebuilds the rows of the view, for filters reading values the view isn't notified of,
+     * such as Parent or Child references. Emits a Reset listChanged event.
+     * @returns {DataView} The current view instance for chaining
+     */
+    refresh() {
+        this._invalidate();
+        this._getRows();
+        return this;
+    }
+
+    /**
+     * Stops following the changes of the table. The view is rebuilt and follows them again on next access.
+     */
+    dispose() {
+        this._table._views.delete(this);
+        this._rows = null;
+    }
+
+    /**
+     * Position of the first row whose sort values match a key
+     * @param {*|Array} key - Value of the first sort column, or values of the first sort columns
+     * @returns {number} Position of the row in the view, -1 if not found
+     * @throws {Error} If the view isn't sorted by columns or the key has too many values
+     */
+    find(key) {
+        const [start, end] = this._findRange(key);
+        return start < end ? start : -1;
+    }
+
+    /**
+     * Rows whose sort values match a key, in view order
+     * @param {*|Array} key - Value of the first sort column, or values of the first sort columns
+     * @returns {Array<DataRow>} Matching rows
+     * @throws {Error} If the view isn't sorted by columns or the key has too many values
+     */
+    findRows(key) {
+        const [start, end] = this._findRange(key);
+        return this._rows.slice(start, end);
+    }
+
+    /**
+     * Groups the rows of the view, see DataGrouping.aggregate()
+     * @param {string|Array<string>} columns - Column or columns to group by
+     * @returns {DataGrouping} The grouped rows, without DELETED rows
+     */
+    groupBy(columns) {
+        return new DataGrouping(this._table, this.getRows(), columns);
+    }
+
+    /**
+     * Computes an aggregate expression over the rows of the view
+     * @param {string} expression - Expression made of aggregates, e.g. "Sum(amount)"
+     * @returns {*} Value of the expression, DELETED rows are skipped
+     */
+    compute(expression) {
+        return new DataExpression(expression).evaluateAggregate(this._table, this.getRows());
     }
 
     /**
@@ -71,14 +317,23 @@ class DataView {
      * @returns {DataTable} A new DataTable containing the view results
      */
     toTable() {
+        return this._toTable(this._getRows());
+    }
+
+    /**
+     * @param {Array<DataRow>} rows - Rows of the view
+     * @returns {DataTable} A new DataTable holding the rows with the values seen by the view
+     * @private
+     */
+    _toTable(rows) {
         const newTable = this._table.clone();
         newTable.clear();
         
-        const rows = this.getRows();
         for (const row of rows) {
             const newRow = newTable.newRow();
+            const values = this._valuesOf(row);
             for (const column of this._table.columns) {
-                newRow.set(column.columnName, row.get(column.columnName));
+                newRow.set(column.columnName, values[column.columnName]);
             }
             newTable.rows.add(newRow);
         }
@@ -91,10 +346,20 @@ class DataView {
      * @returns {Array<Object>} Array of plain objects with row data
      */
     toArray() {
-        return this.getRows().map(row => {
+        return this._toArray(this._getRows());
+    }
+
+    /**
+     * @param {Array<DataRow>} rows - Rows of the view
+     * @returns {Array<Object>} Plain objects with the values seen by the view
+     * @private
+     */
+    _toArray(rows) {
+        return rows.map(row => {
+            const values = this._valuesOf(row);
             const result = {};
             for (const column of this._table.columns) {
-                result[column.columnName] = row.get(column.columnName);
+                result[column.columnName] = values[column.columnName];
             }
             return result;
         });
@@ -105,28 +370,7 @@ class DataView {
      * @returns {number} Number of rows
      */
     get count() {
-        return this.getRows().length;
-    }
-
-    /**
-     * Creates a temporary table for sorting operations
-     * @param {Array<DataRow>} rows - Rows to include
-     * @returns {DataTable} Temporary table
-     * @private
-     */
-    _cloneTableWithRows(rows) {
-        const tempTable = this._table.clone();
-        tempTable.clear();
-        
-        for (const row of rows) {
-            const newRow = tempTable.newRow();
-            for (const column of this._table.columns) {
-                newRow.set(column.columnName, row.get(column.columnName));
-            }
-            tempTable.rows.add(newRow);
-        }
-        
-        return tempTable;
+        return this._getRows().length;
     }
 
     /**
@@ -134,7 +378,7 @@ class DataView {
      * @returns {DataRow|null} First row or null if the view is empty
      */
     get firstRow() {
-        const rows = this.getRows();
+        const rows = this._getRows();
         return rows.length > 0 ? rows[0] : null;
     }
 
@@ -152,12 +396,320 @@ class DataView {
      * @throws {Error} If index is out of range
      */
     row(index) {
-        const rows = this.getRows();
+        const rows = this._getRows();
         if (index < 0 || index >= rows.length) {
             throw new Error(`Index ${index} out of range [0, ${rows.length - 1}]`);
         }
         return rows[index];
     }
+
+    /**
+     * Rows of the view, built from the table and registered for its changes if needed
+     * @returns {Array<DataRow>} The cached rows, not to be modified
+     * @private
+     */
+    _getRows() {
+        if (this._rows !== null) {
+            return this._rows;
+        }
+
+        const filter = this._rowFilter;
+        if (typeof filter === 'function') {
+            this._matches = row => filter(row);
+        } else if (filter instanceof DataExpression) {
+            this._matches = row => filter.test(row);
+        } else if (filter) {
+            this._matches = compileCriteria(this._table, filter);
+        } else {
+            this._matches = null;
+        }
+
+        this._sortColumns = null;
+        this._keyColumns = null;
+        if (typeof this._sort === 'function') {
+            const sort = this._sort;
+            this._keyOf = row => [sort(this._viewRow(row))];
+            this._compareKeys = this._table._expressionComparer(keys => keys[0]);
+        } else if (this._sort) {
+            const collator = createCollator(this._table, this._collation);
+            const columns = parseSort(this._table, this._sort, this._sortOrder);
+            const tieColumns = this._tieColumns(columns);
+            const keyColumns = tieColumns ? columns.concat(tieColumns) : columns;
+            const comparers = keyColumns.map(({ column, descending }) => createValueComparer(column, descending, collator));
+            this._sortColumns = columns;
+            this._keyColumns = tieColumns ? keyColumns : null;
+            this._keyOf = row => {
+                const values = this._valuesOf(row);
+                return keyColumns.map(({ columnName }) => values[columnName]);
+            };
+            this._compareKeys = (a, b) => {
+                for (let i = 0; i < a.length; i++) {
+                    const comparison = comparers[i](a[i], b[i]);
+                    if (comparison !== 0) {
+                        return comparison;
+                    }
+                }
+                return 0;
+            };
+        } else {
+            this._keyOf = null;
+            this._compareKeys = null;
+        }
+
+        const tableRows = this._table.rows._rows;
+        this._sequence = new Map(tableRows.map((row, position) => [row, position]));
+        this._nextSequence = tableRows.length;
+
+        // Criteria can use the indexes of the table, which hold the current values
+        const indexable = filter && typeof filter === 'object' && !(filter instanceof DataExpression) &&
+            this._rowVersion === DataRowVersion.CURRENT && !this._rowStates.has(DataRowState.DELETED);
+        const candidates = indexable ? this._table.findRows(filter) : tableRows;
+
+        this._keys = new Map();
+        this._rows = candidates.filter(row => this._isVisible(row));
+        if (this._keyOf) {
+            for (const row of this._rows) {
+                this._keys.set(row, this._keyOf(row));
+            }
+        }
+        this._rows.sort((a, b) => this._compareRows(a, b));
+        this._table._views.add(this);
+        return this._rows;
+    }
+
+    /**
+     * Columns ordering the rows with the same sort values, so that a key identifies the last row of a page
+     * @param {Array<{columnName: string, column: DataColumn, descending: boolean}>} columns - Sort columns
+     * @returns {Array<{columnName: string, column: DataColumn, descending: boolean}>|null} No column if the sort columns
+     * cover a unique constraint, the primary key columns if the table has one, null otherwise
+     * @private
+     */
+    _tieColumns(columns) {
+        const sorted = new Set(columns.map(({ columnName }) => columnName));
+        const unique = Array.from(this._table.constraints).some(constraint =>
+            constraint instanceof UniqueConstraint && constraint.columnNames.every(name => sorted.has(name)));
+        if (unique) {
+            return [];
+        }
+        const primaryKey = this._table.primaryKey;
+        return primaryKey.length > 0
+            ? primaryKey.map(column => ({ columnName: column.columnName, column, descending: false }))
+            : null;
+    }
+
+    /**
+     * Position following the rows that come before or match a key (keyset pagination)
+     * @param {*|Array} key - Key of the last row already read, or values of the first sort columns
+     * @returns {number} Position in the view
+     * @throws {Error} If the view isn't sorted by columns, or the key holds all the sort values and matches several rows
+     * while nothing breaks their ties: the rows after the last one read would be skipped
+     * @private
+     */
+    _afterPosition(key) {
+        const [start, end] = this._findRange(key);
+        const keyValues = Array.isArray(key) ? key : [key];
+        if (!this._keyColumns && keyValues.length === this._sortColumns.length && end - start > 1) {
+            throw new Error(`Several rows of table '${this._table.tableName}' have the sort values of the key, ` +
+                'keyset pagination needs a sort on unique columns or a primary key');
+        }
+        return end;
+    }
+
+    /**
+     * Order of the rows in the view: sort values, then primary key if the sort columns aren't unique, then position in the table
+     * @param {DataRow} a - First row
+     * @param {DataRow} b - Second row
+     * @returns {number} Negative, zero or positive like Array.prototype.sort comparers
+     * @private
+     */
+    _compareRows(a, b) {
+        return (this._compareKeys ? this._compareKeys(this._keys.get(a), this._keys.get(b)) : 0) ||
+            this._sequence.get(a) - this._sequence.get(b);
+    }
+
+    /**
+     * Values of a row as seen by the view
+     * @param {DataRow} row - Row of the table
+     * @returns {Object} Original values of deleted rows, and of modified rows if the view shows the Original version,
+     * current values otherwise
+     * @private
+     */
+    _valuesOf(row) {
+        const original = row._rowState === DataRowState.DELETED ||
+            (row._rowState === DataRowState.MODIFIED && this._rowVersion === DataRowVersion.ORIGINAL);
+        return original && row._originalValues ? row._originalValues : row._values;
+    }
+
+    /**
+     * Row given to filters and sort functions
+     * @param {DataRow} row - Row of the table
+     * @returns {DataRow} The row itself, or a read-only stand-in exposing the values seen by the view
+     * @private
+     */
+    _viewRow(row) {
+        const values = this._valuesOf(row);
+        return values === row._values
+            ? row
+            : Object.create(row, { _values: { value: values }, _proposedValues: { value: null } });
+    }
+
+    /**
+     * Range of the rows whose sort values match a key
+     * @param {*|Array} key - Value or values of the first sort columns
+     * @returns {Array<number>} [start, end) positions in the view
+     * @throws {Error} If the view isn't sorted by columns or the key has too many values
+     * @private
+     */
+    _findRange(key) {
+        const rows = this._getRows();
+        if (!this._sortColumns) {
+            throw new Error('The view must be sorted by columns to find rows by key');
+        }
+
+        const keyColumns = this._keyColumns || this._sortColumns;
+        const keyValues = Array.isArray(key) ? key : [key];
+        if (keyValues.length === 0 || keyValues.length > keyColumns.length) {
+            throw new Error(`Expecting up to ${keyColumns.length} value(s) for the key, but received ${keyValues.length} value(s)`);
+        }
+        const searched = keyValues.map((value, i) => {
+            const { column, columnName } = keyColumns[i];
+            return value === undefined ? null : convertValue(value, column.dataType, columnName);
+        });
+        const compare = row => this._compareKeys(this._keys.get(row).slice(0, searched.length), searched);
+
+        const bound = strict => {
+            let low = 0;
+            let high = rows.length;
+            while (low < high) {
+                const middle = (low + high) >>> 1;
+                const comparison = compare(rows[middle]);
+                if (comparison < 0 || (!strict && comparison === 0)) {
+                    low = middle + 1;
+                } else {
+                    high = middle;
+                }
+            }
+            return low;
+        };
+        return [bound(true), bound(false)];
+    }
+
+    /**
+     * Drops the rows of the view, they are rebuilt on next access
+     * @private
+     */
+    _invalidate() {
+        if (this._rows === null) {
+            return;
+        }
+        this.dispose();
+        this.emit('listChanged', new ListChangedEventArgs(ListChangedType.RESET));
+    }
+
+    /**
+     * @param {DataRow} row - Row of the table
+     * @returns {boolean} True if the row belongs to the view
+     * @private
+     */
+    _isVisible(row) {
+        return this._rowStates.has(row._rowState) && (!this._matches || this._matches(this._viewRow(row)));
+    }
+
+    /**
+     * Inserts a row at its position in view order
+     * @param {DataRow} row - Row to insert
+     * @returns {number} Position of the row
+     * @private
+     */
+    _insert(row) {
+        if (this._keyOf) {
+            this._keys.set(row, this._keyOf(row));
+        }
+        let low = 0;
+        let high = this._rows.length;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            if (this._compareRows(this._rows[middle], row) <= 0) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        this._rows.splice(low, 0, row);
+        return low;
+    }
+
+    /**
+     * @param {DataRow} row - Row added to the table
+     * @private
+     */
+    _onRowAdded(row) {
+        this._sequence.set(row, this._nextSequence++);
+        if (this._isVisible(row)) {
+            const newIndex = this._insert(row);
+            this.emit('listChanged', new ListChangedEventArgs(ListChangedType.ITEM_ADDED, newIndex));
+        }
+    }
+
+    /**
+     * @param {DataRow} row - Row removed from the table
+     * @private
+     */
+    _onRowRemoved(row) {
+        const oldIndex = this._rows.indexOf(row);
+        this._sequence.delete(row);
+        if (oldIndex !== -1) {
+            this._rows.splice(oldIndex, 1);
+            this._keys.delete(row);
+            this.emit('listChanged', new ListChangedEventArgs(ListChangedType.ITEM_DELETED, -1, oldIndex));
+        }
+    }
+
+    /**
+     * Moves a row in or out of the view, or to its new position
+     * @param {DataRow} row - Row whose values or state changed
+     * @param {boolean} valuesChanged - Whether the values changed, reported even if the row stays in place
+     * @private
+     */
+    _onRowChanged(row, valuesChanged) {
+        // Rows not or no longer in the table
+        if (!this._sequence.has(row)) {
+            return;
+        }
+        const oldIndex = this._rows.indexOf(row);
+        const visible = this._isVisible(row);
+        if (oldIndex === -1) {
+            if (visible) {
+                const newIndex = this._insert(row);
+                this.emit('listChanged', new ListChangedEventArgs(ListChangedType.ITEM_ADDED, newIndex));
+            }
+            return;
+        }
+
+        this._rows.splice(oldIndex, 1);
+        this._keys.delete(row);
+        if (!visible) {
+            this.emit('listChanged', new ListChangedEventArgs(ListChangedType.ITEM_DELETED, -1, oldIndex));
+            return;
+        }
+
+        const newIndex = this._insert(row);
+        if (newIndex !== oldIndex) {
+            this.emit('listChanged', new ListChangedEventArgs(ListChangedType.ITEM_MOVED, newIndex, oldIndex));
+        } else if (valuesChanged) {
+            this.emit('listChanged', new ListChangedEventArgs(ListChangedType.ITEM_CHANGED, newIndex, oldIndex));
+        }
+    }
+
+    /**
+     * @private
+     */
+    _onRowsCleared() {
+        this._rows = [];
+        this._keys = new Map();
+        this._sequence = new Map();
+        this.emit('listChanged', new ListChangedEventArgs(ListChangedType.RESET));
+    }
 }
 
-module.exports = DataView;
\ No newline at end of file
+module.exports = DataView;
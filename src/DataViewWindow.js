@@ -0,0 +1,163 @@
+const DataExpression = require('./expressions/DataExpression');
+const DataGrouping = require('./query/DataGrouping');
+
+/**
+ * Window of the rows of a DataView, returned by DataView.skip(), take() and after(): the rows of the view
+ * from a position or after a key, up to a number of rows. The window reads the rows the view keeps, so it follows
+ * the changes of the table, and leaves the view itself unchanged.
+ */
+class DataViewWindow {
+    /**
+     * @param {DataView} view - View whose rows the window returns
+     * @param {number} skip - Number of rows skipped, after the rows skipped by after
+     * @param {number|null} take - Maximum number of rows, null for no limit
+     * @param {*|Array|null} after - Key after which the window starts, null to start at the first row
+     */
+    constructor(view, skip, take, after) {
+        this._view = view;
+        this._skip = skip;
+        this._take = take;
+        this._after = after;
+    }
+
+    /**
+     * View whose rows the window returns
+     * @returns {DataView}
+     */
+    get view() {
+        return this._view;
+    }
+
+    /**
+     * Window skipping other rows, see DataView.skip()
+     * @param {number} count - Number of rows to skip, after the rows skipped by after()
+     * @returns {DataViewWindow} A new window with the same limit and key
+     * @throws {Error} If the count is not a non-negative integer
+     */
+    skip(count) {
+        return this._view._window(count, this._take, this._after);
+    }
+
+    /**
+     * Window returning another number of rows, see DataView.take()
+     * @param {number|null} count - Maximum number of rows, null for no limit
+     * @returns {DataViewWindow} A new window with the same skip count and key
+     * @throws {Error} If the count is not a non-negative integer
+     */
+    take(count) {
+        return this._view._window(this._skip, count, this._after);
+    }
+
+    /**
+     * Window starting after another key, see DataView.after()
+     * @param {*|Array|null} key - Key of the last row already read, null to start at the first row
+     * @returns {DataViewWindow} A new window with the same skip count and limit
+     */
+    after(key) {
+        return this._view._window(this._skip, this._take, key);
+    }
+
+    /**
+     * @returns {Array<DataRow>} The rows of the window in view order
+     * @throws {Error} If after() is used on a view not sorted by columns, or matches several rows that nothing orders
+     */
+    getRows() {
+        const [start, end] = this._range();
+        return this._view._getRows().slice(start, end);
+    }
+
+    /**
+     * Number of rows of the window
+     * @returns {number}
+     */
+    get count() {
+        const [start, end] = this._range();
+        return end - start;
+    }
+
+    /**
+     * Number of rows of the view, ignoring the window
+     * @returns {number}
+     */
+    get totalCount() {
+        return this._view.totalCount;
+    }
+
+    /**
+     * First row of the window
+     * @returns {DataRow|null} First row or null if the window is empty
+     */
+    get firstRow() {
+        const [start, end] = this._range();
+        return start < end ? this._view._getRows()[start] : null;
+    }
+
+    /**
+     * Returns the ith row of the window
+     * @param {number} index - Row index, relative to the window
+     * @returns {DataRow} DataRow at the specified index
+     * @throws {Error} If index is out of range
+     */
+    row(index) {
+        const [start, end] = this._range();
+        if (index < 0 || index >= end - start) {
+            throw new Error(`Index ${index} out of range [0, ${end - start - 1}]`);
+        }
+        return this._view._getRows()[start + index];
+    }
+
+    /**
+     * Iterates through the rows of the window
+     */
+    *[Symbol.iterator]() {
+        yield* this.getRows();
+    }
+
+    /**
+     * @returns {Array<Object>} Plain objects with the values of the rows of the window, see DataView.toArray()
+     */
+    toArray() {
+        return this._view._toArray(this.getRows());
+    }
+
+    /**
+     * @returns {DataTable} A new DataTable holding the rows of the window, see DataView.toTable()
+     */
+    toTable() {
+        return this._view._toTable(this.getRows());
+    }
+
+    /**
+     * Groups the rows of the window, see DataGrouping.aggregate()
+     * @param {string|Array<string>} columns - Column or columns to group by
+     * @returns {DataGrouping} The grouped rows
+     */
+    groupBy(columns) {
+        return new DataGrouping(this._view._table, this.getRows(), columns);
+    }
+
+    /**
+     * Computes an aggregate expression over the rows of the window
+     * @param {string} expression - Expression made of aggregates, e.g. "Sum(amount)"
+     * @returns {*} Value of the expression, DELETED rows are skipped
+     */
+    compute(expression) {
+        return new DataExpression(expression).evaluateAggregate(this._view._table, this.getRows());
+    }
+
+    /**
+     * Positions of the window in the rows of the view
+     * @returns {Array<number>} [start, end) positions
+     * @throws {Error} If after() is used on a view not sorted by columns, or matches several rows that nothing orders
+     * @private
+     */
+    _range() {
+        const rows = this._view._getRows();
+        const first = this._after === null ? 0 : this._view._afterPosition(this._after);
+        const start = Math.min(first + this._skip, rows.length);
+        const end = this._take === null ? rows.length : Math.min(start + this._take, rows.length);
+        return [start, end];
+    }
+}
+
+module.exports = DataViewWindow;
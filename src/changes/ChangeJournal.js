@@ -0,0 +1,553 @@
+const DataRowState = require('../enums/DataRowState');
+const DataRowAction = require('../enums/DataRowAction');
+const DataRowChangeEventArgs = require('../events/DataRowChangeEventArgs');
+const UniqueConstraint = require('../constraints/UniqueConstraint');
+const DataIndex = require('../indexes/DataIndex');
+const { createKey } = require('../utils/keyUtils');
+
+/**
+ * Undo/redo journal of the edits of a DataTable, or of all the tables of a DataSet.
+ *
+ * Every change of the rows (set, add, delete, remove, clear, acceptChanges, rejectChanges, merge)
+ * and every column added or removed is recorded as a step that undo() reverts and redo() applies again.
+ * A step holds the state of each row it touched before and after: values, original values, row state,
+ * row and column errors, and position in the table. Changes cascading to child rows belong to the step
+ * of their parent row, provided the journal records the child table too, e.g. a journal of the DataSet.
+ *
+ * transaction() groups changes into a single step and reverts them if the function throws.
+ * checkpoint() names the current position of the journal, revertTo() moves back or forward to it.
+ */
+class ChangeJournal {
+    /**
+     * @param {DataTable|DataSet} target - Table, or DataSet whose tables are all recorded
+     * @param {Object} [options={}] - Journal options
+     * @param {number} [options.limit=100] - Number of steps kept for undo, the oldest are dropped
+     */
+    constructor(target, options = {}) {
+        this._target = target;
+        this.limit = options.limit || 100;
+        this._undoSteps = [];
+        this._redoSteps = [];
+        this._checkpoints = new Map();
+        // Steps being recorded: the outermost one, then one per nested transaction
+        this._frames = [];
+        this._depth = 0;
+        this._restoring = false;
+        this._tables = new Set();
+
+        if (target.tables instanceof Map) {
+            target._journals.add(this);
+            for (const table of target.tables.values()) {
+                this._attach(table);
+            }
+        } else {
+            this._attach(target);
+        }
+    }
+
+    /**
+     * @returns {boolean} Whether there is a step to undo
+     */
+    get canUndo() {
+        this._flush();
+        return this._undoSteps.length > 0;
+    }
+
+    /**
+     * @returns {boolean} Whether there is an undone step to redo
+     */
+    get canRedo() {
+        this._flush();
+        return this._redoSteps.length > 0;
+    }
+
+    /**
+     * Reverts the last step
+     * @returns {boolean} False if there was nothing to undo
+     * @throws {Error} If called during a transaction or a change of the table
+     */
+    undo() {
+        this._checkIdle('undo');
+        const step = this._undoSteps.pop();
+        if (!step) {
+            return false;
+        }
+        this._restore(step.entries, true);
+        this._redoSteps.push(step);
+        return true;
+    }
+
+    /**
+     * Applies the last undone step again
+     * @returns {boolean} False if there was nothing to redo
+     * @throws {Error} If called during a transaction or a change of the table
+     */
+    redo() {
+        this._checkIdle('redo');
+        const step = this._redoSteps.pop();
+        if (!step) {
+            return false;
+        }
+        this._restore(step.entries, false);
+        this._undoSteps.push(step);
+        return true;
+    }
+
+    /**
+     * Names the current position of the journal, replacing a checkpoint with the same name
+     * @param {string} name - Name of the checkpoint
+     * @throws {Error} If called during a transaction or a change of the table
+     */
+    checkpoint(name) {
+        this._checkIdle('checkpoint');
+        this._checkpoints.set(name, this._undoSteps[this._undoSteps.length - 1] || null);
+    }
+
+    /**
+     * Undoes or redoes steps until the journal is back to a checkpoint.
+     * Checkpoints are forgotten when their steps are dropped, or undone then replaced by new changes.
+     * @param {string} name - Name of the checkpoint
+     * @throws {Error} If the checkpoint doesn't exist
+     */
+    revertTo(name) {
+        this._checkIdle('revertTo');
+        if (!this._checkpoints.has(name)) {
+            throw new Error(`Checkpoint '${name}' does not exist`);
+        }
+        const step = this._checkpoints.get(name);
+        if (step === null || this._undoSteps.includes(step)) {
+            while (this._undoSteps.length > 0 && this._undoSteps[this._undoSteps.length - 1] !== step) {
+                this.undo();
+            }
+        } else {
+            while (this._undoSteps[this._undoSteps.length - 1] !== step) {
+                this.redo();
+            }
+        }
+    }
+
+    /**
+     * Runs a function whose changes form a single step. If it throws, its changes are reverted
+     * and the error is thrown again. Transactions can be nested, an inner one only reverting its own changes.
+     * @param {Function} action - Synchronous function changing the tables
+     * @returns {*} The result of the function
+     */
+    transaction(action) {
+        this._flush();
+        const frame = ChangeJournal._createFrame();
+        this._frames.push(frame);
+        this._depth++;
+        let failed = true;
+        try {
+            const result = action();
+            failed = false;
+            return result;
+        } finally {
+            this._depth--;
+            this._frames.pop();
+            if (failed) {
+                this._restore(frame.entries, true);
+            } else if (this._frames.length > 0) {
+                this._mergeFrame(frame, this._frames[this._frames.length - 1]);
+            } else {
+                this._pushStep(frame);
+            }
+        }
+    }
+
+    /**
+     * Forgets all the steps and checkpoints
+     */
+    clear() {
+        this._flush();
+        this._undoSteps = [];
+        this._redoSteps = [];
+        this._checkpoints.clear();
+    }
+
+    /**
+     * Stops recording the changes of the tables
+     */
+    dispose() {
+        for (const table of this._tables) {
+            table._journals.delete(this);
+        }
+        this._tables.clear();
+        if (this._target.tables instanceof Map) {
+            this._target._journals.delete(this);
+        }
+    }
+
+    // ===== RECORDING, CALLED BY THE TABLES =====
+
+    /**
+     * @param {DataTable} table - Table to record
+     * @private
+     */
+    _attach(table) {
+        table._journals.add(this);
+        this._tables.add(table);
+    }
+
+    /**
+     * @param {DataTable} table - Table to stop recording
+     * @private
+     */
+    _detach(table) {
+        table._journals.delete(this);
+        this._tables.delete(table);
+    }
+
+    /**
+     * Starts a change of a recorded table, the outermost change making a step
+     * @private
+     */
+    _begin() {
+        if (this._restoring) {
+            return;
+        }
+        this._flush();
+        if (this._frames.length === 0) {
+            this._frames.push(ChangeJournal._createFrame());
+        }
+        this._depth++;
+    }
+
+    /**
+     * Ends a change of a recorded table
+     * @private
+     */
+    _end() {
+        if (this._restoring || this._depth === 0) {
+            return;
+        }
+        this._depth--;
+        if (this._depth === 0 && this._frames.length === 1) {
+            this._pushStep(this._frames.pop());
+        }
+    }
+
+    /**
+     * Records the state of a row about to change, once per step
+     * @param {DataRow} row - Row about to change
+     * @private
+     */
+    _captureRow(row) {
+        if (this._restoring) {
+            return;
+        }
+        // A change made outside _begin() and _end() stays open until the next one
+        if (this._frames.length === 0) {
+            this._frames.push(ChangeJournal._createFrame());
+        }
+        const frame = this._frames[this._frames.length - 1];
+        if (!frame.rows.has(row)) {
+            const entry = { row, table: row._table, before: ChangeJournal._snapshot(row), after: null };
+            frame.rows.set(row, entry);
+            frame.entries.push(entry);
+        }
+    }
+
+    /**
+     * Records a column added to a table, or about to be removed with its values and the constraints using it
+     * @param {DataColumn} column - Column
+     * @param {boolean} added - True once added, false before being removed
+     * @private
+     */
+    _captureColumn(column, added) {
+        if (this._restoring) {
+            return;
+        }
+        if (this._frames.length === 0) {
+            this._frames.push(ChangeJournal._createFrame());
+        }
+        const table = column.table;
+        const name = column.columnName;
+        const entry = {
+            column, table, added, ordinal: column.ordinal, unique: column.unique,
+            primaryKey: null, values: null, constraints: [], indexes: []
+        };
+        if (!added) {
+            if (column.isPrimaryKey) {
+                entry.primaryKey = table.primaryKey.map(item => item.columnName);
+            }
+            entry.values = new Map(table.rows._rows.map(row => [row, {
+                current: row._values[name],
+                original: row._originalValues ? row._originalValues[name] : undefined,
+                error: row._columnErrors[name]
+            }]));
+            for (const constraint of table.constraints) {
+                if (constraint instanceof UniqueConstraint && constraint.columnNames.length > 1 && constraint.involves(name)) {
+                    entry.constraints.push({ name: constraint.constraintName, columnNames: constraint.columnNames });
+                }
+            }
+            for (const index of table._namedIndexes.values()) {
+                if (index.involves(name)) {
+                    entry.indexes.push({ name: index.name, columnNames: index.columnNames, unique: index.unique, sorted: index.sorted });
+                }
+            }
+        }
+        this._frames[this._frames.length - 1].entries.push(entry);
+    }
+
+    // ===== STEPS =====
+
+    /**
+     * @returns {{rows: Map, entries: Array<Object>}} An empty step being recorded
+     * @private
+     */
+    static _createFrame() {
+        return { rows: new Map(), entries: [] };
+    }
+
+    /**
+     * @param {DataRow} row - Row
+     * @returns {Object} The state of the row, restored by _restoreRows()
+     * @private
+     */
+    static _snapshot(row) {
+        return {
+            values: { ...row._values },
+            original: row._originalValues ? { ...row._originalValues } : null,
+            state: row._rowState,
+            rowError: row.rowError,
+            columnErrors: { ...row._columnErrors },
+            position: row._attached ? row._table.rows._positionOf(row) : -1
+        };
+    }
+
+    /**
+     * @param {Object} before - State of a row before a step
+     * @param {Object} after - State of the row after the step
+     * @returns {boolean} True if the step left the row as it was
+     * @private
+     */
+    static _sameSnapshot(before, after) {
+        const sameValues = (a, b) => a === b || (a !== null && b !== null &&
+            Object.keys(a).length === Object.keys(b).length &&
+            Object.keys(a).every(name => createKey([a[name]]) === createKey([b[name]])));
+        return before.state === after.state && before.position === after.position && before.rowError === after.rowError &&
+            sameValues(before.values, after.values) && sameValues(before.original, after.original) &&
+            sameValues(before.columnErrors, after.columnErrors);
+    }
+
+    /**
+     * Closes a step left open by a change made outside _begin() and _end()
+     * @private
+     */
+    _flush() {
+        if (this._depth === 0 && this._frames.length === 1) {
+            this._pushStep(this._frames.pop());
+        }
+    }
+
+    /**
+     * @param {string} method - Name of the method called
+     * @throws {Error} If a step is being recorded
+     * @private
+     */
+    _checkIdle(method) {
+        if (this._depth > 0) {
+            throw new Error(`Cannot call ${method}() during a transaction or a change of the table`);
+        }
+        this._flush();
+    }
+
+    /**
+     * Adds the entries of a committed nested transaction to the enclosing step
+     * @param {Object} frame - Step of the nested transaction
+     * @param {Object} parent - Enclosing step
+     * @private
+     */
+    _mergeFrame(frame, parent) {
+        for (const entry of frame.entries) {
+            if (entry.row) {
+                if (parent.rows.has(entry.row)) {
+                    continue;
+                }
+                parent.rows.set(entry.row, entry);
+            }
+            parent.entries.push(entry);
+        }
+    }
+
+    /**
+     * Stores a recorded step for undo, forgetting the undone steps
+     * @param {Object} frame - Recorded step
+     * @private
+     */
+    _pushStep(frame) {
+        const entries = frame.entries.filter(entry => {
+            if (!entry.row) {
+                return true;
+            }
+            entry.after = ChangeJournal._snapshot(entry.row);
+            return !ChangeJournal._sameSnapshot(entry.before, entry.after);
+        });
+        if (entries.length === 0) {
+            return;
+        }
+
+        for (const [name, step] of this._checkpoints) {
+            if (step !== null && this._redoSteps.includes(step)) {
+                this._checkpoints.delete(name);
+            }
+        }
+        this._redoSteps = [];
+        this._undoSteps.push({ entries });
+        if (this._undoSteps.length > this.limit) {
+            const dropped = this._undoSteps.shift();
+            // The journal can no longer go back to the checkpoints before the dropped step
+            for (const [name, step] of this._checkpoints) {
+                if (step === dropped || step === null) {
+                    this._checkpoints.delete(name);
+                }
+            }
+        }
+    }
+
+    /**
+     * Restores the rows and columns of entries to their state before or after them
+     * @param {Array<Object>} entries - Entries in recording order
+     * @param {boolean} before - True to restore the states before the entries, in reverse order
+     * @private
+     */
+    _restore(entries, before) {
+        const ordered = before ? entries.slice().reverse() : entries;
+        this._restoring = true;
+        try {
+            let rows = [];
+            for (const entry of ordered) {
+                if (entry.row) {
+                    rows.push(entry);
+                    continue;
+                }
+                ChangeJournal._restoreRows(rows, before);
+                rows = [];
+                ChangeJournal._restoreColumn(entry, before);
+            }
+            ChangeJournal._restoreRows(rows, before);
+        } finally {
+            this._restoring = false;
+        }
+    }
+
+    /**
+     * Restores rows to a recorded state. Rows leaving their table go first, rows coming back
+     * are put back in position order once the others are restored.
+     * @param {Array<Object>} entries - Row entries
+     * @param {boolean} before - True to restore the states before the entries
+     * @private
+     */
+    static _restoreRows(entries, before) {
+        const attaching = [];
+        for (const entry of entries) {
+            const { row, table } = entry;
+            const snapshot = before ? entry.before : entry.after;
+            const wasAttached = row._attached;
+            const wasDeleted = row._rowState === DataRowState.DELETED;
+
+            if (wasAttached && snapshot.position === -1) {
+                table.rows._removeRow(row);
+            }
+            const previous = {};
+            for (const name of Object.keys(snapshot.values)) {
+                if (createKey([row._values[name]]) !== createKey([snapshot.values[name]])) {
+                    previous[name] = row._values[name];
+                }
+            }
+            row._proposedValues = null;
+            row._values = { ...snapshot.values };
+            row._originalValues = snapshot.original ? { ...snapshot.original } : null;
+            row.rowError = snapshot.rowError;
+            row._columnErrors = { ...snapshot.columnErrors };
+
+            if (!row._attached) {
+                row._rowState = snapshot.state;
+                if (snapshot.position !== -1) {
+                    attaching.push({ row, table, position: snapshot.position });
+                } else if (wasAttached) {
+                    table.emit('rowDeleted', new DataRowChangeEventArgs(row, DataRowAction.DELETE));
+                }
+                continue;
+            }
+            table._onRowChanged(row, previous);
+            row._setRowState(snapshot.state);
+            // Aggregates skip deleted rows
+            if (wasDeleted !== (snapshot.state === DataRowState.DELETED)) {
+                table._propagateExpressions(row, null);
+            }
+            table.emit('rowChanged', new DataRowChangeEventArgs(row, DataRowAction.CHANGE));
+        }
+
+        attaching.sort((a, b) => a.position - b.position);
+        for (const { row, table, position } of attaching) {
+            table.rows._rows.splice(Math.min(position, table.rows._rows.length), 0, row);
+            row._attached = true;
+            table._onRowAdded(row);
+            table.emit('rowChanged', new DataRowChangeEventArgs(row, DataRowAction.ADD));
+        }
+    }
+
+    /**
+     * Adds or removes a recorded column again
+     * @param {Object} entry - Column entry
+     * @param {boolean} before - True to restore the state before the entry
+     * @private
+     */
+    static _restoreColumn(entry, before) {
+        const { column, table } = entry;
+        const name = column.columnName;
+        if (entry.added === before) {
+            table.columns.remove(name);
+            return;
+        }
+
+        // The key and unique constraints come back once the values are
+        column._unique = false;
+        column._isPrimaryKey = false;
+        table.columns.add(column);
+        // Back to its position
+        const columns = Array.from(table.columns._columns.values()).filter(item => item !== column);
+        columns.splice(Math.min(entry.ordinal, columns.length), 0, column);
+        table.columns._columns = new Map(columns.map(item => [item.columnName, item]));
+        columns.forEach((item, ordinal) => {
+            item.ordinal = ordinal;
+        });
+
+        if (entry.values) {
+            for (const [row, values] of entry.values) {
+                const previous = { [name]: row._values[name] };
+                row._values[name] = values.current;
+                if (row._originalValues && values.original !== undefined) {
+                    row._originalValues[name] = values.original;
+                }
+                if (values.error) {
+                    row._columnErrors[name] = values.error;
+                }
+                if (row._attached) {
+                    table._onRowChanged(row, previous);
+                }
+            }
+        }
+        column.unique = entry.unique;
+        if (entry.primaryKey) {
+            table.primaryKey = entry.primaryKey;
+        }
+        if (entry.values) {
+            for (const constraint of entry.constraints) {
+                table.constraints.add(new UniqueConstraint(
+                    constraint.name,
+                    constraint.columnNames.map(columnName => table.columns._columns.get(columnName))
+                ));
+            }
+            for (const index of entry.indexes) {
+                const restored = new DataIndex(table, index.columnNames, { name: index.name, unique: index.unique, sorted: index.sorted });
+                table._addIndex(restored);
+                table._namedIndexes.set(index.name, restored);
+            }
+        }
+    }
+}
+
+module.exports = ChangeJournal;
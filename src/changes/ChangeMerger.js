@@ -0,0 +1,336 @@
+const DataRowState = require('../enums/DataRowState');
+const DataRowAction = require('../enums/DataRowAction');
+const MissingSchemaAction = require('../enums/MissingSchemaAction');
+const DataRowChangeEventArgs = require('../events/DataRowChangeEventArgs');
+const { convertValue, valuesEqual } = require('../utils/typeUtils');
+const { getType } = require('../types/TypeRegistry');
+
+/**
+ * Merges rows into a table: rows are matched by primary key, the matched rows take the incoming values
+ * and state, the others are added. The rows come from another table, an array of rows such as getChanges() returns,
+ * or a change set written by getChanges({ format: 'changeSet' }) and possibly sent over the network.
+ *
+ * Incoming rows are { state, current, original, key, rowError, columnErrors }: key, if any, finds the target row,
+ * otherwise the original values when there are some, the current values else. The values of a change set are
+ * written by the serialize() of their data type, as toJSON() writes them, and read back by deserialize().
+ */
+
+/**
+ * @param {*} state - State of an incoming row
+ * @returns {string} The state
+ * @throws {Error} If the state is not a DataRowState
+ */
+function readState(state) {
+    if (!DataRowState.isValid(state)) {
+        throw new Error(`Unknown row state '${state}' in the merged rows`);
+    }
+    return state;
+}
+
+/**
+ * Reads the schema and rows of a merge source
+ * @param {DataTable|Array<DataRow>|Object} source - Table, rows of a table, or change set
+ * @returns {{tableName: string, columns: Array<{name: string, dataType: string|null}>, primaryKey: Array<string>,
+ * rows: Array<Object>, serialized: boolean}} serialized tells whether the values are written by serialize()
+ * @throws {Error} If the state of a row is unknown
+ */
+function readSource(source) {
+    if (source.changes) {
+        return {
+            tableName: source.tableName,
+            columns: source.columns || [],
+            primaryKey: source.primaryKey || [],
+            rows: source.changes.map(change => ({
+                state: readState(change.rowState),
+                current: change.after || change.before,
+                original: change.before || null,
+                key: change.key || null,
+                rowError: change.rowError || '',
+                columnErrors: change.columnErrors || {}
+            })),
+            serialized: true
+        };
+    }
+
+    const rows = Array.isArray(source) ? source : source.rows._rows;
+    const table = Array.isArray(source) ? (rows.length > 0 ? rows[0]._table : null) : source;
+    return {
+        tableName: table ? table.tableName : '',
+        columns: table ? Array.from(table.columns, column => ({ name: column.columnName, dataType: column.dataType })) : [],
+        primaryKey: table ? table.primaryKey.map(column => column.columnName) : [],
+        rows: rows.map(row => ({
+            state: readState(row._rowState),
+            current: row._values,
+            original: row._originalValues,
+            key: null,
+            rowError: row.rowError,
+            columnErrors: row._columnErrors
+        })),
+        serialized: false
+    };
+}
+
+/**
+ * Applies the missing schema action to the columns of a merge source missing from the table
+ * @param {DataTable} table - Target table
+ * @param {Object} source - Source read by readSource()
+ * @param {string} action - See MissingSchemaAction
+ * @throws {Error} If the action is Error and a column is missing, or the action is unknown
+ */
+function mergeSchema(table, source, action) {
+    const missing = source.columns.filter(column => !table.columns.contains(column.name));
+    switch (action) {
+        case MissingSchemaAction.ADD:
+        case MissingSchemaAction.ADD_WITH_KEY:
+            for (const column of missing) {
+                table.addColumn(column.name, column.dataType);
+            }
+            if (action === MissingSchemaAction.ADD_WITH_KEY && table.primaryKey.length === 0 && source.primaryKey.length > 0) {
+                table.primaryKey = source.primaryKey;
+            }
+            break;
+        case MissingSchemaAction.IGNORE:
+            break;
+        case MissingSchemaAction.ERROR:
+            if (missing.length > 0) {
+                throw new Error(`Column '${missing[0].name}' of the merged rows does not exist in table '${table.tableName}'`);
+            }
+            break;
+        default:
+            throw new Error(`Unknown missing schema action '${action}'`);
+    }
+}
+
+/**
+ * Merges the rows of a source into a table, whose constraints must be suspended by beginLoadData()
+ * @param {DataTable} table - Target table
+ * @param {Object} source - Source read by readSource()
+ * @param {boolean} preserveChanges - Whether the rows changed in the table keep their current values
+ */
+function mergeRows(table, source, preserveChanges) {
+    const constraint = table.constraints.primaryKey;
+    const columns = Array.from(table.columns).filter(column => !column._expression);
+    const read = (value, column) => (source.serialized && value !== null && value !== undefined
+        ? getType(column.dataType).deserialize(value)
+        : value);
+    const convert = values => {
+        const converted = {};
+        for (const column of columns) {
+            if (values && column.columnName in values) {
+                converted[column.columnName] = convertValue(read(values[column.columnName], column), column.dataType, column.columnName);
+            }
+        }
+        return converted;
+    };
+
+    for (const incoming of source.rows) {
+        const current = convert(incoming.current);
+        const original = incoming.original ? convert(incoming.original) : null;
+        const key = constraint && incoming.key ? constraint.columnNames.map((name, index) => {
+            const column = table.columns._columns.get(name);
+            return convertValue(read(incoming.key[index], column), column.dataType, name);
+        }) : null;
+        const row = constraint ? findRow(constraint, key, original || current) : null;
+
+        if (!row) {
+            addRow(table, incoming, current, original);
+        } else if (preserveChanges && row._rowState !== DataRowState.UNCHANGED) {
+            preserveRow(table, row, original || current, columns);
+        } else {
+            overwriteRow(table, row, incoming, current, original);
+        }
+    }
+}
+
+/**
+ * @param {UniqueConstraint} constraint - Primary key of the table
+ * @param {Array|null} key - Key given by a change set
+ * @param {Object} values - Values holding the key otherwise
+ * @returns {DataRow|null} The row with the key, preferably not deleted
+ */
+function findRow(constraint, key, values) {
+    const keyValues = key || constraint.columnNames.map(name => values[name]);
+    if (keyValues.some(value => value === undefined)) {
+        return null;
+    }
+    const candidates = constraint._index.find(keyValues);
+    return candidates.find(row => row._rowState !== DataRowState.DELETED) || candidates[0] || null;
+}
+
+/**
+ * Adds an incoming row matching no row of the table
+ * @param {DataTable} table - Target table
+ * @param {Object} incoming - Incoming row
+ * @param {Object} current - Its current values, converted to the column types
+ * @param {Object|null} original - Its original values, converted to the column types
+ */
+function addRow(table, incoming, current, original) {
+    const row = table.newRow();
+    Object.assign(row._values, current);
+    if (original) {
+        row._originalValues = { ...row._values, ...original };
+    } else if (incoming.state === DataRowState.UNCHANGED) {
+        row._originalValues = { ...row._values };
+    }
+    row._rowState = incoming.state;
+    setErrors(table, row, incoming);
+    table.rows.add(row);
+}
+
+/**
+ * Replaces the values and state of a row with the incoming ones. Keys changed by the incoming values,
+ * e.g. identities generated by the database, cascade to the child rows.
+ * @param {DataTable} table - Target table
+ * @param {DataRow} row - Matched row
+ * @param {Object} incoming - Incoming row
+ * @param {Object} current - Its current values, converted to the column types
+ * @param {Object|null} original - Its original values, converted to the column types
+ */
+function overwriteRow(table, row, incoming, current, original) {
+    table._journalRow(row);
+    row.cancelEdit();
+    const previous = {};
+    for (const [name, value] of Object.entries(current)) {
+        if (!valuesEqual(row._values[name], value, table.columns._columns.get(name).dataType)) {
+            previous[name] = row._values[name];
+        }
+    }
+    row._values = { ...row._values, ...current };
+
+    if (original) {
+        row._originalValues = { ...(row._originalValues || row._values), ...original };
+    } else if (incoming.state === DataRowState.UNCHANGED) {
+        row._originalValues = { ...row._values };
+    }
+    // A row with an Original version is no longer new
+    const state = incoming.state === DataRowState.ADDED && row._originalValues ? DataRowState.MODIFIED : incoming.state;
+    setErrors(table, row, incoming);
+
+    table._onRowChanged(row, previous);
+    table._onParentValuesChanged(row, previous);
+    setState(table, row, state);
+}
+
+/**
+ * Keeps the current values of a changed row, the incoming values becoming its Original version
+ * @param {DataTable} table - Target table
+ * @param {DataRow} row - Matched row, added, modified or deleted
+ * @param {Object} incoming - Incoming original values, or current values without original ones
+ * @param {Array<DataColumn>} columns - Stored columns of the table
+ */
+function preserveRow(table, row, incoming, columns) {
+    table._journalRow(row);
+    row._originalValues = { ...(row._originalValues || row._values), ...incoming };
+    if (row._rowState !== DataRowState.DELETED) {
+        const unchanged = columns.every(column =>
+            valuesEqual(row._values[column.columnName], row._originalValues[column.columnName], column.dataType)
+        );
+        setState(table, row, unchanged ? DataRowState.UNCHANGED : DataRowState.MODIFIED);
+    }
+}
+
+/**
+ * Replaces the errors of a row with the incoming ones, e.g. the errors a server found in the changes sent to it
+ * @param {DataTable} table - Target table
+ * @param {DataRow} row - Merged row
+ * @param {Object} incoming - Incoming row
+ */
+function setErrors(table, row, incoming) {
+    row.clearErrors();
+    row.rowError = incoming.rowError || '';
+    for (const [name, error] of Object.entries(incoming.columnErrors)) {
+        if (table.columns.contains(name)) {
+            row.setColumnError(name, error);
+        }
+    }
+}
+
+/**
+ * Sets the state of a merged row and raises rowChanged
+ * @param {DataTable} table - Target table
+ * @param {DataRow} row - Merged row
+ * @param {string} state - New state, see DataRowState
+ */
+function setState(table, row, state) {
+    const wasDeleted = row._rowState === DataRowState.DELETED;
+    row._setRowState(state);
+    // Aggregates skip deleted rows
+    if (wasDeleted !== (state === DataRowState.DELETED)) {
+        table._propagateExpressions(row, null);
+    }
+    table.emit('rowChanged', new DataRowChangeEventArgs(row, DataRowAction.CHANGE));
+}
+
+/**
+ * Merges a table, rows of a table or a change set into a table
+ * @param {DataTable} table - Target table
+ * @param {DataTable|Array<DataRow>|Object} source - Rows to merge
+ * @param {Object} [options={}] - Merge options
+ * @param {boolean} [options.preserveChanges=false] - Whether the rows changed in the table keep their current values
+ * @param {string} [options.missingSchemaAction='Add'] - See MissingSchemaAction
+ * @throws {Error} If a column is missing and the action is Error, or the state of a row is unknown
+ * @throws {ConstraintException} If the merged rows violate a constraint of the table
+ */
+function mergeTable(table, source, options = {}) {
+    const { preserveChanges = false, missingSchemaAction = MissingSchemaAction.ADD } = options;
+    const incoming = readSource(source);
+    mergeSchema(table, incoming, missingSchemaAction);
+
+    table.beginLoadData();
+    try {
+        mergeRows(table, incoming, preserveChanges);
+    } finally {
+        table.endLoadData();
+    }
+}
+
+/**
+ * Describes the changed rows of a table with plain values, e.g. to send them over the network.
+ * The values are written by the serialize() of their data type, so that JSON keeps dates, bigints and binary values.
+ * @param {DataTable} table - Table holding the rows
+ * @param {Array<DataRow>} rows - Changed rows
+ * @returns {{tableName: string, columns: Array<Object>, primaryKey: Array<string>, changes: Array<Object>}}
+ * The changes are { rowState, key, before, after }: before holds the Original version, null for added rows,
+ * after the current values, null for deleted rows. key is the primary key of before, or of after without before.
+ */
+function toChangeSet(table, rows) {
+    const primaryKey = table.primaryKey.map(column => column.columnName);
+    const encode = (value, column) => (value === null || value === undefined ? null : getType(column.dataType).serialize(value));
+    const encodeValues = values => {
+        const encoded = {};
+        for (const column of table.columns) {
+            encoded[column.columnName] = encode(values[column.columnName], column);
+        }
+        return encoded;
+    };
+    return {
+        tableName: table.tableName,
+        columns: Array.from(table.columns, column => ({ name: column.columnName, dataType: column.dataType })),
+        primaryKey,
+        changes: rows.map(row => {
+            const before = row._originalValues ? encodeValues(row._originalValues) : null;
+            const after = row._rowState === DataRowState.DELETED ? null : encodeValues(row._values);
+            const change = {
+                rowState: row._rowState,
+                key: primaryKey.length > 0 ? primaryKey.map(name => (before || after || encodeValues(row._values))[name]) : null,
+                before,
+                after
+            };
+            if (row.rowError) {
+                change.rowError = row.rowError;
+            }
+            if (Object.keys(row._columnErrors).length > 0) {
+                change.columnErrors = { ...row._columnErrors };
+            }
+            return change;
+        })
+    };
+}
+
+module.exports = {
+    readSource,
+    mergeSchema,
+    mergeRows,
+    mergeTable,
+    toChangeSet
+};
@@ -0,0 +1,202 @@
+const UniqueConstraint = require('../constraints/UniqueConstraint');
+
+class ConstraintCollection {
+    constructor(table) {
+        this._table = table;
+        this._constraints = new Map();
+    }
+
+    /**
+     * @param {Constraint} constraint - Constraint to add
+     * @returns {Constraint} The added constraint
+     * @throws {Error} If a constraint with the same name already exists
+     * @throws {Error} If the constraint belongs to another table
+     * @throws {Error} If a second primary key is added
+     * @throws {ConstraintException} If the existing rows violate the constraint
+     */
+    add(constraint) {
+        if (this._constraints.has(constraint.constraintName)) {
+            throw new Error(`Constraint '${constraint.constraintName}' already exists`);
+        }
+        if (constraint.table && constraint.table !== this._table) {
+            throw new Error(`Constraint '${constraint.constraintName}' belongs to another table`);
+        }
+        if (constraint.isPrimaryKey && this.primaryKey) {
+            throw new Error(`Table '${this._table.tableName}' already has a primary key`);
+        }
+
+        constraint._table = this._table;
+        if (this._table.enforceConstraints) {
+            constraint._validate();
+        }
+
+        this._attach(constraint);
+
+        return constraint;
+    }
+
+    /**
+     * @param {Constraint|string} constraintOrName - Constraint instance or name of the constraint to remove
+     * @throws {Error} If the constraint doesn't exist
+     */
+    remove(constraintOrName) {
+        const name = typeof constraintOrName === 'string' ? constraintOrName : constraintOrName.constraintName;
+        const constraint = this._constraints.get(name);
+        if (!constraint) {
+            throw new Error(`Constraint '${name}' does not exist`);
+        }
+
+        this._detach(constraint);
+    }
+
+    /**
+     * @param {string} constraintName - Name of the constraint to retrieve
+     * @returns {Constraint|null} The constraint or null if it doesn't exist
+     */
+    get(constraintName) {
+        return this._constraints.get(constraintName) || null;
+    }
+
+    /**
+     * @param {string} constraintName - Name of the constraint to check
+     * @returns {boolean} True if the constraint exists, false otherwise
+     */
+    contains(constraintName) {
+        return this._constraints.has(constraintName);
+    }
+
+    /**
+     * @returns {UniqueConstraint|null} The primary key constraint of the table, if any
+     */
+    get primaryKey() {
+        for (const constraint of this._constraints.values()) {
+            if (constraint.isPrimaryKey) {
+                return constraint;
+            }
+        }
+        return null;
+    }
+
+    get count() {
+        return this._constraints.size;
+    }
+
+    *[Symbol.iterator]() {
+        yield* this._constraints.values();
+    }
+
+    /**
+     * Finds a unique constraint defined on exactly the given columns
+     * @param {Array<string>} columnNames - Names of the columns
+     * @returns {UniqueConstraint|null} The matching constraint or null
+     * @private
+     */
+    _findUnique(columnNames) {
+        for (const constraint of this._constraints.values()) {
+            if (constraint instanceof UniqueConstraint &&
+                constraint.columnNames.length === columnNames.length &&
+                constraint.columnNames.every(name => columnNames.includes(name))) {
+                return constraint;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Rebuilds the primary key constraint from the isPrimaryKey flag of the columns
+     * @private
+     */
+    _syncPrimaryKey() {
+        const columns = Array.from(this._table.columns).filter(column => column.isPrimaryKey);
+        const current = this.primaryKey;
+        const names = columns.map(column => column.columnName);
+
+        if (current &&
+            current.columnNames.length === names.length &&
+            current.columnNames.every(name => names.includes(name))) {
+            return;
+        }
+
+        if (current) {
+            this._detach(current);
+        }
+
+        // A plain unique constraint on the same columns is superseded by the key
+        const duplicate = columns.length > 0 ? this._findUnique(names) : null;
+        if (duplicate) {
+            this._detach(duplicate);
+        }
+
+        if (columns.length > 0) {
+            try {
+                this.add(new UniqueConstraint(`PK_${this._table.tableName}`, columns, true));
+            } catch (error) {
+                for (const column of columns) {
+                    column._isPrimaryKey = false;
+                }
+                if (duplicate) {
+                    this._attach(duplicate);
+                }
+                if (current) {
+                    this._attach(current);
+                }
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Removes a constraint without validation, keeping it reusable
+     * @param {Constraint} constraint - Constraint to detach
+     * @private
+     */
+    _detach(constraint) {
+        this._constraints.delete(constraint.constraintName);
+        constraint._onRemoved();
+    }
+
+    /**
+     * Puts back a constraint previously detached, without validating it again
+     * @param {Constraint} constraint - Constraint to attach
+     * @private
+     */
+    _attach(constraint) {
+        this._constraints.set(constraint.constraintName, constraint);
+        constraint._onAdded();
+    }
+
+    /**
+     * Adds or removes the single column unique constraint matching the unique flag of a column
+     * @param {DataColumn} column - Column whose flag changed
+     * @private
+     */
+    _syncColumnUnique(column) {
+        const existing = this._findUnique([column.columnName]);
+
+        if (column.unique && !existing) {
+            try {
+                this.add(new UniqueConstraint(`UQ_${this._table.tableName}_${column.columnName}`, column));
+            } catch (error) {
+                column._unique = false;
+                throw error;
+            }
+        } else if (!column.unique && existing && !existing.isPrimaryKey) {
+            this.remove(existing);
+        }
+    }
+
+    /**
+     * Drops the constraints that depend on a removed column
+     * @param {string} columnName - Name of the removed column
+     * @private
+     */
+    _onColumnRemoved(columnName) {
+        for (const constraint of Array.from(this._constraints.values())) {
+            if (constraint.involves(columnName)) {
+                this.remove(constraint);
+            }
+        }
+    }
+}
+
+module.exports = ConstraintCollection;
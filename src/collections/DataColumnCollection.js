@@ -30,9 +30,18 @@ class DataColumnCollection {
     if (this._table.rows && this._table.rows._rows) {
       this._table.rows._rows.forEach((row) => {
         row._values[column.columnName] = column.defaultValue;
+        if (row._originalValues) {
+          row._originalValues[column.columnName] = column.defaultValue;
+        }
+        if (row._proposedValues) {
+          row._proposedValues[column.columnName] = column.defaultValue;
+        }
       });
     }
 
+    this._table._onColumnAdded(column);
+    this._table._journalColumn(column, true);
+
     return column;
   }
 
@@ -45,12 +54,26 @@ class DataColumnCollection {
       throw new Error(`Column '${columnName}' does not exist`);
     }
 
+    this._table._onColumnRemoving(columnName);
+
+    const column = this._columns.get(columnName);
+    this._table._journalColumn(column, false);
     this._columns.delete(columnName);
 
+    this._table._onColumnRemoved(columnName);
+    column._table = null;
+
     // Removes column values ​​from all rows
     if (this._table.rows && this._table.rows._rows) {
       this._table.rows._rows.forEach((row) => {
         delete row._values[columnName];
+        if (row._originalValues) {
+          delete row._originalValues[columnName];
+        }
+        if (row._proposedValues) {
+          delete row._proposedValues[columnName];
+        }
+        delete row._columnErrors[columnName];
       });
     }
 
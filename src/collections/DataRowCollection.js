@@ -1,9 +1,16 @@
 const DataRow = require('../DataRow');
+const DataRowState = require('../enums/DataRowState');
+const DataRowAction = require('../enums/DataRowAction');
+const DataRowChangeEventArgs = require('../events/DataRowChangeEventArgs');
+const DataTableClearEventArgs = require('../events/DataTableClearEventArgs');
+const NoNullAllowedException = require('../errors/NoNullAllowedException');
+const { convertValue } = require('../utils/typeUtils');
 
 class DataRowCollection {
     constructor(table) {
         this._table = table;
         this._rows = [];
+        this._positions = null;
          // direct access to index column
          const func = (index) => this._rows[index];
         
@@ -26,57 +33,210 @@ class DataRowCollection {
     }
 
     /**
+     * Adds a row, raising rowChanging and rowChanged with the Add action.
+     * Rows created from values also raise tableNewRow before the values are copied.
      * @param {DataRow|Array|Object} row - Row to add: can be a DataRow instance, array of values, or object with column-value pairs
-     * @returns {DataRow} The added row
+     * @returns {DataRow} The added row, left detached if a rowChanging handler cancelled the addition
+     * @throws {Error} If the row already belongs to a table, or a value doesn't match the data type of its column
+     * @throws {ConstraintException} If the row violates a constraint of the table
      */
     add(row) {
-        if (!(row instanceof DataRow)) {
-            const newRow = new DataRow(this._table);
+        if (row instanceof DataRow) {
+            if (row._table !== this._table) {
+                throw new Error('Row belongs to another table');
+            }
+            if (row._attached) {
+                throw new Error('Row already belongs to this table');
+            }
+        } else {
+            // Values are converted to the data types of their columns, missing ones keep their default
+            const newRow = this._table.newRow();
             if (Array.isArray(row)) {
                 Array.from(this._table.columns).forEach((col, index) => {
-                    newRow._values[col.columnName] = row[index];
+                    if (row[index] !== undefined) {
+                        newRow._values[col.columnName] = convertValue(row[index], col.dataType, col.columnName);
+                    }
                 });
             } else if (typeof row === 'object') {
                 Object.entries(row).forEach(([key, value]) => {
-                    if (this._table.columns.contains(key)) {
-                        newRow._values[key] = value;
+                    if (value !== undefined && this._table.columns.contains(key)) {
+                        newRow._values[key] = convertValue(value, this._table.columns._columns.get(key).dataType, key);
                     }
                 });
             }
             row = newRow;
         }
-        
-        this._rows.push(row);
-        return row;
+
+        this._table._beginJournalStep();
+        try {
+            if (!this._table._raise('rowChanging', new DataRowChangeEventArgs(row, DataRowAction.ADD))) {
+                return row;
+            }
+
+            this._table._computeRow(row, null);
+            // Null validation, as DataRow.set() does
+            for (const column of this._table.columns) {
+                if (!column.allowNull && !column._expression && row._values[column.columnName] == null) {
+                    throw new NoNullAllowedException(column.columnName);
+                }
+            }
+            this._table._checkConstraints(row, row._values);
+
+            this._table._journalRow(row);
+            this._rows.push(row);
+            row._attached = true;
+            this._table._onRowAdded(row);
+            this._table.emit('rowChanged', new DataRowChangeEventArgs(row, DataRowAction.ADD));
+            return row;
+        } finally {
+            this._table._endJournalStep();
+        }
     }
 
     /**
+     * Finds a row by its primary key
+     * @param {*|Array} key - Key value, or array of values for a composite key, converted to the types of the key columns
+     * @returns {DataRow|null} The matching row or null if not found
+     * @throws {Error} If the table has no primary key
+     * @throws {Error} If the number of values doesn't match the key columns, or a value doesn't match the type of its column
+     */
+    find(key) {
+        const constraint = this._table.constraints.primaryKey;
+        if (!constraint) {
+            throw new Error(`Table '${this._table.tableName}' doesn't have a primary key`);
+        }
+
+        const keyValues = Array.isArray(key) ? key : [key];
+        const names = constraint.columnNames;
+        if (keyValues.length !== names.length) {
+            throw new Error(`Expecting ${names.length} value(s) for the key, but received ${keyValues.length} value(s)`);
+        }
+
+        // The index holds the converted values, e.g. 1 for '1' read from a driver
+        const searched = constraint.columns.map((column, i) => (keyValues[i] === undefined
+            ? null
+            : convertValue(keyValues[i], column.dataType, column.columnName)));
+        const row = constraint._index.find(searched).find(candidate => candidate._rowState !== DataRowState.DELETED);
+        return row || null;
+    }
+
+    /**
+     * Removes a row from the collection, raising rowDeleting and rowDeleted with the Delete action.
+     * The delete rules of the foreign keys referencing the row apply to its child rows, as with DataRow.delete().
      * @param {DataRow} row - The row instance to remove from the collection
+     * @throws {ConstraintException} If a delete rule is None and the row has child rows
      */
     remove(row) {
         const index = this._rows.indexOf(row);
         if (index !== -1) {
-            this._rows.splice(index, 1);
+            this.removeAt(index);
         }
     }
 
     /**
+     * Removes a row from the collection, raising rowDeleting and rowDeleted with the Delete action.
+     * The delete rules of the foreign keys referencing the row apply to its child rows, as with DataRow.delete().
      * @param {number} index - The index of the row to remove
+     * @throws {ConstraintException} If a delete rule is None and the row has child rows
      */
     removeAt(index) {
         if (index >= 0 && index < this._rows.length) {
-            this._rows.splice(index, 1);
+            const row = this._rows[index];
+            this._table._beginJournalStep();
+            try {
+                if (!this._table._raise('rowDeleting', new DataRowChangeEventArgs(row, DataRowAction.DELETE))) {
+                    return;
+                }
+                // A handler may have removed or moved the row
+                const position = this._rows.indexOf(row);
+                if (position === -1) {
+                    return;
+                }
+                this._table._onRowDeleting(row);
+                this._removeRow(row);
+                this._table.emit('rowDeleted', new DataRowChangeEventArgs(row, DataRowAction.DELETE));
+            } finally {
+                this._table._endJournalStep();
+            }
         }
     }
 
+    /**
+     * Detaches a row without raising events, e.g. a deleted row whose deletion is accepted
+     * @param {DataRow} row - Row of this collection
+     * @private
+     */
+    _removeRow(row) {
+        const position = this._rows.indexOf(row);
+        if (position === -1) {
+            return;
+        }
+        this._table._journalRow(row);
+        this._rows.splice(position, 1);
+        row._attached = false;
+        this._table._onRowRemoved(row);
+    }
+
+    /**
+     * Removes all the rows, raising tableClearing and tableCleared
+     * @throws {ConstraintException} If an enforced foreign key of another table references some of the rows
+     */
     clear() {
-        this._rows = [];
+        for (const constraint of this._table._referencingConstraints) {
+            constraint._checkParentClear();
+        }
+        this._table._beginJournalStep();
+        try {
+            if (!this._table._raise('tableClearing', new DataTableClearEventArgs(this._table))) {
+                return;
+            }
+            for (const row of this._rows) {
+                this._table._journalRow(row);
+                row._attached = false;
+            }
+            this._rows = [];
+            this._table._onRowsCleared();
+            this._table.emit('tableCleared', new DataTableClearEventArgs(this._table));
+        } finally {
+            this._table._endJournalStep();
+        }
     }
 
     get count() {
         return this._rows.length;
     }
 
+    /**
+     * Sorts rows coming from an index in the order they have in the collection
+     * @param {Array<DataRow>} rows - Rows of this collection
+     * @returns {Array<DataRow>} The same rows in collection order
+     * @private
+     */
+    _inTableOrder(rows) {
+        if (rows.length <= 1) {
+            return rows.slice();
+        }
+        return rows
+            .map(row => [this._positionOf(row), row])
+            .sort((a, b) => a[0] - b[0])
+            .map(([, row]) => row);
+    }
+
+    /**
+     * Position of a row in the collection, cached until the order of the rows changes
+     * @param {DataRow} row - Row of this collection
+     * @returns {number} Position of the row, -1 if not found
+     * @private
+     */
+    _positionOf(row) {
+        let position = this._positions ? this._positions.get(row) : undefined;
+        if (position === undefined || this._rows[position] !== row) {
+            this._positions = new Map(this._rows.map((item, index) => [item, index]));
+            position = this._positions.get(row);
+        }
+        return position === undefined ? -1 : position;
+    }
+
     *[Symbol.iterator]() {
         yield* this._rows;
     }
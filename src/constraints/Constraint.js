@@ -0,0 +1,76 @@
+/**
+ * Base class for table constraints
+ */
+class Constraint {
+    /**
+     * @param {string} constraintName - Name of the constraint
+     */
+    constructor(constraintName) {
+        this.constraintName = constraintName;
+        this._table = null;
+    }
+
+    get table() {
+        return this._table;
+    }
+
+    /**
+     * Checks whether the constraint depends on a column
+     * @param {string} columnName - Name of the column
+     * @returns {boolean} True if the column takes part in the constraint
+     */
+    involves(columnName) {
+        return false;
+    }
+
+    /**
+     * Checks a single row against the constraint before a write is applied
+     * @param {DataRow} row - Row being written
+     * @param {Object} values - Proposed values of the row
+     * @throws {ConstraintException} If the write would violate the constraint
+     * @private
+     */
+    _checkRow(row, values) {
+        throw new Error(`Constraint '${this.constraintName}' does not implement _checkRow`);
+    }
+
+    /**
+     * Checks all the rows of the table against the constraint
+     * @param {Array<ConstraintException>} [violations=null] - Array collecting every violation, null to throw the first one
+     * @throws {ConstraintException} If any row violates the constraint and violations are not collected
+     * @private
+     */
+    _validate(violations = null) {
+        throw new Error(`Constraint '${this.constraintName}' does not implement _validate`);
+    }
+
+    /**
+     * Throws a violation found by _validate(), or collects it
+     * @param {ConstraintException} violation - Violation found
+     * @param {Array<ConstraintException>|null} violations - Array collecting the violations, null to throw
+     * @throws {ConstraintException} The violation, if violations are not collected
+     * @private
+     */
+    _report(violation, violations) {
+        if (!violations) {
+            throw violation;
+        }
+        violations.push(violation);
+    }
+
+    /**
+     * Called when the constraint is added to a table
+     * @private
+     */
+    _onAdded() {
+    }
+
+    /**
+     * Called when the constraint is removed from a table
+     * @private
+     */
+    _onRemoved() {
+    }
+}
+
+module.exports = Constraint;
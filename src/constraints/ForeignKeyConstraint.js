@@ -0,0 +1,511 @@
+const Constraint = require('./Constraint');
+const ConstraintException = require('../errors/ConstraintException');
+const NoNullAllowedException = require('../errors/NoNullAllowedException');
+const ReadOnlyException = require('../errors/ReadOnlyException');
+const DataRowState = require('../enums/DataRowState');
+const Rule = require('../enums/Rule');
+const AcceptRejectRule = require('../enums/AcceptRejectRule');
+const DataIndex = require('../indexes/DataIndex');
+const { createKey, hasNullKeyPart } = require('../utils/keyUtils');
+const { convertValue } = require('../utils/typeUtils');
+
+/**
+ * Keeps the child rows of a relation pointing to existing parent rows.
+ * The constraint belongs to the child table and applies its rules when a parent row is re-keyed or deleted.
+ */
+class ForeignKeyConstraint extends Constraint {
+    /**
+     * @param {string} constraintName - Name of the constraint
+     * @param {DataColumn|Array<DataColumn>} parentColumns - Key column or columns of the parent table
+     * @param {DataColumn|Array<DataColumn>} childColumns - Matching column or columns of the child table
+     * @throws {Error} If the column lists are empty, of different length or span several tables
+     */
+    constructor(constraintName, parentColumns, childColumns) {
+        super(constraintName);
+        this._parentColumns = Array.isArray(parentColumns) ? parentColumns.slice() : [parentColumns];
+        this._childColumns = Array.isArray(childColumns) ? childColumns.slice() : [childColumns];
+
+        if (this._parentColumns.length === 0 || this._parentColumns.length !== this._childColumns.length) {
+            throw new Error(`Constraint '${constraintName}' must have as many parent columns as child columns`);
+        }
+
+        this._relatedTable = this._parentColumns[0].table;
+        this._table = this._childColumns[0].table;
+        if (this._parentColumns.some(column => column.table !== this._relatedTable) ||
+            this._childColumns.some(column => column.table !== this._table)) {
+            throw new Error(`Columns of constraint '${constraintName}' must belong to the same parent and child tables`);
+        }
+
+        this._updateRule = Rule.CASCADE;
+        this._deleteRule = Rule.CASCADE;
+        this._acceptRejectRule = AcceptRejectRule.NONE;
+        this._parentIndex = null;
+        this._childIndex = null;
+        this._cascading = false;
+    }
+
+    /**
+     * @returns {Array<DataColumn>} Columns of the child table
+     */
+    get columns() {
+        return this._childColumns.slice();
+    }
+
+    /**
+     * @returns {Array<DataColumn>} Columns of the parent table
+     */
+    get relatedColumns() {
+        return this._parentColumns.slice();
+    }
+
+    /**
+     * @returns {DataTable} The parent table
+     */
+    get relatedTable() {
+        return this._relatedTable;
+    }
+
+    /**
+     * Action applied to the child rows when the key of their parent row changes
+     * @returns {string} One of the Rule values, Cascade by default
+     */
+    get updateRule() {
+        return this._updateRule;
+    }
+
+    /**
+     * @param {string} value - One of the Rule values
+     * @throws {Error} If the value is not a Rule
+     */
+    set updateRule(value) {
+        this._updateRule = ForeignKeyConstraint._checkRule(value, Rule, 'updateRule');
+    }
+
+    /**
+     * Action applied to the child rows when their parent row is deleted
+     * @returns {string} One of the Rule values, Cascade by default
+     */
+    get deleteRule() {
+        return this._deleteRule;
+    }
+
+    /**
+     * @param {string} value - One of the Rule values
+     * @throws {Error} If the value is not a Rule
+     */
+    set deleteRule(value) {
+        this._deleteRule = ForeignKeyConstraint._checkRule(value, Rule, 'deleteRule');
+    }
+
+    /**
+     * Whether acceptChanges() and rejectChanges() on a parent row also apply to its child rows
+     * @returns {string} One of the AcceptRejectRule values, None by default
+     */
+    get acceptRejectRule() {
+        return this._acceptRejectRule;
+    }
+
+    /**
+     * @param {string} value - One of the AcceptRejectRule values
+     * @throws {Error} If the value is not an AcceptRejectRule
+     */
+    set acceptRejectRule(value) {
+        this._acceptRejectRule = ForeignKeyConstraint._checkRule(value, AcceptRejectRule, 'acceptRejectRule');
+    }
+
+    involves(columnName) {
+        return this._childColumns.some(column => column.columnName === columnName);
+    }
+
+    /**
+     * @param {string} columnName - Name of a column of the parent table
+     * @returns {boolean} True if the column is part of the parent key
+     */
+    involvesParent(columnName) {
+        return this._parentColumns.some(column => column.columnName === columnName);
+    }
+
+    /**
+     * Checks that the proposed values of a child row reference an existing parent row
+     * @param {DataRow} row - Child row being written
+     * @param {Object} values - Proposed values of the row
+     * @throws {ConstraintException} If no parent row has the key
+     * @private
+     */
+    _checkRow(row, values) {
+        if (this._cascading || row._rowState === DataRowState.DELETED) {
+            return;
+        }
+
+        const keyValues = this._childColumns.map(column => values[column.columnName]);
+        if (!hasNullKeyPart(keyValues) && this._findParentRows(keyValues).length === 0) {
+            throw this._orphanViolation(keyValues, row);
+        }
+    }
+
+    /**
+     * Checks that every child row references an existing parent row
+     * @param {Array<ConstraintException>} [violations=null] - Array collecting every violation, null to throw the first one
+     * @throws {ConstraintException} If a child row is an orphan and violations are not collected
+     * @private
+     */
+    _validate(violations = null) {
+        const parentIndex = this._parentIndex ||
+            new DataIndex(this._relatedTable, this._parentColumns.map(column => column.columnName));
+        if (!this._parentIndex) {
+            parentIndex._rebuild();
+        }
+
+        for (const row of this._table.rows._rows) {
+            if (row._rowState === DataRowState.DELETED) {
+                continue;
+            }
+            const keyValues = this._childColumns.map(column => row._values[column.columnName]);
+            if (hasNullKeyPart(keyValues)) {
+                continue;
+            }
+            const parentExists = parentIndex.find(keyValues, !this._relatedTable.caseSensitive)
+                .some(parent => parent._rowState !== DataRowState.DELETED);
+            if (!parentExists) {
+                this._report(this._orphanViolation(keyValues, row), violations);
+            }
+        }
+    }
+
+    /**
+     * Indexes the parent and child keys and registers the constraint on the parent table
+     * @private
+     */
+    _onAdded() {
+        this._parentIndex = new DataIndex(this._relatedTable, this._parentColumns.map(column => column.columnName));
+        this._childIndex = new DataIndex(this._table, this._childColumns.map(column => column.columnName));
+        this._relatedTable._addIndex(this._parentIndex);
+        this._table._addIndex(this._childIndex);
+        this._relatedTable._referencingConstraints.add(this);
+    }
+
+    /**
+     * @private
+     */
+    _onRemoved() {
+        this._relatedTable._removeIndex(this._parentIndex);
+        this._table._removeIndex(this._childIndex);
+        this._parentIndex = null;
+        this._childIndex = null;
+        this._relatedTable._referencingConstraints.delete(this);
+    }
+
+    /**
+     * Checks that the update rule can be applied before the key of a parent row changes,
+     * so that a rejected child write leaves the parent row unchanged
+     * @param {DataRow} parentRow - Parent row being written
+     * @param {Object} values - Proposed values of the parent row
+     * @throws {ConstraintException} If the row has child rows and the update rule is None,
+     * SetDefault and the default values don't reference a parent row, or the rule writes child values a constraint rejects
+     * @throws {NoNullAllowedException} If SetNull writes null into a child column not allowing it
+     * @throws {ReadOnlyException} If the rule writes into a read-only child column
+     * @private
+     */
+    _checkParentChange(parentRow, values) {
+        if (!this._table.enforceConstraints) {
+            return;
+        }
+        const oldKey = this._parentKeyOf(parentRow._values);
+        const newKey = this._parentKeyOf(values);
+        const childRows = createKey(oldKey) !== createKey(newKey) ? this._findChildRows(oldKey) : [];
+        if (childRows.length === 0) {
+            return;
+        }
+        if (this._updateRule === Rule.NONE) {
+            throw new ConstraintException(
+                `Cannot change the key of this row because constraint '${this.constraintName}' is enforced and the row has child rows`,
+                this,
+                parentRow
+            );
+        }
+        if (this._updateRule === Rule.SET_DEFAULT) {
+            this._checkDefaultKey(childRows[0]);
+        }
+        this._checkRuleWrites(this._updateRule, childRows, newKey);
+    }
+
+    /**
+     * Checks that the delete rule can be applied before a parent row is deleted, down to the rows deleted in cascade
+     * @param {DataRow} parentRow - Parent row being deleted
+     * @param {Set<DataRow>} visited - Rows already checked, for rows referencing each other
+     * @throws {ConstraintException} If the row or a row deleted in cascade has child rows and the delete rule is None,
+     * or the rule writes child values a constraint rejects
+     * @throws {NoNullAllowedException} If SetNull writes null into a child column not allowing it
+     * @throws {ReadOnlyException} If the rule writes into a read-only child column
+     * @private
+     */
+    _checkParentDelete(parentRow, visited) {
+        if (!this._table.enforceConstraints) {
+            return;
+        }
+        const childRows = this._findChildRows(this._parentKeyOf(parentRow._values));
+        if (childRows.length === 0) {
+            return;
+        }
+        if (this._deleteRule === Rule.NONE) {
+            throw new ConstraintException(
+                `Cannot delete this row because constraint '${this.constraintName}' is enforced and the row has child rows`,
+                this,
+                parentRow
+            );
+        }
+        if (this._deleteRule === Rule.CASCADE) {
+            for (const childRow of childRows) {
+                this._table._checkRowDelete(childRow, visited);
+            }
+            return;
+        }
+        if (this._deleteRule === Rule.SET_DEFAULT) {
+            this._checkDefaultKey(childRows[0]);
+        }
+        this._checkRuleWrites(this._deleteRule, childRows, null);
+    }
+
+    /**
+     * Checks that no child row references the rows of the parent table before they are all removed
+     * @throws {ConstraintException} If the constraint is enforced and a row of another table references a parent row
+     * @private
+     */
+    _checkParentClear() {
+        if (!this._table.enforceConstraints || this._table === this._relatedTable) {
+            return;
+        }
+        for (const parentRow of this._relatedTable.rows._rows) {
+            if (this._findChildRows(this._parentKeyOf(parentRow._values)).length > 0) {
+                throw new ConstraintException(
+                    `Cannot clear table '${this._relatedTable.tableName}' because constraint '${this.constraintName}' is enforced and table '${this._table.tableName}' has child rows`,
+                    this,
+                    parentRow
+                );
+            }
+        }
+    }
+
+    /**
+     * Checks the values a rule would write into child rows as DataRow.set() does, without writing them
+     * @param {string} rule - Cascade, SetNull or SetDefault
+     * @param {Array<DataRow>} childRows - Rows the rule writes
+     * @param {Array|null} newKey - New parent key, used by Cascade
+     * @throws {ReadOnlyException|NoNullAllowedException|ConstraintException|Error} If a child row would reject the values
+     * @private
+     */
+    _checkRuleWrites(rule, childRows, newKey) {
+        for (const column of this._childColumns) {
+            if (column.readOnly) {
+                throw new ReadOnlyException(column.columnName);
+            }
+        }
+        this._cascading = true;
+        try {
+            for (const childRow of childRows) {
+                const values = { ...childRow._values };
+                this._childColumns.forEach((column, position) => {
+                    const value = this._ruleValue(rule, column, position, newKey);
+                    if (value === null && !column.allowNull) {
+                        throw new NoNullAllowedException(column.columnName);
+                    }
+                    values[column.columnName] = convertValue(value, column.dataType, column.columnName);
+                });
+                this._table._checkConstraints(childRow, values);
+            }
+        } finally {
+            this._cascading = false;
+        }
+    }
+
+    /**
+     * @param {string} rule - Cascade, SetNull or SetDefault
+     * @param {DataColumn} column - Child column
+     * @param {number} position - Position of the column in the key
+     * @param {Array|null} newKey - New parent key, used by Cascade
+     * @returns {*} Value the rule writes into the column
+     * @private
+     */
+    _ruleValue(rule, column, position, newKey) {
+        return rule === Rule.CASCADE ? newKey[position]
+            : rule === Rule.SET_NULL ? null
+                : column.defaultValue;
+    }
+
+    /**
+     * Applies the update rule to the child rows of a parent row whose key changed
+     * @param {DataRow} parentRow - Changed parent row
+     * @param {Object} oldValues - Previous values of the changed columns
+     * @private
+     */
+    _onParentChanged(parentRow, oldValues) {
+        if (!this._table.enforceConstraints) {
+            return;
+        }
+        const oldKey = this._parentKeyOf({ ...parentRow._values, ...oldValues });
+        const newKey = this._parentKeyOf(parentRow._values);
+        if (createKey(oldKey) === createKey(newKey)) {
+            return;
+        }
+        this._applyRule(this._updateRule, this._findChildRows(oldKey), newKey);
+    }
+
+    /**
+     * Applies the delete rule to the child rows of a parent row about to be deleted, see _checkParentDelete()
+     * @param {DataRow} parentRow - Parent row being deleted
+     * @throws {ConstraintException} If the row has child rows and the delete rule is None
+     * @private
+     */
+    _onParentDeleting(parentRow) {
+        if (!this._table.enforceConstraints) {
+            return;
+        }
+        const childRows = this._findChildRows(this._parentKeyOf(parentRow._values));
+        if (childRows.length === 0) {
+            return;
+        }
+        if (this._deleteRule === Rule.NONE) {
+            throw new ConstraintException(
+                `Cannot delete this row because constraint '${this.constraintName}' is enforced and the row has child rows`,
+                this,
+                parentRow
+            );
+        }
+        if (this._deleteRule === Rule.CASCADE) {
+            for (const childRow of childRows) {
+                childRow.delete();
+            }
+            return;
+        }
+        if (this._deleteRule === Rule.SET_DEFAULT) {
+            this._checkDefaultKey(childRows[0]);
+        }
+        this._applyRule(this._deleteRule, childRows, null);
+    }
+
+    /**
+     * Accepts or rejects the changes of the child rows of a parent row when the accept/reject rule is Cascade
+     * @param {DataRow} parentRow - Parent row whose changes are accepted or rejected
+     * @param {string} action - 'accept' or 'reject'
+     * @private
+     */
+    _onParentAcceptReject(parentRow, action) {
+        if (this._acceptRejectRule !== AcceptRejectRule.CASCADE) {
+            return;
+        }
+        const childRows = this._findChildRows(this._parentKeyOf(parentRow._values), true);
+        for (const childRow of childRows) {
+            if (action === 'accept') {
+                if (childRow.hasChanges()) {
+                    childRow.acceptChanges();
+                }
+            } else if (childRow.hasChanges() && childRow._rowState !== DataRowState.ADDED) {
+                childRow.rejectChanges();
+            }
+        }
+    }
+
+    /**
+     * Writes the key of child rows according to a rule, without checking the intermediate values
+     * @param {string} rule - Update or delete rule
+     * @param {Array<DataRow>} childRows - Rows to update
+     * @param {Array|null} newKey - New parent key, used by Cascade
+     * @private
+     */
+    _applyRule(rule, childRows, newKey) {
+        if (rule === Rule.NONE || childRows.length === 0) {
+            return;
+        }
+
+        this._cascading = true;
+        try {
+            for (const childRow of childRows) {
+                this._childColumns.forEach((column, position) => {
+                    childRow.set(column.columnName, this._ruleValue(rule, column, position, newKey));
+                });
+            }
+        } finally {
+            this._cascading = false;
+        }
+    }
+
+    /**
+     * Checks that the default values of the child columns reference an existing parent row
+     * @param {DataRow} childRow - Child row that would receive the default values
+     * @throws {ConstraintException} If no parent row has the default key
+     * @private
+     */
+    _checkDefaultKey(childRow) {
+        const defaults = {};
+        for (const column of this._childColumns) {
+            defaults[column.columnName] = column.defaultValue;
+        }
+        this._checkRow(childRow, defaults);
+    }
+
+    /**
+     * @param {Array} keyValues - Parent key values
+     * @returns {Array<DataRow>} Parent rows with the key, DELETED rows excluded
+     * @private
+     */
+    _findParentRows(keyValues) {
+        return this._parentIndex.find(keyValues, !this._relatedTable.caseSensitive)
+            .filter(row => row._rowState !== DataRowState.DELETED);
+    }
+
+    /**
+     * @param {Array} keyValues - Parent key values
+     * @param {boolean} [includeDeleted=false] - Whether DELETED child rows are included
+     * @returns {Array<DataRow>} Child rows referencing the key, in table order
+     * @private
+     */
+    _findChildRows(keyValues, includeDeleted = false) {
+        if (hasNullKeyPart(keyValues)) {
+            return [];
+        }
+        const rows = this._childIndex.find(keyValues, !this._relatedTable.caseSensitive)
+            .filter(row => includeDeleted || row._rowState !== DataRowState.DELETED);
+        return this._table.rows._inTableOrder(rows);
+    }
+
+    /**
+     * @param {Object} values - Values of a parent row
+     * @returns {Array} Key values of the parent row
+     * @private
+     */
+    _parentKeyOf(values) {
+        return this._parentColumns.map(column => values[column.columnName]);
+    }
+
+    /**
+     * @param {Array} keyValues - Key values without parent row
+     * @param {DataRow} row - Orphan child row
+     * @returns {ConstraintException} Exception describing the violation
+     * @private
+     */
+    _orphanViolation(keyValues, row) {
+        return new ConstraintException(
+            `ForeignKeyConstraint '${this.constraintName}' requires the child key values (${keyValues.join(', ')}) to exist in the parent table '${this._relatedTable.tableName}'`,
+            this,
+            row
+        );
+    }
+
+    /**
+     * @param {string} value - Rule to check
+     * @param {Object} rules - Enum of the allowed values
+     * @param {string} property - Name of the rule property
+     * @returns {string} The rule
+     * @throws {Error} If the value is not allowed
+     * @private
+     */
+    static _checkRule(value, rules, property) {
+        const allowed = Object.values(rules);
+        if (!allowed.includes(value)) {
+            throw new Error(`Invalid ${property} '${value}', expected one of ${allowed.join(', ')}`);
+        }
+        return value;
+    }
+}
+
+module.exports = ForeignKeyConstraint;
@@ -0,0 +1,193 @@
+const Constraint = require('./Constraint');
+const ConstraintException = require('../errors/ConstraintException');
+const NoNullAllowedException = require('../errors/NoNullAllowedException');
+const DataRowState = require('../enums/DataRowState');
+const DataIndex = require('../indexes/DataIndex');
+const { createKey, hasNullKeyPart } = require('../utils/keyUtils');
+
+class UniqueConstraint extends Constraint {
+    /**
+     * @param {string} constraintName - Name of the constraint
+     * @param {DataColumn|Array<DataColumn>} columns - Column or columns that must be unique together
+     * @param {boolean} [isPrimaryKey=false] - Whether the constraint is the primary key of the table
+     * @throws {Error} If no column is given or the columns belong to different tables
+     */
+    constructor(constraintName, columns, isPrimaryKey = false) {
+        super(constraintName);
+        this._columns = Array.isArray(columns) ? columns.slice() : [columns];
+        this.isPrimaryKey = isPrimaryKey;
+
+        if (this._columns.length === 0) {
+            throw new Error(`Constraint '${constraintName}' must have at least one column`);
+        }
+
+        const table = this._columns[0].table;
+        if (this._columns.some(column => column.table !== table)) {
+            throw new Error(`Columns of constraint '${constraintName}' must belong to the same table`);
+        }
+        this._table = table;
+        this._index = null;
+    }
+
+    /**
+     * @returns {Array<DataColumn>} Columns of the constraint
+     */
+    get columns() {
+        return this._columns.slice();
+    }
+
+    /**
+     * @returns {Array<string>} Names of the columns of the constraint
+     */
+    get columnNames() {
+        return this._columns.map(column => column.columnName);
+    }
+
+    /**
+     * @param {string} columnName - Name of the column
+     * @returns {boolean} True if the column takes part in the constraint
+     */
+    involves(columnName) {
+        return this._columns.some(column => column.columnName === columnName);
+    }
+
+    /**
+     * Checks that the proposed values don't duplicate the key of another row
+     * @param {DataRow} row - Row being written
+     * @param {Object} values - Proposed values of the row
+     * @throws {NoNullAllowedException} If a primary key column would be null
+     * @throws {ConstraintException} If another row already has the same key
+     * @private
+     */
+    _checkRow(row, values) {
+        const keyValues = this.columnNames.map(name => values[name]);
+
+        if (hasNullKeyPart(keyValues)) {
+            if (this.isPrimaryKey) {
+                const column = this._columns[keyValues.findIndex(value => value === null || value === undefined)];
+                throw new NoNullAllowedException(column.columnName);
+            }
+            return;
+        }
+
+        const duplicate = this._index.find(keyValues).some(other =>
+            other !== row && other._rowState !== DataRowState.DELETED
+        );
+        if (duplicate) {
+            throw this._violation(keyValues, row);
+        }
+    }
+
+    /**
+     * Checks that no two rows of the table share the same key
+     * @param {Array<ConstraintException>} [violations=null] - Array collecting every violation, null to throw the first one
+     * @throws {ConstraintException} If the table contains duplicate or null keys and violations are not collected
+     * @private
+     */
+    _validate(violations = null) {
+        const names = this.columnNames;
+        const seen = new Set();
+
+        for (const row of this._table.rows._rows) {
+            if (row._rowState === DataRowState.DELETED) {
+                continue;
+            }
+
+            const keyValues = names.map(name => row._values[name]);
+            if (hasNullKeyPart(keyValues)) {
+                if (this.isPrimaryKey) {
+                    this._report(new ConstraintException(
+                        `Primary key '${this.constraintName}' does not allow null values`,
+                        this,
+                        row
+                    ), violations);
+                }
+                continue;
+            }
+
+            const key = createKey(keyValues);
+            if (seen.has(key)) {
+                this._report(this._violation(keyValues, row), violations);
+            }
+            seen.add(key);
+        }
+    }
+
+    /**
+     * Checks that rows would not share a key with the values they are about to get, before any of them is written
+     * @param {Array<{row: DataRow, values: Object}>} entries - Rows of the table that won't be DELETED, with their values
+     * @throws {ConstraintException} If two of the rows would share a key
+     * @private
+     */
+    _checkKeys(entries) {
+        const names = this.columnNames;
+        const seen = new Set();
+        for (const { row, values } of entries) {
+            const keyValues = names.map(name => values[name]);
+            if (hasNullKeyPart(keyValues)) {
+                continue;
+            }
+            const key = createKey(keyValues);
+            if (seen.has(key)) {
+                throw this._violation(keyValues, row);
+            }
+            seen.add(key);
+        }
+    }
+
+    /**
+     * Registers the index backing the constraint and keeps the column flags in sync
+     * @private
+     */
+    _onAdded() {
+        this._index = new DataIndex(this._table, this.columnNames, { name: this.constraintName, unique: true });
+        this._table._addIndex(this._index);
+
+        if (this.isPrimaryKey) {
+            for (const column of this._columns) {
+                column._isPrimaryKey = true;
+                column.allowNull = false;
+            }
+            if (this._columns.length === 1) {
+                this._columns[0]._unique = true;
+            }
+        } else if (this._columns.length === 1) {
+            this._columns[0]._unique = true;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _onRemoved() {
+        this._table._removeIndex(this._index);
+        this._index = null;
+
+        if (this.isPrimaryKey) {
+            for (const column of this._columns) {
+                column._isPrimaryKey = false;
+            }
+            if (this._columns.length === 1) {
+                this._columns[0]._unique = false;
+            }
+        } else if (this._columns.length === 1) {
+            this._columns[0]._unique = false;
+        }
+    }
+
+    /**
+     * @param {Array} keyValues - Duplicated key values
+     * @param {DataRow} row - Row causing the violation
+     * @returns {ConstraintException} Exception describing the violation
+     * @private
+     */
+    _violation(keyValues, row) {
+        const names = this.columnNames;
+        const message = names.length === 1
+            ? `Column '${names[0]}' is constrained to be unique. Value '${keyValues[0]}' is already present`
+            : `Columns '${names.join(', ')}' are constrained to be unique. Value '${keyValues.join(', ')}' is already present`;
+        return new ConstraintException(message, this, row);
+    }
+}
+
+module.exports = UniqueConstraint;
@@ -0,0 +1,237 @@
+const { normalizeNumber, parseNumber, parseDate, localeDateFormat } = require('../utils/localeUtils');
+const { getType } = require('../types/TypeRegistry');
+
+// Codes such as zip codes or article numbers, whose zeros a number would lose
+const LEADING_ZERO = /^[+-]?0\d/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Adds the records read by CsvReader to a table. The header names the columns, the missing ones are created
+ * with the types given in the options or inferred from the first records. Each field is parsed by the data type
+ * of its column, see DataType.parse(), locale-aware for numbers and dates, then stored with DataRow.set().
+ */
+class CsvLoader {
+    /**
+     * @param {DataTable} table - Table receiving the rows
+     * @param {Object} [options={}] - Loading options, see DataTable.fromCsv()
+     */
+    constructor(table, options = {}) {
+        this._table = table;
+        this._header = options.header !== false;
+        this._names = options.columns || null;
+        this._types = options.types || {};
+        this._inferTypes = options.inferTypes !== false;
+        this._sampleSize = options.sampleSize || 100;
+        // A stream hands over its rows every batchSize rows, which the sample must not hold back
+        if (options.onBatch) {
+            this._sampleSize = Math.min(this._sampleSize, options.batchSize || 10000);
+        }
+        this._locale = options.locale || null;
+        this._dateFormat = options.dateFormat || (this._locale ? localeDateFormat(this._locale) : null);
+        this._errors = options.errors || null;
+        this._flagErrors = Boolean(options.flagErrors);
+        this._headerRead = false;
+        // Records waiting for the columns to be created
+        this._pending = [];
+        this._columns = null;
+    }
+
+    /**
+     * @param {{line: number, values: Array<string|null>}} record - Next record of the text
+     * @throws {Error} If the record can't be stored and errors are not collected
+     */
+    add(record) {
+        if (this._header && !this._headerRead) {
+            this._headerRead = true;
+            if (!this._names) {
+                this._names = record.values.map((name, index) => name || `Column${index + 1}`);
+            }
+            return;
+        }
+        if (this._columns) {
+            this._addRow(record);
+            return;
+        }
+        this._pending.push(record);
+        if (this._pending.length >= this._sampleSize) {
+            this._flush();
+        }
+    }
+
+    /**
+     * Stores the records still waiting for the columns
+     * @throws {Error} If a record can't be stored and errors are not collected
+     */
+    finish() {
+        if (this._names || this._pending.length > 0) {
+            this._flush();
+        }
+    }
+
+    /**
+     * @private
+     */
+    _flush() {
+        if (!this._columns) {
+            this._createColumns();
+        }
+        const pending = this._pending;
+        this._pending = [];
+        for (const record of pending) {
+            this._addRow(record);
+        }
+    }
+
+    /**
+     * Finds or creates the column of each field
+     * @private
+     */
+    _createColumns() {
+        if (!this._names) {
+            this._names = this._pending[0].values.map((value, index) => `Column${index + 1}`);
+        }
+        this._columns = this._names.map((name, index) => {
+            if (this._table.columns.contains(name)) {
+                return this._table.columns._columns.get(name);
+            }
+            const dataType = this._types[name] || (this._inferTypes ? this._inferType(index) : 'string');
+            return this._table.addColumn(name, dataType);
+        });
+    }
+
+    /**
+     * Infers the type of a field from the sampled records
+     * @param {number} index - Position of the field
+     * @returns {string} 'date', 'number' or 'boolean' if all the values read as such, 'string' otherwise,
+     * also for numbers with leading zeros
+     * @private
+     */
+    _inferType(index) {
+        const values = this._pending.map(record => record.values[index])
+            .filter(value => value !== null && value !== undefined && value.trim() !== '');
+        if (values.length === 0) {
+            return 'string';
+        }
+        // Dates come first: without grouping separators, "22.11.2024" would read as a number in 'de-DE'
+        if (values.every(value => this._parseDate(value) !== null)) {
+            return 'date';
+        }
+        if (values.every(value => !LEADING_ZERO.test(value.trim()) && !isNaN(parseNumber(value, this._locale)))) {
+            return 'number';
+        }
+        if (values.every(value => /^(true|false)$/i.test(value.trim()))) {
+            return 'boolean';
+        }
+        return 'string';
+    }
+
+    /**
+     * @param {string} text - Text of a date
+     * @returns {Date|null} The date read with the date format, or in ISO 8601 without format, null if it isn't a date
+     * @private
+     */
+    _parseDate(text) {
+        if (this._dateFormat) {
+            return parseDate(text, this._dateFormat, !/H/.test(this._dateFormat));
+        }
+        return ISO_DATE.test(text.trim()) ? new Date(text.trim()) : null;
+    }
+
+    /**
+     * Parses the text of a field according to the type of its column
+     * @param {string|null} text - Text of the field
+     * @param {DataColumn} column - Column of the field
+     * @returns {*} The value to set
+     * @throws {Error} If the text can't be read as the type of the column
+     * @private
+     */
+    _parseField(text, column) {
+        const type = getType(column.dataType);
+        if (text === null || (text.trim() === '' && type.name !== 'string' && type.name !== null)) {
+            return null;
+        }
+        const invalid = () => new Error(`Value '${text}' cannot be converted to ${type.name} for column '${column.columnName}'`);
+
+        switch (type.name) {
+            case 'number':
+            case 'integer': {
+                const value = parseNumber(text, this._locale);
+                if (isNaN(value)) {
+                    throw invalid();
+                }
+                return value;
+            }
+            case 'decimal':
+                return normalizeNumber(text, this._locale);
+            case 'date': {
+                const value = this._parseDate(text);
+                // Without a format, DataRow.set() tries the other formats of Date.parse()
+                if (value === null && this._dateFormat) {
+                    throw invalid();
+                }
+                return value || text;
+            }
+            case null:
+                return text;
+            default:
+                try {
+                    return type.parse(text);
+                } catch (error) {
+                    throw invalid();
+                }
+        }
+    }
+
+    /**
+     * Stores a field in its row. With flagErrors, a field that can't be read keeps the default value
+     * of its column and its error is recorded on the row.
+     * @param {DataRow} row - Row of the record
+     * @param {DataColumn} column - Column of the field
+     * @param {string|null} text - Text of the field
+     * @throws {Error} If the field can't be read and errors are not flagged
+     * @private
+     */
+    _setField(row, column, text) {
+        try {
+            row.set(column.columnName, this._parseField(text, column));
+        } catch (error) {
+            if (!this._flagErrors) {
+                throw error;
+            }
+            row.setColumnError(column, error.message);
+        }
+    }
+
+    /**
+     * Adds the row of a record, or collects its error
+     * @param {{line: number, values: Array<string|null>}} record - Record to store
+     * @throws {Error} If the record can't be stored and errors are not collected
+     * @private
+     */
+    _addRow(record) {
+        try {
+            if (record.values.length > this._columns.length) {
+                throw new Error(`Line ${record.line} has ${record.values.length} fields, expected ${this._columns.length}`);
+            }
+            const row = this._table.newRow();
+            record.values.forEach((text, index) => {
+                const column = this._columns[index];
+                // Computed columns are evaluated, not read
+                if (!column._expression) {
+                    this._setField(row, column, text);
+                }
+            });
+            if (row.hasErrors) {
+                row.rowError = `Line ${record.line} has fields that can't be read`;
+            }
+            this._table.rows.add(row);
+        } catch (error) {
+            if (!this._errors) {
+                throw error;
+            }
+            this._errors.push({ line: record.line, values: record.values, error });
+        }
+    }
+}
+
+module.exports = CsvLoader;
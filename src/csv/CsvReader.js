@@ -0,0 +1,167 @@
+/**
+ * Incremental RFC 4180 parser: text can be pushed in chunks of any size, records are returned as soon as they end.
+ * Fields may be quoted to contain delimiters, line breaks and doubled quotes. Lines may end with CRLF, LF or CR.
+ *
+ * Records are { line, values }: line is the line where the record starts, values are strings,
+ * except empty unquoted fields which are null. Blank lines are skipped.
+ */
+class CsvReader {
+    /**
+     * @param {Object} [options={}] - Parsing options
+     * @param {string} [options.delimiter=','] - Field delimiter, a single character
+     * @param {string} [options.quote='"'] - Quote character
+     * @throws {Error} If the delimiter or the quote is not a single character
+     */
+    constructor(options = {}) {
+        this.delimiter = options.delimiter || ',';
+        this.quote = options.quote || '"';
+        if (this.delimiter.length !== 1 || this.quote.length !== 1) {
+            throw new Error('The CSV delimiter and quote must be single characters');
+        }
+
+        this._field = '';
+        this._values = [];
+        // Whether the current field started with a quote, and whether the parser is still inside it
+        this._quoted = false;
+        this._inQuotes = false;
+        // A quote inside a quoted field either closes it or escapes the next quote
+        this._quotePending = false;
+        this._afterCR = false;
+        this._line = 1;
+        this._recordLine = 1;
+    }
+
+    /**
+     * Parses the next chunk of text
+     * @param {string} text - Chunk of text
+     * @returns {Array<{line: number, values: Array<string|null>}>} Records ended in the chunk
+     * @throws {Error} If a quoted field is followed by other characters
+     */
+    push(text) {
+        const records = [];
+        for (const char of text) {
+            const afterCR = this._afterCR;
+            this._afterCR = false;
+
+            if (this._inQuotes) {
+                if (this._quotePending) {
+                    this._quotePending = false;
+                    if (char === this.quote) {
+                        this._field += char;
+                        continue;
+                    }
+                    this._inQuotes = false;
+                } else {
+                    if (char === this.quote) {
+                        this._quotePending = true;
+                    } else {
+                        if (char === '\n') {
+                            this._line++;
+                        }
+                        this._field += char;
+                    }
+                    continue;
+                }
+            }
+
+            if (char === this.delimiter) {
+                this._endField();
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\n' && afterCR) {
+                    continue;
+                }
+                this._afterCR = char === '\r';
+                this._endRecord(records);
+                this._line++;
+                this._recordLine = this._line;
+            } else if (this._quoted) {
+                throw new Error(`Unexpected character '${char}' after a closing quote on line ${this._line}`);
+            } else if (char === this.quote && this._field === '') {
+                this._quoted = true;
+                this._inQuotes = true;
+            } else {
+                this._field += char;
+            }
+        }
+        return records;
+    }
+
+    /**
+     * Ends the text, returning the last record if it doesn't end with a line break
+     * @returns {Array<{line: number, values: Array<string|null>}>} The last record, if any
+     * @throws {Error} If a quoted field is not closed
+     */
+    end() {
+        if (this._inQuotes && !this._quotePending) {
+            throw new Error(`Unterminated quoted field on line ${this._recordLine}`);
+        }
+        this._inQuotes = false;
+        this._quotePending = false;
+        const records = [];
+        this._endRecord(records);
+        return records;
+    }
+
+    /**
+     * @private
+     */
+    _endField() {
+        this._values.push(this._quoted || this._field !== '' ? this._field : null);
+        this._field = '';
+        this._quoted = false;
+    }
+
+    /**
+     * @param {Array<Object>} records - Records ended so far
+     * @private
+     */
+    _endRecord(records) {
+        this._endField();
+        const values = this._values;
+        this._values = [];
+        if (values.length > 1 || values[0] !== null) {
+            records.push({ line: this._recordLine, values });
+        }
+    }
+
+    /**
+     * Parses a whole text or buffer
+     * @param {string|Uint8Array} input - CSV text, or bytes decoded with the encoding
+     * @param {Object} [options={}] - Parsing options of the constructor, plus the encoding of bytes ('utf-8' by default)
+     * @returns {Array<{line: number, values: Array<string|null>}>} The records
+     * @throws {Error} If the text is not valid CSV
+     */
+    static parse(input, options = {}) {
+        const text = typeof input === 'string'
+            ? input.replace(/^\uFEFF/, '')
+            : new TextDecoder(options.encoding || 'utf-8').decode(input);
+        const reader = new CsvReader(options);
+        return reader.push(text).concat(reader.end());
+    }
+
+    /**
+     * Parses a stream chunk by chunk, e.g. fs.createReadStream(), so that the whole text is never in memory
+     * @param {AsyncIterable<string|Uint8Array>} source - Readable stream or any async iterable of text or bytes
+     * @param {Object} [options={}] - Parsing options of the constructor, plus the encoding of bytes ('utf-8' by default)
+     * @returns {AsyncGenerator<{line: number, values: Array<string|null>}>} The records
+     * @throws {Error} If the text is not valid CSV
+     */
+    static async *records(source, options = {}) {
+        // The decoder keeps the bytes of characters split across chunks, and drops the byte order mark
+        const decoder = new TextDecoder(options.encoding || 'utf-8');
+        const reader = new CsvReader(options);
+        let first = true;
+        for await (const chunk of source) {
+            let text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+            if (first && typeof chunk === 'string') {
+                text = text.replace(/^\uFEFF/, '');
+            }
+            first = false;
+            yield* reader.push(text);
+        }
+        yield* reader.push(decoder.decode());
+        yield* reader.end();
+    }
+}
+
+module.exports = CsvReader;
@@ -0,0 +1,107 @@
+const DataRowState = require('../enums/DataRowState');
+const { formatNumber, formatDate } = require('../utils/localeUtils');
+const { getType } = require('../types/TypeRegistry');
+
+/**
+ * Writes the rows of a table as RFC 4180 CSV. Fields containing the delimiter, quotes or line breaks are quoted,
+ * quotes are doubled. Nulls are written as empty fields and empty strings as "", so that reading the text back
+ * tells them apart.
+ */
+class CsvWriter {
+    /**
+     * @param {Object} [options={}] - Writing options
+     * @param {string} [options.delimiter=','] - Field delimiter
+     * @param {string} [options.quote='"'] - Quote character
+     * @param {string} [options.newline='\r\n'] - Line break ending the records
+     * @param {boolean} [options.header=true] - Whether the first record holds the column names
+     * @param {Array<string>} [options.columns] - Columns to write, in order, all the columns by default
+     * @param {boolean} [options.quoteAll=false] - Whether to quote every field
+     * @param {string} [options.locale] - Locale of the decimal separator of numbers
+     * @param {string} [options.dateFormat] - Format of dates, see parseDate(). ISO 8601 by default
+     */
+    constructor(options = {}) {
+        this.delimiter = options.delimiter || ',';
+        this.quote = options.quote || '"';
+        this.newline = options.newline || '\r\n';
+        this.header = options.header !== false;
+        this.columns = options.columns || null;
+        this.quoteAll = options.quoteAll || false;
+        this.locale = options.locale || null;
+        this.dateFormat = options.dateFormat || null;
+    }
+
+    /**
+     * Lines of a table: the header, then one line per row. Deleted rows are skipped.
+     * @param {DataTable} table - Table to write
+     * @returns {Generator<string>} Lines ending with the newline
+     * @throws {Error} If a column to write doesn't exist
+     */
+    *lines(table) {
+        const columns = (this.columns || Array.from(table.columns, column => column.columnName)).map(name => {
+            if (!table.columns.contains(name)) {
+                throw new Error(`Column '${name}' does not exist in table '${table.tableName}'`);
+            }
+            return table.columns._columns.get(name);
+        });
+
+        if (this.header) {
+            yield this.formatRecord(columns.map(column => column.columnName));
+        }
+        for (const row of table.rows) {
+            if (row._rowState !== DataRowState.DELETED) {
+                yield this.formatRecord(columns.map(column => this.formatValue(row._values[column.columnName], column.dataType)));
+            }
+        }
+    }
+
+    /**
+     * @param {Array<string|null>} fields - Texts of the fields, null for empty unquoted fields
+     * @returns {string} The record, ending with the newline
+     */
+    formatRecord(fields) {
+        return fields.map(field => this._quoteField(field)).join(this.delimiter) + this.newline;
+    }
+
+    /**
+     * Text of a value: dates in the date format, numbers, integers and decimals with the decimal separator of the locale,
+     * other values as the format() of their data type writes them, e.g. dates in ISO 8601,
+     * binary values in base64 and objects in JSON
+     * @param {*} value - Value of a column
+     * @param {string|null} [dataType=null] - Data type of the column
+     * @returns {string|null} Text of the value, null for null values
+     */
+    formatValue(value, dataType = null) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        const type = getType(dataType);
+        if (value instanceof Date && this.dateFormat) {
+            return formatDate(value, this.dateFormat);
+        }
+        // Custom types format their numbers themselves
+        const numeric = type.name === null || type.name === 'number' || type.name === 'integer';
+        if ((typeof value === 'number' && numeric) || type.name === 'decimal') {
+            return formatNumber(value, this.locale);
+        }
+        return type.format(value);
+    }
+
+    /**
+     * @param {string|null} field - Text of the field
+     * @returns {string} The field, quoted when needed
+     * @private
+     */
+    _quoteField(field) {
+        if (field === null) {
+            return '';
+        }
+        const special = field === '' || field.includes(this.delimiter) || field.includes(this.quote) ||
+            field.includes('\n') || field.includes('\r');
+        if (!special && !this.quoteAll) {
+            return field;
+        }
+        return this.quote + field.split(this.quote).join(this.quote + this.quote) + this.quote;
+    }
+}
+
+module.exports = CsvWriter;
@@ -0,0 +1,9 @@
+/**
+ * Whether acceptChanges() and rejectChanges() on a parent row also apply to its child rows
+ */
+const AcceptRejectRule = {
+    CASCADE: 'Cascade',
+    NONE: 'None'
+};
+
+module.exports = AcceptRejectRule;
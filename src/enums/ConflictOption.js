@@ -0,0 +1,13 @@
+/**
+ * How UPDATE and DELETE statements detect rows changed in the database since they were read
+ */
+const ConflictOption = {
+    // Rows are found by primary key only, the last write wins
+    OVERWRITE_CHANGES: 'OverwriteChanges',
+    // Every column must still hold its original value
+    COMPARE_ALL_VALUES: 'CompareAllValues',
+    // The changed columns must still hold their original value
+    COMPARE_CHANGED_VALUES: 'CompareChangedValues'
+};
+
+module.exports = ConflictOption;
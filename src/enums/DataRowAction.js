@@ -0,0 +1,12 @@
+/**
+ * Action reported by the row change events of a DataTable
+ */
+const DataRowAction = {
+    ADD: 'Add',
+    CHANGE: 'Change',
+    DELETE: 'Delete',
+    COMMIT: 'Commit',
+    ROLLBACK: 'Rollback'
+};
+
+module.exports = DataRowAction;
@@ -14,4 +14,8 @@ DataRowState.isUnchanged = function(state) {
     return state === this.UNCHANGED;
 };
 
+DataRowState.isValid = function(state) {
+    return state === this.ADDED || state === this.MODIFIED || state === this.DELETED || state === this.UNCHANGED;
+};
+
 module.exports = DataRowState;
\ No newline at end of file
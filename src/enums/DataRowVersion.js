@@ -0,0 +1,15 @@
+/**
+ * Version of the values of a row read by DataRow.get()
+ */
+const DataRowVersion = {
+    // Values as last accepted, missing for rows added since
+    ORIGINAL: 'Original',
+    // Values as currently stored, missing for deleted rows
+    CURRENT: 'Current',
+    // Values set during an edit session, missing outside of beginEdit()/endEdit()
+    PROPOSED: 'Proposed',
+    // Proposed values while editing, current values otherwise
+    DEFAULT: 'Default'
+};
+
+module.exports = DataRowVersion;
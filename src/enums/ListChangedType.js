@@ -0,0 +1,13 @@
+/**
+ * Kind of change reported by the listChanged event of a DataView
+ */
+const ListChangedType = {
+    // The whole list changed, positions are meaningless
+    RESET: 'Reset',
+    ITEM_ADDED: 'ItemAdded',
+    ITEM_DELETED: 'ItemDeleted',
+    ITEM_MOVED: 'ItemMoved',
+    ITEM_CHANGED: 'ItemChanged'
+};
+
+module.exports = ListChangedType;
@@ -0,0 +1,15 @@
+/**
+ * What merge() does with the tables and columns of the merged data missing from the target
+ */
+const MissingSchemaAction = {
+    // Adds the missing tables and columns
+    ADD: 'Add',
+    // Adds them, with the primary key of the merged tables
+    ADD_WITH_KEY: 'AddWithKey',
+    // Leaves their values out
+    IGNORE: 'Ignore',
+    // Throws an error
+    ERROR: 'Error'
+};
+
+module.exports = MissingSchemaAction;
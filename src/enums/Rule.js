@@ -0,0 +1,11 @@
+/**
+ * Action applied to the child rows when the key of their parent row is updated or deleted
+ */
+const Rule = {
+    CASCADE: 'Cascade',
+    SET_NULL: 'SetNull',
+    SET_DEFAULT: 'SetDefault',
+    NONE: 'None'
+};
+
+module.exports = Rule;
@@ -0,0 +1,19 @@
+const DataException = require('./DataException');
+
+/**
+ * Thrown when a write would violate a constraint of the table
+ */
+class ConstraintException extends DataException {
+    /**
+     * @param {string} message - Error message
+     * @param {Constraint} [constraint=null] - The violated constraint
+     * @param {DataRow} [row=null] - The row that caused the violation
+     */
+    constructor(message, constraint = null, row = null) {
+        super(message);
+        this.constraint = constraint;
+        this.row = row;
+    }
+}
+
+module.exports = ConstraintException;
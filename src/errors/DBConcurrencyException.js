@@ -0,0 +1,18 @@
+const DataException = require('./DataException');
+
+/**
+ * Thrown when an update or delete saving a row affects no record of the database,
+ * because the record was changed or deleted since it was read
+ */
+class DBConcurrencyException extends DataException {
+    /**
+     * @param {DataRow} row - Row that couldn't be saved
+     * @param {string} commandName - Name of the command, e.g. 'UpdateCommand'
+     */
+    constructor(row, commandName) {
+        super(`Concurrency violation: the ${commandName} affected 0 of the expected 1 records`);
+        this.row = row;
+    }
+}
+
+module.exports = DBConcurrencyException;
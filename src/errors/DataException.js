@@ -0,0 +1,14 @@
+/**
+ * Base class for all errors raised by tbl-js data operations
+ */
+class DataException extends Error {
+    /**
+     * @param {string} message - Error message
+     */
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+module.exports = DataException;
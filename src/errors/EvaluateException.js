@@ -0,0 +1,9 @@
+const InvalidExpressionException = require('./InvalidExpressionException');
+
+/**
+ * Thrown when a parsed expression can't be evaluated
+ */
+class EvaluateException extends InvalidExpressionException {
+}
+
+module.exports = EvaluateException;
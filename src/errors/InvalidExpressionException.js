@@ -0,0 +1,9 @@
+const DataException = require('./DataException');
+
+/**
+ * Base class for errors raised while parsing or evaluating an expression
+ */
+class InvalidExpressionException extends DataException {
+}
+
+module.exports = InvalidExpressionException;
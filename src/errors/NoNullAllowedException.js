@@ -0,0 +1,16 @@
+const DataException = require('./DataException');
+
+/**
+ * Thrown when trying to store null in a column that does not allow it
+ */
+class NoNullAllowedException extends DataException {
+    /**
+     * @param {string} columnName - Name of the non-nullable column
+     */
+    constructor(columnName) {
+        super(`Column '${columnName}' does not allow null values`);
+        this.columnName = columnName;
+    }
+}
+
+module.exports = NoNullAllowedException;
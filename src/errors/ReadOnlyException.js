@@ -0,0 +1,16 @@
+const DataException = require('./DataException');
+
+/**
+ * Thrown when trying to change the value of a read-only column
+ */
+class ReadOnlyException extends DataException {
+    /**
+     * @param {string} columnName - Name of the read-only column
+     */
+    constructor(columnName) {
+        super(`Column '${columnName}' is read only`);
+        this.columnName = columnName;
+    }
+}
+
+module.exports = ReadOnlyException;
@@ -0,0 +1,19 @@
+const InvalidExpressionException = require('./InvalidExpressionException');
+
+/**
+ * Thrown when the text of an expression can't be parsed
+ */
+class SyntaxErrorException extends InvalidExpressionException {
+    /**
+     * @param {string} message - Description of the problem
+     * @param {string} expression - Text of the expression
+     * @param {number} position - Zero-based offset of the problem in the expression
+     */
+    constructor(message, expression, position) {
+        super(`Syntax error in expression '${expression}' at position ${position}: ${message}`);
+        this.expression = expression;
+        this.position = position;
+    }
+}
+
+module.exports = SyntaxErrorException;
@@ -0,0 +1,16 @@
+const DataException = require('./DataException');
+
+/**
+ * Thrown when reading a version of a row that the row doesn't have
+ */
+class VersionNotFoundException extends DataException {
+    /**
+     * @param {string} version - Name of the missing version
+     */
+    constructor(version) {
+        super(`There is no ${version} data to access`);
+        this.version = version;
+    }
+}
+
+module.exports = VersionNotFoundException;
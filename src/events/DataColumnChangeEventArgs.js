@@ -0,0 +1,19 @@
+/**
+ * Arguments of the columnChanging and columnChanged events of a DataTable.
+ * A columnChanging handler can rewrite proposedValue or set cancel to true to skip the change.
+ */
+class DataColumnChangeEventArgs {
+    /**
+     * @param {DataRow} row - Row being changed
+     * @param {DataColumn} column - Column being changed
+     * @param {*} proposedValue - Value about to be stored, or stored for columnChanged
+     */
+    constructor(row, column, proposedValue) {
+        this.row = row;
+        this.column = column;
+        this.proposedValue = proposedValue;
+        this.cancel = false;
+    }
+}
+
+module.exports = DataColumnChangeEventArgs;
@@ -0,0 +1,17 @@
+/**
+ * Arguments of the rowChanging, rowChanged, rowDeleting and rowDeleted events of a DataTable.
+ * A rowChanging or rowDeleting handler can set cancel to true to skip the change.
+ */
+class DataRowChangeEventArgs {
+    /**
+     * @param {DataRow} row - Row being changed
+     * @param {string} action - Kind of change, see DataRowAction
+     */
+    constructor(row, action) {
+        this.row = row;
+        this.action = action;
+        this.cancel = false;
+    }
+}
+
+module.exports = DataRowChangeEventArgs;
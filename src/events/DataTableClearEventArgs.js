@@ -0,0 +1,15 @@
+/**
+ * Arguments of the tableClearing and tableCleared events of a DataTable.
+ * A tableClearing handler can set cancel to true to keep the rows.
+ */
+class DataTableClearEventArgs {
+    /**
+     * @param {DataTable} table - Table being cleared
+     */
+    constructor(table) {
+        this.table = table;
+        this.cancel = false;
+    }
+}
+
+module.exports = DataTableClearEventArgs;
@@ -0,0 +1,14 @@
+/**
+ * Arguments of the tableNewRow event of a DataTable, raised when the table creates a row.
+ * Handlers can fill default values before the row is added.
+ */
+class DataTableNewRowEventArgs {
+    /**
+     * @param {DataRow} row - Row just created, not yet added to the table
+     */
+    constructor(row) {
+        this.row = row;
+    }
+}
+
+module.exports = DataTableNewRowEventArgs;
@@ -0,0 +1,17 @@
+/**
+ * Arguments of the listChanged event of a DataView
+ */
+class ListChangedEventArgs {
+    /**
+     * @param {string} listChangedType - Kind of change, see ListChangedType
+     * @param {number} [newIndex=-1] - Position of the row after the change, -1 if it left the view
+     * @param {number} [oldIndex=-1] - Position of the row before the change, -1 if it wasn't in the view
+     */
+    constructor(listChangedType, newIndex = -1, oldIndex = -1) {
+        this.listChangedType = listChangedType;
+        this.newIndex = newIndex;
+        this.oldIndex = oldIndex;
+    }
+}
+
+module.exports = ListChangedEventArgs;
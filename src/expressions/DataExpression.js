@@ -0,0 +1,109 @@
+const ExpressionParser = require('./ExpressionParser');
+const { evaluate, toBoolean } = require('./ExpressionEvaluator');
+
+/**
+ * A parsed expression, evaluated without eval() against the rows of a table
+ */
+class DataExpression {
+    /**
+     * @param {string} text - Expression text
+     * @throws {SyntaxErrorException} If the expression is not valid
+     */
+    constructor(text) {
+        this.text = text;
+        this._root = new ExpressionParser(text).parse();
+        this.dependencies = DataExpression._collectDependencies(this._root);
+    }
+
+    /**
+     * @param {DataRow} row - Row to evaluate the expression for
+     * @returns {*} Value of the expression
+     * @throws {EvaluateException} If the expression can't be evaluated
+     */
+    evaluate(row) {
+        return evaluate(this._root, { table: row._table, row });
+    }
+
+    /**
+     * Evaluates the expression as a condition
+     * @param {DataRow} row - Row to test
+     * @returns {boolean} True if the condition holds, null results count as false
+     */
+    test(row) {
+        return toBoolean(this.evaluate(row));
+    }
+
+    /**
+     * Evaluates an expression made of table level aggregates
+     * @param {DataTable} table - Table to aggregate
+     * @param {Array<DataRow>} [rows] - Rows to aggregate, all the rows of the table if omitted
+     * @returns {*} Value of the expression
+     */
+    evaluateAggregate(table, rows) {
+        return evaluate(this._root, { table, row: null, rows });
+    }
+
+    /**
+     * Lists what an expression reads, used to know when it must be recomputed
+     * @param {Object} root - Root node of the syntax tree
+     * @returns {{columns: Set<string>, aggregates: Set<string>, parents: Array, children: Array}} Dependencies
+     * @private
+     */
+    static _collectDependencies(root) {
+        const dependencies = {
+            columns: new Set(),
+            aggregates: new Set(),
+            parents: [],
+            children: []
+        };
+
+        const visit = node => {
+            switch (node.type) {
+                case 'column':
+                    dependencies.columns.add(node.name);
+                    break;
+                case 'parent':
+                    dependencies.parents.push({ relation: node.relation, column: node.column });
+                    break;
+                case 'aggregate':
+                    if (node.source === 'child') {
+                        dependencies.children.push({ relation: node.relation, column: node.column });
+                    } else {
+                        dependencies.aggregates.add(node.column);
+                    }
+                    break;
+                case 'unary':
+                    visit(node.operand);
+                    break;
+                case 'binary':
+                    visit(node.left);
+                    visit(node.right);
+                    break;
+                case 'call':
+                    node.args.forEach(visit);
+                    break;
+                case 'isNull':
+                    visit(node.operand);
+                    break;
+                case 'like':
+                    visit(node.operand);
+                    visit(node.pattern);
+                    break;
+                case 'in':
+                    visit(node.operand);
+                    node.values.forEach(visit);
+                    break;
+                case 'between':
+                    visit(node.operand);
+                    visit(node.low);
+                    visit(node.high);
+                    break;
+            }
+        };
+        visit(root);
+
+        return dependencies;
+    }
+}
+
+module.exports = DataExpression;
@@ -0,0 +1,468 @@
+const EvaluateException = require('../errors/EvaluateException');
+const DataRowState = require('../enums/DataRowState');
+const { convertValue } = require('../utils/typeUtils');
+const { hasType } = require('../types/TypeRegistry');
+const { compareValues } = require('../utils/compareUtils');
+
+const CONVERT_TYPES = {
+    'system.int16': 'integer',
+    'system.int32': 'integer',
+    'system.int64': 'integer',
+    'system.byte': 'integer',
+    'system.double': 'number',
+    'system.single': 'number',
+    'system.decimal': 'number',
+    'system.string': 'string',
+    'system.datetime': 'date',
+    'system.boolean': 'boolean'
+};
+
+/**
+ * Evaluates a syntax tree produced by ExpressionParser
+ * @param {Object} node - Node to evaluate
+ * @param {Object} context - Evaluation context
+ * @param {DataTable} context.table - Table the expression belongs to
+ * @param {DataRow|null} context.row - Current row, null when evaluating aggregates only
+ * @param {Array<DataRow>} [context.rows] - Rows aggregated by table level aggregates, all rows if omitted
+ * @returns {*} Value of the expression
+ * @throws {EvaluateException} If a column, relation or operand is invalid
+ */
+function evaluate(node, context) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'column':
+            return readColumn(context.table, context.row, node.name);
+        case 'parent':
+            return evaluateParent(node, context);
+        case 'aggregate':
+            return evaluateAggregate(node, context);
+        case 'unary':
+            return evaluateUnary(node, context);
+        case 'binary':
+            return evaluateBinary(node, context);
+        case 'call':
+            return evaluateCall(node, context);
+        case 'isNull': {
+            const value = evaluate(node.operand, context);
+            return (value === null || value === undefined) !== node.negated;
+        }
+        case 'like':
+            return negate(evaluateLike(node, context), node.negated);
+        case 'in':
+            return negate(evaluateIn(node, context), node.negated);
+        case 'between':
+            return negate(evaluateBetween(node, context), node.negated);
+        default:
+            throw new EvaluateException(`Unknown expression node '${node.type}'`);
+    }
+}
+
+/**
+ * @param {*} value - Value of a condition
+ * @returns {boolean} True only for values considered true, null is false
+ */
+function toBoolean(value) {
+    if (value === null || value === undefined) {
+        return false;
+    }
+    if (typeof value === 'string') {
+        return value.toLowerCase() === 'true';
+    }
+    return Boolean(value);
+}
+
+function readColumn(table, row, columnName) {
+    if (!table.columns.contains(columnName)) {
+        throw new EvaluateException(`Cannot find column [${columnName}]`);
+    }
+    if (!row) {
+        throw new EvaluateException(`Column [${columnName}] can only be used inside an aggregate here`);
+    }
+    return row._values[columnName];
+}
+
+/**
+ * Finds the relation of the data set of a table used by Parent and Child references.
+ * Until the table belongs to a DataSet with the relation, references evaluate as if there were no related rows.
+ * @param {DataTable} table - Table of the expression
+ * @param {string|null} relationName - Name of the relation, null to use the only one available
+ * @param {string} side - 'parent' when the table is the child of the relation, 'child' otherwise
+ * @returns {DataRelation|null} The relation, null if it doesn't exist (yet)
+ * @throws {EvaluateException} If no name is given and there are several candidate relations
+ */
+function resolveRelation(table, relationName, side) {
+    const dataSet = table.dataSet;
+    if (!dataSet) {
+        return null;
+    }
+
+    const candidates = dataSet.relations.filter(relation =>
+        (side === 'parent' ? relation.childTable : relation.parentTable) === table &&
+        (relationName === null || relation.relationName === relationName)
+    );
+
+    if (candidates.length === 0) {
+        return null;
+    }
+    if (candidates.length !== 1) {
+        throw new EvaluateException(`Table '${table.tableName}' has ${candidates.length} ${side} relations, the relation name must be specified`);
+    }
+    return candidates[0];
+}
+
+function evaluateParent(node, context) {
+    const relation = resolveRelation(context.table, node.relation, 'parent');
+    if (!relation) {
+        return null;
+    }
+    if (!context.row) {
+        throw new EvaluateException('Parent references can only be evaluated for a row');
+    }
+
+    const parentRow = context.table.dataSet.getParentRow(context.row, relation.relationName);
+    return parentRow ? readColumn(relation.parentTable, parentRow, node.column) : null;
+}
+
+function evaluateAggregate(node, context) {
+    let table = context.table;
+    let rows;
+
+    if (node.source === 'child') {
+        const relation = resolveRelation(context.table, node.relation, 'child');
+        if (!relation) {
+            return aggregate(node.function, []);
+        }
+        if (!context.row) {
+            throw new EvaluateException('Child references can only be evaluated for a row');
+        }
+        table = relation.childTable;
+        rows = context.table.dataSet.getChildRows(context.row, relation.relationName);
+    } else {
+        rows = context.rows || table.rows._rows;
+    }
+
+    if (!table.columns.contains(node.column)) {
+        throw new EvaluateException(`Cannot find column [${node.column}]`);
+    }
+
+    // Table level aggregates may be cached by the table while it refreshes all its rows
+    const cache = node.source === 'table' && !context.rows ? table._aggregateCache : null;
+    const cacheKey = `${node.function}:${node.column}`;
+    if (cache && cache.has(cacheKey)) {
+        return cache.get(cacheKey);
+    }
+
+    const values = rows
+        .filter(row => row._rowState !== DataRowState.DELETED)
+        .map(row => row._values[node.column])
+        .filter(value => value !== null && value !== undefined);
+
+    const result = aggregate(node.function, values);
+    if (cache) {
+        cache.set(cacheKey, result);
+    }
+    return result;
+}
+
+/**
+ * @param {string} name - Aggregate function (SUM, AVG, MIN, MAX, COUNT, STDEV, VAR)
+ * @param {Array} values - Non-null values to aggregate
+ * @returns {*} Result of the aggregate, null when there are no values (0 for COUNT)
+ */
+function aggregate(name, values) {
+    if (name === 'COUNT') {
+        return values.length;
+    }
+    if (values.length === 0) {
+        return null;
+    }
+
+    switch (name) {
+        case 'MIN':
+            return values.reduce((min, value) => compareValues(value, min) < 0 ? value : min);
+        case 'MAX':
+            return values.reduce((max, value) => compareValues(value, max) > 0 ? value : max);
+    }
+
+    const numbers = values.map(value => toNumber(value));
+    const sum = numbers.reduce((total, value) => total + value, 0);
+
+    switch (name) {
+        case 'SUM':
+            return sum;
+        case 'AVG':
+            return sum / numbers.length;
+        case 'VAR':
+        case 'STDEV': {
+            if (numbers.length < 2) {
+                return null;
+            }
+            const mean = sum / numbers.length;
+            const variance = numbers.reduce((total, value) => total + (value - mean) ** 2, 0) / (numbers.length - 1);
+            return name === 'VAR' ? variance : Math.sqrt(variance);
+        }
+        default:
+            throw new EvaluateException(`Unknown aggregate '${name}'`);
+    }
+}
+
+function toNumber(value) {
+    if (value instanceof Date) {
+        return value.getTime();
+    }
+    const number = Number(value);
+    if (typeof value === 'boolean' || value === '' || isNaN(number)) {
+        throw new EvaluateException(`Value '${value}' is not a number`);
+    }
+    return number;
+}
+
+function evaluateUnary(node, context) {
+    const value = evaluate(node.operand, context);
+    if (value === null || value === undefined) {
+        return null;
+    }
+
+    switch (node.operator) {
+        case 'NOT':
+            return !toBoolean(value);
+        case '-':
+            return -toNumber(value);
+        default:
+            return toNumber(value);
+    }
+}
+
+function evaluateBinary(node, context) {
+    if (node.operator === 'AND') {
+        const left = evaluate(node.left, context);
+        if (left !== null && left !== undefined && !toBoolean(left)) {
+            return false;
+        }
+        const right = evaluate(node.right, context);
+        if (right !== null && right !== undefined && !toBoolean(right)) {
+            return false;
+        }
+        return left === null || left === undefined || right === null || right === undefined ? null : true;
+    }
+
+    if (node.operator === 'OR') {
+        const left = evaluate(node.left, context);
+        if (toBoolean(left)) {
+            return true;
+        }
+        const right = evaluate(node.right, context);
+        if (toBoolean(right)) {
+            return true;
+        }
+        return left === null || left === undefined || right === null || right === undefined ? null : false;
+    }
+
+    const left = evaluate(node.left, context);
+    const right = evaluate(node.right, context);
+    if (left === null || left === undefined || right === null || right === undefined) {
+        return null;
+    }
+
+    switch (node.operator) {
+        case '+':
+            if (typeof left === 'string' || typeof right === 'string') {
+                return String(left) + String(right);
+            }
+            return toNumber(left) + toNumber(right);
+        case '-':
+            return toNumber(left) - toNumber(right);
+        case '*':
+            return toNumber(left) * toNumber(right);
+        case '/':
+        case '%': {
+            const divisor = toNumber(right);
+            if (divisor === 0) {
+                return null;
+            }
+            return node.operator === '/' ? toNumber(left) / divisor : toNumber(left) % divisor;
+        }
+        default:
+            return compareWith(node.operator, compareOperands(left, right, context.table));
+    }
+}
+
+function negate(value, negated) {
+    return value === null || !negated ? value : !value;
+}
+
+/**
+ * Matches a string against a LIKE pattern where % and * match any characters
+ * and [c] matches the character c literally, e.g. '[%]off'
+ * @returns {boolean|null} Whether the value matches, null if the value or the pattern is null
+ */
+function evaluateLike(node, context) {
+    const value = evaluate(node.operand, context);
+    const pattern = evaluate(node.pattern, context);
+    if (value === null || value === undefined || pattern === null || pattern === undefined) {
+        return null;
+    }
+
+    let source = '';
+    const text = String(pattern);
+    for (let position = 0; position < text.length; position++) {
+        const char = text[position];
+        if (char === '%' || char === '*') {
+            source += '[\\s\\S]*';
+        } else if (char === '[') {
+            const end = text.indexOf(']', position + 1);
+            if (end === -1) {
+                throw new EvaluateException(`Error in LIKE pattern '${text}': missing closing ']'`);
+            }
+            source += escapeRegExp(text.slice(position + 1, end));
+            position = end;
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+
+    const flags = context.table.caseSensitive ? '' : 'i';
+    return new RegExp(`^${source}$`, flags).test(String(value));
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function evaluateIn(node, context) {
+    const value = evaluate(node.operand, context);
+    if (value === null || value === undefined) {
+        return null;
+    }
+    return node.values.some(item => {
+        const candidate = evaluate(item, context);
+        return candidate !== null && candidate !== undefined &&
+            compareOperands(value, candidate, context.table) === 0;
+    });
+}
+
+function evaluateBetween(node, context) {
+    const value = evaluate(node.operand, context);
+    const low = evaluate(node.low, context);
+    const high = evaluate(node.high, context);
+    if ([value, low, high].some(item => item === null || item === undefined)) {
+        return null;
+    }
+    return compareOperands(value, low, context.table) >= 0 &&
+        compareOperands(value, high, context.table) <= 0;
+}
+
+/**
+ * Compares two non-null operands, converting one to the type of the other when they differ.
+ * Strings are compared ignoring case unless the table is case sensitive
+ * @param {*} left - Left operand
+ * @param {*} right - Right operand
+ * @param {DataTable} table - Table of the expression
+ * @returns {number} Negative, zero or positive
+ */
+function compareOperands(left, right, table) {
+    if (left instanceof Date || right instanceof Date) {
+        const leftTime = new Date(left).getTime();
+        const rightTime = new Date(right).getTime();
+        if (isNaN(leftTime) || isNaN(rightTime)) {
+            throw new EvaluateException(`Cannot compare '${left}' and '${right}' as dates`);
+        }
+        return leftTime - rightTime;
+    }
+
+    if (typeof left === 'number' || typeof right === 'number') {
+        const leftNumber = Number(left);
+        const rightNumber = Number(right);
+        if (!isNaN(leftNumber) && !isNaN(rightNumber)) {
+            return leftNumber - rightNumber;
+        }
+    }
+
+    if (typeof left === 'boolean' || typeof right === 'boolean') {
+        return Number(toBoolean(left)) - Number(toBoolean(right));
+    }
+
+    if (table && !table.caseSensitive) {
+        return compareValues(String(left).toLowerCase(), String(right).toLowerCase());
+    }
+    return compareValues(String(left), String(right));
+}
+
+function compareWith(operator, comparison) {
+    switch (operator) {
+        case '=': return comparison === 0;
+        case '<>': return comparison !== 0;
+        case '<': return comparison < 0;
+        case '>': return comparison > 0;
+        case '<=': return comparison <= 0;
+        case '>=': return comparison >= 0;
+        default:
+            throw new EvaluateException(`Unknown operator '${operator}'`);
+    }
+}
+
+function evaluateCall(node, context) {
+    const args = node.args;
+
+    switch (node.function) {
+        case 'IIF':
+            return toBoolean(evaluate(args[0], context))
+                ? evaluate(args[1], context)
+                : evaluate(args[2], context);
+        case 'ISNULL': {
+            const value = evaluate(args[0], context);
+            return value === null || value === undefined ? evaluate(args[1], context) : value;
+        }
+    }
+
+    const values = args.map(arg => evaluate(arg, context));
+    const value = values[0];
+
+    switch (node.function) {
+        case 'LEN':
+            return value === null || value === undefined ? null : String(value).length;
+        case 'TRIM':
+            return value === null || value === undefined ? null : String(value).trim();
+        case 'SUBSTRING': {
+            if (value === null || value === undefined) {
+                return null;
+            }
+            const start = toNumber(values[1]);
+            const length = toNumber(values[2]);
+            if (start < 1 || length < 0) {
+                throw new EvaluateException('SUBSTRING start must be at least 1 and length can\'t be negative');
+            }
+            return String(value).substr(start - 1, length);
+        }
+        case 'CONVERT':
+            return convert(value, String(values[1]));
+        default:
+            throw new EvaluateException(`Unknown function '${node.function}'`);
+    }
+}
+
+function convert(value, typeName) {
+    const dataType = CONVERT_TYPES[typeName.toLowerCase()] || typeName.trim();
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (dataType === 'integer') {
+        return Math.trunc(toNumber(value));
+    }
+    // Any registered data type, e.g. CONVERT(total, 'decimal')
+    if (!hasType(dataType)) {
+        throw new EvaluateException(`Unknown type '${typeName}' in CONVERT`);
+    }
+    try {
+        return convertValue(value, dataType, 'CONVERT');
+    } catch (error) {
+        throw new EvaluateException(error.message);
+    }
+}
+
+module.exports = {
+    evaluate,
+    aggregate,
+    toBoolean
+};
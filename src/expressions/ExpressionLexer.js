@@ -0,0 +1,124 @@
+const SyntaxErrorException = require('../errors/SyntaxErrorException');
+
+const OPERATORS = ['<>', '<=', '>=', '!=', '=', '<', '>', '+', '-', '*', '/', '%'];
+const PUNCTUATION = ['(', ')', ',', '.'];
+
+/**
+ * Splits the text of an expression into tokens
+ * @param {string} text - Expression text
+ * @returns {Array<{type: string, value: *, position: number}>} Tokens, terminated by an 'eof' token
+ * @throws {SyntaxErrorException} If the text contains an invalid character, an invalid date or an unterminated literal
+ */
+function tokenize(text) {
+    const tokens = [];
+    let position = 0;
+
+    while (position < text.length) {
+        const char = text[position];
+
+        if (/\s/.test(char)) {
+            position++;
+            continue;
+        }
+
+        // Numbers: 12, 3.5, .5, 1e3
+        if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(text[position + 1] || ''))) {
+            const match = /^(?:[0-9]+(?:\.[0-9]*)?|\.[0-9]+)(?:[eE][+-]?[0-9]+)?/.exec(text.slice(position));
+            tokens.push({ type: 'number', value: Number(match[0]), position });
+            position += match[0].length;
+            continue;
+        }
+
+        // String literals: 'it''s'
+        if (char === '\'') {
+            let value = '';
+            let end = position + 1;
+            for (;;) {
+                if (end >= text.length) {
+                    throw new SyntaxErrorException('unterminated string literal', text, position);
+                }
+                if (text[end] === '\'') {
+                    if (text[end + 1] === '\'') {
+                        value += '\'';
+                        end += 2;
+                        continue;
+                    }
+                    break;
+                }
+                value += text[end++];
+            }
+            tokens.push({ type: 'string', value, position });
+            position = end + 1;
+            continue;
+        }
+
+        // Date literals: #2024-01-31#, #01/31/2024 10:30#
+        if (char === '#') {
+            const end = text.indexOf('#', position + 1);
+            if (end === -1) {
+                throw new SyntaxErrorException('unterminated date literal', text, position);
+            }
+            const value = new Date(text.slice(position + 1, end).trim());
+            if (isNaN(value.getTime())) {
+                throw new SyntaxErrorException(`invalid date '${text.slice(position + 1, end)}'`, text, position);
+            }
+            tokens.push({ type: 'date', value, position });
+            position = end + 1;
+            continue;
+        }
+
+        // Quoted names: [Order Date], `Order Date`
+        if (char === '[' || char === '`') {
+            const closing = char === '[' ? ']' : '`';
+            let value = '';
+            let end = position + 1;
+            for (;;) {
+                if (end >= text.length) {
+                    throw new SyntaxErrorException(`missing closing '${closing}'`, text, position);
+                }
+                if (text[end] === '\\' && end + 1 < text.length) {
+                    value += text[end + 1];
+                    end += 2;
+                    continue;
+                }
+                if (text[end] === closing) {
+                    break;
+                }
+                value += text[end++];
+            }
+            tokens.push({ type: 'identifier', value, quoted: true, position });
+            position = end + 1;
+            continue;
+        }
+
+        // Names and keywords
+        if (/[A-Za-z_]/.test(char)) {
+            const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(position));
+            tokens.push({ type: 'identifier', value: match[0], quoted: false, position });
+            position += match[0].length;
+            continue;
+        }
+
+        const operator = OPERATORS.find(op => text.startsWith(op, position));
+        if (operator) {
+            tokens.push({ type: 'operator', value: operator === '!=' ? '<>' : operator, position });
+            position += operator.length;
+            continue;
+        }
+
+        if (PUNCTUATION.includes(char)) {
+            tokens.push({ type: 'punctuation', value: char, position });
+            position++;
+            continue;
+        }
+
+        throw new SyntaxErrorException(`unexpected character '${char}'`, text, position);
+    }
+
+    tokens.push({ type: 'eof', value: null, position: text.length });
+    return tokens;
+}
+
+module.exports = {
+    tokenize
+};
@@ -0,0 +1,340 @@
+const { tokenize } = require('./ExpressionLexer');
+const SyntaxErrorException = require('../errors/SyntaxErrorException');
+
+const AGGREGATES = ['SUM', 'AVG', 'MIN', 'MAX', 'COUNT', 'STDEV', 'VAR'];
+const FUNCTIONS = {
+    IIF: 3,
+    ISNULL: 2,
+    LEN: 1,
+    TRIM: 1,
+    SUBSTRING: 3,
+    CONVERT: 2
+};
+const COMPARISON_OPERATORS = ['=', '<>', '<', '>', '<=', '>='];
+const KEYWORDS = ['AND', 'OR', 'NOT', 'TRUE', 'FALSE', 'NULL', 'LIKE', 'IN', 'BETWEEN', 'IS'];
+
+/**
+ * Recursive descent parser turning expression text into an abstract syntax tree.
+ *
+ * Supported syntax, in the style of .NET DataColumn expressions:
+ * - literals: 12, 3.5, 'text', #2024-01-31#, true, false, null
+ * - column references: Price, [Unit Price], Parent.Name, Parent(Relation).Name
+ * - arithmetic: + - * / % (+ also concatenates strings)
+ * - comparisons: = <> < > <= >=, [NOT] LIKE 'Mil%', [NOT] IN (1, 2), [NOT] BETWEEN 1 AND 5, IS [NOT] NULL
+ * - logic: AND, OR, NOT
+ * - functions: IIF, ISNULL, LEN, TRIM, SUBSTRING, CONVERT
+ * - aggregates: Sum, Avg, Min, Max, Count, StDev, Var over a column of the table or Child(Relation).Column
+ */
+class ExpressionParser {
+    /**
+     * @param {string} text - Expression text
+     */
+    constructor(text) {
+        this._text = text;
+        this._tokens = tokenize(text);
+        this._position = 0;
+    }
+
+    /**
+     * @returns {Object} Root node of the syntax tree
+     * @throws {SyntaxErrorException} If the expression is not valid
+     */
+    parse() {
+        if (this._peek().type === 'eof') {
+            throw this._error('expression is empty', this._peek());
+        }
+
+        const node = this._parseOr();
+        const token = this._peek();
+        if (token.type !== 'eof') {
+            throw this._error(`unexpected '${this._describe(token)}'`, token);
+        }
+        return node;
+    }
+
+    _parseOr() {
+        let node = this._parseAnd();
+        while (this._acceptKeyword('OR')) {
+            node = { type: 'binary', operator: 'OR', left: node, right: this._parseAnd() };
+        }
+        return node;
+    }
+
+    _parseAnd() {
+        let node = this._parseNot();
+        while (this._acceptKeyword('AND')) {
+            node = { type: 'binary', operator: 'AND', left: node, right: this._parseNot() };
+        }
+        return node;
+    }
+
+    _parseNot() {
+        if (this._acceptKeyword('NOT')) {
+            return { type: 'unary', operator: 'NOT', operand: this._parseNot() };
+        }
+        return this._parseComparison();
+    }
+
+    _parseComparison() {
+        const left = this._parseAdditive();
+        const token = this._peek();
+
+        if (token.type === 'operator' && COMPARISON_OPERATORS.includes(token.value)) {
+            this._next();
+            return { type: 'binary', operator: token.value, left, right: this._parseAdditive() };
+        }
+
+        if (this._acceptKeyword('IS')) {
+            const negated = this._acceptKeyword('NOT');
+            if (!this._acceptKeyword('NULL')) {
+                throw this._error(`expected 'NULL', found '${this._describe(this._peek())}'`, this._peek());
+            }
+            return { type: 'isNull', operand: left, negated };
+        }
+
+        const negated = this._acceptKeyword('NOT');
+        if (this._acceptKeyword('LIKE')) {
+            return { type: 'like', operand: left, pattern: this._parseAdditive(), negated };
+        }
+        if (this._acceptKeyword('IN')) {
+            return { type: 'in', operand: left, values: this._parseList(), negated };
+        }
+        if (this._acceptKeyword('BETWEEN')) {
+            const low = this._parseAdditive();
+            if (!this._acceptKeyword('AND')) {
+                throw this._error(`expected 'AND', found '${this._describe(this._peek())}'`, this._peek());
+            }
+            return { type: 'between', operand: left, low, high: this._parseAdditive(), negated };
+        }
+        if (negated) {
+            throw this._error(`expected 'LIKE', 'IN' or 'BETWEEN' after 'NOT', found '${this._describe(this._peek())}'`, this._peek());
+        }
+
+        return left;
+    }
+
+    _parseList() {
+        this._expect('(');
+        const values = [];
+        do {
+            values.push(this._parseAdditive());
+        } while (this._acceptPunctuation(','));
+        this._expect(')');
+        return values;
+    }
+
+    _parseAdditive() {
+        let node = this._parseMultiplicative();
+        for (;;) {
+            const token = this._peek();
+            if (token.type !== 'operator' || (token.value !== '+' && token.value !== '-')) {
+                return node;
+            }
+            this._next();
+            node = { type: 'binary', operator: token.value, left: node, right: this._parseMultiplicative() };
+        }
+    }
+
+    _parseMultiplicative() {
+        let node = this._parseUnary();
+        for (;;) {
+            const token = this._peek();
+            if (token.type !== 'operator' || !['*', '/', '%'].includes(token.value)) {
+                return node;
+            }
+            this._next();
+            node = { type: 'binary', operator: token.value, left: node, right: this._parseUnary() };
+        }
+    }
+
+    _parseUnary() {
+        const token = this._peek();
+        if (token.type === 'operator' && (token.value === '-' || token.value === '+')) {
+            this._next();
+            return { type: 'unary', operator: token.value, operand: this._parseUnary() };
+        }
+        return this._parsePrimary();
+    }
+
+    _parsePrimary() {
+        const token = this._next();
+
+        switch (token.type) {
+            case 'number':
+            case 'string':
+            case 'date':
+                return { type: 'literal', value: token.value };
+            case 'punctuation':
+                if (token.value === '(') {
+                    const node = this._parseOr();
+                    this._expect(')');
+                    return node;
+                }
+                break;
+            case 'identifier':
+                return this._parseIdentifier(token);
+        }
+
+        throw this._error(`unexpected '${this._describe(token)}'`, token);
+    }
+
+    _parseIdentifier(token) {
+        if (!token.quoted) {
+            const upper = token.value.toUpperCase();
+            if (upper === 'TRUE' || upper === 'FALSE') {
+                return { type: 'literal', value: upper === 'TRUE' };
+            }
+            if (upper === 'NULL') {
+                return { type: 'literal', value: null };
+            }
+            if (KEYWORDS.includes(upper)) {
+                throw this._error(`unexpected '${token.value}'`, token);
+            }
+            if (upper === 'PARENT') {
+                return this._parseParent(token);
+            }
+            if (this._isPunctuation('(')) {
+                return this._parseCall(token);
+            }
+        }
+
+        return { type: 'column', name: token.value };
+    }
+
+    _parseParent(token) {
+        const relation = this._parseRelationName();
+        if (!this._isPunctuation('.')) {
+            throw this._error(`expected '.' after '${token.value}'`, this._peek());
+        }
+        this._next();
+        return { type: 'parent', relation, column: this._expectName() };
+    }
+
+    _parseCall(token) {
+        const name = token.value.toUpperCase();
+        this._expect('(');
+
+        if (AGGREGATES.includes(name)) {
+            const node = { type: 'aggregate', function: name, ...this._parseAggregateSource() };
+            this._expect(')');
+            return node;
+        }
+
+        if (!(name in FUNCTIONS)) {
+            throw this._error(`unknown function '${token.value}'`, token);
+        }
+
+        const args = [];
+        if (!this._isPunctuation(')')) {
+            do {
+                args.push(name === 'CONVERT' && args.length === 1 ? this._parseTypeName() : this._parseOr());
+            } while (this._acceptPunctuation(','));
+        }
+        this._expect(')');
+
+        if (args.length !== FUNCTIONS[name]) {
+            throw this._error(`function '${token.value}' expects ${FUNCTIONS[name]} argument(s), got ${args.length}`, token);
+        }
+
+        return { type: 'call', function: name, args };
+    }
+
+    _parseAggregateSource() {
+        const token = this._peek();
+        if (token.type === 'identifier' && !token.quoted && token.value.toUpperCase() === 'CHILD') {
+            this._next();
+            const relation = this._parseRelationName();
+            if (!this._isPunctuation('.')) {
+                throw this._error(`expected '.' after '${token.value}'`, this._peek());
+            }
+            this._next();
+            return { source: 'child', relation, column: this._expectName() };
+        }
+        return { source: 'table', relation: null, column: this._expectName() };
+    }
+
+    _parseRelationName() {
+        if (!this._acceptPunctuation('(')) {
+            return null;
+        }
+        const relation = this._expectName();
+        this._expect(')');
+        return relation;
+    }
+
+    _parseTypeName() {
+        const token = this._next();
+        if (token.type === 'string' || token.type === 'identifier') {
+            let name = token.value;
+            // System.Int32 written without quotes
+            while (token.type === 'identifier' && this._acceptPunctuation('.')) {
+                name += `.${this._expectName()}`;
+            }
+            return { type: 'literal', value: name };
+        }
+        throw this._error('expected a type name', token);
+    }
+
+    _expectName() {
+        const token = this._next();
+        if (token.type !== 'identifier') {
+            throw this._error(`expected a column name, found '${this._describe(token)}'`, token);
+        }
+        return token.value;
+    }
+
+    _expect(punctuation) {
+        const token = this._next();
+        if (token.type !== 'punctuation' || token.value !== punctuation) {
+            throw this._error(`expected '${punctuation}', found '${this._describe(token)}'`, token);
+        }
+        return token;
+    }
+
+    _acceptKeyword(keyword) {
+        const token = this._peek();
+        if (token.type === 'identifier' && !token.quoted && token.value.toUpperCase() === keyword) {
+            this._next();
+            return true;
+        }
+        return false;
+    }
+
+    _acceptPunctuation(punctuation) {
+        if (this._isPunctuation(punctuation)) {
+            this._next();
+            return true;
+        }
+        return false;
+    }
+
+    _isPunctuation(punctuation) {
+        const token = this._peek();
+        return token.type === 'punctuation' && token.value === punctuation;
+    }
+
+    _peek() {
+        return this._tokens[this._position];
+    }
+
+    _next() {
+        const token = this._tokens[this._position];
+        if (token.type !== 'eof') {
+            this._position++;
+        }
+        return token;
+    }
+
+    _describe(token) {
+        if (token.type === 'eof') return 'end of expression';
+        if (token.type === 'string') return token.value;
+        if (token.type === 'date') return this._text.slice(token.position, this._text.indexOf('#', token.position + 1) + 1);
+        return String(token.value);
+    }
+
+    _error(message, token) {
+        return new SyntaxErrorException(message, this._text, token.position);
+    }
+}
+
+module.exports = ExpressionParser;
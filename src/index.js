@@ -2,16 +2,83 @@ const DataTable = require('./DataTable');
 const DataRow = require('./DataRow');
 const DataColumn = require('./DataColumn');
 const DataRowState = require('./enums/DataRowState');
+const DataRowVersion = require('./enums/DataRowVersion');
+const DataRowAction = require('./enums/DataRowAction');
+const ListChangedType = require('./enums/ListChangedType');
+const ConflictOption = require('./enums/ConflictOption');
+const Rule = require('./enums/Rule');
+const AcceptRejectRule = require('./enums/AcceptRejectRule');
+const MissingSchemaAction = require('./enums/MissingSchemaAction');
 const DataSet = require('./DataSet');
 const DataRelation = require('./DataRelation');
 const DataView = require('./DataView');
+const DataViewWindow = require('./DataViewWindow');
+const DataAdapter = require('./DataAdapter');
+const Constraint = require('./constraints/Constraint');
+const UniqueConstraint = require('./constraints/UniqueConstraint');
+const ForeignKeyConstraint = require('./constraints/ForeignKeyConstraint');
+const DataException = require('./errors/DataException');
+const ConstraintException = require('./errors/ConstraintException');
+const ReadOnlyException = require('./errors/ReadOnlyException');
+const NoNullAllowedException = require('./errors/NoNullAllowedException');
+const InvalidExpressionException = require('./errors/InvalidExpressionException');
+const SyntaxErrorException = require('./errors/SyntaxErrorException');
+const EvaluateException = require('./errors/EvaluateException');
+const VersionNotFoundException = require('./errors/VersionNotFoundException');
+const DBConcurrencyException = require('./errors/DBConcurrencyException');
+const DataExpression = require('./expressions/DataExpression');
+const DataGrouping = require('./query/DataGrouping');
+const SqlCommandBuilder = require('./sql/SqlCommandBuilder');
+const ChangeJournal = require('./changes/ChangeJournal');
+const DataType = require('./types/DataType');
+const { registerType, getType, hasType, typeNames } = require('./types/TypeRegistry');
+const DataColumnChangeEventArgs = require('./events/DataColumnChangeEventArgs');
+const DataRowChangeEventArgs = require('./events/DataRowChangeEventArgs');
+const DataTableClearEventArgs = require('./events/DataTableClearEventArgs');
+const DataTableNewRowEventArgs = require('./events/DataTableNewRowEventArgs');
+const ListChangedEventArgs = require('./events/ListChangedEventArgs');
 
 module.exports = {
     DataTable,
     DataRow,
     DataColumn,
     DataRowState,
+    DataRowVersion,
+    DataRowAction,
+    ListChangedType,
+    ConflictOption,
+    Rule,
+    AcceptRejectRule,
+    MissingSchemaAction,
     DataSet,
     DataRelation,
-    DataView
+    DataView,
+    DataViewWindow,
+    DataAdapter,
+    Constraint,
+    UniqueConstraint,
+    ForeignKeyConstraint,
+    DataExpression,
+    DataGrouping,
+    SqlCommandBuilder,
+    ChangeJournal,
+    DataType,
+    registerType,
+    getType,
+    hasType,
+    typeNames,
+    DataColumnChangeEventArgs,
+    DataRowChangeEventArgs,
+    DataTableClearEventArgs,
+    DataTableNewRowEventArgs,
+    ListChangedEventArgs,
+    DataException,
+    ConstraintException,
+    ReadOnlyException,
+    NoNullAllowedException,
+    InvalidExpressionException,
+    SyntaxErrorException,
+    EvaluateException,
+    VersionNotFoundException,
+    DBConcurrencyException
 };
\ No newline at end of file
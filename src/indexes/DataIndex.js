@@ -0,0 +1,252 @@
+const { createKey, normalizeKeyValue } = require('../utils/keyUtils');
+const { compareValues, typeRank } = require('../utils/compareUtils');
+
+/**
+ * Hash index mapping the key values of one or more columns to the rows holding them.
+ * Indexes are kept in sync by the owning table on every row write.
+ * Buckets ignore the case of strings so that the same index answers case sensitive and insensitive lookups.
+ * A sorted index also answers range queries on its first column.
+ */
+class DataIndex {
+    /**
+     * @param {DataTable} table - Indexed table
+     * @param {Array<string>} columnNames - Names of the indexed columns
+     * @param {Object} [options={}] - Index options
+     * @param {string} [options.name=null] - Name of the index
+     * @param {boolean} [options.unique=false] - Whether the index backs a unique constraint
+     * @param {boolean} [options.sorted=false] - Whether the index supports range queries
+     */
+    constructor(table, columnNames, options = {}) {
+        this._table = table;
+        this._columnNames = columnNames.slice();
+        this._buckets = new Map();
+        this.name = options.name || null;
+        this.unique = Boolean(options.unique);
+        this.sorted = Boolean(options.sorted);
+        this._sortedEntries = null;
+    }
+
+    get table() {
+        return this._table;
+    }
+
+    /**
+     * @returns {Array<string>} Names of the indexed columns
+     */
+    get columnNames() {
+        return this._columnNames.slice();
+    }
+
+    /**
+     * @param {string} columnName - Name of the column
+     * @returns {boolean} True if the column is part of the index key
+     */
+    involves(columnName) {
+        return this._columnNames.includes(columnName);
+    }
+
+    /**
+     * Returns the rows whose key matches the given values, including DELETED ones
+     * @param {Array} keyValues - One value per indexed column
+     * @param {boolean} [ignoreCase=false] - Whether strings match regardless of their case
+     * @returns {Array<DataRow>} Matching rows in insertion order
+     */
+    find(keyValues, ignoreCase = false) {
+        const bucket = this._buckets.get(createKey(keyValues.map(foldCase)));
+        if (!bucket) {
+            return [];
+        }
+        if (ignoreCase) {
+            return bucket.slice();
+        }
+        const key = createKey(keyValues);
+        return bucket.filter(row => createKey(this._columnNames.map(name => row._values[name])) === key);
+    }
+
+    /**
+     * Returns the rows that may satisfy range bounds on the first indexed column.
+     * Rows whose value is of a different kind than the bounds are always included,
+     * the caller is expected to filter the result.
+     * @param {Object} bounds - Any of $gt, $gte, $lt, $lte
+     * @returns {Array<DataRow>} Candidate rows
+     * @throws {Error} If the index is not sorted
+     */
+    findRange(bounds) {
+        if (!this.sorted) {
+            throw new Error(`Index '${this.name}' is not sorted`);
+        }
+
+        const entries = this._getSortedEntries();
+        const rank = typeRank(Object.values(bounds)[0]);
+        const first = predicate => {
+            let low = 0;
+            let high = entries.length;
+            while (low < high) {
+                const middle = (low + high) >> 1;
+                if (predicate(entries[middle].value)) {
+                    high = middle;
+                } else {
+                    low = middle + 1;
+                }
+            }
+            return low;
+        };
+
+        const groupStart = first(value => typeRank(value) >= rank);
+        const groupEnd = first(value => typeRank(value) > rank);
+        let from = groupStart;
+        let to = groupEnd;
+
+        if ('$gt' in bounds) from = Math.max(from, first(value => compareValues(value, bounds.$gt) > 0));
+        if ('$gte' in bounds) from = Math.max(from, first(value => compareValues(value, bounds.$gte) >= 0));
+        if ('$lt' in bounds) to = Math.min(to, first(value => compareValues(value, bounds.$lt) >= 0));
+        if ('$lte' in bounds) to = Math.min(to, first(value => compareValues(value, bounds.$lte) > 0));
+
+        const selected = entries.slice(0, groupStart)
+            .concat(from < to ? entries.slice(from, to) : [])
+            .concat(entries.slice(groupEnd));
+
+        const rows = [];
+        for (const entry of selected) {
+            rows.push(...entry.rows);
+        }
+        return rows;
+    }
+
+    /**
+     * Number of distinct keys stored in the index
+     * @returns {number}
+     */
+    get size() {
+        return this._buckets.size;
+    }
+
+    /**
+     * Rebuilds the index from the rows of the table
+     * @private
+     */
+    _rebuild() {
+        this._buckets.clear();
+        this._sortedEntries = null;
+        for (const row of this._table.rows._rows) {
+            this._add(row);
+        }
+    }
+
+    /**
+     * @param {DataRow} row - Row added to the table
+     * @private
+     */
+    _add(row) {
+        this._insert(this._keyOf(row._values), row);
+    }
+
+    /**
+     * @param {DataRow} row - Row removed from the table
+     * @private
+     */
+    _remove(row) {
+        this._delete(this._keyOf(row._values), row);
+    }
+
+    /**
+     * Moves a row whose values changed to its new key
+     * @param {DataRow} row - Changed row
+     * @param {Object} oldValues - Previous values of the changed columns
+     * @private
+     */
+    _update(row, oldValues) {
+        const oldKey = this._keyOf({ ...row._values, ...oldValues });
+        const newKey = this._keyOf(row._values);
+        if (oldKey === newKey) {
+            return;
+        }
+        this._delete(oldKey, row);
+        this._insert(newKey, row);
+    }
+
+    /**
+     * Drops all the keys of the index
+     * @private
+     */
+    _clear() {
+        this._buckets.clear();
+        this._sortedEntries = null;
+    }
+
+    /**
+     * Rows grouped by the exact value of the first indexed column and ordered by it,
+     * rebuilt lazily after keys change
+     * @returns {Array<{value: *, rows: Array<DataRow>}>} Sorted entries
+     * @private
+     */
+    _getSortedEntries() {
+        if (!this._sortedEntries) {
+            const leadingColumn = this._columnNames[0];
+            const entries = new Map();
+            for (const rows of this._buckets.values()) {
+                for (const row of rows) {
+                    const value = row._values[leadingColumn];
+                    const key = normalizeKeyValue(value);
+                    if (entries.has(key)) {
+                        entries.get(key).rows.push(row);
+                    } else {
+                        entries.set(key, { value, rows: [row] });
+                    }
+                }
+            }
+            this._sortedEntries = Array.from(entries.values()).sort((a, b) => compareValues(a.value, b.value));
+        }
+        return this._sortedEntries;
+    }
+
+    /**
+     * @param {Object} values - Row values
+     * @returns {string} Key of the bucket of the row
+     * @private
+     */
+    _keyOf(values) {
+        return createKey(this._columnNames.map(name => foldCase(values[name])));
+    }
+
+    /**
+     * @param {string} key - Key of the bucket
+     * @param {DataRow} row - Row to store in the bucket
+     * @private
+     */
+    _insert(key, row) {
+        const bucket = this._buckets.get(key);
+        if (bucket) {
+            bucket.push(row);
+        } else {
+            this._buckets.set(key, [row]);
+        }
+        this._sortedEntries = null;
+    }
+
+    /**
+     * @param {string} key - Key of the bucket
+     * @param {DataRow} row - Row to drop from the bucket
+     * @private
+     */
+    _delete(key, row) {
+        const bucket = this._buckets.get(key);
+        if (!bucket) {
+            return;
+        }
+        const position = bucket.indexOf(row);
+        if (position !== -1) {
+            bucket.splice(position, 1);
+        }
+        if (bucket.length === 0) {
+            this._buckets.delete(key);
+        }
+        this._sortedEntries = null;
+    }
+}
+
+function foldCase(value) {
+    return typeof value === 'string' ? value.toLowerCase() : value;
+}
+
+module.exports = DataIndex;
@@ -0,0 +1,179 @@
+const { isPlainObject } = require('../query/CriteriaMatcher');
+const { typeRank } = require('../utils/compareUtils');
+
+const RANGE_OPERATORS = ['$gt', '$gte', '$lt', '$lte'];
+const MAX_LOOKUP_KEYS = 1000;
+
+/**
+ * Returns the values a column must be equal to, one of them, for the criteria to match
+ * @param {*} value - Criteria value of a column
+ * @returns {Array|null} Candidate values, null if the criteria doesn't restrict the column to a list of values
+ */
+function lookupValuesOf(value) {
+    if (value instanceof RegExp) {
+        return null;
+    }
+    if (!isPlainObject(value)) {
+        return [value];
+    }
+    if ('$eq' in value) {
+        return [value.$eq];
+    }
+    if (Array.isArray(value.$in)) {
+        return value.$in;
+    }
+    return null;
+}
+
+/**
+ * Returns the range bounds of a column criteria usable on a sorted index
+ * @param {DataTable} table - Queried table
+ * @param {*} value - Criteria value of a column
+ * @returns {Object|null} Any of $gt, $gte, $lt, $lte, null if the criteria has no usable bound
+ */
+function rangeBoundsOf(table, value) {
+    if (!isPlainObject(value)) {
+        return null;
+    }
+
+    const bounds = {};
+    if (Array.isArray(value.$between) && value.$between.length === 2) {
+        bounds.$gte = value.$between[0];
+        bounds.$lte = value.$between[1];
+    }
+    for (const operator of RANGE_OPERATORS) {
+        if (operator in value) {
+            bounds[operator] = value[operator];
+        }
+    }
+
+    const values = Object.values(bounds);
+    if (values.length === 0) {
+        return null;
+    }
+
+    // Bounds of different kinds or null match nothing, the sorted order of the index ignores case
+    const rank = typeRank(values[0]);
+    if (rank === 0 || values.some(bound => typeRank(bound) !== rank) ||
+        (typeof values[0] === 'string' && !table.caseSensitive)) {
+        return null;
+    }
+    return bounds;
+}
+
+/**
+ * Builds every combination of the per-column candidate values
+ * @param {Array<Array>} valueLists - Candidate values for each column
+ * @returns {Array<Array>|null} Key value tuples, null if there are too many
+ */
+function combineKeys(valueLists) {
+    let keys = [[]];
+    for (const values of valueLists) {
+        if (keys.length * values.length > MAX_LOOKUP_KEYS) {
+            return null;
+        }
+        keys = keys.flatMap(key => values.map(value => key.concat([value])));
+    }
+    return keys;
+}
+
+/**
+ * Plans an equality or $in lookup on an index whose columns all appear in the criteria
+ * @param {DataIndex} index - Candidate index
+ * @param {Object} criteria - Search criteria
+ * @returns {Object|null} Lookup plan or null if the index doesn't apply
+ */
+function planLookup(index, criteria) {
+    const valueLists = [];
+    for (const columnName of index.columnNames) {
+        if (!(columnName in criteria)) {
+            return null;
+        }
+        const values = lookupValuesOf(criteria[columnName]);
+        if (!values) {
+            return null;
+        }
+        valueLists.push(values);
+    }
+
+    const keys = combineKeys(valueLists);
+    return keys
+        ? { type: 'lookup', index, columns: index.columnNames, keys, ignoreCase: !index.table.caseSensitive }
+        : null;
+}
+
+/**
+ * Plans a range scan on the first column of a sorted index
+ * @param {DataIndex} index - Candidate index
+ * @param {Object} criteria - Search criteria
+ * @returns {Object|null} Range plan or null if the index doesn't apply
+ */
+function planRange(index, criteria) {
+    const columnName = index.columnNames[0];
+    if (!index.sorted || !(columnName in criteria)) {
+        return null;
+    }
+
+    const bounds = rangeBoundsOf(index.table, criteria[columnName]);
+    return bounds ? { type: 'range', index, columns: [columnName], bounds } : null;
+}
+
+/**
+ * Chooses the index answering an object criteria, preferring lookups on more columns
+ * @param {DataTable} table - Queried table
+ * @param {Object|Function} criteria - Search criteria or filter function
+ * @returns {Object} Query plan: { type: 'scan'|'lookup'|'range', index, columns, keys, bounds }
+ */
+function planQuery(table, criteria) {
+    const scan = { type: 'scan', index: null, columns: [] };
+    if (typeof criteria !== 'object' || criteria === null) {
+        return scan;
+    }
+
+    let best = null;
+    for (const index of table._indexes) {
+        const plan = planLookup(index, criteria);
+        if (plan && (!best || best.type !== 'lookup' ||
+            plan.columns.length > best.columns.length ||
+            (plan.columns.length === best.columns.length && plan.index.unique && !best.index.unique))) {
+            best = plan;
+        }
+    }
+
+    if (!best) {
+        for (const index of table._indexes) {
+            best = planRange(index, criteria);
+            if (best) {
+                break;
+            }
+        }
+    }
+
+    return best || scan;
+}
+
+/**
+ * Collects the candidate rows of an index plan, in no particular order
+ * @param {Object} plan - Plan returned by planQuery()
+ * @returns {Array<DataRow>} Candidate rows, a superset of the matching rows
+ */
+function candidateRows(plan) {
+    if (plan.type === 'lookup') {
+        if (plan.keys.length === 1) {
+            return plan.index.find(plan.keys[0], plan.ignoreCase);
+        }
+        const rows = new Set();
+        for (const key of plan.keys) {
+            for (const row of plan.index.find(key, plan.ignoreCase)) {
+                rows.add(row);
+            }
+        }
+        return Array.from(rows);
+    }
+    return plan.index.findRange(plan.bounds);
+}
+
+module.exports = {
+    planQuery,
+    candidateRows
+};
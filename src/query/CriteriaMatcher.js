@@ -0,0 +1,222 @@
+const { normalizeKeyValue } = require('../utils/keyUtils');
+const { typeRank, compareValues } = require('../utils/compareUtils');
+
+const LOGICAL_OPERATORS = ['$and', '$or', '$not'];
+const FIELD_OPERATORS = [
+    '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$between',
+    '$in', '$nin', '$exists',
+    '$contains', '$startsWith', '$endsWith', '$regex', '$options',
+    '$not'
+];
+
+/**
+ * Compiles Mongo-style search criteria into a predicate over the rows of a table.
+ *
+ * Criteria are objects whose keys are column names or logical operators:
+ * - { age: 30 } or { age: { $eq: 30 } }: equality
+ * - { age: { $gt: 18, $lt: 65 } }: every operator of a column must hold
+ * - { $or: [criteria, ...] }, { $and: [criteria, ...] }, { $not: criteria }
+ * - { name: { $not: { $startsWith: 'A' } } }, { email: /gmail\.com$/ }
+ *
+ * Strings are compared ignoring case unless the table is case sensitive.
+ * The whole criteria is validated before any row is tested.
+ * @param {DataTable} table - Table whose rows are tested
+ * @param {Object} criteria - Search criteria
+ * @returns {Function} Predicate receiving a DataRow and returning a boolean
+ * @throws {Error} If the criteria uses an unknown operator or column, or an operator gets an invalid operand
+ */
+function compileCriteria(table, criteria) {
+    if (!isPlainObject(criteria)) {
+        throw new Error('Search criteria must be an object or a function');
+    }
+
+    const tests = Object.entries(criteria).map(([key, value]) => {
+        if (key.startsWith('$')) {
+            return compileLogical(table, key, value);
+        }
+        if (!table.columns.contains(key)) {
+            throw new Error(`Column '${key}' does not exist in table '${table.tableName}'`);
+        }
+        const test = compileField(table, key, value);
+        return row => test(row._values[key]);
+    });
+
+    return row => tests.every(test => test(row));
+}
+
+function compileLogical(table, operator, value) {
+    switch (operator) {
+        case '$and':
+        case '$or': {
+            if (!Array.isArray(value) || value.length === 0) {
+                throw new Error(`Operator '${operator}' expects a non-empty array of criteria`);
+            }
+            const tests = value.map(criteria => compileCriteria(table, criteria));
+            return operator === '$and'
+                ? row => tests.every(test => test(row))
+                : row => tests.some(test => test(row));
+        }
+        case '$not': {
+            const test = compileCriteria(table, value);
+            return row => !test(row);
+        }
+        default:
+            throw new Error(`Unknown operator '${operator}', expected one of ${LOGICAL_OPERATORS.join(', ')}`);
+    }
+}
+
+/**
+ * @param {DataTable} table - Queried table
+ * @param {string} columnName - Name of the tested column
+ * @param {*} value - Criteria of the column: a value, a RegExp or an object of operators
+ * @returns {Function} Predicate receiving the value of the column
+ */
+function compileField(table, columnName, value) {
+    if (value instanceof RegExp) {
+        return rowValue => isPresent(rowValue) && testRegExp(value, rowValue);
+    }
+    if (!isPlainObject(value)) {
+        return rowValue => equals(table, rowValue, value);
+    }
+
+    const operators = Object.keys(value);
+    if (operators.length === 0) {
+        throw new Error(`Criteria of column '${columnName}' has no operator`);
+    }
+
+    const tests = operators
+        .filter(operator => operator !== '$options')
+        .map(operator => {
+            if (!FIELD_OPERATORS.includes(operator)) {
+                throw new Error(`Unknown operator '${operator}' on column '${columnName}'`);
+            }
+            return compileOperator(table, columnName, operator, value[operator], value);
+        });
+
+    if ('$options' in value && !('$regex' in value)) {
+        throw new Error(`Operator '$options' on column '${columnName}' requires '$regex'`);
+    }
+
+    return rowValue => tests.every(test => test(rowValue));
+}
+
+function compileOperator(table, columnName, operator, operand, operators) {
+    const invalid = expected => new Error(`Operator '${operator}' on column '${columnName}' expects ${expected}`);
+
+    switch (operator) {
+        case '$eq':
+            return rowValue => equals(table, rowValue, operand);
+        case '$ne':
+            return rowValue => !equals(table, rowValue, operand);
+        case '$gt':
+            return rowValue => compare(table, rowValue, operand) > 0;
+        case '$gte':
+            return rowValue => compare(table, rowValue, operand) >= 0;
+        case '$lt':
+            return rowValue => compare(table, rowValue, operand) < 0;
+        case '$lte':
+            return rowValue => compare(table, rowValue, operand) <= 0;
+        case '$between': {
+            if (!Array.isArray(operand) || operand.length !== 2) {
+                throw invalid('an array [low, high]');
+            }
+            const [low, high] = operand;
+            return rowValue => compare(table, rowValue, low) >= 0 && compare(table, rowValue, high) <= 0;
+        }
+        case '$in':
+        case '$nin': {
+            if (!Array.isArray(operand)) {
+                throw invalid('an array');
+            }
+            const included = rowValue => operand.some(item => equals(table, rowValue, item));
+            return operator === '$in' ? included : rowValue => !included(rowValue);
+        }
+        case '$exists':
+            if (typeof operand !== 'boolean') {
+                throw invalid('true or false');
+            }
+            return rowValue => isPresent(rowValue) === operand;
+        case '$contains':
+        case '$startsWith':
+        case '$endsWith': {
+            if (typeof operand !== 'string') {
+                throw invalid('a string');
+            }
+            const search = foldCase(table, operand);
+            const method = { $contains: 'includes', $startsWith: 'startsWith', $endsWith: 'endsWith' }[operator];
+            return rowValue => isPresent(rowValue) && foldCase(table, String(rowValue))[method](search);
+        }
+        case '$regex': {
+            const options = operators.$options || '';
+            if (typeof options !== 'string') {
+                throw new Error(`Operator '$options' on column '${columnName}' expects a string of flags`);
+            }
+            let regExp;
+            try {
+                regExp = operand instanceof RegExp
+                    ? new RegExp(operand.source, mergeFlags(operand.flags, options))
+                    : new RegExp(operand, mergeFlags(table.caseSensitive ? '' : 'i', options));
+            } catch (error) {
+                throw invalid(`a valid regular expression: ${error.message}`);
+            }
+            return rowValue => isPresent(rowValue) && testRegExp(regExp, rowValue);
+        }
+        case '$not': {
+            const test = compileField(table, columnName, operand);
+            return rowValue => !test(rowValue);
+        }
+    }
+}
+
+/**
+ * Equality of a row value and a criteria value, nulls are equal to each other
+ * @param {DataTable} table - Queried table
+ * @param {*} rowValue - Value of the row
+ * @param {*} value - Value of the criteria
+ * @returns {boolean} True if the values are equal
+ */
+function equals(table, rowValue, value) {
+    return normalizeKeyValue(foldCase(table, rowValue)) === normalizeKeyValue(foldCase(table, value));
+}
+
+/**
+ * Orders a row value against a criteria value of the same kind
+ * @param {DataTable} table - Queried table
+ * @param {*} rowValue - Value of the row
+ * @param {*} value - Value of the criteria
+ * @returns {number} Negative, zero or positive, NaN if the values can't be ordered (null or different kinds)
+ */
+function compare(table, rowValue, value) {
+    if (!isPresent(rowValue) || !isPresent(value) || typeRank(rowValue) !== typeRank(value)) {
+        return NaN;
+    }
+    return compareValues(foldCase(table, rowValue), foldCase(table, value));
+}
+
+function foldCase(table, value) {
+    return typeof value === 'string' && !table.caseSensitive ? value.toLowerCase() : value;
+}
+
+function isPresent(value) {
+    return value !== null && value !== undefined;
+}
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value) &&
+        !(value instanceof Date) && !(value instanceof RegExp);
+}
+
+function mergeFlags(flags, options) {
+    return Array.from(new Set(flags + options)).join('');
+}
+
+function testRegExp(regExp, value) {
+    // Global and sticky expressions keep state between calls
+    regExp.lastIndex = 0;
+    return regExp.test(String(value));
+}
+
+module.exports = {
+    compileCriteria,
+    isPlainObject
+};
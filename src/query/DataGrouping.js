@@ -0,0 +1,192 @@
+const DataRowState = require('../enums/DataRowState');
+const { aggregate } = require('../expressions/ExpressionEvaluator');
+const { createKey } = require('../utils/keyUtils');
+const { createTable } = require('../utils/tableUtils');
+
+const AGGREGATES = {
+    sum: 'SUM',
+    avg: 'AVG',
+    min: 'MIN',
+    max: 'MAX',
+    count: 'COUNT',
+    stdev: 'STDEV',
+    var: 'VAR'
+};
+
+/**
+ * Rows of a table grouped by the values of one or more columns, returned by DataTable.groupBy() and DataView.groupBy().
+ * Rows marked as DELETED are never part of a group.
+ */
+class DataGrouping {
+    /**
+     * @param {DataTable} table - Table the rows belong to
+     * @param {Array<DataRow>} rows - Rows to group
+     * @param {string|Array<string>} columns - Column or columns to group by, empty for a single group
+     * @throws {Error} If a column doesn't exist
+     */
+    constructor(table, rows, columns) {
+        this._table = table;
+        this._columnNames = Array.isArray(columns) ? columns.slice() : [columns];
+
+        for (const columnName of this._columnNames) {
+            if (!table.columns.contains(columnName)) {
+                throw new Error(`Column '${columnName}' does not exist in table '${table.tableName}'`);
+            }
+        }
+
+        this._groups = new Map();
+        if (this._columnNames.length === 0) {
+            this._groups.set('', []);
+        }
+        for (const row of rows) {
+            if (row._rowState === DataRowState.DELETED) {
+                continue;
+            }
+            const key = createKey(this._columnNames.map(name => this._foldCase(row._values[name])));
+            if (this._groups.has(key)) {
+                this._groups.get(key).push(row);
+            } else {
+                this._groups.set(key, [row]);
+            }
+        }
+    }
+
+    /**
+     * @returns {number} Number of groups
+     */
+    get count() {
+        return this._groups.size;
+    }
+
+    /**
+     * Rows of each group, groups in order of first appearance
+     * @returns {Array<{key: Object, rows: Array<DataRow>}>} Groups with the values of the grouping columns
+     */
+    groups() {
+        return Array.from(this._groups.values()).map(rows => ({
+            key: this._keyValues(rows),
+            rows: rows.slice()
+        }));
+    }
+
+    /**
+     * Computes aggregates for every group into a new table holding the grouping columns and one column per aggregate.
+     * Each aggregate is [column, function] where column is '*' to count rows and function is one of
+     * sum, avg, min, max, count, countDistinct, first, last, stdev, var,
+     * or a reducer (values, rows) => result. An optional third item sets the data type of the result column.
+     * @param {Object<string, Array>} aggregates - Aggregates by name of the result column
+     * @returns {DataTable} Table with one row per group
+     * @throws {Error} If an aggregate is invalid or a column doesn't exist
+     * @example
+     * table.groupBy(['region', 'year']).aggregate({ total: ['amount', 'sum'], n: ['*', 'count'] });
+     */
+    aggregate(aggregates) {
+        const specs = Object.entries(aggregates).map(([name, spec]) => this._parseAggregate(name, spec));
+        const result = createTable(this._table.tableName);
+        result.caseSensitive = this._table.caseSensitive;
+
+        for (const columnName of this._columnNames) {
+            result.addColumn(columnName, this._table.columns._columns.get(columnName).dataType);
+        }
+        for (const spec of specs) {
+            if (result.columns.contains(spec.name)) {
+                throw new Error(`Column '${spec.name}' already belongs to the result of the grouping`);
+            }
+            result.addColumn(spec.name, spec.dataType);
+        }
+
+        for (const rows of this._groups.values()) {
+            const values = this._keyValues(rows);
+            for (const spec of specs) {
+                values[spec.name] = spec.compute(rows);
+            }
+            result.addRow(values);
+        }
+
+        return result;
+    }
+
+    /**
+     * @param {Array<DataRow>} rows - Rows of a group
+     * @returns {Object} Values of the grouping columns for the group
+     * @private
+     */
+    _keyValues(rows) {
+        const values = {};
+        for (const columnName of this._columnNames) {
+            values[columnName] = rows.length > 0 ? rows[0]._values[columnName] : null;
+        }
+        return values;
+    }
+
+    /**
+     * @param {*} value - Grouped value
+     * @returns {*} The value, lower case if it is a string and the table isn't case sensitive
+     * @private
+     */
+    _foldCase(value) {
+        return typeof value === 'string' && !this._table.caseSensitive ? value.toLowerCase() : value;
+    }
+
+    /**
+     * @param {string} name - Name of the result column
+     * @param {Array} spec - [column, function, dataType]
+     * @returns {{name: string, dataType: string|null, compute: Function}} Parsed aggregate
+     * @throws {Error} If the aggregate is invalid
+     * @private
+     */
+    _parseAggregate(name, spec) {
+        if (!Array.isArray(spec) || spec.length < 2) {
+            throw new Error(`Aggregate '${name}' must be [column, function]`);
+        }
+
+        const [columnName, fn, dataType] = spec;
+        const column = columnName === '*' ? null : this._table.columns._columns.get(columnName);
+        if (columnName !== '*' && !column) {
+            throw new Error(`Column '${columnName}' does not exist in table '${this._table.tableName}'`);
+        }
+
+        const valuesOf = rows => column ? rows.map(row => row._values[columnName]) : rows;
+        const nonNull = rows => valuesOf(rows).filter(value => value !== null && value !== undefined);
+
+        if (typeof fn === 'function') {
+            return { name, dataType: dataType || null, compute: rows => fn(valuesOf(rows), rows) };
+        }
+
+        const functionName = String(fn).toLowerCase();
+        if (!column && functionName !== 'count') {
+            throw new Error(`Aggregate '${name}' can only count rows with '*'`);
+        }
+
+        switch (functionName) {
+            case 'count':
+                return { name, dataType: dataType || 'number', compute: rows => nonNull(rows).length };
+            case 'countdistinct':
+                return {
+                    name,
+                    dataType: dataType || 'number',
+                    compute: rows => new Set(nonNull(rows).map(value => createKey([this._foldCase(value)]))).size
+                };
+            case 'first':
+            case 'last':
+                return {
+                    name,
+                    dataType: dataType || column.dataType,
+                    compute: rows => {
+                        const values = valuesOf(rows);
+                        return values.length === 0 ? null : values[functionName === 'first' ? 0 : values.length - 1];
+                    }
+                };
+            case 'min':
+            case 'max':
+                return { name, dataType: dataType || column.dataType, compute: rows => aggregate(AGGREGATES[functionName], nonNull(rows)) };
+        }
+
+        if (!(functionName in AGGREGATES)) {
+            throw new Error(`Unknown aggregate function '${fn}' for '${name}'`);
+        }
+        return { name, dataType: dataType || 'number', compute: rows => aggregate(AGGREGATES[functionName], nonNull(rows)) };
+    }
+}
+
+module.exports = DataGrouping;
@@ -0,0 +1,167 @@
+const DataGrouping = require('./DataGrouping');
+const DataRowState = require('../enums/DataRowState');
+const { compareValues } = require('../utils/compareUtils');
+const { createKey } = require('../utils/keyUtils');
+const { createTable } = require('../utils/tableUtils');
+
+/**
+ * @param {DataTable} table - Source table
+ * @param {Array<string>} columnNames - Columns that must exist in the table
+ * @throws {Error} If a column doesn't exist
+ */
+function checkColumns(table, columnNames) {
+    for (const columnName of columnNames) {
+        if (!table.columns.contains(columnName)) {
+            throw new Error(`Column '${columnName}' does not exist in table '${table.tableName}'`);
+        }
+    }
+}
+
+/**
+ * @param {*} value - Value of the pivoted column
+ * @returns {string} Name of the column created for the value
+ */
+function columnNameOf(value) {
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    return String(value);
+}
+
+/**
+ * Turns the distinct values of a column into columns holding an aggregate of another column (long to wide format)
+ * @param {DataTable} table - Source table, left untouched
+ * @param {Object} options - Pivot options
+ * @param {string|Array<string>} [options.rows=[]] - Columns identifying a row of the result
+ * @param {string} options.columns - Column whose distinct values become columns, in ascending order
+ * @param {string} options.values - Column aggregated into the cells
+ * @param {string|Function} [options.aggregate='sum'] - Aggregate function accepted by DataGrouping.aggregate()
+ * @param {*} [options.fill=null] - Value of the cells without source rows
+ * @returns {DataTable} New table with the row columns followed by one column per distinct value
+ * @throws {Error} If a column doesn't exist or a created column would collide with a row column
+ */
+function pivotTable(table, options) {
+    const rowColumns = options.rows === undefined ? [] : [].concat(options.rows);
+    const pivotColumn = options.columns;
+    const valueColumn = options.values;
+    const fill = options.fill === undefined ? null : options.fill;
+
+    if (typeof pivotColumn !== 'string' || typeof valueColumn !== 'string') {
+        throw new Error("Pivot options 'columns' and 'values' must be column names");
+    }
+    checkColumns(table, rowColumns.concat([pivotColumn, valueColumn]));
+    if (rowColumns.includes(pivotColumn) || rowColumns.includes(valueColumn) || pivotColumn === valueColumn) {
+        throw new Error("Pivot options 'rows', 'columns' and 'values' must use different columns");
+    }
+
+    // One row per (rows, columns) combination, with the aggregated value
+    const cells = new DataGrouping(table, table.rows._rows, rowColumns.concat([pivotColumn]))
+        .aggregate({ [valueColumn]: [valueColumn, options.aggregate || 'sum'] });
+    const cellType = cells.columns._columns.get(valueColumn).dataType;
+
+    const pivotValues = new Map();
+    const foldCase = value => typeof value === 'string' && !table.caseSensitive ? value.toLowerCase() : value;
+    for (const row of cells.rows._rows) {
+        const key = createKey([foldCase(row._values[pivotColumn])]);
+        if (!pivotValues.has(key)) {
+            pivotValues.set(key, row._values[pivotColumn]);
+        }
+    }
+    const sortedValues = Array.from(pivotValues.entries()).sort((a, b) => compareValues(a[1], b[1]));
+
+    const result = createTable(table.tableName);
+    result.caseSensitive = table.caseSensitive;
+    for (const columnName of rowColumns) {
+        result.addColumn(columnName, table.columns._columns.get(columnName).dataType);
+    }
+    const columnNames = new Map();
+    for (const [key, value] of sortedValues) {
+        const columnName = columnNameOf(value);
+        if (result.columns.contains(columnName)) {
+            throw new Error(`Pivot column '${columnName}' collides with another column of the result`);
+        }
+        result.addColumn(columnName, cellType);
+        columnNames.set(key, columnName);
+    }
+
+    for (const { key, rows } of new DataGrouping(cells, cells.rows._rows, rowColumns).groups()) {
+        const values = { ...key };
+        for (const columnName of columnNames.values()) {
+            values[columnName] = fill;
+        }
+        for (const row of rows) {
+            const cell = row._values[valueColumn];
+            values[columnNames.get(createKey([foldCase(row._values[pivotColumn])]))] = cell === null ? fill : cell;
+        }
+        result.addRow(values);
+    }
+
+    return result;
+}
+
+/**
+ * Turns columns into rows holding the column name and its value (wide to long format)
+ * @param {DataTable} table - Source table, left untouched
+ * @param {Object} options - Unpivot options
+ * @param {string|Array<string>} [options.id=[]] - Columns copied to every produced row
+ * @param {Array<string>} [options.valueColumns] - Columns turned into rows, all the other columns by default
+ * @param {string} [options.nameColumn='name'] - Column receiving the name of the source column
+ * @param {string} [options.valueColumn='value'] - Column receiving the value of the source column
+ * @param {boolean} [options.dropNulls=false] - Whether null values produce no row
+ * @returns {DataTable} New table with one row per source row and value column, DELETED rows are skipped
+ * @throws {Error} If a column doesn't exist or the result columns collide
+ */
+function unpivotTable(table, options = {}) {
+    const idColumns = options.id === undefined ? [] : [].concat(options.id);
+    const valueColumns = options.valueColumns
+        ? options.valueColumns.slice()
+        : Array.from(table.columns).map(column => column.columnName).filter(name => !idColumns.includes(name));
+    const nameColumn = options.nameColumn || 'name';
+    const valueColumn = options.valueColumn || 'value';
+
+    checkColumns(table, idColumns.concat(valueColumns));
+    if (valueColumns.length === 0) {
+        throw new Error('Unpivot needs at least one value column');
+    }
+    if (idColumns.includes(nameColumn) || idColumns.includes(valueColumn) || nameColumn === valueColumn) {
+        throw new Error(`Unpivot columns '${nameColumn}' and '${valueColumn}' must differ from each other and from the id columns`);
+    }
+
+    // The value column keeps the data type shared by all the value columns, if any
+    const dataTypes = new Set(valueColumns.map(name => table.columns._columns.get(name).dataType));
+    const valueType = dataTypes.size === 1 ? Array.from(dataTypes)[0] : null;
+
+    const result = createTable(table.tableName);
+    result.caseSensitive = table.caseSensitive;
+    for (const columnName of idColumns) {
+        result.addColumn(columnName, table.columns._columns.get(columnName).dataType);
+    }
+    result.addColumn(nameColumn, 'string');
+    result.addColumn(valueColumn, valueType);
+
+    for (const row of table.rows._rows) {
+        if (row._rowState === DataRowState.DELETED) {
+            continue;
+        }
+        for (const columnName of valueColumns) {
+            const value = row._values[columnName];
+            if (options.dropNulls && (value === null || value === undefined)) {
+                continue;
+            }
+            const values = {};
+            for (const idColumn of idColumns) {
+                values[idColumn] = row._values[idColumn];
+            }
+            values[nameColumn] = columnName;
+            values[valueColumn] = value;
+            result.addRow(values);
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    pivotTable,
+    unpivotTable
+};
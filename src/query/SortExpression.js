@@ -0,0 +1,100 @@
+const { getType } = require('../types/TypeRegistry');
+
+/**
+ * Splits a sort expression on the commas that are not inside brackets
+ * @param {string} sort - Sort expression
+ * @returns {Array<string>} Trimmed items, empty ones removed
+ */
+function splitItems(sort) {
+    const items = [];
+    let current = '';
+    let bracketed = false;
+    for (const char of sort) {
+        if (char === '[') bracketed = true;
+        if (char === ']') bracketed = false;
+        if (char === ',' && !bracketed) {
+            items.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    items.push(current);
+    return items.map(item => item.trim()).filter(item => item !== '');
+}
+
+/**
+ * Parses a sort definition into the columns to sort by.
+ * Column names containing spaces or commas can be written in brackets: "[Last Name] DESC".
+ * @param {DataTable} table - Sorted table
+ * @param {string|Array<{column: string, order: string}>} sort - Expression such as "LastName ASC, Created DESC",
+ * or criteria like the ones of DataTable.sortMultiple()
+ * @param {string} [defaultOrder='asc'] - Order of the columns without direction
+ * @returns {Array<{columnName: string, column: DataColumn, descending: boolean}>} Sort columns, most significant first
+ * @throws {Error} If a column doesn't exist or a direction is not ASC or DESC
+ */
+function parseSort(table, sort, defaultOrder = 'asc') {
+    const items = Array.isArray(sort)
+        ? sort.map(({ column, order = defaultOrder }) => [column, order])
+        : splitItems(sort).map(item => {
+            if (table.columns.contains(item)) {
+                return [item, defaultOrder];
+            }
+            const match = item.match(/^(\[(.+)\]|\S+)(?:\s+(\S+))?$/);
+            return match ? [match[2] !== undefined ? match[2] : match[1], match[3] || defaultOrder] : [item, defaultOrder];
+        });
+
+    return items.map(([columnName, order]) => {
+        if (!table.columns.contains(columnName)) {
+            throw new Error(`Column '${columnName}' does not exist in table '${table.tableName}'`);
+        }
+        const direction = String(order).toLowerCase();
+        if (direction !== 'asc' && direction !== 'desc') {
+            throw new Error(`Invalid sort direction '${order}' for column '${columnName}', expected ASC or DESC`);
+        }
+        return { columnName, column: table.columns._columns.get(columnName), descending: direction === 'desc' };
+    });
+}
+
+/**
+ * Creates the collator comparing the strings of a table
+ * @param {DataTable} table - Sorted table
+ * @param {Object} [options={}] - Intl.Collator options, plus the locale
+ * @param {string|Array<string>} [options.locale] - Locale of the collation, the default locale if omitted
+ * @returns {Intl.Collator} Collator ignoring case unless the table is case sensitive
+ */
+function createCollator(table, options = {}) {
+    const { locale, ...collatorOptions } = options;
+    return new Intl.Collator(locale, {
+        sensitivity: table.caseSensitive ? 'variant' : 'accent',
+        ...collatorOptions
+    });
+}
+
+/**
+ * Creates a comparer of two values of a column, according to its data type. Nulls come last in both orders.
+ * @param {DataColumn} column - Compared column
+ * @param {boolean} descending - Whether the order is reversed
+ * @param {Intl.Collator} collator - Collator comparing strings
+ * @returns {Function} Comparer receiving two values
+ */
+function createValueComparer(column, descending, collator) {
+    const type = getType(column.dataType);
+    const compare = (a, b) => type.compare(a, b, collator);
+
+    return (a, b) => {
+        const missingA = a === null || a === undefined;
+        const missingB = b === null || b === undefined;
+        if (missingA || missingB) {
+            return missingA - missingB;
+        }
+        const comparison = compare(a, b);
+        return descending ? -comparison : comparison;
+    };
+}
+
+module.exports = {
+    parseSort,
+    createCollator,
+    createValueComparer
+};
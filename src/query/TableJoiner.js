@@ -0,0 +1,213 @@
+const DataRowState = require('../enums/DataRowState');
+const { createKey, hasNullKeyPart } = require('../utils/keyUtils');
+const { createTable } = require('../utils/tableUtils');
+
+const JOIN_TYPES = ['inner', 'left', 'right', 'full'];
+
+/**
+ * Normalizes the join condition into pairs of column names
+ * @param {string|Array<string>|Object<string, string>} on - Shared column name(s) or map of left to right column names
+ * @returns {Array<[string, string]>} Pairs of [left column, right column]
+ * @throws {Error} If the condition is empty or invalid
+ */
+function parseCondition(on) {
+    let pairs;
+    if (typeof on === 'string') {
+        pairs = [[on, on]];
+    } else if (Array.isArray(on)) {
+        pairs = on.map(columnName => [columnName, columnName]);
+    } else if (typeof on === 'object' && on !== null) {
+        pairs = Object.entries(on);
+    } else {
+        pairs = [];
+    }
+
+    if (pairs.length === 0 || pairs.some(([left, right]) => typeof left !== 'string' || typeof right !== 'string')) {
+        throw new Error("Join condition 'on' must be a column name, an array of column names or a map of left to right column names");
+    }
+    return pairs;
+}
+
+/**
+ * Builds the schema of the joined table: left columns, then right columns renamed on conflicts.
+ * Key columns with the same name on both sides are merged into one column, like SQL USING.
+ * @param {DataTable} left - Left table
+ * @param {DataTable} right - Right table
+ * @param {Array<[string, string]>} pairs - Join columns
+ * @returns {Array<{name: string, dataType: string|null, side: string, source: string, merged: boolean}>} Result columns
+ */
+function buildSchema(left, right, pairs) {
+    const columns = [];
+    const names = new Set();
+    const mergedKeys = new Set(pairs.filter(([leftName, rightName]) => leftName === rightName).map(([name]) => name));
+
+    for (const column of left.columns) {
+        columns.push({
+            name: column.columnName,
+            dataType: column.dataType,
+            side: 'left',
+            source: column.columnName,
+            merged: mergedKeys.has(column.columnName)
+        });
+        names.add(column.columnName);
+    }
+
+    for (const column of right.columns) {
+        if (mergedKeys.has(column.columnName)) {
+            continue;
+        }
+        let name = column.columnName;
+        if (names.has(name)) {
+            name = `${right.tableName}_${column.columnName}`;
+            for (let suffix = 2; names.has(name); suffix++) {
+                name = `${right.tableName}_${column.columnName}_${suffix}`;
+            }
+        }
+        columns.push({ name, dataType: column.dataType, side: 'right', source: column.columnName, merged: false });
+        names.add(name);
+    }
+
+    return columns;
+}
+
+/**
+ * Resolves the 'select' option against the joined schema
+ * @param {Array} columns - Result columns from buildSchema()
+ * @param {Array<string>|Object<string, string>} select - Column names of the result or 'Table.column' references,
+ * or a map of output names to such references
+ * @param {DataTable} left - Left table
+ * @param {DataTable} right - Right table
+ * @returns {Array} Selected result columns, renamed when aliased
+ * @throws {Error} If a reference doesn't match exactly one column
+ */
+function selectColumns(columns, select, left, right) {
+    const entries = Array.isArray(select)
+        ? select.map(reference => [null, reference])
+        : Object.entries(select);
+
+    return entries.map(([alias, reference]) => {
+        let matches = columns.filter(column => column.name === reference);
+        if (matches.length === 0) {
+            const separator = reference.indexOf('.');
+            const tableName = reference.slice(0, separator);
+            const columnName = reference.slice(separator + 1);
+            matches = columns.filter(column => column.source === columnName && (
+                (column.side === 'left' && left.tableName === tableName) ||
+                ((column.side === 'right' || column.merged) && right.tableName === tableName)
+            ));
+        }
+        if (matches.length !== 1) {
+            throw new Error(matches.length === 0
+                ? `Column '${reference}' does not exist in the joined tables`
+                : `Column '${reference}' is ambiguous in the joined tables, qualify it with the table name`);
+        }
+        return { ...matches[0], name: alias || matches[0].name };
+    });
+}
+
+/**
+ * Joins two tables with a hash join on equal key values. Null keys never match and DELETED rows are skipped.
+ * Rows come in the order of the left table, then unmatched right rows for right and full joins.
+ * @param {DataTable} left - Left table
+ * @param {DataTable} right - Right table
+ * @param {Object} options - Join options
+ * @param {string|Array<string>|Object<string, string>} options.on - Join columns
+ * @param {string} [options.type='inner'] - 'inner', 'left', 'right' or 'full'
+ * @param {Array<string>|Object<string, string>} [options.select] - Columns of the result, all by default
+ * @param {string} [options.tableName] - Name of the result, 'Left_Right' by default
+ * @returns {DataTable} New table holding the joined rows
+ * @throws {Error} If the options are invalid
+ */
+function joinTables(left, right, options = {}) {
+    const type = (options.type || 'inner').toLowerCase();
+    if (!JOIN_TYPES.includes(type)) {
+        throw new Error(`Unknown join type '${options.type}', expected one of ${JOIN_TYPES.join(', ')}`);
+    }
+
+    const pairs = parseCondition(options.on);
+    for (const [leftName, rightName] of pairs) {
+        if (!left.columns.contains(leftName)) {
+            throw new Error(`Column '${leftName}' does not exist in table '${left.tableName}'`);
+        }
+        if (!right.columns.contains(rightName)) {
+            throw new Error(`Column '${rightName}' does not exist in table '${right.tableName}'`);
+        }
+    }
+
+    let columns = buildSchema(left, right, pairs);
+    if (options.select) {
+        columns = selectColumns(columns, options.select, left, right);
+    }
+
+    const result = createTable(options.tableName || `${left.tableName}_${right.tableName}`);
+    result.caseSensitive = left.caseSensitive;
+    for (const column of columns) {
+        if (result.columns.contains(column.name)) {
+            throw new Error(`Column '${column.name}' is selected twice`);
+        }
+        result.addColumn(column.name, column.dataType);
+    }
+
+    const foldCase = value => typeof value === 'string' && !left.caseSensitive ? value.toLowerCase() : value;
+    const keyValuesOf = (row, side) => pairs.map(pair => row._values[pair[side === 'left' ? 0 : 1]]);
+    const liveRows = table => table.rows._rows.filter(row => row._rowState !== DataRowState.DELETED);
+
+    // Build side: right rows by key
+    const buckets = new Map();
+    for (const row of liveRows(right)) {
+        const keyValues = keyValuesOf(row, 'right');
+        if (hasNullKeyPart(keyValues)) {
+            continue;
+        }
+        const key = createKey(keyValues.map(foldCase));
+        if (buckets.has(key)) {
+            buckets.get(key).push(row);
+        } else {
+            buckets.set(key, [row]);
+        }
+    }
+
+    const addRow = (leftRow, rightRow) => {
+        const values = {};
+        for (const column of columns) {
+            const leftValue = leftRow ? leftRow._values[column.source] : null;
+            if (column.side === 'left' && !column.merged) {
+                values[column.name] = leftValue;
+            } else if (column.side === 'right') {
+                values[column.name] = rightRow ? rightRow._values[column.source] : null;
+            } else {
+                values[column.name] = leftRow ? leftValue : rightRow._values[column.source];
+            }
+        }
+        result.addRow(values);
+    };
+
+    const matchedRight = new Set();
+    for (const leftRow of liveRows(left)) {
+        const keyValues = keyValuesOf(leftRow, 'left');
+        const matches = hasNullKeyPart(keyValues) ? null : buckets.get(createKey(keyValues.map(foldCase)));
+
+        if (matches) {
+            for (const rightRow of matches) {
+                matchedRight.add(rightRow);
+                addRow(leftRow, rightRow);
+            }
+        } else if (type === 'left' || type === 'full') {
+            addRow(leftRow, null);
+        }
+    }
+
+    if (type === 'right' || type === 'full') {
+        for (const rightRow of liveRows(right)) {
+            if (!matchedRight.has(rightRow)) {
+                addRow(null, rightRow);
+            }
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    joinTables
+};
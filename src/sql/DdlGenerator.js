@@ -0,0 +1,395 @@
+const UniqueConstraint = require('../constraints/UniqueConstraint');
+const ForeignKeyConstraint = require('../constraints/ForeignKeyConstraint');
+const Rule = require('../enums/Rule');
+const { getDialect, quoteTableName } = require('./SqlDialect');
+const { getType } = require('../types/TypeRegistry');
+
+/**
+ * Database types of the column data types, by dialect. Untyped data types, enums and custom types use the string type.
+ * Key and unique strings use the indexable type, auto-increment numbers the integer type.
+ */
+const TYPES = {
+    postgres: {
+        string: 'TEXT',
+        number: 'DOUBLE PRECISION',
+        integer: 'INTEGER',
+        bigint: 'BIGINT',
+        decimal: 'NUMERIC',
+        date: 'TIMESTAMP',
+        boolean: 'BOOLEAN',
+        json: 'JSONB',
+        binary: 'BYTEA',
+        uuid: 'UUID',
+        timestamp: 'TIMESTAMPTZ'
+    },
+    mysql: {
+        string: 'TEXT',
+        indexableString: 'VARCHAR(255)',
+        number: 'DOUBLE',
+        integer: 'INT',
+        bigint: 'BIGINT',
+        decimal: 'DECIMAL(18, 4)',
+        date: 'DATETIME',
+        boolean: 'BOOLEAN',
+        json: 'JSON',
+        binary: 'LONGBLOB',
+        uuid: 'CHAR(36)',
+        timestamp: 'TIMESTAMP'
+    },
+    sqlite: {
+        string: 'TEXT',
+        number: 'REAL',
+        integer: 'INTEGER',
+        bigint: 'BIGINT',
+        decimal: 'NUMERIC',
+        date: 'DATETIME',
+        boolean: 'BOOLEAN',
+        json: 'JSON',
+        binary: 'BLOB',
+        uuid: 'TEXT',
+        timestamp: 'DATETIME'
+    },
+    mssql: {
+        string: 'NVARCHAR(MAX)',
+        indexableString: 'NVARCHAR(450)',
+        number: 'FLOAT',
+        integer: 'INT',
+        bigint: 'BIGINT',
+        decimal: 'DECIMAL(18, 4)',
+        date: 'DATETIME2',
+        boolean: 'BIT',
+        json: 'NVARCHAR(MAX)',
+        binary: 'VARBINARY(MAX)',
+        uuid: 'UNIQUEIDENTIFIER',
+        timestamp: 'DATETIMEOFFSET'
+    }
+};
+
+// Types refusing literal defaults, by dialect: MySQL only takes expressions on them, from MySQL 8.0.13
+const EXPRESSION_DEFAULTS = {
+    mysql: ['TEXT', 'JSON', 'LONGBLOB']
+};
+
+// Longest default kept in the indexable string type instead of an expression default
+const INDEXABLE_DEFAULT_LENGTH = 255;
+
+const IDENTITIES = {
+    postgres: ' GENERATED BY DEFAULT AS IDENTITY',
+    mysql: ' AUTO_INCREMENT',
+    sqlite: '',
+    mssql: ' IDENTITY(1, 1)'
+};
+
+const RULES = {
+    [Rule.CASCADE]: 'CASCADE',
+    [Rule.SET_NULL]: 'SET NULL',
+    [Rule.SET_DEFAULT]: 'SET DEFAULT',
+    [Rule.NONE]: 'NO ACTION'
+};
+
+/**
+ * @param {string|Object} dialect - Name of a dialect or dialect returned by getDialect()
+ * @returns {Object} The dialect, with a name having DDL types
+ * @throws {Error} If the dialect is unknown or is a custom dialect
+ */
+function getDdlDialect(dialect) {
+    const found = getDialect(dialect);
+    if (!TYPES[found.name]) {
+        throw new Error(`DDL generation doesn't support the SQL dialect '${found.name}', expected one of ${Object.keys(TYPES).join(', ')}`);
+    }
+    return found;
+}
+
+/**
+ * @param {DataColumn} column - Column of a table
+ * @returns {boolean} Whether the column is stored in the database, computed columns being evaluated in memory
+ */
+function isStored(column) {
+    return !column._expression;
+}
+
+/**
+ * @param {DataColumn} column - Stored column
+ * @param {Object} dialect - DDL dialect
+ * @returns {string} Database type of the column
+ */
+function columnType(column, dialect) {
+    // Foreign key columns take the type of the key they reference
+    const foreignKey = Array.from(column.table.constraints).find(constraint =>
+        constraint instanceof ForeignKeyConstraint && constraint.columns.includes(column) && constraint.relatedTable !== column.table);
+    if (foreignKey) {
+        return columnType(foreignKey.relatedColumns[foreignKey.columns.indexOf(column)], dialect);
+    }
+
+    const types = TYPES[dialect.name];
+    // Aliases such as 'int' resolve to the name of their type
+    const dataType = column.dataType ? getType(column.dataType).name : 'string';
+    if (column.autoIncrement && dataType === 'number') {
+        return types.integer;
+    }
+    const type = types[dataType] || types.string;
+    const indexed = Array.from(column.table.constraints).some(constraint => constraint.involves(column.columnName));
+    // A short default fits the indexable type, which takes literal defaults everywhere
+    const shortDefault = hasDefault(column) && (EXPRESSION_DEFAULTS[dialect.name] || []).includes(type) &&
+        String(column.defaultValue).length <= INDEXABLE_DEFAULT_LENGTH;
+    return type === types.string && (indexed || shortDefault) && types.indexableString ? types.indexableString : type;
+}
+
+/**
+ * @param {DataColumn} column - Stored column
+ * @returns {boolean} Whether the column gets a DEFAULT clause
+ */
+function hasDefault(column) {
+    return column.defaultValue !== null && column.defaultValue !== undefined && !column.autoIncrement;
+}
+
+/**
+ * @param {*} value - Default value of a column
+ * @param {Object} dialect - DDL dialect
+ * @returns {string} SQL literal of the value
+ */
+function literal(value, dialect) {
+    if (typeof value === 'number' || typeof value === 'bigint') {
+        return String(value);
+    }
+    if (typeof value === 'boolean') {
+        return dialect.name === 'mssql' ? String(Number(value)) : String(value).toUpperCase();
+    }
+    let text = value instanceof Date ? value.toISOString() : value;
+    if (typeof text !== 'string') {
+        text = JSON.stringify(text);
+    }
+    return `'${text.replace(/'/g, "''")}'`;
+}
+
+/**
+ * @param {DataColumn} column - Stored column
+ * @param {Object} dialect - DDL dialect
+ * @param {boolean} inlineKey - Whether the column is declared as the SQLite INTEGER PRIMARY KEY AUTOINCREMENT
+ * @returns {string} Definition of the column, e.g. "name" TEXT DEFAULT 'x' NOT NULL
+ */
+function columnDefinition(column, dialect, inlineKey = false) {
+    const name = dialect.quoteIdentifier(column.columnName);
+    if (inlineKey) {
+        return `${name} INTEGER PRIMARY KEY AUTOINCREMENT`;
+    }
+    const type = columnType(column, dialect);
+    let definition = `${name} ${type}`;
+    if (column.autoIncrement) {
+        definition += IDENTITIES[dialect.name];
+    }
+    if (hasDefault(column)) {
+        const value = literal(column.defaultValue, dialect);
+        definition += (EXPRESSION_DEFAULTS[dialect.name] || []).includes(type) ? ` DEFAULT (${value})` : ` DEFAULT ${value}`;
+    }
+    if (!column.allowNull || column.isPrimaryKey) {
+        definition += ' NOT NULL';
+    }
+    return definition;
+}
+
+/**
+ * @param {Array<string>} names - Column names
+ * @param {Object} dialect - DDL dialect
+ * @returns {string} Quoted names between parentheses
+ */
+function columnList(names, dialect) {
+    return `(${names.map(name => dialect.quoteIdentifier(name)).join(', ')})`;
+}
+
+/**
+ * Foreign keys of a child table: its ForeignKeyConstraints, plus the relations of its DataSet created without constraint
+ * @param {DataTable} table - Child table
+ * @returns {Array<{name: string, parentTable: DataTable, parentColumns: Array<string>, childColumns: Array<string>,
+ * updateRule: string|null, deleteRule: string|null}>} Foreign keys
+ */
+function foreignKeys(table) {
+    const keys = Array.from(table.constraints)
+        .filter(constraint => constraint instanceof ForeignKeyConstraint)
+        .map(constraint => ({
+            name: constraint.constraintName,
+            parentTable: constraint.relatedTable,
+            parentColumns: constraint.relatedColumns.map(column => column.columnName),
+            childColumns: constraint.columns.map(column => column.columnName),
+            updateRule: constraint.updateRule,
+            deleteRule: constraint.deleteRule
+        }));
+
+    const relations = table.dataSet ? table.dataSet.relations : [];
+    for (const relation of relations) {
+        if (relation.childTable === table && !relation.childKeyConstraint) {
+            keys.push({
+                name: relation.relationName,
+                parentTable: relation.parentTable,
+                parentColumns: [relation.parentColumn.columnName],
+                childColumns: [relation.childColumn.columnName],
+                updateRule: null,
+                deleteRule: null
+            });
+        }
+    }
+    return keys;
+}
+
+/**
+ * CREATE TABLE statement of a table: stored columns with their types, NOT NULL and DEFAULT,
+ * the primary key, the unique constraints and the foreign keys
+ * @param {DataTable} table - Table to create
+ * @param {string|Object} [dialect='postgres'] - 'postgres', 'mysql', 'sqlite' or 'mssql'
+ * @param {Object} [options={}] - Generation options
+ * @param {string} [options.tableName] - Name of the database table, the name of the DataTable by default
+ * @param {string} [options.schema=null] - Schema of the database tables
+ * @param {boolean} [options.foreignKeys=true] - Whether to declare the foreign keys
+ * @returns {string} The statement
+ * @throws {Error} If the dialect is not supported or the table has no stored column
+ */
+function createTableSql(table, dialect = 'postgres', options = {}) {
+    dialect = getDdlDialect(dialect);
+    const { schema = null, foreignKeys: withForeignKeys = true } = options;
+    const tableName = options.tableName || table.tableName;
+    const columns = Array.from(table.columns).filter(isStored);
+    if (columns.length === 0) {
+        throw new Error(`Table '${table.tableName}' doesn't have any stored column to create`);
+    }
+
+    const primaryKey = table.constraints.primaryKey;
+    // SQLite only generates values for a single INTEGER PRIMARY KEY column
+    const inlineKey = dialect.name === 'sqlite' && primaryKey && primaryKey.columns.length === 1 &&
+        primaryKey.columns[0].autoIncrement ? primaryKey.columns[0] : null;
+
+    const lines = columns.map(column => columnDefinition(column, dialect, column === inlineKey));
+    if (primaryKey && !inlineKey) {
+        lines.push(`CONSTRAINT ${dialect.quoteIdentifier(primaryKey.constraintName)} PRIMARY KEY ${columnList(primaryKey.columnNames, dialect)}`);
+    }
+    for (const constraint of table.constraints) {
+        if (constraint instanceof UniqueConstraint && !constraint.isPrimaryKey) {
+            lines.push(`CONSTRAINT ${dialect.quoteIdentifier(constraint.constraintName)} UNIQUE ${columnList(constraint.columnNames, dialect)}`);
+        }
+    }
+    if (withForeignKeys) {
+        for (const key of foreignKeys(table)) {
+            let line = `CONSTRAINT ${dialect.quoteIdentifier(key.name)} FOREIGN KEY ${columnList(key.childColumns, dialect)}` +
+                ` REFERENCES ${quoteTableName(dialect, key.parentTable.tableName, schema)} ${columnList(key.parentColumns, dialect)}`;
+            if (key.deleteRule) {
+                line += ` ON DELETE ${RULES[key.deleteRule]}`;
+            }
+            if (key.updateRule) {
+                line += ` ON UPDATE ${RULES[key.updateRule]}`;
+            }
+            lines.push(line);
+        }
+    }
+
+    return `CREATE TABLE ${quoteTableName(dialect, tableName, schema)} (\n    ${lines.join(',\n    ')}\n)`;
+}
+
+/**
+ * Script creating the tables of a DataSet, parent tables first so that foreign keys reference existing tables
+ * @param {DataSet} dataSet - DataSet to create
+ * @param {string|Object} [dialect='postgres'] - 'postgres', 'mysql', 'sqlite' or 'mssql'
+ * @param {Object} [options={}] - Generation options
+ * @param {string} [options.schema=null] - Schema of the database tables
+ * @returns {string} CREATE TABLE statements, each ending with a semicolon
+ * @throws {Error} If the dialect is not supported or a table has no stored column
+ */
+function createScript(dataSet, dialect = 'postgres', options = {}) {
+    return dataSet._orderedTables()
+        .map(table => `${createTableSql(table, dialect, { schema: options.schema })};\n`)
+        .join('\n');
+}
+
+/**
+ * Script changing a database table with the schema of a table into the schema of a target table,
+ * from the differences reported by compareSchema(). Columns missing from the target are only dropped on demand.
+ * SQLite can't alter columns: type and nullability changes rebuild the table, copying the common columns.
+ * @param {DataTable} table - Current schema of the database table
+ * @param {DataTable} target - Wanted schema
+ * @param {string|Object} [dialect='postgres'] - 'postgres', 'mysql', 'sqlite' or 'mssql'
+ * @param {Object} [options={}] - Generation options
+ * @param {string} [options.tableName] - Name of the database table, the name of the current table by default
+ * @param {string} [options.schema=null] - Schema of the database table
+ * @param {boolean} [options.dropColumns=false] - Whether to drop the columns missing from the target
+ * @returns {string} ALTER TABLE statements, each ending with a semicolon, empty if the schemas match
+ * @throws {Error} If the dialect is not supported
+ */
+function migrationSql(table, target, dialect = 'postgres', options = {}) {
+    dialect = getDdlDialect(dialect);
+    const { schema = null, dropColumns = false } = options;
+    const tableName = options.tableName || table.tableName;
+    const quotedTable = quoteTableName(dialect, tableName, schema);
+    const differences = table.compareSchema(target);
+    const targetColumn = name => target.columns._columns.get(name);
+
+    const retyped = differences.typeMismatches.map(mismatch => mismatch.column);
+    const renulled = differences.nullabilityDifferences.map(difference => difference.column);
+    const changed = Array.from(new Set(retyped.concat(renulled))).filter(name => isStored(targetColumn(name)));
+    const added = differences.extraColumns.filter(name => isStored(targetColumn(name)));
+    const dropped = dropColumns ? differences.missingColumns : [];
+
+    if (dialect.name === 'sqlite' && changed.length > 0) {
+        return rebuildSql(table, target, dialect, tableName, schema);
+    }
+
+    const statements = [];
+    for (const name of added) {
+        const keyword = dialect.name === 'mssql' ? 'ADD' : 'ADD COLUMN';
+        statements.push(`ALTER TABLE ${quotedTable} ${keyword} ${columnDefinition(targetColumn(name), dialect)}`);
+    }
+    for (const name of changed) {
+        const column = targetColumn(name);
+        const quoted = dialect.quoteIdentifier(name);
+        switch (dialect.name) {
+            case 'postgres':
+                if (retyped.includes(name)) {
+                    statements.push(`ALTER TABLE ${quotedTable} ALTER COLUMN ${quoted} TYPE ${columnType(column, dialect)}`);
+                }
+                if (renulled.includes(name)) {
+                    statements.push(`ALTER TABLE ${quotedTable} ALTER COLUMN ${quoted} ${column.allowNull ? 'DROP' : 'SET'} NOT NULL`);
+                }
+                break;
+            case 'mysql':
+                statements.push(`ALTER TABLE ${quotedTable} MODIFY COLUMN ${columnDefinition(column, dialect)}`);
+                break;
+            default:
+                statements.push(`ALTER TABLE ${quotedTable} ALTER COLUMN ${quoted} ${columnType(column, dialect)} ${column.allowNull ? 'NULL' : 'NOT NULL'}`);
+        }
+    }
+    for (const name of dropped) {
+        statements.push(`ALTER TABLE ${quotedTable} DROP COLUMN ${dialect.quoteIdentifier(name)}`);
+    }
+    return statements.map(statement => `${statement};\n`).join('');
+}
+
+/**
+ * SQLite script recreating a table with the target schema, keeping the values of the common columns
+ * @param {DataTable} table - Current schema
+ * @param {DataTable} target - Wanted schema
+ * @param {Object} dialect - SQLite dialect
+ * @param {string} tableName - Name of the database table
+ * @param {string|null} schema - Schema of the database table
+ * @returns {string} The statements, each ending with a semicolon
+ */
+function rebuildSql(table, target, dialect, tableName, schema) {
+    const temporaryName = `${tableName}__new`;
+    const common = Array.from(target.columns)
+        .filter(column => isStored(column) && table.columnExists(column.columnName))
+        .map(column => column.columnName);
+    const list = columnList(common, dialect).slice(1, -1);
+    // Foreign keys are off while the table is missing, or dropping it would cascade to the child tables
+    return [
+        'PRAGMA foreign_keys=OFF',
+        'BEGIN',
+        createTableSql(target, dialect, { tableName: temporaryName, schema }),
+        `INSERT INTO ${quoteTableName(dialect, temporaryName, schema)} (${list}) SELECT ${list} FROM ${quoteTableName(dialect, tableName, schema)}`,
+        `DROP TABLE ${quoteTableName(dialect, tableName, schema)}`,
+        `ALTER TABLE ${quoteTableName(dialect, temporaryName, schema)} RENAME TO ${dialect.quoteIdentifier(tableName)}`,
+        'COMMIT',
+        'PRAGMA foreign_keys=ON'
+    ].map(statement => `${statement};\n`).join('');
+}
+
+module.exports = {
+    createTableSql,
+    createScript,
+    migrationSql
+};
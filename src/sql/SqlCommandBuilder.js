@@ -0,0 +1,225 @@
+const DataRowState = require('../enums/DataRowState');
+const ConflictOption = require('../enums/ConflictOption');
+const { getDialect, quoteTableName } = require('./SqlDialect');
+const { createKey } = require('../utils/keyUtils');
+
+/**
+ * Generates the parameterised INSERT, UPDATE and DELETE statements saving the changes of a DataTable,
+ * like the SqlCommandBuilder of .NET. Rows are found by the original values of their primary key,
+ * computed and auto-increment columns are never written.
+ *
+ * Commands are { text, values } objects, values holding the parameters in placeholder order.
+ */
+class SqlCommandBuilder {
+    /**
+     * @param {DataTable} table - Table whose changes are saved
+     * @param {Object} [options={}] - Generation options
+     * @param {string|Object} [options.dialect='postgres'] - 'postgres', 'mysql', 'sqlite', 'mssql' or custom dialect
+     * @param {string} [options.tableName] - Name of the database table, the name of the DataTable by default
+     * @param {string} [options.schema=null] - Schema of the database table
+     * @param {string} [options.conflictOption='OverwriteChanges'] - Optimistic concurrency checks, see ConflictOption
+     * @throws {Error} If the dialect or the conflict option is unknown, or the table has no name
+     */
+    constructor(table, options = {}) {
+        this._table = table;
+        this.dialect = getDialect(options.dialect || 'postgres');
+        this.tableName = options.tableName || table.tableName;
+        this.schema = options.schema || null;
+        this.conflictOption = options.conflictOption || ConflictOption.OVERWRITE_CHANGES;
+
+        if (!this.tableName) {
+            throw new Error('A table name is required to generate SQL statements');
+        }
+        if (!Object.values(ConflictOption).includes(this.conflictOption)) {
+            throw new Error(`Unknown conflict option '${this.conflictOption}', expected one of ${Object.values(ConflictOption).join(', ')}`);
+        }
+    }
+
+    /**
+     * Statements saving the changes of rows, in row order. Unchanged rows and rows added then deleted are skipped.
+     * @param {Array<DataRow>} [rows=table.getChanges()] - Rows to save
+     * @returns {Array<{text: string, values: Array}>} Commands
+     * @throws {Error} If a modified or deleted row must be saved and the table has no primary key
+     */
+    getCommands(rows = this._table.getChanges()) {
+        return rows.map(row => this.getCommand(row)).filter(command => command !== null);
+    }
+
+    /**
+     * Statement saving the changes of a row, according to its state
+     * @param {DataRow} row - Row of the table
+     * @returns {{text: string, values: Array}|null} Command, null if there is nothing to save
+     * @throws {Error} If the row is modified or deleted and the table has no primary key
+     */
+    getCommand(row) {
+        switch (row._rowState) {
+            case DataRowState.ADDED:
+                return this.getInsertCommand(row);
+            case DataRowState.MODIFIED:
+                return this.getUpdateCommand(row);
+            case DataRowState.DELETED:
+                return this.getDeleteCommand(row);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Auto-increment columns are left to the database and read back with a RETURNING or OUTPUT clause
+     * when the dialect supports it.
+     * @param {DataRow} row - Row to insert
+     * @returns {{text: string, values: Array}} INSERT command with the current values of the row
+     */
+    getInsertCommand(row) {
+        const values = [];
+        const columns = this._writableColumns();
+        const names = columns.map(column => this.dialect.quoteIdentifier(column.columnName));
+        const parameters = columns.map(column => this._parameter(values, row._values[column.columnName]));
+        const generated = this._storedColumns().filter(column => column.autoIncrement)
+            .map(column => this.dialect.quoteIdentifier(column.columnName));
+
+        let output = '';
+        let returning = '';
+        if (generated.length > 0 && this.dialect.generatedKeys === 'output') {
+            output = ` OUTPUT ${generated.map(name => `INSERTED.${name}`).join(', ')}`;
+        } else if (generated.length > 0 && this.dialect.generatedKeys === 'returning') {
+            returning = ` RETURNING ${generated.join(', ')}`;
+        }
+
+        const insertValues = columns.length > 0
+            ? ` (${names.join(', ')})${output} VALUES (${parameters.join(', ')})`
+            : this.dialect.name === 'mysql' ? ' () VALUES ()' : `${output} DEFAULT VALUES`;
+
+        return {
+            text: `INSERT INTO ${this._quotedTableName()}${insertValues}${returning}`,
+            values
+        };
+    }
+
+    /**
+     * @param {DataRow} row - Modified row
+     * @returns {{text: string, values: Array}|null} UPDATE command setting the changed columns, null if none changed
+     * @throws {Error} If the table has no primary key or the row has no original values
+     */
+    getUpdateCommand(row) {
+        const original = this._originalValues(row);
+        const changed = this._writableColumns().filter(column =>
+            createKey([row._values[column.columnName]]) !== createKey([original[column.columnName]])
+        );
+        if (changed.length === 0) {
+            return null;
+        }
+
+        const values = [];
+        const assignments = changed.map(column =>
+            `${this.dialect.quoteIdentifier(column.columnName)} = ${this._parameter(values, row._values[column.columnName])}`
+        );
+        const compared = {
+            [ConflictOption.COMPARE_ALL_VALUES]: this._storedColumns(),
+            [ConflictOption.COMPARE_CHANGED_VALUES]: changed,
+            [ConflictOption.OVERWRITE_CHANGES]: []
+        }[this.conflictOption];
+
+        return {
+            text: `UPDATE ${this._quotedTableName()} SET ${assignments.join(', ')} WHERE ${this._whereClause(original, compared, values)}`,
+            values
+        };
+    }
+
+    /**
+     * @param {DataRow} row - Deleted row
+     * @returns {{text: string, values: Array}|null} DELETE command, null if the row was never saved
+     * @throws {Error} If the table has no primary key
+     */
+    getDeleteCommand(row) {
+        if (!row._originalValues) {
+            return null;
+        }
+
+        const values = [];
+        const original = this._originalValues(row);
+        // Deleted rows have no changed columns to compare
+        const compared = this.conflictOption === ConflictOption.COMPARE_ALL_VALUES ? this._storedColumns() : [];
+
+        return {
+            text: `DELETE FROM ${this._quotedTableName()} WHERE ${this._whereClause(original, compared, values)}`,
+            values
+        };
+    }
+
+    /**
+     * @returns {Array<DataColumn>} Columns stored in the database, computed columns excluded
+     * @private
+     */
+    _storedColumns() {
+        return Array.from(this._table.columns).filter(column => !column._expression);
+    }
+
+    /**
+     * @returns {Array<DataColumn>} Stored columns the commands can write, auto-increment columns excluded
+     * @private
+     */
+    _writableColumns() {
+        return this._storedColumns().filter(column => !column.autoIncrement);
+    }
+
+    /**
+     * @returns {string} Quoted name of the database table
+     * @private
+     */
+    _quotedTableName() {
+        return quoteTableName(this.dialect, this.tableName, this.schema);
+    }
+
+    /**
+     * Adds a parameter value
+     * @param {Array} values - Parameters of the command
+     * @param {*} value - Value of the parameter
+     * @returns {string} Placeholder of the parameter
+     * @private
+     */
+    _parameter(values, value) {
+        values.push(value === undefined ? null : value);
+        return this.dialect.parameter(values.length);
+    }
+
+    /**
+     * @param {DataRow} row - Modified or deleted row
+     * @returns {Object} Values of the row as last read from the database
+     * @throws {Error} If the table has no primary key or the row has no original values
+     * @private
+     */
+    _originalValues(row) {
+        if (!this._table.constraints.primaryKey) {
+            throw new Error(`Table '${this._table.tableName}' doesn't have a primary key, required to update and delete rows`);
+        }
+        if (!row._originalValues) {
+            throw new Error(`Row of table '${this._table.tableName}' has no original values, it was never saved`);
+        }
+        return row._originalValues;
+    }
+
+    /**
+     * WHERE clause finding a row by the original values of its primary key and of the compared columns
+     * @param {Object} original - Original values of the row
+     * @param {Array<DataColumn>} compared - Columns that must still hold their original value
+     * @param {Array} values - Parameters of the command
+     * @returns {string} Conditions joined with AND
+     * @private
+     */
+    _whereClause(original, compared, values) {
+        const keyNames = this._table.constraints.primaryKey.columnNames;
+        const columns = keyNames.map(name => this._table.columns._columns.get(name))
+            .concat(compared.filter(column => !keyNames.includes(column.columnName)));
+
+        return columns.map(column => {
+            const name = this.dialect.quoteIdentifier(column.columnName);
+            const value = original[column.columnName];
+            return value === null || value === undefined
+                ? `${name} IS NULL`
+                : `${name} = ${this._parameter(values, value)}`;
+        }).join(' AND ');
+    }
+}
+
+module.exports = SqlCommandBuilder;
@@ -0,0 +1,77 @@
+/**
+ * Identifier quoting and parameter placeholders of the supported databases.
+ * A custom dialect is any object with the same quoteIdentifier(name) and parameter(position) functions.
+ * generatedKeys tells how an INSERT reads back the auto-increment columns: with a 'returning' clause,
+ * an 'output' clause, or null when the driver reports the inserted id instead.
+ */
+const DIALECTS = {
+    postgres: {
+        name: 'postgres',
+        quoteIdentifier: name => `"${name.replace(/"/g, '""')}"`,
+        parameter: position => `$${position}`,
+        generatedKeys: 'returning'
+    },
+    mysql: {
+        name: 'mysql',
+        quoteIdentifier: name => `\`${name.replace(/`/g, '``')}\``,
+        parameter: () => '?',
+        generatedKeys: null
+    },
+    sqlite: {
+        name: 'sqlite',
+        quoteIdentifier: name => `"${name.replace(/"/g, '""')}"`,
+        parameter: () => '?',
+        generatedKeys: 'returning'
+    },
+    mssql: {
+        name: 'mssql',
+        quoteIdentifier: name => `[${name.replace(/]/g, ']]')}]`,
+        parameter: position => `@p${position}`,
+        generatedKeys: 'output'
+    }
+};
+
+const ALIASES = {
+    pg: 'postgres',
+    postgresql: 'postgres',
+    mariadb: 'mysql',
+    sqlserver: 'mssql'
+};
+
+/**
+ * @param {string|Object} dialect - Name of a dialect ('postgres', 'mysql', 'sqlite', 'mssql' or an alias) or custom dialect
+ * @returns {{name: string, quoteIdentifier: Function, parameter: Function, generatedKeys: string|null}} The dialect
+ * @throws {Error} If the dialect is unknown or incomplete
+ */
+function getDialect(dialect) {
+    if (typeof dialect === 'object' && dialect !== null) {
+        if (typeof dialect.quoteIdentifier !== 'function' || typeof dialect.parameter !== 'function') {
+            throw new Error('A custom SQL dialect needs quoteIdentifier(name) and parameter(position) functions');
+        }
+        return dialect;
+    }
+
+    const name = String(dialect).toLowerCase();
+    const found = DIALECTS[ALIASES[name] || name];
+    if (!found) {
+        throw new Error(`Unknown SQL dialect '${dialect}', expected one of ${Object.keys(DIALECTS).join(', ')}`);
+    }
+    return found;
+}
+
+/**
+ * Quotes a table name, with its schema if any
+ * @param {Object} dialect - Dialect returned by getDialect()
+ * @param {string} tableName - Name of the table
+ * @param {string|null} [schema=null] - Name of the schema
+ * @returns {string} Quoted name such as "sales"."Orders"
+ */
+function quoteTableName(dialect, tableName, schema = null) {
+    const quoted = dialect.quoteIdentifier(tableName);
+    return schema ? `${dialect.quoteIdentifier(schema)}.${quoted}` : quoted;
+}
+
+module.exports = {
+    getDialect,
+    quoteTableName
+};
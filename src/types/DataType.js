@@ -0,0 +1,153 @@
+const { compareValues } = require('../utils/compareUtils');
+const { encodeValue, reviveValue } = require('../utils/jsonUtils');
+
+const METHODS = ['coerce', 'parse', 'validate', 'compare', 'equals', 'clone', 'serialize', 'deserialize', 'format'];
+
+/**
+ * Data type of a column: how values are converted when set, read from text, checked, ordered, compared,
+ * copied and written. Types are registered by name in the TypeRegistry and looked up from DataColumn.dataType.
+ *
+ * A type is created from a definition overriding any of the methods below, or by extending the class.
+ * Except coerce() and parse(), the methods receive values already stored, never null:
+ * a type should store a canonical value, so that equal values also make equal index keys.
+ */
+class DataType {
+    /**
+     * @param {string|null} name - Name of the type as written in DataColumn.dataType, null for untyped columns
+     * @param {Object} [definition={}] - Functions replacing the methods of the same name
+     */
+    constructor(name, definition = {}) {
+        this.name = name;
+        for (const method of METHODS) {
+            if (typeof definition[method] === 'function') {
+                this[method] = definition[method];
+            }
+        }
+    }
+
+    /**
+     * Converts a value set by code or read from a driver into the value stored
+     * @param {*} value - Value to convert, not null
+     * @returns {*} The value to store
+     * @throws {Error} If the value can't be converted
+     */
+    coerce(value) {
+        return value;
+    }
+
+    /**
+     * Reads the text of a value, e.g. a CSV field
+     * @param {string} text - Text of the value
+     * @returns {*} The value to store
+     * @throws {Error} If the text can't be read
+     */
+    parse(text) {
+        return this.coerce(text);
+    }
+
+    /**
+     * @param {*} value - Converted value
+     * @returns {boolean} Whether the value is valid for the type
+     */
+    validate(value) {
+        return true;
+    }
+
+    /**
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @param {Intl.Collator} [collator] - Collator of the strings, given by sortBy()
+     * @returns {number} Negative, zero or positive like Array.prototype.sort comparers
+     */
+    compare(a, b, collator) {
+        return compareValues(a, b);
+    }
+
+    /**
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {boolean} Whether the values are the same
+     */
+    equals(a, b) {
+        return this.compare(a, b) === 0;
+    }
+
+    /**
+     * @param {*} value - Value to copy
+     * @returns {*} A copy that changing the value doesn't affect
+     */
+    clone(value) {
+        return value;
+    }
+
+    /**
+     * @param {*} value - Value to write
+     * @returns {*} A value JSON.stringify() writes without loss, see encodeValue()
+     */
+    serialize(value) {
+        return encodeValue(value);
+    }
+
+    /**
+     * @param {*} value - Value written by serialize() and read from JSON
+     * @returns {*} The value to store
+     */
+    deserialize(value) {
+        return reviveValue(value);
+    }
+
+    /**
+     * @param {*} value - Value to write
+     * @returns {string} Text of the value, e.g. a CSV field, that parse() reads back
+     */
+    format(value) {
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+        if (value instanceof Uint8Array) {
+            return Buffer.from(value).toString('base64');
+        }
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    /**
+     * Converts a value to the type and checks it, as DataRow.set() does
+     * @param {*} value - Value to convert
+     * @param {string} columnName - Name of the column, used in error messages
+     * @returns {*} The value to store, null for null
+     * @throws {Error} If the value can't be converted or is not valid
+     */
+    convert(value, columnName) {
+        if (value === null) {
+            return value;
+        }
+        let converted;
+        try {
+            converted = this.coerce(value);
+        } catch (error) {
+            converted = undefined;
+        }
+        if (converted === undefined || !this.validate(converted)) {
+            throw new Error(`Value '${DataType._describe(value)}' cannot be converted to ${this.name} for column '${columnName}'`);
+        }
+        return converted;
+    }
+
+    /**
+     * @param {*} value - Value of an error message
+     * @returns {string} Text of the value
+     * @private
+     */
+    static _describe(value) {
+        if (typeof value === 'object' && value !== null && !(value instanceof Date)) {
+            try {
+                return JSON.stringify(value);
+            } catch (error) {
+                return String(value);
+            }
+        }
+        return String(value);
+    }
+}
+
+module.exports = DataType;
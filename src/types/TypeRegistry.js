@@ -0,0 +1,202 @@
+const DataType = require('./DataType');
+const { BUILTIN_TYPES, enumType } = require('./builtinTypes');
+const { compareValues } = require('../utils/compareUtils');
+
+/**
+ * Registry of the data types that DataColumn.dataType names. Names are case-insensitive.
+ * A parameterized type such as enum('a', 'b') is registered as a factory receiving the parameters,
+ * and its instances are created on first use.
+ */
+
+const PARAMETERIZED = /^([A-Za-z_]\w*)\s*\(([\s\S]*)\)$/;
+const NAME = /^[A-Za-z_]\w*$/;
+
+const ALIASES = {
+    int: 'integer',
+    bool: 'boolean',
+    text: 'string',
+    datetime: 'date',
+    float: 'number',
+    double: 'number',
+    numeric: 'decimal',
+    timestamptz: 'timestamp',
+    guid: 'uuid',
+    // typeof of the sample values, as schemas written before the registry named them
+    object: 'json'
+};
+
+// Columns without data type keep their values, strings being ordered by locale
+const UNTYPED = new DataType(null, {
+    compare: (a, b, collator) => (typeof a === 'string' && typeof b === 'string'
+        ? (collator ? collator.compare(a, b) : a.localeCompare(b))
+        : compareValues(a, b))
+});
+
+const types = new Map();
+const factories = new Map();
+const instances = new Map();
+// Unknown names that columns declared, kept untyped as they were before the registry
+const untypedNames = new Set();
+
+/**
+ * Registers a data type
+ * @param {string} name - Name of the type, letters, digits and underscores
+ * @param {Object|DataType|Function} definition - Methods of the type, see DataType, a DataType,
+ * or for a parameterized type a function receiving the parameters and returning either
+ * @returns {DataType|Function} The registered type, or the factory of a parameterized type
+ * @throws {Error} If the name is invalid or already registered
+ */
+function registerType(name, definition) {
+    if (typeof name !== 'string' || !NAME.test(name)) {
+        throw new Error(`Invalid data type name '${name}'`);
+    }
+    const key = name.toLowerCase();
+    if (types.has(key) || factories.has(key) || ALIASES[key]) {
+        throw new Error(`Data type '${name}' is already registered`);
+    }
+    if (typeof definition === 'function' && !(definition instanceof DataType)) {
+        factories.set(key, definition);
+        for (const untypedName of untypedNames) {
+            if (untypedName.startsWith(`${key}(`)) {
+                untypedNames.delete(untypedName);
+            }
+        }
+        return definition;
+    }
+    const type = definition instanceof DataType ? definition : new DataType(key, definition);
+    type.name = key;
+    types.set(key, type);
+    untypedNames.delete(key);
+    return type;
+}
+
+/**
+ * Finds the type of a column
+ * @param {string|null} dataType - Data type of a column, e.g. 'number', 'decimal' or "enum('draft', 'sent')"
+ * @returns {DataType} The type, or the untyped type keeping the values as they are if dataType is null
+ * or an unknown name that checkColumnType() let a column keep
+ * @throws {Error} If the type is unknown
+ */
+function getType(dataType) {
+    if (!dataType) {
+        return UNTYPED;
+    }
+    const type = findType(dataType);
+    if (type) {
+        return type;
+    }
+    if (untypedNames.has(String(dataType).trim().toLowerCase())) {
+        return UNTYPED;
+    }
+    throw new Error(`Unknown data type '${dataType}'`);
+}
+
+/**
+ * Checks the data type given to a column. Unknown names are deprecated: the column stays untyped,
+ * as it was before the registry, and a warning is emitted once per name.
+ * @param {string|null} dataType - Data type of the column
+ * @param {string} columnName - Name of the column, for the warning
+ * @throws {Error} If the parameters of a parameterized type are invalid
+ */
+function checkColumnType(dataType, columnName) {
+    if (!dataType || findType(dataType)) {
+        return;
+    }
+    const key = String(dataType).trim().toLowerCase();
+    if (!untypedNames.has(key)) {
+        untypedNames.add(key);
+        process.emitWarning(
+            `Unknown data type '${dataType}' for column '${columnName}' is treated as untyped. ` +
+            'Register the type with registerType(): unknown data types will throw in a future version.',
+            'DeprecationWarning'
+        );
+    }
+}
+
+/**
+ * @param {string} dataType - Data type of a column
+ * @returns {DataType|null} The registered type, null if the name is unknown
+ * @throws {Error} If the parameters of a parameterized type are invalid
+ */
+function findType(dataType) {
+    const name = String(dataType).trim();
+    const key = name.toLowerCase();
+    const type = types.get(ALIASES[key] || key);
+    if (type) {
+        return type;
+    }
+
+    const match = name.match(PARAMETERIZED);
+    const factory = match && factories.get(match[1].toLowerCase());
+    if (!factory) {
+        return null;
+    }
+    const instanceKey = `${match[1].toLowerCase()}(${match[2].trim()})`;
+    if (!instances.has(instanceKey)) {
+        const definition = factory(parseParameters(match[2]));
+        const instance = definition instanceof DataType ? definition : new DataType(name, definition);
+        instance.name = name;
+        instances.set(instanceKey, instance);
+    }
+    return instances.get(instanceKey);
+}
+
+/**
+ * @param {string|null} dataType - Data type of a column
+ * @returns {boolean} Whether the type is registered, or dataType is null
+ */
+function hasType(dataType) {
+    try {
+        return !dataType || findType(dataType) !== null;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * @returns {Array<string>} Names of the registered types, parameterized ones included
+ */
+function typeNames() {
+    return [...types.keys(), ...factories.keys()];
+}
+
+/**
+ * Splits the parameters of a parameterized type, quoted with ' or " or not
+ * @param {string} text - Text between the parentheses, e.g. "'draft', 'sent'"
+ * @returns {Array<string>} The parameters without their quotes
+ * @throws {Error} If a quote is not closed
+ */
+function parseParameters(text) {
+    const parameters = [];
+    const pattern = /\s*(?:'((?:[^']|'')*)'|"((?:[^"]|"")*)"|([^,'"]*?))\s*(?:,|$)/gy;
+    let position = 0;
+    while (position < text.length) {
+        pattern.lastIndex = position;
+        const match = pattern.exec(text);
+        if (!match || match[0] === '') {
+            throw new Error(`Invalid data type parameters '${text}'`);
+        }
+        if (match[1] !== undefined) {
+            parameters.push(match[1].replace(/''/g, '\''));
+        } else if (match[2] !== undefined) {
+            parameters.push(match[2].replace(/""/g, '"'));
+        } else if (match[3] !== '') {
+            parameters.push(match[3]);
+        }
+        position = pattern.lastIndex;
+    }
+    return parameters;
+}
+
+for (const [name, definition] of Object.entries(BUILTIN_TYPES)) {
+    registerType(name, definition);
+}
+registerType('enum', enumType);
+
+module.exports = {
+    registerType,
+    getType,
+    checkColumnType,
+    hasType,
+    typeNames
+};
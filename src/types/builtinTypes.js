@@ -0,0 +1,300 @@
+const { compareValues } = require('../utils/compareUtils');
+
+const DECIMAL = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const TIMESTAMP = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)$/i;
+
+/**
+ * Definitions of the built-in data types, see DataType. string, number, boolean and date keep the conversions
+ * DataRow.set() always made, the others validate their values.
+ */
+
+/**
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} -1, 0 or 1 by the natural order of the values
+ */
+function naturalOrder(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {Intl.Collator} [collator] - Collator of the strings, the default locale otherwise
+ * @returns {number} Order of the strings
+ */
+function collate(a, b, collator) {
+    return collator ? collator.compare(a, b) : a.localeCompare(b);
+}
+
+/**
+ * Writes a decimal number in its canonical form: no exponent, no leading zeros in the integer part,
+ * no trailing zeros in the fraction, no sign for zero
+ * @param {string} text - Decimal number such as "+0012.500" or "1.5e3"
+ * @returns {string} The canonical text, e.g. "12.5" or "1500"
+ * @throws {Error} If the text is not a decimal number
+ */
+function canonicalDecimal(text) {
+    const match = String(text).trim().match(DECIMAL);
+    if (!match || (match[2] === '' && !match[3])) {
+        throw new Error(`'${text}' is not a decimal number`);
+    }
+    const [, sign, integerPart, fractionPart = '', exponent = '0'] = match;
+    // Moves the decimal point by the exponent
+    let digits = integerPart + fractionPart;
+    let point = integerPart.length + Number(exponent);
+    if (point < 0) {
+        digits = '0'.repeat(-point) + digits;
+        point = 0;
+    } else if (point > digits.length) {
+        digits += '0'.repeat(point - digits.length);
+    }
+    const integer = digits.slice(0, point).replace(/^0+/, '') || '0';
+    const fraction = digits.slice(point).replace(/0+$/, '');
+    const unsigned = fraction ? `${integer}.${fraction}` : integer;
+    return sign === '-' && unsigned !== '0' ? `-${unsigned}` : unsigned;
+}
+
+/**
+ * Compares two canonical decimals without rounding
+ * @param {string} a - First decimal
+ * @param {string} b - Second decimal
+ * @returns {number} Order of the decimals
+ */
+function compareDecimals(a, b) {
+    const negativeA = a.startsWith('-');
+    const negativeB = b.startsWith('-');
+    if (negativeA !== negativeB) {
+        return negativeA ? -1 : 1;
+    }
+    const [integerA, fractionA = ''] = (negativeA ? a.slice(1) : a).split('.');
+    const [integerB, fractionB = ''] = (negativeB ? b.slice(1) : b).split('.');
+    const length = Math.max(fractionA.length, fractionB.length);
+    const magnitude = integerA.length !== integerB.length
+        ? integerA.length - integerB.length
+        : naturalOrder(integerA + fractionA.padEnd(length, '0'), integerB + fractionB.padEnd(length, '0'));
+    return negativeA ? -magnitude : magnitude;
+}
+
+/**
+ * Writes a timestamp with its offset in a canonical form, "YYYY-MM-DDTHH:mm:ss.sss" followed by Z or ±HH:MM
+ * @param {Date|string|number} value - Date, epoch milliseconds, or ISO 8601 text with a Z or an offset
+ * @returns {string} The canonical text
+ * @throws {Error} If the value is not a timestamp or has no offset
+ */
+function canonicalTimestamp(value) {
+    if (value instanceof Date || typeof value === 'number') {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new Error(`'${value}' is not a valid timestamp`);
+        }
+        return date.toISOString();
+    }
+    const match = String(value).trim().match(TIMESTAMP);
+    if (!match) {
+        throw new Error(`'${value}' is not a timestamp with a time zone offset`);
+    }
+    const [, date, hours, minutes, seconds = '00', fraction = '', zone] = match;
+    let offset = 'Z';
+    if (zone.toUpperCase() !== 'Z') {
+        const digits = zone.replace(':', '');
+        offset = digits.slice(1) === '0000' || digits.slice(1) === '00' ? 'Z' : `${digits.slice(0, 3)}:${digits.slice(3) || '00'}`;
+    }
+    const text = `${date}T${hours}:${minutes}:${seconds}.${fraction.padEnd(3, '0').slice(0, 3)}${offset}`;
+    if (isNaN(Date.parse(text))) {
+        throw new Error(`'${value}' is not a valid timestamp`);
+    }
+    return text;
+}
+
+/**
+ * @param {*} value - Value of an integer column
+ * @returns {number} The number
+ * @throws {Error} If the value is an empty string
+ */
+function toInteger(value) {
+    if (typeof value === 'string' && value.trim() === '') {
+        throw new Error('An empty string is not an integer');
+    }
+    return Number(value);
+}
+
+/**
+ * Tells whether JSON.stringify() writes a value as it is: strings, finite numbers, booleans, null, and arrays and
+ * plain objects of them without cycles. Undefined properties are left out as JSON.stringify() leaves them out.
+ * Bigints, dates, binary values, functions, symbols and other class instances are not JSON.
+ * @param {*} value - Value of a json column
+ * @param {Set<Object>} [ancestors] - Arrays and objects holding the value
+ * @returns {boolean}
+ */
+function isJsonValue(value, ancestors = new Set()) {
+    if (value === null || value === undefined) {
+        return true;
+    }
+    switch (typeof value) {
+        case 'string':
+        case 'boolean':
+            return true;
+        case 'number':
+            return Number.isFinite(value);
+        case 'object':
+            break;
+        default:
+            return false;
+    }
+    const prototype = Object.getPrototypeOf(value);
+    if ((!Array.isArray(value) && prototype !== Object.prototype && prototype !== null) || ancestors.has(value)) {
+        return false;
+    }
+    ancestors.add(value);
+    const valid = Object.values(value).every(item => isJsonValue(item, ancestors));
+    ancestors.delete(value);
+    return valid;
+}
+
+/**
+ * @param {*} value - Value accepted by isJsonValue()
+ * @returns {*} A deep copy of the value
+ */
+function cloneJson(value) {
+    if (Array.isArray(value)) {
+        return value.map(cloneJson);
+    }
+    if (value !== null && typeof value === 'object') {
+        const copy = {};
+        for (const [key, item] of Object.entries(value)) {
+            copy[key] = cloneJson(item);
+        }
+        return copy;
+    }
+    return value;
+}
+
+const BUILTIN_TYPES = {
+    string: {
+        coerce: value => String(value),
+        compare: (a, b, collator) => collate(a, b, collator)
+    },
+    number: {
+        coerce(value) {
+            if (isNaN(Number(value))) {
+                throw new Error(`'${value}' is not a number`);
+            }
+            return Number(value);
+        },
+        compare: (a, b) => a - b
+    },
+    boolean: {
+        coerce: value => (typeof value === 'boolean' ? value : Boolean(value)),
+        parse(text) {
+            if (/^(true|1|yes)$/i.test(text.trim())) {
+                return true;
+            }
+            if (/^(false|0|no)$/i.test(text.trim())) {
+                return false;
+            }
+            throw new Error(`'${text}' is not a boolean`);
+        },
+        compare: (a, b) => Number(a) - Number(b)
+    },
+    date: {
+        coerce(value) {
+            if (!(value instanceof Date) && isNaN(Date.parse(value))) {
+                throw new Error(`'${value}' is not a date`);
+            }
+            return new Date(value);
+        },
+        compare: (a, b) => a.getTime() - b.getTime(),
+        clone: value => new Date(value.getTime())
+    },
+    integer: {
+        coerce: toInteger,
+        validate: value => Number.isSafeInteger(value),
+        compare: (a, b) => a - b
+    },
+    decimal: {
+        coerce(value) {
+            if (typeof value === 'number' && !Number.isFinite(value)) {
+                throw new Error(`${value} is not a decimal number`);
+            }
+            return canonicalDecimal(typeof value === 'bigint' ? value.toString() : value);
+        },
+        compare: compareDecimals,
+        equals: (a, b) => a === b
+    },
+    bigint: {
+        coerce(value) {
+            if (typeof value === 'string' && value.trim() === '') {
+                throw new Error('An empty string is not an integer');
+            }
+            return BigInt(typeof value === 'string' ? value.trim() : value);
+        },
+        compare: naturalOrder
+    },
+    json: {
+        parse: text => JSON.parse(text),
+        validate: value => isJsonValue(value),
+        compare: compareValues,
+        equals: (a, b) => JSON.stringify(a) === JSON.stringify(b),
+        clone: cloneJson
+    },
+    uuid: {
+        coerce: value => String(value).trim().replace(/^\{(.*)\}$/, '$1').toLowerCase(),
+        validate: value => UUID.test(value),
+        compare: naturalOrder,
+        equals: (a, b) => a === b
+    },
+    binary: {
+        coerce(value) {
+            if (value instanceof Uint8Array) {
+                return value;
+            }
+            if (value instanceof ArrayBuffer) {
+                return new Uint8Array(value);
+            }
+            // Buffers written by JSON.stringify()
+            if (value && value.type === 'Buffer' && Array.isArray(value.data)) {
+                return Buffer.from(value.data);
+            }
+            if (Array.isArray(value) && value.every(byte => Number.isInteger(byte) && byte >= 0 && byte <= 255)) {
+                return Uint8Array.from(value);
+            }
+            throw new Error('Binary values must be Uint8Array, Buffer, ArrayBuffer or arrays of bytes');
+        },
+        parse: text => Buffer.from(text, 'base64'),
+        compare: (a, b) => Buffer.compare(Buffer.from(a.buffer, a.byteOffset, a.byteLength), Buffer.from(b.buffer, b.byteOffset, b.byteLength)),
+        clone: value => (Buffer.isBuffer(value) ? Buffer.from(value) : new Uint8Array(value)),
+        format: value => Buffer.from(value).toString('base64')
+    },
+    timestamp: {
+        coerce: canonicalTimestamp,
+        compare: (a, b) => Date.parse(a) - Date.parse(b) || naturalOrder(a, b),
+        equals: (a, b) => a === b
+    }
+};
+
+/**
+ * Definition of an enumeration type such as enum('draft', 'sent', 'paid'): its values are the listed strings,
+ * ordered as they are listed
+ * @param {Array<string>} values - Allowed values
+ * @returns {Object} Definition of the type
+ * @throws {Error} If no value is listed
+ */
+function enumType(values) {
+    if (values.length === 0) {
+        throw new Error('An enum data type needs at least one value, e.g. enum(\'draft\', \'sent\')');
+    }
+    const positions = new Map(values.map((value, index) => [value, index]));
+    return {
+        coerce: value => String(value),
+        validate: value => positions.has(value),
+        compare: (a, b) => positions.get(a) - positions.get(b),
+        equals: (a, b) => a === b
+    };
+}
+
+module.exports = {
+    BUILTIN_TYPES,
+    enumType
+};
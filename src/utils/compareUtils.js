@@ -0,0 +1,46 @@
+/**
+ * Groups values by kind so that values of different types never interleave when sorted
+ * @param {*} value - Value to classify
+ * @returns {number} Rank of the kind of the value
+ */
+function typeRank(value) {
+    if (value === null || value === undefined) return 0;
+    if (typeof value === 'boolean') return 1;
+    if (typeof value === 'number' || typeof value === 'bigint') return 2;
+    if (value instanceof Date) return 3;
+    if (typeof value === 'string') return 4;
+    return 5;
+}
+
+/**
+ * Total order over values: nulls first, then by kind, then by natural order within the kind
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive like Array.prototype.sort comparers
+ */
+function compareValues(a, b) {
+    const rankA = typeRank(a);
+    const rankB = typeRank(b);
+    if (rankA !== rankB) {
+        return rankA - rankB;
+    }
+
+    switch (rankA) {
+        case 0:
+            return 0;
+        case 3:
+            return a.getTime() - b.getTime();
+        case 5: {
+            const jsonA = JSON.stringify(a);
+            const jsonB = JSON.stringify(b);
+            return jsonA < jsonB ? -1 : jsonA > jsonB ? 1 : 0;
+        }
+        default:
+            return a < b ? -1 : a > b ? 1 : 0;
+    }
+}
+
+module.exports = {
+    typeRank,
+    compareValues
+};
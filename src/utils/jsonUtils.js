@@ -0,0 +1,77 @@
+/**
+ * Encodes a value so that JSON keeps its type: dates, bigints, binary values and non-finite numbers
+ * become { $type, value } objects that reviveValue() turns back into the original value.
+ * Arrays and plain objects are encoded recursively, objects already holding a $type key are wrapped.
+ * @param {*} value - Value of a column
+ * @returns {*} A value JSON.stringify() writes without loss
+ */
+function encodeValue(value) {
+    if (value === null || value === undefined || typeof value === 'function') {
+        return null;
+    }
+    if (value instanceof Date) {
+        return { $type: 'date', value: isNaN(value.getTime()) ? null : value.toISOString() };
+    }
+    if (value instanceof Uint8Array) {
+        return { $type: 'binary', value: Buffer.from(value).toString('base64') };
+    }
+    if (Array.isArray(value)) {
+        return value.map(encodeValue);
+    }
+    switch (typeof value) {
+        case 'bigint':
+            return { $type: 'bigint', value: value.toString() };
+        case 'number':
+            return Number.isFinite(value) ? value : { $type: 'number', value: String(value) };
+        case 'object': {
+            const encoded = {};
+            for (const [key, item] of Object.entries(value)) {
+                encoded[key] = encodeValue(item);
+            }
+            return Object.prototype.hasOwnProperty.call(value, '$type') ? { $type: 'object', value: encoded } : encoded;
+        }
+        default:
+            return value;
+    }
+}
+
+/**
+ * Turns a value written by encodeValue() back into its original type
+ * @param {*} value - Value read from JSON
+ * @returns {*} The original value
+ * @throws {Error} If a $type is unknown
+ */
+function reviveValue(value) {
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(reviveValue);
+    }
+
+    switch (value.$type) {
+        case undefined:
+        case 'object': {
+            const revived = {};
+            for (const [key, item] of Object.entries(value.$type ? value.value : value)) {
+                revived[key] = reviveValue(item);
+            }
+            return revived;
+        }
+        case 'date':
+            return new Date(value.value === null ? NaN : value.value);
+        case 'bigint':
+            return BigInt(value.value);
+        case 'binary':
+            return Buffer.from(value.value, 'base64');
+        case 'number':
+            return Number(value.value);
+        default:
+            throw new Error(`Unknown serialized type '${value.$type}'`);
+    }
+}
+
+module.exports = {
+    encodeValue,
+    reviveValue
+};
@@ -0,0 +1,49 @@
+/**
+ * Normalizes a single value so that equal values produce equal keys
+ * (e.g. two Date instances with the same time)
+ * @param {*} value - Value to normalize
+ * @returns {string} Normalized representation of the value
+ */
+function normalizeKeyValue(value) {
+    if (value === null || value === undefined) {
+        return '\u0000';
+    }
+    if (value instanceof Date) {
+        return `d:${value.getTime()}`;
+    }
+    switch (typeof value) {
+        case 'number':
+            return `n:${value}`;
+        case 'string':
+            return `s:${value}`;
+        case 'boolean':
+            return `b:${value}`;
+        case 'bigint':
+            return `i:${value}`;
+        default:
+            return `o:${JSON.stringify(value)}`;
+    }
+}
+
+/**
+ * Builds a hashable key out of one or more values
+ * @param {Array} values - Values composing the key
+ * @returns {string} Key usable in a Map or Set
+ */
+function createKey(values) {
+    return values.map(normalizeKeyValue).join('\u0001');
+}
+
+/**
+ * @param {Array} values - Values composing the key
+ * @returns {boolean} True if any part of the key is null or undefined
+ */
+function hasNullKeyPart(values) {
+    return values.some(value => value === null || value === undefined);
+}
+
+module.exports = {
+    normalizeKeyValue,
+    createKey,
+    hasNullKeyPart
+};
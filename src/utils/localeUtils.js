@@ -0,0 +1,162 @@
+const DATE_TOKENS = /YYYY|YY|MM|M|DD|D|HH|H|mm|ss/g;
+
+/**
+ * Separators of the numbers written in a locale
+ * @param {string} locale - Locale such as 'de-DE'
+ * @returns {{group: string, decimal: string}} Grouping and decimal separators
+ */
+function numberSeparators(locale) {
+    const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+    const part = type => (parts.find(item => item.type === type) || {}).value;
+    return { group: part('group') || '', decimal: part('decimal') || '.' };
+}
+
+/**
+ * Rewrites a number written in a locale with the JavaScript separators, keeping all its digits
+ * @param {string} text - Text of the number, e.g. "1.234,5" in 'de-DE'
+ * @param {string} [locale] - Locale of the text, plain JavaScript numbers if omitted
+ * @returns {string} The number without grouping and with a dot as decimal separator, e.g. "1234.5"
+ */
+function normalizeNumber(text, locale) {
+    let normalized = String(text).trim();
+    if (locale) {
+        const { group, decimal } = numberSeparators(locale);
+        // Grouping spaces are often typed as plain spaces
+        normalized = normalized.replace(/\s/g, '');
+        if (group) {
+            normalized = normalized.split(group).join('');
+        }
+        normalized = normalized.split(decimal).join('.');
+    }
+    return normalized;
+}
+
+/**
+ * Parses a number written in a locale
+ * @param {string} text - Text of the number, e.g. "1.234,5" in 'de-DE'
+ * @param {string} [locale] - Locale of the text, plain JavaScript numbers if omitted
+ * @returns {number} The number, NaN if the text is not a number
+ */
+function parseNumber(text, locale) {
+    const normalized = normalizeNumber(text, locale);
+    return normalized === '' ? NaN : Number(normalized);
+}
+
+/**
+ * Writes a number with the decimal separator of a locale, without grouping
+ * @param {number} value - Number to write
+ * @param {string} [locale] - Locale of the text, plain JavaScript numbers if omitted
+ * @returns {string} Text of the number
+ */
+function formatNumber(value, locale) {
+    const text = String(value);
+    return locale ? text.replace('.', numberSeparators(locale).decimal) : text;
+}
+
+/**
+ * Date format of a locale, made of the tokens understood by parseDate()
+ * @param {string} locale - Locale such as 'en-US'
+ * @returns {string} Format such as 'MM/DD/YYYY'
+ */
+function localeDateFormat(locale) {
+    const tokens = { day: 'DD', month: 'MM', year: 'YYYY' };
+    return new Intl.DateTimeFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit' })
+        .formatToParts(new Date(2000, 10, 22))
+        .map(part => tokens[part.type] || part.value)
+        .join('');
+}
+
+/**
+ * Parses a date written with a format: YYYY, YY, MM, M, DD, D, HH, H, mm and ss stand for the parts of the date,
+ * anything else must match literally. The date is in local time.
+ * @param {string} text - Text of the date
+ * @param {string} format - Format such as 'DD/MM/YYYY HH:mm'
+ * @param {boolean} [optionalTime=false] - Whether a time "HH:mm" or "HH:mm:ss" may follow the date
+ * @returns {Date|null} The date, null if the text doesn't match the format or is not a valid date
+ */
+function parseDate(text, format, optionalTime = false) {
+    const tokens = [];
+    let pattern = '';
+    let last = 0;
+    for (const match of format.matchAll(DATE_TOKENS)) {
+        pattern += escapeRegExp(format.slice(last, match.index));
+        pattern += match[0].length === 1 ? '(\\d{1,2})' : `(\\d{${match[0].length}})`;
+        tokens.push(match[0]);
+        last = match.index + match[0].length;
+    }
+    pattern += escapeRegExp(format.slice(last));
+    if (optionalTime) {
+        pattern += '(?:[ T](\\d{1,2}):(\\d{2})(?::(\\d{2}))?)?';
+        tokens.push('H', 'mm', 'ss');
+    }
+
+    const match = String(text).trim().match(new RegExp(`^${pattern}$`));
+    if (!match) {
+        return null;
+    }
+    const parts = { year: 1970, month: 1, day: 1, hours: 0, minutes: 0, seconds: 0 };
+    tokens.forEach((token, index) => {
+        if (match[index + 1] === undefined) {
+            return;
+        }
+        const value = Number(match[index + 1]);
+        switch (token) {
+            case 'YYYY': parts.year = value; break;
+            case 'YY': parts.year = 2000 + value; break;
+            case 'MM': case 'M': parts.month = value; break;
+            case 'DD': case 'D': parts.day = value; break;
+            case 'HH': case 'H': parts.hours = value; break;
+            case 'mm': parts.minutes = value; break;
+            default: parts.seconds = value;
+        }
+    });
+
+    const date = new Date(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes, parts.seconds);
+    // Rejects overflowing parts such as February 30
+    if (date.getMonth() !== parts.month - 1 || date.getDate() !== parts.day ||
+        date.getHours() !== parts.hours || date.getMinutes() !== parts.minutes) {
+        return null;
+    }
+    return date;
+}
+
+/**
+ * Writes a date with a format of parseDate(), in local time
+ * @param {Date} date - Date to write
+ * @param {string} format - Format such as 'DD/MM/YYYY HH:mm'
+ * @returns {string} Text of the date
+ */
+function formatDate(date, format) {
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const values = {
+        YYYY: pad(date.getFullYear(), 4),
+        YY: pad(date.getFullYear() % 100),
+        MM: pad(date.getMonth() + 1),
+        M: String(date.getMonth() + 1),
+        DD: pad(date.getDate()),
+        D: String(date.getDate()),
+        HH: pad(date.getHours()),
+        H: String(date.getHours()),
+        mm: pad(date.getMinutes()),
+        ss: pad(date.getSeconds())
+    };
+    return format.replace(DATE_TOKENS, token => values[token]);
+}
+
+/**
+ * @param {string} text - Literal text
+ * @returns {string} The text with the regular expression characters escaped
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+    numberSeparators,
+    normalizeNumber,
+    parseNumber,
+    formatNumber,
+    localeDateFormat,
+    parseDate,
+    formatDate
+};
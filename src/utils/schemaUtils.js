@@ -0,0 +1,206 @@
+/**
+ * Data types of the PostgreSQL type OIDs reported in the fields of pg results
+ */
+const PG_TYPES = {
+    16: 'boolean',
+    17: 'binary',
+    18: 'string',
+    19: 'string',
+    20: 'bigint',
+    21: 'number',
+    23: 'number',
+    25: 'string',
+    26: 'number',
+    114: 'json',
+    700: 'number',
+    701: 'number',
+    1042: 'string',
+    1043: 'string',
+    1082: 'date',
+    1114: 'date',
+    1184: 'date',
+    1700: 'decimal',
+    2950: 'string',
+    3802: 'json'
+};
+
+/**
+ * Data types of the MySQL column types reported in the FieldPacket of mysql2
+ */
+const MYSQL_TYPES = {
+    0: 'decimal',
+    1: 'number',
+    2: 'number',
+    3: 'number',
+    4: 'number',
+    5: 'number',
+    7: 'date',
+    8: 'bigint',
+    9: 'number',
+    10: 'date',
+    11: 'string',
+    12: 'date',
+    13: 'number',
+    15: 'string',
+    16: 'binary',
+    245: 'json',
+    246: 'decimal',
+    247: 'string',
+    248: 'string',
+    249: 'string',
+    250: 'string',
+    251: 'string',
+    252: 'string',
+    253: 'string',
+    254: 'string'
+};
+
+const MYSQL_TINY = 1;
+const MYSQL_BINARY_CHARSET = 63;
+const MYSQL_NOT_NULL_FLAG = 1;
+const MYSQL_PRI_KEY_FLAG = 2;
+const MYSQL_AUTO_INCREMENT_FLAG = 512;
+
+/**
+ * Data type of a declared SQL type, e.g. the column types of better-sqlite3 statements
+ * @param {string|null} typeName - Declared type such as 'INTEGER', 'VARCHAR(20)' or 'TIMESTAMP WITH TIME ZONE'
+ * @returns {string|null} The data type, null if the type is missing or unknown
+ */
+function dataTypeFromName(typeName) {
+    if (!typeName) {
+        return null;
+    }
+    const name = String(typeName).toLowerCase();
+    const patterns = [
+        [/bool|bit\(1\)/, 'boolean'],
+        [/bigint|\bint8\b|bigserial/, 'bigint'],
+        // Whole words, so that POINT or INTERVAL are not integers
+        [/\b(tiny|small|medium)?int(eger|[1-4])?\b|serial/, 'number'],
+        [/json/, 'json'],
+        [/blob|binary|bytea/, 'binary'],
+        [/dec|numeric|money/, 'decimal'],
+        [/real|floa|doub/, 'number'],
+        [/date|timestamp/, 'date'],
+        [/char|clob|text|uuid|time|enum/, 'string']
+    ];
+    const found = patterns.find(([pattern]) => pattern.test(name));
+    return found ? found[1] : null;
+}
+
+/**
+ * Reads the field metadata of a driver
+ * @param {Object} field - pg field, mysql2 FieldPacket, better-sqlite3 column or { name, dataType }
+ * @returns {{name: string, dataType: string|null, allowNull: boolean, isPrimaryKey: boolean, autoIncrement: boolean}}
+ * Column definition, with a null data type when the metadata doesn't tell it
+ */
+function describeField(field) {
+    const definition = { name: field.name, dataType: null, allowNull: true, isPrimaryKey: false, autoIncrement: false };
+
+    if (typeof field.dataType === 'string') {
+        definition.dataType = field.dataType;
+    } else if (typeof field.dataTypeID === 'number') {
+        definition.dataType = PG_TYPES[field.dataTypeID] || null;
+    } else if (typeof field.columnType === 'number' || typeof field.type === 'number') {
+        const columnType = typeof field.columnType === 'number' ? field.columnType : field.type;
+        const flags = field.flags || 0;
+        definition.dataType = MYSQL_TYPES[columnType] || null;
+        if (columnType === MYSQL_TINY && field.columnLength === 1) {
+            definition.dataType = 'boolean';
+        }
+        if (definition.dataType === 'string' && field.characterSet === MYSQL_BINARY_CHARSET) {
+            definition.dataType = 'binary';
+        }
+        definition.allowNull = (flags & MYSQL_NOT_NULL_FLAG) === 0;
+        definition.isPrimaryKey = (flags & MYSQL_PRI_KEY_FLAG) !== 0;
+        definition.autoIncrement = (flags & MYSQL_AUTO_INCREMENT_FLAG) !== 0;
+    } else {
+        definition.dataType = dataTypeFromName(field.type);
+    }
+    return definition;
+}
+
+// Data types whose values mixed together are kept as strings
+const SCALAR_TYPES = ['string', 'number', 'boolean', 'bigint'];
+
+/**
+ * Data type of a single value
+ * @param {*} value - Value read from the database, not null
+ * @returns {string} The data type
+ */
+function dataTypeOf(value) {
+    if (value instanceof Date) {
+        return 'date';
+    }
+    if (value instanceof Uint8Array) {
+        return 'binary';
+    }
+    switch (typeof value) {
+        case 'number':
+        case 'string':
+        case 'boolean':
+        case 'bigint':
+            return typeof value;
+        default:
+            return 'json';
+    }
+}
+
+/**
+ * Infers the data type of a column from its values
+ * @param {Array} values - Values of the column
+ * @returns {string} The type shared by the non-null values, 'bigint' for numbers mixed with bigints,
+ * 'string' if all the values are null. Values of different types make a string column when they are all
+ * strings, numbers or booleans, a json column keeping them as they are otherwise.
+ */
+function inferDataType(values) {
+    const types = new Set(values.filter(value => value !== null && value !== undefined).map(dataTypeOf));
+    if (types.size === 0) {
+        return 'string';
+    }
+    if (types.size === 2 && types.has('number') && types.has('bigint')) {
+        return 'bigint';
+    }
+    if (types.size === 1) {
+        return types.values().next().value;
+    }
+    return Array.from(types).every(type => SCALAR_TYPES.includes(type)) ? 'string' : 'json';
+}
+
+/**
+ * Describes the columns of query results, from the field metadata of the driver when given,
+ * otherwise from a sample of the rows. Columns whose metadata has no known type are typed from the sample.
+ * @param {Array<Object>} rows - Result rows
+ * @param {Array<Object>|null} [fields=null] - Field metadata of the driver, see describeField()
+ * @param {number} [sampleSize=100] - Number of rows sampled
+ * @returns {Array<{name: string, dataType: string|null, allowNull: boolean, isPrimaryKey: boolean, autoIncrement: boolean}>}
+ * Column definitions in result order
+ */
+function inferColumns(rows, fields = null, sampleSize = 100) {
+    const sample = rows.slice(0, sampleSize);
+    let definitions;
+    if (fields && fields.length > 0) {
+        definitions = fields.map(describeField);
+    } else {
+        const names = new Set();
+        for (const row of sample) {
+            Object.keys(row).forEach(name => names.add(name));
+        }
+        definitions = Array.from(names, name => ({
+            name, dataType: null, allowNull: true, isPrimaryKey: false, autoIncrement: false
+        }));
+    }
+
+    for (const definition of definitions) {
+        if (definition.dataType === null) {
+            definition.dataType = inferDataType(sample.map(row => row[definition.name]));
+        }
+    }
+    return definitions;
+}
+
+module.exports = {
+    dataTypeFromName,
+    describeField,
+    inferDataType,
+    inferColumns
+};
@@ -0,0 +1,14 @@
+/**
+ * Creates an empty table, e.g. the result of a join, a grouping or a pivot. DataTable requires the modules
+ * building these results, so it is required on first use rather than when they load.
+ * @param {string} tableName - Name of the table
+ * @returns {DataTable} The new table
+ */
+function createTable(tableName) {
+    const DataTable = require('../DataTable');
+    return new DataTable(tableName);
+}
+
+module.exports = {
+    createTable
+};
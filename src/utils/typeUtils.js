@@ -0,0 +1,35 @@
+const { getType } = require('../types/TypeRegistry');
+
+/**
+ * Converts a value to the data type of a column, see TypeRegistry
+ * @param {*} value - Value to convert
+ * @param {string|null} dataType - Data type of the column
+ * @param {string} columnName - Name of the column, used in error messages
+ * @returns {*} The converted value
+ * @throws {Error} If value type doesn't match column data type, or the data type is unknown
+ */
+function convertValue(value, dataType, columnName) {
+    if (value === null || !dataType) {
+        return value;
+    }
+    return getType(dataType).convert(value, columnName);
+}
+
+/**
+ * Compares two values of a column with the equality of its data type
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @param {string|null} dataType - Data type of the column
+ * @returns {boolean} True if both values are null, or equal for the type
+ */
+function valuesEqual(a, b, dataType) {
+    if (a === null || a === undefined || b === null || b === undefined) {
+        return (a === null || a === undefined) && (b === null || b === undefined);
+    }
+    return a === b || getType(dataType).equals(a, b);
+}
+
+module.exports = {
+    convertValue,
+    valuesEqual
+};
@@ -0,0 +1,198 @@
+const { DataTable, DataSet, ChangeJournal, DataView } = require('../src');
+
+/**
+ * @returns {{table: DataTable, journal: ChangeJournal}} Accepted rows 1 'a' and 2 'b', and a journal of their edits
+ */
+function createTable() {
+    const table = new DataTable('items');
+    table.addColumn('id', 'number');
+    table.addColumn('name', 'string');
+    table.primaryKey = ['id'];
+    table.rows.add({ id: 1, name: 'a' });
+    table.rows.add({ id: 2, name: 'b' });
+    table.acceptAllChanges();
+    return { table, journal: new ChangeJournal(table) };
+}
+
+const ids = table => Array.from(table.rows, row => row.get('id'));
+
+describe('ChangeJournal', () => {
+    test('undoes and redoes value changes with their row state', () => {
+        const { table, journal } = createTable();
+        expect(journal.canUndo).toBe(false);
+        const row = table.rows(0);
+        row.set('name', 'x');
+        row.set('name', 'y');
+        expect(journal.undo()).toBe(true);
+        expect(row.get('name')).toBe('x');
+        journal.undo();
+        expect(row.get('name')).toBe('a');
+        expect(row.getRowState()).toBe('UNCHANGED');
+        expect(journal.canRedo).toBe(true);
+        journal.redo();
+        expect(row.get('name')).toBe('x');
+        expect(row.getRowState()).toBe('MODIFIED');
+    });
+
+    test('undoes added, deleted, removed, cleared and accepted rows', () => {
+        const { table, journal } = createTable();
+        table.rows.add({ id: 3, name: 'c' });
+        journal.undo();
+        expect(table.rows.find(3)).toBeNull();
+        journal.redo();
+        expect(table.rows.find(3).get('name')).toBe('c');
+
+        table.rows(0).delete();
+        journal.undo();
+        expect(table.rows(0).getRowState()).toBe('UNCHANGED');
+        table.rows.removeAt(0);
+        journal.undo();
+        expect(ids(table)).toEqual([1, 2, 3]);
+        table.clear();
+        journal.undo();
+        expect(ids(table)).toEqual([1, 2, 3]);
+
+        table.rows.find(3).set('name', 'cc');
+        journal.undo();
+        expect(table.rows.find(3).getRowState()).toBe('ADDED');
+        table.acceptAllChanges();
+        journal.undo();
+        expect(table.rows.find(3).getRowState()).toBe('ADDED');
+    });
+
+    test('undoes transactions at once and rolls them back on throw', () => {
+        const { table, journal } = createTable();
+        journal.transaction(() => {
+            table.rows(0).set('name', 'q');
+            table.rows(1).set('name', 'r');
+        });
+        journal.undo();
+        expect(Array.from(table.rows, row => row.get('name'))).toEqual(['a', 'b']);
+
+        expect(() => journal.transaction(() => {
+            table.rows(0).set('name', 'q');
+            table.rows.add({ id: 9 });
+            throw new Error('boom');
+        })).toThrow('boom');
+        expect(table.rows(0).get('name')).toBe('a');
+        expect(table.rows.find(9)).toBeNull();
+    });
+
+    test('rolls back failed nested transactions only', () => {
+        const { table, journal } = createTable();
+        journal.transaction(() => {
+            table.rows(0).set('name', 'outer');
+            expect(() => journal.transaction(() => {
+                table.rows(1).set('name', 'inner');
+                throw new Error('x');
+            })).toThrow('x');
+            expect(table.rows(1).get('name')).toBe('b');
+            journal.transaction(() => table.rows(1).set('name', 'inner2'));
+        });
+        expect(table.rows(1).get('name')).toBe('inner2');
+        journal.undo();
+        expect(Array.from(table.rows, row => row.get('name'))).toEqual(['a', 'b']);
+        expect(() => journal.transaction(() => journal.undo())).toThrow(/Cannot call undo/);
+    });
+
+    test('reverts to named checkpoints', () => {
+        const { table, journal } = createTable();
+        const row = table.rows(0);
+        journal.checkpoint('start');
+        row.set('name', 'm1');
+        journal.checkpoint('one');
+        row.set('name', 'm2');
+        journal.revertTo('start');
+        expect(row.get('name')).toBe('a');
+        journal.revertTo('one');
+        expect(row.get('name')).toBe('m1');
+        expect(() => journal.revertTo('nope')).toThrow('Checkpoint \'nope\' does not exist');
+
+        journal.undo();
+        row.set('name', 'z');
+        expect(() => journal.revertTo('one')).toThrow(/does not exist/);
+    });
+
+    test('undoes added and removed columns with their values, constraints and indexes', () => {
+        const { table, journal } = createTable();
+        table.columns._columns.get('name').unique = true;
+        table.createIndex('byName', ['name']);
+        table.removeColumn('name');
+        journal.undo();
+        const name = table.columns._columns.get('name');
+        expect(name.ordinal).toBe(1);
+        expect(name.unique).toBe(true);
+        expect(table.getIndex('byName')).toBeTruthy();
+        expect(table.rows(0).get('name')).toBe('a');
+        expect(() => table.rows(1).set('name', 'a')).toThrow();
+
+        table.addColumn('extra', 'number');
+        journal.undo();
+        expect(table.columnExists('extra')).toBe(false);
+        table.removeColumn('id');
+        journal.undo();
+        expect(table.primaryKey.map(column => column.columnName)).toEqual(['id']);
+    });
+
+    test('keeps the last steps up to a limit', () => {
+        const { table, journal } = createTable();
+        journal.dispose();
+        const limited = new ChangeJournal(table, { limit: 3 });
+        limited.checkpoint('zero');
+        for (let i = 0; i < 5; i++) {
+            table.rows(0).set('name', `n${i}`);
+        }
+        expect(() => limited.revertTo('zero')).toThrow();
+        while (limited.undo()) {
+            // Undo every step kept
+        }
+        expect(table.rows(0).get('name')).toBe('n1');
+    });
+
+    test('records the cascades and merges of a data set as one step', () => {
+        const ds = new DataSet('d');
+        const parents = ds.addTable('p');
+        parents.addColumn('id', 'number');
+        parents.primaryKey = ['id'];
+        const children = ds.addTable('c');
+        children.addColumn('id', 'number');
+        children.addColumn('pid', 'number');
+        children.primaryKey = ['id'];
+        ds.addRelation('pc', 'p', 'c', 'id', 'pid');
+        parents.addColumn('n', 'number').expression = 'Count(Child.id)';
+        parents.rows.add({ id: 1 });
+        children.rows.add({ id: 10, pid: 1 });
+        children.rows.add({ id: 11, pid: 1 });
+        parents.acceptAllChanges();
+        children.acceptAllChanges();
+        const journal = new ChangeJournal(ds);
+        const view = new DataView(children, { pid: 1 });
+
+        parents.rows(0).set('id', 2);
+        expect(children.rows(0).get('pid')).toBe(2);
+        journal.undo();
+        expect(Array.from(children.rows, row => row.get('pid'))).toEqual([1, 1]);
+        expect(children.rows(0).getRowState()).toBe('UNCHANGED');
+        expect(view.count).toBe(2);
+
+        parents.rows(0).delete();
+        expect(children.rows(0).getRowState()).toBe('DELETED');
+        journal.undo();
+        expect(children.rows(0).getRowState()).toBe('UNCHANGED');
+        expect(parents.rows(0).get('n')).toBe(2);
+
+        const added = ds.addTable('q');
+        added.addColumn('v');
+        added.rows.add({ v: 1 });
+        journal.undo();
+        expect(added.rows.count).toBe(0);
+
+        const other = children.clone();
+        other.rows.add({ id: 12, pid: 1 });
+        other.rows.add({ id: 13, pid: 1 });
+        children.merge(other);
+        expect(children.rows.count).toBe(4);
+        journal.undo();
+        expect(children.rows.count).toBe(2);
+    });
+});
@@ -0,0 +1,136 @@
+const { DataSet, DataTable, MissingSchemaAction } = require('../src');
+
+/**
+ * Customers 10 and 11 accepted, customer 10 renamed and a new customer with a temporary negative id,
+ * plus an order of the new customer and an order of customer 10
+ * @returns {{ds: DataSet, customers: DataTable, orders: DataTable, added: DataRow}} The data set and its parts
+ */
+function createDataSet() {
+    const ds = new DataSet('Shop');
+    const customers = ds.addTable('Customers');
+    const id = customers.addColumn('id', 'number');
+    id.autoIncrement = true;
+    id.autoIncrementSeed = -1;
+    id.autoIncrementStep = -1;
+    customers.addColumn('name', 'string');
+    customers.addColumn('since', 'date');
+    customers.primaryKey = ['id'];
+    const orders = ds.addTable('Orders');
+    orders.addColumn('id', 'number');
+    orders.addColumn('customerId', 'number');
+    orders.addColumn('total', 'number');
+    orders.primaryKey = ['id'];
+    ds.addRelation('CO', 'Customers', 'Orders', 'id', 'customerId');
+
+    customers.loadFromQuery([{ id: 10, name: 'Old' }, { id: 11, name: 'Keep' }]);
+    customers.acceptAllChanges();
+    const added = customers.addRow({ name: 'New', since: new Date(2024, 0, 1) });
+    orders.addRow({ id: 1, customerId: added.get('id'), total: 5 });
+    orders.addRow({ id: 2, customerId: 10, total: 3 });
+    customers.rows(0).set('name', 'Older');
+    return { ds, customers, orders, added };
+}
+
+/**
+ * @param {DataTable} table - Accepted customers 10 and 11
+ * @returns {DataTable} Copy of the table where customer 11 was renamed and customer 50 added, with an extra column
+ */
+function createServerTable(table) {
+    const server = table.clone();
+    server.rows.find(11).set('name', 'Server');
+    server.rows.find(11).acceptChanges();
+    server.addRow({ id: 50, name: 'Fifty' });
+    server.addColumn('extra', 'string');
+    return server;
+}
+
+describe('ChangeMerger', () => {
+    describe('getChanges()', () => {
+        test('returns rows, a detached table or a change set', () => {
+            const { customers } = createDataSet();
+            expect(customers.getChanges()).toHaveLength(2);
+            expect(customers.getChanges({ rowStates: 'ADDED' })).toHaveLength(1);
+
+            const changes = customers.getChanges({ format: 'table' });
+            expect(changes).toBeInstanceOf(DataTable);
+            expect(changes.rows.count).toBe(2);
+            expect(changes.rows(0).getRowState()).toBe('MODIFIED');
+            expect(changes.rows(0).get('name', 'Original')).toBe('Old');
+            expect(() => customers.getChanges({ format: 'x' })).toThrow(/Unknown changes format/);
+        });
+
+        test('keeps the parent rows of the changed rows of a data set', () => {
+            const { ds, added } = createDataSet();
+            const changes = ds.getChanges();
+            expect(Array.from(changes.table('Customers').rows, row => row.get('id'))).toEqual([10, added.get('id')]);
+            expect(changes.table('Orders').rows.count).toBe(2);
+        });
+    });
+
+    describe('merge()', () => {
+        test('applies the values a server assigned to a change set', () => {
+            const { ds, customers, orders, added } = createDataSet();
+            const temporaryId = added.get('id');
+            const changeSet = JSON.parse(JSON.stringify(ds.getChanges({ format: 'changeSet' })));
+            expect(changeSet.tables.map(table => table.tableName)).toEqual(['Customers', 'Orders']);
+            const change = changeSet.tables[0].changes.find(entry => entry.rowState === 'ADDED');
+            expect(change.key).toEqual([temporaryId]);
+            change.after.id = 42;
+            changeSet.tables[1].changes.find(entry => entry.after.id === 1).after.customerId = 42;
+
+            ds.merge(changeSet);
+            expect(added.get('id')).toBe(42);
+            expect(added.get('since')).toEqual(new Date(2024, 0, 1));
+            expect(orders.rows.find(1).get('customerId')).toBe(42);
+            expect(customers.rows.count).toBe(3);
+        });
+
+        test('overwrites or preserves local changes and adds new rows and columns', () => {
+            const { customers } = createDataSet();
+            customers.rejectAllChanges();
+            const server = createServerTable(customers);
+            customers.rows.find(10).set('name', 'Local');
+
+            customers.merge(server, { preserveChanges: true });
+            expect(customers.rows.find(11).get('name')).toBe('Server');
+            expect(customers.rows.find(11).getRowState()).toBe('UNCHANGED');
+            expect(customers.rows.find(10).get('name')).toBe('Local');
+            expect(customers.rows.find(10).getRowState()).toBe('MODIFIED');
+            expect(customers.rows.find(50).getRowState()).toBe('ADDED');
+            expect(customers.columns.contains('extra')).toBe(true);
+
+            customers.merge(server);
+            expect(customers.rows.find(10).get('name')).toBe('Old');
+            expect(customers.rows.find(10).getRowState()).toBe('UNCHANGED');
+        });
+
+        test('handles missing columns according to missingSchemaAction', () => {
+            const { customers } = createDataSet();
+            const server = createServerTable(customers);
+            expect(() => customers.merge(server, { missingSchemaAction: MissingSchemaAction.ERROR })).toThrow(/Column 'extra'/);
+            customers.merge(server, { missingSchemaAction: MissingSchemaAction.IGNORE });
+            expect(customers.columns.contains('extra')).toBe(false);
+            expect(customers.rows.find(50).get('name')).toBe('Fifty');
+        });
+
+        test('deletes the rows deleted in the changes', () => {
+            const { customers } = createDataSet();
+            customers.acceptAllChanges();
+            const copy = customers.clone();
+            copy.rows.find(11).delete();
+            customers.merge(copy.getChanges());
+            expect(customers.rows.find(11)).toBeNull();
+            customers.acceptAllChanges();
+            expect(customers.rows.count).toBe(2);
+        });
+
+        test('creates the tables and relations missing from a data set', () => {
+            const { ds, orders } = createDataSet();
+            const empty = new DataSet('empty');
+            empty.merge(ds, { missingSchemaAction: MissingSchemaAction.ADD_WITH_KEY });
+            expect(empty.table('Orders').rows.count).toBe(orders.rows.count);
+            expect(empty.table('Customers').primaryKey.map(column => column.columnName)).toEqual(['id']);
+            expect(empty.relations).toHaveLength(1);
+        });
+    });
+});
@@ -0,0 +1,86 @@
+const { DataTable } = require('../src');
+
+/**
+ * @returns {DataTable} People with ids 1 to 6
+ */
+function createTable() {
+    const table = new DataTable('people');
+    table.addColumn('id', 'number');
+    table.addColumn('name', 'string');
+    table.addColumn('age', 'number');
+    table.addColumn('email', 'string');
+    table.addRow({ id: 1, name: 'Anna', age: 17, email: 'anna@gmail.com' });
+    table.addRow({ id: 2, name: 'anna', age: 40, email: 'Anna@Gmail.com' });
+    table.addRow({ id: 3, name: 'Bob', age: 65, email: 'bob@corp.it' });
+    table.addRow({ id: 4, name: 'Carl', age: null, email: null });
+    table.addRow({ id: 5, name: null, age: 30, email: 'x@corp.it' });
+    table.addRow({ id: 6, name: 'dora', age: 5, email: 'dora@gmail.com' });
+    return table;
+}
+
+/**
+ * @param {DataTable} table - Table to search
+ * @param {Object} criteria - Search criteria
+ * @returns {Array<number>} Ids of the matching rows
+ */
+function ids(table, criteria) {
+    return table.findRows(criteria).map(row => row.get('id'));
+}
+
+describe('CriteriaMatcher', () => {
+    test('combines every operator given for a column', () => {
+        const table = createTable();
+        expect(ids(table, { age: { $gt: 18, $lt: 65 } })).toEqual([2, 5]);
+        expect(ids(table, { age: { $gte: 5, $lte: 17, $ne: 5 } })).toEqual([1]);
+        expect(ids(table, { name: 'anna', age: { $between: [0, 20] } })).toEqual([1]);
+    });
+
+    test('supports set, existence, string and regular expression operators', () => {
+        const table = createTable();
+        expect(ids(table, { name: { $in: ['bob', 'carl'] } })).toEqual([3, 4]);
+        expect(ids(table, { name: { $nin: ['bob', null] } })).toEqual([1, 2, 4, 6]);
+        expect(ids(table, { age: { $exists: false } })).toEqual([4]);
+        expect(ids(table, { age: { $between: [5, 30] } })).toEqual([1, 5, 6]);
+        expect(ids(table, { name: { $startsWith: 'a' } })).toEqual([1, 2]);
+        expect(ids(table, { email: { $endsWith: 'GMAIL.COM' } })).toEqual([1, 2, 6]);
+        expect(ids(table, { email: { $regex: '^a' } })).toEqual([1, 2]);
+        expect(ids(table, { email: /^A/ })).toEqual([2]);
+        expect(ids(table, { email: { $regex: /corp/ } })).toEqual([3, 5]);
+        expect(ids(table, { name: { $eq: null } })).toEqual([5]);
+    });
+
+    test('supports nested $and, $or and $not groups', () => {
+        const table = createTable();
+        expect(ids(table, { $or: [{ name: 'bob' }, { age: { $lt: 10 } }] })).toEqual([3, 6]);
+        expect(ids(table, { $and: [{ name: 'anna' }, { $not: { age: { $gte: 30 } } }] })).toEqual([1]);
+        expect(ids(table, { name: { $not: { $startsWith: 'a' } } })).toEqual([3, 4, 5, 6]);
+        expect(ids(table, { $or: [{ $and: [{ age: { $gt: 30 } }, { name: { $ne: 'bob' } }] }, { id: 4 }] })).toEqual([2, 4]);
+    });
+
+    test('compares strings according to table.caseSensitive', () => {
+        const table = createTable();
+        table.createIndex('ix_name', 'name', { sorted: true });
+        expect(ids(table, { name: 'ANNA' })).toEqual([1, 2]);
+        table.caseSensitive = true;
+        expect(ids(table, { name: 'anna' })).toEqual([2]);
+        expect(ids(table, { name: { $in: ['Bob', 'carl'] } })).toEqual([3]);
+        expect(ids(table, { name: { $startsWith: 'a' } })).toEqual([2]);
+        expect(ids(table, { name: { $gt: 'b' } })).toEqual([6]);
+        expect(ids(table, { email: { $regex: '^a' } })).toEqual([1]);
+        expect(ids(table, { email: { $regex: '^a', $options: 'i' } })).toEqual([1, 2]);
+    });
+
+    test('rejects unknown operators and malformed criteria', () => {
+        const table = createTable();
+        expect(() => table.findRows({ age: { $foo: 1 } })).toThrow('Unknown operator \'$foo\' on column \'age\'');
+        expect(() => table.findRows({ age: { gt: 3 } })).toThrow('Unknown operator \'gt\' on column \'age\'');
+        expect(() => table.findRows({ nope: 1 })).toThrow('Column \'nope\' does not exist in table \'people\'');
+        expect(() => table.findRows({ age: { $in: 3 } })).toThrow('Operator \'$in\' on column \'age\' expects an array');
+        expect(() => table.findRows({ $xor: [] })).toThrow('Unknown operator \'$xor\', expected one of $and, $or, $not');
+        expect(() => table.findRows({ age: {} })).toThrow('Criteria of column \'age\' has no operator');
+        expect(() => table.findRows({ age: { $between: [1] } }))
+            .toThrow('Operator \'$between\' on column \'age\' expects an array [low, high]');
+        expect(() => table.findRows({ email: { $options: 'i' } }))
+            .toThrow('Operator \'$options\' on column \'email\' requires \'$regex\'');
+    });
+});
@@ -0,0 +1,239 @@
+const { DataAdapter, DataSet, DataTable, AcceptRejectRule, DBConcurrencyException } = require('../src');
+
+/**
+ * Driver answering every query with the given results, like pg does for bigint columns
+ * @param {Object} result - Result of the queries
+ * @returns {Object} The driver, recording the queries it runs
+ */
+function createDriver(result) {
+    const driver = {
+        queries: [],
+        result,
+        query: async (sql, params) => {
+            driver.queries.push({ sql, params });
+            return driver.result;
+        }
+    };
+    return driver;
+}
+
+/**
+ * Driver with transactions answering queries through a handler
+ * @param {Function} handler - Returns the result of a query from its text and parameters
+ * @returns {Object} The driver, recording the queries and transaction steps it runs
+ */
+function createTransactionalDriver(handler) {
+    const driver = {
+        log: [],
+        query: async (sql, params) => {
+            driver.log.push(sql);
+            return handler(sql, params);
+        },
+        transaction: async () => {
+            driver.log.push('BEGIN');
+            return {
+                query: driver.query,
+                commit: async () => driver.log.push('COMMIT'),
+                rollback: async () => driver.log.push('ROLLBACK')
+            };
+        }
+    };
+    return driver;
+}
+
+/**
+ * Fills orders 1 and 2 and line 10 of order 1, keyed by identity columns counting down from -1
+ * @param {Object} driver - Driver to fill from
+ * @returns {Promise<DataSet>} The filled data set
+ */
+async function fillShop(driver) {
+    const ds = new DataSet('shop');
+    const adapter = new DataAdapter(driver);
+    expect(await adapter.fill(ds, 'Orders')).toBe(2);
+    await adapter.fill(ds, 'Lines');
+    const orders = ds.table('Orders');
+    const lines = ds.table('Lines');
+    orders.primaryKey = ['id'];
+    lines.primaryKey = ['lid'];
+    for (const column of [orders.columns._columns.get('id'), lines.columns._columns.get('lid')]) {
+        column.autoIncrement = true;
+        column.autoIncrementSeed = -1;
+        column.autoIncrementStep = -1;
+    }
+    ds.addRelation('OL', 'Orders', 'Lines', 'id', 'orderId');
+    return ds;
+}
+
+/**
+ * @param {string} sql - Query text
+ * @returns {Object|Array} Result of the queries of the shop
+ */
+function shopResults(sql) {
+    if (sql.startsWith('SELECT * FROM "Orders"')) {
+        return { rows: [{ id: 1, name: 'a' }, { id: 2, name: 'b' }] };
+    }
+    if (sql.startsWith('SELECT * FROM "Lines"')) {
+        return [{ lid: 10, orderId: 1, qty: 3 }];
+    }
+    if (sql.startsWith('INSERT INTO "Orders"')) {
+        return { rows: [{ id: 101 }] };
+    }
+    if (sql.startsWith('INSERT INTO "Lines"')) {
+        return { rows: [{ lid: 102 }] };
+    }
+    return { rowCount: 1 };
+}
+
+describe('DataAdapter', () => {
+    describe('fill()', () => {
+        test('creates the tables of a data set and overwrites changed rows', async () => {
+            const ds = await fillShop(createTransactionalDriver(shopResults));
+            const orders = ds.table('Orders');
+            expect(ds.table('Lines').rows(0).get('qty')).toBe(3);
+            expect(orders.rows(0).getRowState()).toBe('UNCHANGED');
+
+            orders.rows(0).set('name', 'zz');
+            await new DataAdapter(createTransactionalDriver(shopResults)).fill(ds, 'Orders');
+            expect(orders.rows.count).toBe(2);
+            expect(orders.rows(0).get('name')).toBe('a');
+            expect(orders.rows(0).getRowState()).toBe('UNCHANGED');
+        });
+
+        test('overwrites the rows read again with string keys', async () => {
+            const fields = [{ name: 'id', dataTypeID: 20 }, { name: 'total', dataTypeID: 1700 }];
+            const driver = createDriver({ rows: [{ id: '1', total: '10.50' }, { id: '2', total: '3' }], fields });
+            const adapter = new DataAdapter(driver);
+            const table = new DataTable('orders');
+            await adapter.fill(table);
+            table.primaryKey = ['id'];
+
+            driver.result = { rows: [{ id: '1', total: '10.5' }, { id: '2', total: '4' }], fields };
+            await adapter.fill(table);
+            expect(table.rows.count).toBe(2);
+            expect(table.rows.find(1).get('total')).toBe('10.5');
+            expect(table.rows.find(2).get('total')).toBe('4');
+            expect(Array.from(table.rows).map(row => row.getRowState())).toEqual(['UNCHANGED', 'UNCHANGED']);
+        });
+
+        test('keeps rows whose values only differ in their text unchanged', async () => {
+            const table = new DataTable('orders');
+            table.addColumn('id', 'number');
+            table.addColumn('total', 'number');
+            table.primaryKey = ['id'];
+            const events = [];
+            table.on('rowChanged', args => events.push(args.action));
+            const adapter = new DataAdapter(createDriver([{ id: '1', total: '2' }]));
+            await adapter.fill(table);
+            events.length = 0;
+            await adapter.fill(table);
+            expect(table.rows.count).toBe(1);
+            expect(events).not.toContain('Change');
+        });
+    });
+
+    describe('update()', () => {
+        test('sends the changes parents first in a transaction and writes identities back', async () => {
+            const driver = createTransactionalDriver(shopResults);
+            const ds = await fillShop(driver);
+            const orders = ds.table('Orders');
+            const lines = ds.table('Lines');
+            const order = orders.addRow({ name: 'new' });
+            const line = lines.addRow({ orderId: -1, qty: 5 });
+            expect([order.get('id'), line.get('lid')]).toEqual([-1, -1]);
+            lines.rows(0).delete();
+            orders.rows(1).set('name', 'B');
+
+            driver.log.length = 0;
+            expect(await new DataAdapter(driver).update(ds)).toBe(4);
+            expect(driver.log).toEqual([
+                'BEGIN',
+                'UPDATE "Orders" SET "name" = $1 WHERE "id" = $2',
+                'INSERT INTO "Orders" ("name") VALUES ($1) RETURNING "id"',
+                'INSERT INTO "Lines" ("orderId", "qty") VALUES ($1, $2) RETURNING "lid"',
+                'DELETE FROM "Lines" WHERE "lid" = $1',
+                'COMMIT'
+            ]);
+            expect(order.get('id')).toBe(101);
+            expect(line.get('orderId')).toBe(101);
+            expect(line.get('lid')).toBe(102);
+            expect(lines.rows.count).toBe(1);
+            expect(orders.hasChanges() || lines.hasChanges()).toBe(false);
+        });
+
+        test('rolls back and keeps the changes when a row fails', async () => {
+            const ds = await fillShop(createTransactionalDriver(shopResults));
+            const orders = ds.table('Orders');
+            const driver = createTransactionalDriver(sql => (sql.startsWith('INSERT') ? { rows: [{ id: 500 }] } : { rowCount: 0 }));
+            const added = orders.addRow({ name: 'x' });
+            orders.rows(0).set('name', 'changed');
+
+            await expect(new DataAdapter(driver).update(orders)).rejects.toThrow(DBConcurrencyException);
+            expect(driver.log.filter(sql => !/^(INSERT|UPDATE)/.test(sql))).toEqual(['BEGIN', 'ROLLBACK']);
+            expect(added.get('id')).toBe(-1);
+            expect(added.getRowState()).toBe('ADDED');
+            expect(orders.rows(0).rowError).toMatch(/Concurrency/);
+
+            expect(await new DataAdapter(driver, { continueUpdateOnError: true }).update(orders)).toBe(1);
+            expect(added.get('id')).toBe(500);
+            expect(added.getRowState()).toBe('UNCHANGED');
+            expect(orders.rows(0).getRowState()).toBe('MODIFIED');
+        });
+
+        test('reads MySQL insert ids and runs custom commands', async () => {
+            const table = new DataTable('T');
+            table.addColumn('id', 'number').autoIncrement = true;
+            table.addColumn('v', 'string');
+            table.primaryKey = ['id'];
+            const driver = createTransactionalDriver(() => ({ insertId: 42, affectedRows: 1 }));
+            delete driver.transaction;
+            const adapter = new DataAdapter(driver, {
+                dialect: 'mysql',
+                deleteCommand: row => ({ text: 'DEL ?', values: [row.get('id', 'Original')] })
+            });
+            const row = table.addRow({ v: 'x' });
+            await adapter.update(table);
+            expect(row.get('id')).toBe(42);
+            row.delete();
+            await adapter.update(table);
+            expect(driver.log).toEqual(['INSERT INTO `T` (`v`) VALUES (?)', 'DEL ?']);
+            expect(table.rows.count).toBe(0);
+        });
+
+        test('keeps the changes of a failed child row when its parent row is accepted', async () => {
+            const ds = new DataSet('shop');
+            const orders = ds.addTable('orders');
+            orders.addColumn('id', 'number');
+            orders.addColumn('customer', 'string');
+            orders.primaryKey = ['id'];
+            const lines = ds.addTable('lines');
+            lines.addColumn('id', 'number');
+            lines.addColumn('orderId', 'number');
+            lines.addColumn('qty', 'number');
+            lines.primaryKey = ['id'];
+            ds.addRelation('OrderLines', 'orders', 'lines', 'id', 'orderId').childKeyConstraint.acceptRejectRule = AcceptRejectRule.CASCADE;
+            orders.addRow({ id: 1, customer: 'ACME' });
+            lines.addRow({ id: 10, orderId: 1, qty: 1 });
+            orders.acceptAllChanges();
+            lines.acceptAllChanges();
+
+            orders.rows.find(1).set('customer', 'Globex');
+            lines.rows.find(10).set('qty', 5);
+            const driver = {
+                query: async sql => {
+                    if (sql.includes('"lines"')) {
+                        throw new Error('deadlock');
+                    }
+                    return { rowCount: 1 };
+                }
+            };
+            const adapter = new DataAdapter(driver, { continueUpdateOnError: true });
+            expect(await adapter.update(ds)).toBe(1);
+
+            const line = lines.rows.find(10);
+            expect(orders.rows.find(1).getRowState()).toBe('UNCHANGED');
+            expect(line.getRowState()).toBe('MODIFIED');
+            expect(line.get('qty')).toBe(5);
+            expect(line.rowError).toBe('deadlock');
+        });
+    });
+});
@@ -0,0 +1,185 @@
+const { DataTable, DataSet, DataView, ReadOnlyException, SyntaxErrorException, EvaluateException } = require('../src');
+
+/**
+ * @returns {DataSet} Orders and their lines related by 'OL', with computed columns on both tables
+ */
+function createDataSet() {
+    const dataSet = new DataSet('shop');
+    const orders = dataSet.addTable('Orders');
+    orders.addColumn('id', 'number');
+    orders.addColumn('customer', 'string');
+    const lines = dataSet.addTable('Lines');
+    lines.addColumn('orderId', 'number');
+    lines.addColumn('price', 'number');
+    lines.addColumn('qty', 'number');
+    lines.addColumn('amount', 'number').expression = 'price * qty';
+    lines.addColumn('kind', 'string').expression = 'IIF(qty > 10, \'bulk\', \'single\')';
+    lines.addColumn('label', 'string').expression = 'Parent(OL).customer + \'!\'';
+    orders.addColumn('total', 'number').expression = 'Sum(Child(OL).amount)';
+    orders.addColumn('lineCount', 'number').expression = 'Count(Child.orderId)';
+    orders.addColumn('nameLength', 'number').expression = 'LEN(customer)';
+    dataSet.addRelation('OL', 'Orders', 'Lines', 'id', 'orderId');
+    orders.addRow({ id: 1, customer: 'Acme' });
+    orders.addRow({ id: 2, customer: 'Bob' });
+    lines.addRow({ orderId: 1, price: 2, qty: 3 });
+    lines.addRow({ orderId: 1, price: 5, qty: 20 });
+    lines.addRow({ orderId: 2, price: 1, qty: 1 });
+    return dataSet;
+}
+
+describe('DataExpression', () => {
+    describe('computed columns', () => {
+        test('evaluate arithmetic, functions and relations', () => {
+            const dataSet = createDataSet();
+            const orders = dataSet.table('Orders');
+            const lines = dataSet.table('Lines');
+            expect(lines.rows(1).get('amount')).toBe(100);
+            expect(Array.from(lines.rows, row => row.get('kind'))).toEqual(['single', 'bulk', 'single']);
+            expect(lines.rows(2).get('label')).toBe('Bob!');
+            expect(orders.rows(0).get('total')).toBe(106);
+            expect(orders.rows(0).get('lineCount')).toBe(2);
+            expect(orders.rows(1).get('nameLength')).toBe(3);
+        });
+
+        test('recompute when their inputs, parents or children change', () => {
+            const dataSet = createDataSet();
+            const orders = dataSet.table('Orders');
+            const lines = dataSet.table('Lines');
+            lines.rows(0).set('qty', 30);
+            orders.rows(0).set('customer', 'Zed');
+            expect(lines.rows(0).get('amount')).toBe(60);
+            expect(lines.rows(0).get('kind')).toBe('bulk');
+            expect(lines.rows(1).get('label')).toBe('Zed!');
+            expect(orders.rows(0).get('total')).toBe(160);
+
+            lines.rows(2).set('orderId', 1);
+            expect(orders.rows(0).get('total')).toBe(161);
+            expect(orders.rows(1).get('total')).toBeNull();
+            expect(orders.rows(1).get('lineCount')).toBe(0);
+
+            lines.rows(1).delete();
+            expect(orders.rows(0).get('total')).toBe(61);
+            lines.clear();
+            expect(orders.rows(0).get('total')).toBeNull();
+        });
+
+        test('aggregate over their own table', () => {
+            const table = new DataTable('shares');
+            table.addColumn('x', 'number');
+            table.addColumn('share', 'number').expression = 'x / Sum(x)';
+            table.addRow({ x: 1 });
+            table.addRow({ x: 3 });
+            expect(Array.from(table.rows, row => row.get('share'))).toEqual([0.25, 0.75]);
+        });
+
+        test('are read-only, cloned and exported', () => {
+            const dataSet = createDataSet();
+            const orders = dataSet.table('Orders');
+            expect(() => orders.rows(0).set('total', 5)).toThrow(ReadOnlyException);
+            expect(dataSet.clone().table('Orders').rows(0).get('total')).toBe(106);
+            expect(orders.clone().rows(0).get('total')).toBe(106);
+
+            const total = orders.exportSchema().columns.find(column => column.name === 'total');
+            expect(total).toMatchObject({ expression: 'Sum(Child(OL).amount)', readOnly: true });
+        });
+
+        test('reject invalid and circular expressions', () => {
+            const dataSet = createDataSet();
+            const orders = dataSet.table('Orders');
+            const lines = dataSet.table('Lines');
+            expect(() => { orders.addColumn('bad').expression = 'price +'; })
+                .toThrow('Syntax error in expression \'price +\' at position 7: unexpected \'end of expression\'');
+            expect(() => { orders.addColumn('loop').expression = 'loop + 1'; }).toThrow(EvaluateException);
+            expect(() => lines.removeColumn('qty'))
+                .toThrow('Cannot remove column \'qty\' because it is referenced by the expression of column \'amount\'');
+        });
+    });
+
+    describe('filter expressions', () => {
+        /**
+         * @returns {DataTable} People a to e
+         */
+        function createPeople() {
+            const table = new DataTable('people');
+            table.addColumn('Name', 'string');
+            table.addColumn('Age', 'number');
+            table.addColumn('City', 'string');
+            table.addColumn('Deleted', 'date');
+            table.addColumn('Born', 'date');
+            table.addRow({ Name: 'a', Age: 20, City: 'Rome', Deleted: null, Born: new Date('2000-01-01') });
+            table.addRow({ Name: 'b', Age: 17, City: 'rome', Deleted: null, Born: new Date('2005-06-01') });
+            table.addRow({ Name: 'c', Age: 30, City: 'Milano', Deleted: null, Born: new Date('1990-01-01') });
+            table.addRow({ Name: 'd', Age: 40, City: 'Milano', Deleted: new Date('2024-01-01'), Born: null });
+            table.addRow({ Name: 'e', Age: 50, City: 'Turin', Deleted: null, Born: null });
+            return table;
+        }
+
+        /**
+         * @param {DataTable} table - Table to filter
+         * @param {string} filter - Filter expression
+         * @returns {string} Names of the selected rows
+         */
+        function names(table, filter) {
+            return table.select(filter).map(values => values.Name).join(',');
+        }
+
+        test('select() supports comparisons, IN, BETWEEN, LIKE, NOT and IS NULL', () => {
+            const table = createPeople();
+            expect(names(table, 'Age >= 18 AND (City = \'Rome\' OR City LIKE \'Mil%\') AND Deleted IS NULL')).toBe('a,c');
+            expect(names(table, 'City IN (\'rome\', \'Turin\')')).toBe('a,b,e');
+            expect(names(table, 'City NOT IN (\'rome\', \'Turin\')')).toBe('c,d');
+            expect(names(table, 'Age BETWEEN 20 AND 40')).toBe('a,c,d');
+            expect(names(table, 'NOT Age BETWEEN 20 AND 40')).toBe('b,e');
+            expect(names(table, 'Age NOT BETWEEN 20 AND 40')).toBe('b,e');
+            expect(names(table, 'Born > #1995-01-01#')).toBe('a,b');
+            expect(names(table, 'Deleted IS NOT NULL')).toBe('d');
+            expect(names(table, 'Name LIKE \'*\'')).toBe('a,b,c,d,e');
+        });
+
+        test('compare strings according to table.caseSensitive', () => {
+            const table = createPeople();
+            expect(names(table, 'City = \'Rome\'')).toBe('a,b');
+            table.caseSensitive = true;
+            expect(names(table, 'City = \'Rome\'')).toBe('a');
+            expect(names(table, 'City LIKE \'r%\'')).toBe('b');
+        });
+
+        test('filter DataView rows', () => {
+            const view = new DataView(createPeople(), 'Age > 25', 'Age', 'desc');
+            expect(view.toArray().map(values => values.Name)).toEqual(['e', 'd', 'c']);
+            view.setFilter('City LIKE \'%o\'');
+            expect(view.toArray().map(values => values.Name)).toEqual(['d', 'c']);
+        });
+
+        test('report the position of syntax errors', () => {
+            const table = createPeople();
+            const errors = {
+                'Age >= ': [7, 'unexpected \'end of expression\''],
+                'Age IN 1': [7, 'expected \'(\', found \'1\''],
+                'Born > #nope#': [7, 'invalid date \'nope\''],
+                'x IS 3': [5, 'expected \'NULL\', found \'3\''],
+                'Age = \'a': [6, 'unterminated string literal']
+            };
+            for (const [filter, [position, message]] of Object.entries(errors)) {
+                let error = null;
+                try {
+                    table.select(filter);
+                } catch (e) {
+                    error = e;
+                }
+                expect(error).toBeInstanceOf(SyntaxErrorException);
+                expect(error.position).toBe(position);
+                expect(error.message).toBe(`Syntax error in expression '${filter}' at position ${position}: ${message}`);
+            }
+            expect(() => new DataView(table, 'Age NOT 3')).toThrow(SyntaxErrorException);
+        });
+    });
+
+    test('does not evaluate JavaScript', () => {
+        const table = new DataTable('t');
+        table.addColumn('x', 'number');
+        table.addRow({ x: 1 });
+        expect(() => table.compute('process.exit(1)')).toThrow(SyntaxErrorException);
+        expect(() => table.compute('constructor.constructor(\'return 1\')()')).toThrow();
+    });
+});
@@ -0,0 +1,95 @@
+const { DataTable, DataView, EvaluateException } = require('../src');
+
+/**
+ * @returns {DataTable} Accepted sales, the last one deleted
+ */
+function createTable() {
+    const table = new DataTable('sales');
+    table.addColumn('region', 'string');
+    table.addColumn('year', 'number');
+    table.addColumn('amount', 'number');
+    table.addColumn('price', 'number');
+    table.addColumn('day', 'date');
+    const data = [
+        ['EU', 2023, 100, 10, '2023-01-05'],
+        ['eu', 2023, 50, 20, '2023-02-01'],
+        ['US', 2023, 70, 5, '2023-03-01'],
+        ['EU', 2024, null, 7, '2024-01-01'],
+        ['US', 2024, 30, 8, '2024-02-02']
+    ];
+    for (const [region, year, amount, price, day] of data) {
+        table.addRow({ region, year, amount, price, day: new Date(day) });
+    }
+    table.acceptAllChanges();
+    table.rows(4).delete();
+    return table;
+}
+
+/**
+ * @param {DataTable} table - Table to read
+ * @returns {Array<Object>} Values of the rows
+ */
+function values(table) {
+    return Array.from(table.rows, row => ({ ...row._values }));
+}
+
+describe('DataGrouping', () => {
+    test('aggregate() returns a typed table with a row per group, without DELETED rows', () => {
+        const result = createTable().groupBy(['region', 'year']).aggregate({
+            total: ['amount', 'sum'],
+            n: ['*', 'count'],
+            amounts: ['amount', 'count'],
+            avg: ['price', 'avg'],
+            first: ['day', 'min'],
+            max: ['price', 'max'],
+            regions: ['region', 'countDistinct'],
+            firstPrice: ['price', 'first'],
+            lastPrice: ['price', 'last'],
+            twice: ['amount', amounts => amounts.filter(amount => amount !== null).length * 2]
+        });
+        expect(result.columns._columns.get('first').dataType).toBe('date');
+        expect(result.columns._columns.get('total').dataType).toBe('number');
+        expect(values(result)).toEqual([
+            {
+                region: 'EU', year: 2023, total: 150, n: 2, amounts: 2, avg: 15, first: new Date('2023-01-05'),
+                max: 20, regions: 1, firstPrice: 10, lastPrice: 20, twice: 4
+            },
+            {
+                region: 'US', year: 2023, total: 70, n: 1, amounts: 1, avg: 5, first: new Date('2023-03-01'),
+                max: 5, regions: 1, firstPrice: 5, lastPrice: 5, twice: 2
+            },
+            {
+                region: 'EU', year: 2024, total: null, n: 1, amounts: 0, avg: 7, first: new Date('2024-01-01'),
+                max: 7, regions: 1, firstPrice: 7, lastPrice: 7, twice: 0
+            }
+        ]);
+    });
+
+    test('groups all rows together without columns and the rows of a view', () => {
+        const table = createTable();
+        expect(values(table.groupBy([]).aggregate({ n: ['*', 'count'] }))).toEqual([{ n: 4 }]);
+
+        const view = new DataView(table, 'year = 2023');
+        expect(values(view.groupBy('region').aggregate({ total: ['amount', 'sum'] })))
+            .toEqual([{ region: 'EU', total: 150 }, { region: 'US', total: 70 }]);
+        expect(view.compute('Avg(price)')).toBeCloseTo(35 / 3);
+    });
+
+    test('compute() aggregates the rows matching a filter', () => {
+        const table = createTable();
+        expect(table.compute('Sum(amount)')).toBe(220);
+        expect(table.compute('Sum(amount)', 'region = \'EU\'')).toBe(150);
+        expect(table.compute('Max(price)', { year: 2023 })).toBe(20);
+        expect(table.compute('Count(amount)', () => true)).toBe(3);
+        expect(() => table.compute('amount')).toThrow(EvaluateException);
+    });
+
+    test('rejects unknown columns and aggregates', () => {
+        const table = createTable();
+        expect(() => table.groupBy('x')).toThrow('Column \'x\' does not exist in table \'sales\'');
+        expect(() => table.groupBy('region').aggregate({ a: ['amount', 'median'] }))
+            .toThrow('Unknown aggregate function \'median\' for \'a\'');
+        expect(() => table.groupBy('region').aggregate({ a: ['*', 'sum'] }))
+            .toThrow('Aggregate \'a\' can only count rows with \'*\'');
+    });
+});
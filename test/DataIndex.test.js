@@ -0,0 +1,95 @@
+const { DataTable, DataView } = require('../src');
+
+/**
+ * @returns {DataTable} Orders with a status and an amount, amount null on every fifth row
+ */
+function createTable() {
+    const table = new DataTable('orders');
+    table.addColumn('id', 'number');
+    table.addColumn('status', 'string');
+    table.addColumn('amount', 'number');
+    for (let id = 0; id < 30; id++) {
+        table.addRow({ id, status: ['open', 'closed', 'held'][id % 3], amount: id % 5 === 0 ? null : id * 7 % 23 });
+    }
+    return table;
+}
+
+/**
+ * @param {Array<DataRow>} rows - Rows to read
+ * @returns {Array<number>} Ids of the rows
+ */
+function ids(rows) {
+    return rows.map(row => row.get('id'));
+}
+
+describe('DataIndex', () => {
+    const queries = [
+        { status: 'open' },
+        { status: { $in: ['open', 'held'] } },
+        { amount: { $gt: 10 } },
+        { amount: { $lte: 4 } },
+        { status: 'closed', amount: { $gte: 5 } },
+        { status: 'held', amount: 14 }
+    ];
+
+    test('findRows() returns the rows of a scan in table order', () => {
+        const scanned = createTable();
+        const indexed = createTable();
+        indexed.createIndex('ix_status', 'status');
+        indexed.createIndex('ix_amount', 'amount', { sorted: true });
+        indexed.createIndex('ix_status_amount', ['status', 'amount']);
+        for (const table of [scanned, indexed]) {
+            table.rows(3).set('amount', 1);
+            table.rows(4).set('status', 'open');
+            table.removeRow(6);
+        }
+
+        for (const criteria of queries) {
+            expect(ids(indexed.findRows(criteria))).toEqual(ids(scanned.findRows(criteria)));
+        }
+        expect(indexed.findOne({ status: 'held', amount: 14 }).get('id')).toBe(2);
+        expect(new DataView(indexed, { status: 'open' }).count).toBe(scanned.findRows({ status: 'open' }).length);
+    });
+
+    test('explain() reports the index a query uses', () => {
+        const table = createTable();
+        expect(table.explain({ status: 'open' })).toEqual({ type: 'scan', index: null, columns: [], candidates: 30 });
+
+        table.createIndex('ix_status', 'status');
+        table.createIndex('ix_amount', 'amount', { sorted: true });
+        table.createIndex('ix_status_amount', ['status', 'amount']);
+        expect(table.explain({ status: { $in: ['open', 'held'] } }))
+            .toEqual({ type: 'lookup', index: 'ix_status', columns: ['status'], candidates: 20 });
+        expect(table.explain({ status: 'held', amount: 14 }))
+            .toMatchObject({ type: 'lookup', index: 'ix_status_amount', columns: ['status', 'amount'] });
+        expect(table.explain({ amount: { $gt: 10 } })).toMatchObject({ type: 'range', index: 'ix_amount', columns: ['amount'] });
+        expect(() => table.explain({ missing: 1 })).toThrow();
+    });
+
+    test('unique indexes add a unique constraint dropped with the index', () => {
+        const table = createTable();
+        expect(() => table.createIndex('ux_status', 'status', { unique: true }))
+            .toThrow('Column \'status\' is constrained to be unique. Value \'open\' is already present');
+
+        table.createIndex('ux_id', 'id', { unique: true });
+        expect(table.constraints.contains('ux_id')).toBe(true);
+        expect(table.explain({ id: 7 })).toEqual({ type: 'lookup', index: 'ux_id', columns: ['id'], candidates: 1 });
+
+        table.dropIndex('ux_id');
+        expect(table.constraints.contains('ux_id')).toBe(false);
+        expect(table.indexes).toEqual([]);
+    });
+
+    test('indexes are cloned and dropped with their columns', () => {
+        const table = createTable();
+        table.createIndex('ix_status', 'status');
+        table.createIndex('ix_amount', 'amount', { sorted: true });
+
+        const clone = table.clone();
+        expect(clone.explain({ amount: { $gt: 3 } }).index).toBe('ix_amount');
+        expect(ids(clone.findRows({ amount: { $gt: 15 } }))).toEqual(ids(table.findRows({ amount: { $gt: 15 } })));
+
+        table.removeColumn('amount');
+        expect(table.indexes.map(index => index.name)).toEqual(['ix_status']);
+    });
+});
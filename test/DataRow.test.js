@@ -0,0 +1,229 @@
+const {
+    DataTable, DataRowVersion, ChangeJournal, ConstraintException, NoNullAllowedException, ReadOnlyException, VersionNotFoundException
+} = require('../src');
+
+/**
+ * @returns {DataTable} Table keyed by id, with rows 1 and 2 accepted
+ */
+function createTable() {
+    const table = new DataTable('items');
+    table.addColumn('id', 'number');
+    table.addColumn('name', 'string');
+    table.primaryKey = ['id'];
+    table.addRow({ id: 1, name: 'a' });
+    table.addRow({ id: 2, name: 'b' });
+    table.acceptAllChanges();
+    return table;
+}
+
+describe('DataRow', () => {
+    describe('set()', () => {
+        test('refuses to change a read-only column', () => {
+            const table = createTable();
+            table.columns._columns.get('name').readOnly = true;
+            const row = table.rows.find(1);
+            expect(() => row.set('name', 'z')).toThrow(ReadOnlyException);
+            expect(() => row.set('name', 'z')).toThrow('Column \'name\' is read only');
+            expect(row.get('name')).toBe('a');
+        });
+    });
+
+    describe('versions', () => {
+        test('keep the original values until changes are accepted or rejected', () => {
+            const table = createTable();
+            const added = table.addRow({ id: 3, name: 'c' });
+            expect(added.hasVersion(DataRowVersion.ORIGINAL)).toBe(false);
+            expect(() => added.get('name', DataRowVersion.ORIGINAL)).toThrow(VersionNotFoundException);
+
+            const row = table.rows.find(1);
+            row.set('name', 'z');
+            expect(row.get('name', 'Original')).toBe('a');
+            expect(row.get('name', DataRowVersion.CURRENT)).toBe('z');
+            row.rejectChanges();
+            expect(row.get('name')).toBe('a');
+            expect(row.getRowState()).toBe('UNCHANGED');
+        });
+
+        test('keep only the original values of deleted rows', () => {
+            const table = createTable();
+            const row = table.rows.find(1);
+            row.delete();
+            expect(row.hasVersion('Current')).toBe(false);
+            expect(row.get('id', 'Original')).toBe(1);
+            expect(() => row.beginEdit()).toThrow();
+            row.rejectChanges();
+            expect(row.get('id')).toBe(1);
+        });
+
+        test('give columns added later a null original value', () => {
+            const table = createTable();
+            table.addColumn('extra', 'string');
+            expect(table.rows.find(2).get('extra', 'Original')).toBeNull();
+        });
+    });
+
+    describe('edit sessions', () => {
+        test('propose values and check them together at endEdit()', () => {
+            const table = createTable();
+            table.columns._columns.get('name').allowNull = false;
+            const row = table.rows.find(1);
+            row.beginEdit();
+            row.set('id', 2);
+            row.set('name', null);
+            expect(row.get('id')).toBe(2);
+            expect(row.get('id', 'Current')).toBe(1);
+            expect(row.hasVersion('Proposed')).toBe(true);
+            expect(() => row.endEdit()).toThrow(NoNullAllowedException);
+
+            row.set('name', 'z');
+            expect(() => row.endEdit()).toThrow(ConstraintException);
+            row.set('id', '5');
+            row.endEdit();
+            expect(row.get('id')).toBe(5);
+            expect(table.rows.find(5)).toBe(row);
+            expect(row.hasVersion('Proposed')).toBe(false);
+            expect(row.getRowState()).toBe('MODIFIED');
+        });
+
+        test('let two rows swap their keys', () => {
+            const table = createTable();
+            const first = table.rows.find(1);
+            const second = table.rows.find(2);
+            first.beginEdit();
+            first.set('id', 3);
+            first.endEdit();
+            second.beginEdit();
+            second.set('id', 1);
+            second.endEdit();
+            first.set('id', 2);
+            expect([table.rows.find(1), table.rows.find(2)]).toEqual([second, first]);
+        });
+
+        test('throw the proposed values away at cancelEdit()', () => {
+            const table = createTable();
+            const row = table.rows.find(1);
+            row.beginEdit();
+            row.set('name', 'z');
+            row.cancelEdit();
+            expect(row.get('name')).toBe('a');
+            expect(row.hasVersion('Proposed')).toBe(false);
+            expect(row.getRowState()).toBe('UNCHANGED');
+        });
+    });
+
+    describe('errors', () => {
+        test('flag rows and columns until they are cleared', () => {
+            const table = createTable();
+            const row = table.rows.find(1);
+            expect(row.hasErrors).toBe(false);
+            row.setColumnError('name', 'bad');
+            expect(row.hasErrors).toBe(true);
+            expect(row.getColumnError(table.columns._columns.get('name'))).toBe('bad');
+            expect(row.getColumnsInError().map(column => column.columnName)).toEqual(['name']);
+            expect(() => row.setColumnError('zz', 'x')).toThrow('Column \'zz\' does not exist');
+
+            row.setColumnError('name', '');
+            expect(row.hasErrors).toBe(false);
+            row.rowError = 'x';
+            expect(row.hasErrors).toBe(true);
+            row.clearErrors();
+            expect(row.hasErrors).toBe(false);
+        });
+
+        test('are cleared by rejectChanges() and dropped with their column', () => {
+            const table = createTable();
+            const row = table.rows.find(1);
+            row.set('name', 'q');
+            row.setColumnError('name', 'e');
+            row.rejectChanges();
+            expect(row.hasErrors).toBe(false);
+
+            row.setColumnError('name', 'e');
+            table.removeColumn('name');
+            expect(row.hasErrors).toBe(false);
+        });
+
+        test('are copied, serialized and restored by undo', () => {
+            const table = createTable();
+            const row = table.rows.find(1);
+            row.rowError = 'row error';
+            row.setColumnError('name', 'column error');
+            for (const copy of [
+                DataTable.fromJSON(JSON.parse(JSON.stringify(table))),
+                DataTable.fromJSON(table.toJSON({ diffgram: true })),
+                table.clone()
+            ]) {
+                expect(copy.rows(0).rowError).toBe('row error');
+                expect(copy.rows(0).getColumnError('name')).toBe('column error');
+            }
+
+            const journal = new ChangeJournal(table);
+            table.removeColumn('name');
+            journal.undo();
+            expect(row.getColumnError('name')).toBe('column error');
+            journal.dispose();
+        });
+    });
+
+    describe('rejectChanges()', () => {
+        test('refuses to restore a key another row took', () => {
+            const table = createTable();
+            const row = table.rows.find(1);
+            row.set('id', 3);
+            table.addRow({ id: 1, name: 'c' });
+            expect(() => row.rejectChanges()).toThrow(ConstraintException);
+            expect(row.get('id')).toBe(3);
+            expect(row.getRowState()).toBe('MODIFIED');
+        });
+
+        test('refuses to revive a deleted added row whose key another row took', () => {
+            const table = createTable();
+            const row = table.addRow({ id: 5, name: 'e' });
+            row.delete();
+            table.addRow({ id: 5, name: 'f' });
+            expect(() => row.rejectChanges()).toThrow(ConstraintException);
+            expect(row.getRowState()).toBe('DELETED');
+        });
+
+        test('lets rejectAllChanges() swap keys back', () => {
+            const table = createTable();
+            const first = table.rows.find(1);
+            const second = table.rows.find(2);
+            first.set('id', 3);
+            second.set('id', 1);
+            first.set('id', 2);
+            table.rejectAllChanges();
+            expect([first.get('id'), second.get('id')]).toEqual([1, 2]);
+        });
+
+        test('makes rejectAllChanges() change no row when a key is taken', () => {
+            const table = createTable();
+            const row = table.rows.find(2);
+            table.rows.find(1).set('name', 'z');
+            row.set('id', 3);
+            table.addRow({ id: 2, name: 'c' });
+            expect(() => table.rejectAllChanges()).toThrow(ConstraintException);
+            expect(table.rows.find(1).get('name')).toBe('z');
+        });
+    });
+
+    describe('added from values', () => {
+        test('refuse null in a column not allowing it, as set() does', () => {
+            const table = new DataTable('items');
+            table.addColumn('n', 'number').allowNull = false;
+            expect(() => table.addRow({ n: null })).toThrow(NoNullAllowedException);
+            expect(() => table.addRow({})).toThrow(NoNullAllowedException);
+            expect(table.rows.count).toBe(0);
+            expect(table.addRow({ n: 1 }).get('n')).toBe(1);
+        });
+
+        test('keep the default of the values not given', () => {
+            const table = new DataTable('items');
+            table.addColumn('name', 'string').defaultValue = 'none';
+            table.addColumn('n', 'number');
+            expect(table.addRow([undefined, 2]).get('name')).toBe('none');
+            expect(table.addRow({ n: 2, name: undefined }).get('name')).toBe('none');
+            expect(table.addRow([null, 2]).get('name')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,94 @@
+const { DataTable } = require('../src');
+
+/**
+ * @returns {DataTable} Table keyed by a and b, with rows (1, 'x') and (2, 'x')
+ */
+function createTable() {
+    const table = new DataTable('items');
+    table.addColumn('a', 'number');
+    table.addColumn('b', 'string');
+    table.addColumn('v', 'number');
+    table.primaryKey = ['a', 'b'];
+    table.addRow({ a: 1, b: 'x', v: 10 });
+    table.addRow({ a: 2, b: 'x', v: 20 });
+    return table;
+}
+
+describe('DataRowCollection', () => {
+    describe('find()', () => {
+        test('finds rows by a single or composite key', () => {
+            const table = new DataTable('users');
+            table.addColumn('id', 'number');
+            table.primaryKey = 'id';
+            const row = table.addRow({ id: 7 });
+            expect(table.rows.find(7)).toBe(row);
+            expect(table.rows.find([7])).toBe(row);
+            expect(table.rows.find(8)).toBeNull();
+
+            const items = createTable();
+            expect(items.rows.find([2, 'x']).get('v')).toBe(20);
+            expect(items.rows.find([2, 'y'])).toBeNull();
+        });
+
+        test('follows key changes, removed rows and clear()', () => {
+            const table = createTable();
+            const row = table.rows.find([1, 'x']);
+            row.set('a', 3);
+            expect(table.rows.find([1, 'x'])).toBeNull();
+            expect(table.rows.find([3, 'x'])).toBe(row);
+
+            table.rows.remove(row);
+            expect(table.rows.find([3, 'x'])).toBeNull();
+
+            table.clear();
+            expect(table.rows.find([2, 'x'])).toBeNull();
+        });
+
+        test('finds the rows of a clone', () => {
+            const clone = createTable().clone();
+            expect(clone.rows.find([1, 'x']).get('v')).toBe(10);
+        });
+
+        test('converts the key to the types of the key columns', () => {
+            const table = new DataTable('prices');
+            table.addColumn('id', 'number');
+            table.addColumn('amount', 'decimal');
+            table.primaryKey = ['id', 'amount'];
+            const row = table.addRow({ id: 1, amount: '1.5' });
+            expect(table.rows.find(['1', '1.50'])).toBe(row);
+            expect(table.rows.find([1, 1.5])).toBe(row);
+            expect(table.rows.find([2, '1.5'])).toBeNull();
+            expect(() => table.rows.find(['x', '1.5'])).toThrow(/cannot be converted to number/);
+        });
+    });
+
+    describe('primaryKey', () => {
+        test('is built on rows already loaded and used by findOne()', () => {
+            const table = new DataTable('items');
+            table.addColumn('a', 'number');
+            table.addColumn('v', 'number');
+            table.beginLoadData();
+            table.addRow({ a: 1, v: 10 });
+            table.addRow({ a: 2, v: 20 });
+            table.endLoadData();
+            table.primaryKey = ['a'];
+            expect(table.primaryKey.map(column => column.columnName)).toEqual(['a']);
+            expect(table.rows.find(2).get('v')).toBe(20);
+            expect(table.findOne({ a: 1 }).get('v')).toBe(10);
+        });
+
+        test('replaces or removes the primary key constraint', () => {
+            const table = createTable();
+            expect(() => { table.primaryKey = 'zz'; }).toThrow('Column \'zz\' does not exist in table \'items\'');
+
+            table.primaryKey = 'v';
+            expect(Array.from(table.constraints, constraint => constraint.constraintName)).toEqual(['PK_items']);
+            expect(table.columns._columns.get('a').isPrimaryKey).toBe(false);
+            expect(table.rows.find(20).get('a')).toBe(2);
+
+            table.primaryKey = null;
+            expect(table.constraints.count).toBe(0);
+            expect(table.primaryKey).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,105 @@
+const { DataSet, DataTable, Rule } = require('../src');
+
+/**
+ * Customers and their orders with pending changes: Ann renamed, Dan deleted, Eve added with an error,
+ * Gone added then deleted, and the total of order 2 changed
+ * @returns {DataSet} The data set
+ */
+function createDataSet() {
+    const ds = new DataSet('Shop');
+    const customers = ds.addTable('Customers');
+    customers.addColumn('id', 'number').autoIncrement = true;
+    customers.addColumn('name', 'string');
+    customers.addColumn('born', 'date');
+    customers.addColumn('blob', 'binary');
+    customers.addColumn('big', 'bigint');
+    customers.primaryKey = ['id'];
+    const orders = ds.addTable('Orders');
+    orders.addColumn('id', 'number');
+    orders.addColumn('customerId', 'number');
+    orders.addColumn('total', 'number');
+    orders.addColumn('meta');
+    orders.addColumn('who', 'string');
+    orders.primaryKey = ['id'];
+    ds.addRelation('CustOrders', 'Customers', 'Orders', 'id', 'customerId').childKeyConstraint.deleteRule = Rule.SET_NULL;
+    orders.columns._columns.get('who').expression = 'Parent.name';
+
+    const ann = customers.addRow({ name: 'Ann', born: new Date(1990, 1, 2), blob: Buffer.from([1, 2, 3]), big: 12345678901234567890n });
+    const bob = customers.addRow({ name: 'Bob' });
+    const dan = customers.addRow({ name: 'Dan' });
+    orders.addRow({ id: 1, customerId: ann.get('id'), total: Infinity, meta: { $type: 'x', when: new Date(0) } });
+    orders.addRow({ id: 2, customerId: bob.get('id'), total: 5 });
+    ds.tables.forEach(table => table.acceptAllChanges());
+
+    ann.set('name', 'Anne');
+    dan.delete();
+    customers.addRow({ name: 'Eve' }).rowError = 'check me';
+    customers.addRow({ name: 'Gone' }).delete();
+    orders.rows(1).set('total', 7);
+    return ds;
+}
+
+const states = table => Array.from(table.rows, row => row.getRowState());
+
+describe('DataSet', () => {
+    describe('toJSON() and fromJSON()', () => {
+        test('restore tables, relations, row states, original values and typed values', () => {
+            const ds = createDataSet();
+            const copy = DataSet.fromJSON(JSON.stringify(ds));
+            const customers = copy.table('Customers');
+            const orders = copy.table('Orders');
+            expect(states(customers)).toEqual(['MODIFIED', 'UNCHANGED', 'DELETED', 'ADDED', 'DELETED']);
+            expect(customers.rows(0).get('name', 'Original')).toBe('Ann');
+            expect(customers.rows(0).get('born')).toEqual(new Date(1990, 1, 2));
+            expect(Buffer.from(customers.rows(0).get('blob'))).toEqual(Buffer.from([1, 2, 3]));
+            expect(customers.rows(0).get('big')).toBe(12345678901234567890n);
+            expect(customers.rows(3).rowError).toBe('check me');
+            expect(customers.rows(4).hasVersion('Original')).toBe(false);
+            expect(orders.rows(0).get('total')).toBe(Infinity);
+            expect(orders.rows(0).get('meta')).toEqual({ $type: 'x', when: new Date(0) });
+            expect(orders.rows(0).get('who')).toBe('Anne');
+            expect(orders.rows(1).get('total', 'Original')).toBe(5);
+            expect(copy.relations[0].childKeyConstraint.deleteRule).toBe(Rule.SET_NULL);
+            expect(customers.addRow({ name: 'New' }).get('id')).toBe(ds.table('Customers').addRow({ name: 'New' }).get('id'));
+            expect(copy.toJSON()).toEqual(ds.toJSON());
+
+            customers.rejectAllChanges();
+            expect(customers.rows(0).get('name')).toBe('Ann');
+        });
+
+        test('write diffgrams leaving out the rows added then deleted', () => {
+            const diffgram = createDataSet().toJSON({ diffgram: true });
+            expect(diffgram.tables[0].before.map(entry => entry.values.name)).toEqual(['Ann', 'Dan']);
+            const copy = DataSet.fromJSON(JSON.stringify(diffgram));
+            expect(states(copy.table('Customers'))).toEqual(['MODIFIED', 'UNCHANGED', 'DELETED', 'ADDED']);
+        });
+
+        test('restore the rows unchanged without their changes', () => {
+            const copy = DataSet.fromJSON(createDataSet().toJSON({ includeChanges: false }));
+            expect(states(copy.table('Customers'))).toEqual(['UNCHANGED', 'UNCHANGED', 'UNCHANGED']);
+            expect(copy.table('Customers').rows(0).get('name')).toBe('Anne');
+        });
+
+        test('load rows written without schema into existing tables', () => {
+            const ds = createDataSet();
+            const json = ds.toJSON({ includeSchema: false });
+            expect(json.relations).toBeUndefined();
+            expect(() => DataSet.fromJSON(json)).toThrow(/does not exist/);
+
+            const target = new DataSet('target');
+            target.addTable(ds.table('Customers').clone());
+            target.addTable(ds.table('Orders').clone());
+            target.tables.forEach(table => table.clear());
+            expect(DataSet.fromJSON(json, { dataSet: target })).toBe(target);
+            expect(target.table('Customers').rows.count).toBe(5);
+
+            expect(() => DataTable.fromJSON(ds.table('Customers').toJSON({ includeSchema: false }))).toThrow(/without its schema/);
+        });
+
+        test('check the foreign keys of the rows read', () => {
+            const json = createDataSet().toJSON();
+            json.tables[1].rows[0].values.customerId = 999;
+            expect(() => DataSet.fromJSON(json)).toThrow();
+        });
+    });
+});
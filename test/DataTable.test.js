@@ -0,0 +1,499 @@
+const { Readable, Writable } = require('stream');
+const { DataSet, DataTable, DataRowAction } = require('../src');
+
+/**
+ * @param {DataTable} table - Table to describe
+ * @returns {Object} Data type of each column, by column name
+ */
+function columnTypes(table) {
+    return Object.fromEntries(Array.from(table.columns, column => [column.columnName, column.dataType]));
+}
+
+describe('DataTable', () => {
+    describe('loadFromQuery()', () => {
+        test('infers column types from a sample of the rows', () => {
+            const table = new DataTable('sample');
+            table.loadFromQuery([
+                { a: null, b: 1n, c: Buffer.from('x'), d: { x: 1 }, e: 1 },
+                { a: 'x', b: 2, c: null, d: [1], e: 'y', f: new Date() }
+            ]);
+            expect(columnTypes(table)).toEqual({ a: 'string', b: 'bigint', c: 'binary', d: 'json', e: 'string', f: 'date' });
+
+            const numbers = new DataTable('numbers');
+            numbers.loadFromQuery([{ a: null }, { a: 5 }]);
+            expect(columnTypes(numbers)).toEqual({ a: 'number' });
+            numbers.loadFromQuery([{ a: 7 }]);
+            expect(numbers.rows.count).toBe(1);
+        });
+
+        test('types columns from pg, mysql2 and better-sqlite3 field metadata', () => {
+            const pg = new DataTable('pg');
+            pg.loadFromQuery([{ id: '1', amount: '12.50', doc: { a: 1 }, ok: true, at: new Date() }], {
+                fields: [
+                    { name: 'id', dataTypeID: 20 },
+                    { name: 'amount', dataTypeID: 1700 },
+                    { name: 'doc', dataTypeID: 3802 },
+                    { name: 'ok', dataTypeID: 16 },
+                    { name: 'at', dataTypeID: 1184 }
+                ],
+                primaryKey: 'id'
+            });
+            expect(columnTypes(pg)).toEqual({ id: 'bigint', amount: 'decimal', doc: 'json', ok: 'boolean', at: 'date' });
+            expect(pg.primaryKey.map(column => column.columnName)).toEqual(['id']);
+
+            const mysql = new DataTable('mysql');
+            mysql.loadFromQuery([], {
+                fields: [
+                    { name: 'id', columnType: 3, flags: 1 | 2 | 512 },
+                    { name: 'flag', columnType: 1, columnLength: 1, flags: 0 },
+                    { name: 'bin', columnType: 252, characterSet: 63 },
+                    { name: 'v', columnType: 253, characterSet: 33 }
+                ]
+            });
+            expect(columnTypes(mysql)).toEqual({ id: 'number', flag: 'boolean', bin: 'binary', v: 'string' });
+            expect(mysql.columns._columns.get('id')).toMatchObject({ isPrimaryKey: true, autoIncrement: true, allowNull: false });
+
+            const sqlite = new DataTable('sqlite');
+            sqlite.loadFromQuery([{ a: 1, b: 'x', c: null }], {
+                fields: [{ name: 'a', type: 'INTEGER' }, { name: 'b', type: 'VARCHAR(20)' }, { name: 'c', type: null }]
+            });
+            expect(columnTypes(sqlite)).toEqual({ a: 'number', b: 'string', c: 'string' });
+        });
+
+        test('appends or merges rows instead of replacing them', () => {
+            const table = new DataTable('items');
+            table.loadFromQuery([{ id: 1, v: 'a' }, { id: 2, v: 'b' }], { primaryKey: ['id'] });
+            table.acceptAllChanges();
+            table.loadFromQuery([{ id: 3, v: 'c' }], { mode: 'append' });
+            expect(table.rows.count).toBe(3);
+
+            table.loadFromQuery([{ id: 1, v: 'A' }, { id: 4, v: 'd' }], { mode: 'merge' });
+            expect(table.rows.count).toBe(4);
+            expect(table.rows.find(1).get('v')).toBe('A');
+            expect(table.rows.find(1).getRowState()).toBe('MODIFIED');
+            expect(table.rows.find(2).getRowState()).toBe('UNCHANGED');
+
+            expect(() => new DataTable('x').loadFromQuery([{ a: 1 }], { mode: 'merge' })).toThrow(/primary key/);
+            expect(() => table.loadFromQuery([{ a: 1 }], { mode: 'upsert' })).toThrow(/Unknown load mode/);
+        });
+
+        test('merges rows whose key the driver returns as a string', () => {
+            const table = new DataTable('accounts');
+            const fields = [{ name: 'id', dataTypeID: 20 }, { name: 'name', dataTypeID: 25 }];
+            table.loadFromQuery([{ id: '1', name: 'a' }], { fields, primaryKey: 'id' });
+            table.loadFromQuery([{ id: '1', name: 'b' }, { id: '2', name: 'c' }], { fields, mode: 'merge' });
+            expect(Array.from(table.rows).map(row => [row.get('id'), row.get('name')])).toEqual([[1n, 'b'], [2n, 'c']]);
+        });
+
+        test('types columns with mixed values', () => {
+            const table = new DataTable('events');
+            table.loadFromQuery([
+                { code: 1, payload: { a: 1 } },
+                { code: 'A2', payload: 'none' }
+            ]);
+            expect(table.columns._columns.get('code').dataType).toBe('string');
+            expect(table.columns._columns.get('payload').dataType).toBe('json');
+            expect(Array.from(table.rows, row => row.get('code'))).toEqual(['1', 'A2']);
+        });
+
+        test('infers declared types that are not integers from the values', () => {
+            const table = new DataTable('places');
+            const fields = [{ name: 'location', type: 'POINT' }, { name: 'duration', type: 'INTERVAL' }, { name: 'id', type: 'INTEGER' }];
+            table.loadFromQuery([{ location: '(1,2)', duration: '1 day', id: 1 }], { fields });
+            expect(Array.from(table.columns, column => column.dataType)).toEqual(['string', 'string', 'number']);
+        });
+
+        test('merges string keys into a number key', () => {
+            const table = new DataTable('accounts');
+            table.addColumn('id', 'number');
+            table.addColumn('name', 'string');
+            table.primaryKey = ['id'];
+            table.loadFromQuery([{ id: 1, name: 'a' }]);
+            table.loadFromQuery([{ id: '1', name: 'z' }], { mode: 'merge' });
+            expect(table.rows.count).toBe(1);
+            expect(table.rows.find(1).get('name')).toBe('z');
+        });
+    });
+
+    describe('events', () => {
+        const EVENTS = [
+            'columnChanging', 'columnChanged', 'rowChanging', 'rowChanged', 'rowDeleting', 'rowDeleted',
+            'tableClearing', 'tableCleared', 'tableNewRow'
+        ];
+
+        /**
+         * @returns {{table: DataTable, log: Array<string>}} Empty table and the events it fires, with their action and proposed value
+         */
+        function createTable() {
+            const table = new DataTable('items');
+            table.addColumn('id', 'number');
+            table.addColumn('name', 'string');
+            const log = [];
+            for (const name of EVENTS) {
+                table.on(name, args => log.push(name
+                    + (args.action ? `:${args.action}` : '')
+                    + (args.column ? `:${args.column.columnName}=${args.proposedValue}` : '')));
+            }
+            return { table, log };
+        }
+
+        test('fire for added, changed and edited rows', () => {
+            const { table, log } = createTable();
+            const row = table.addRow({ id: 1, name: 'a' });
+            expect(log.splice(0)).toEqual(['tableNewRow', 'rowChanging:Add', 'rowChanged:Add']);
+            row.set('name', 'b');
+            expect(log.splice(0)).toEqual(['columnChanging:name=b', 'rowChanging:Change', 'columnChanged:name=b', 'rowChanged:Change']);
+
+            row.beginEdit();
+            row.set('id', 5);
+            row.set('name', 'z');
+            row.endEdit();
+            expect(log.splice(0)).toEqual([
+                'columnChanging:id=5', 'columnChanged:id=5', 'columnChanging:name=z', 'columnChanged:name=z',
+                'rowChanging:Change', 'rowChanged:Change'
+            ]);
+        });
+
+        test('fire for accepted and rejected changes', () => {
+            const { table, log } = createTable();
+            const row = table.addRow({ id: 1, name: 'a' });
+            row.acceptChanges();
+            row.set('id', 2);
+            row.rejectChanges();
+            expect(log.filter(entry => entry.startsWith('row'))).toEqual([
+                'rowChanging:Add', 'rowChanged:Add',
+                `rowChanging:${DataRowAction.COMMIT}`, `rowChanged:${DataRowAction.COMMIT}`,
+                'rowChanging:Change', 'rowChanged:Change',
+                `rowChanging:${DataRowAction.ROLLBACK}`, `rowChanged:${DataRowAction.ROLLBACK}`
+            ]);
+        });
+
+        test('fire for deleted, removed and cleared rows', () => {
+            const { table, log } = createTable();
+            const row = table.addRow({ id: 1 });
+            row.acceptChanges();
+            table.addRow({ id: 2 });
+            table.addRow({ id: 3 });
+            log.length = 0;
+            row.delete();
+            table.rows.remove(table.rows(1));
+            table.removeRow(1);
+            expect(log.splice(0)).toEqual([
+                'rowDeleting:Delete', 'rowDeleted:Delete', 'rowDeleting:Delete', 'rowDeleted:Delete',
+                'rowDeleting:Delete', 'rowDeleted:Delete'
+            ]);
+            table.clear();
+            expect(log).toEqual(['tableClearing', 'tableCleared']);
+        });
+
+        test('let changing handlers rewrite or cancel the change', () => {
+            const { table } = createTable();
+            const row = table.addRow({ id: 1, name: 'a' });
+            table.once('columnChanging', args => { args.proposedValue = args.proposedValue.toUpperCase(); });
+            row.set('name', 'c');
+            expect(row.get('name')).toBe('C');
+            table.once('columnChanging', args => { args.cancel = true; });
+            row.set('name', 'd');
+            table.once('rowChanging', args => { args.cancel = true; });
+            row.set('name', 'd');
+            expect(row.get('name')).toBe('C');
+
+            table.once('rowDeleting', args => { args.cancel = true; });
+            row.delete();
+            expect(row.getRowState()).toBe('ADDED');
+            table.once('tableClearing', args => { args.cancel = true; });
+            table.clear();
+            expect(table.rows.count).toBe(1);
+            table.once('rowChanging', args => { args.cancel = true; });
+            table.addRow({ id: 2 });
+            expect(table.rows.count).toBe(1);
+        });
+
+        test('let tableNewRow handlers fill in new rows', () => {
+            const { table } = createTable();
+            table.on('tableNewRow', args => args.row.set('name', 'default'));
+            expect(table.addRow({ id: 7 }).get('name')).toBe('default');
+        });
+    });
+
+    describe('errors', () => {
+        test('hasErrors and getErrors() report the rows in error', () => {
+            const table = new DataTable('items');
+            table.addColumn('id', 'number');
+            const row = table.addRow({ id: 1 });
+            table.addRow({ id: 2 });
+            expect(table.hasErrors).toBe(false);
+            expect(table.getErrors()).toEqual([]);
+            row.setColumnError('id', 'bad');
+            expect(table.hasErrors).toBe(true);
+            expect(table.getErrors()).toEqual([row]);
+        });
+
+        test('flag the rows failing validation when constraints are enforced again', () => {
+            const ds = new DataSet('d');
+            const parents = ds.addTable('p');
+            parents.addColumn('id', 'number');
+            parents.primaryKey = ['id'];
+            const children = ds.addTable('c');
+            children.addColumn('id', 'number');
+            children.addColumn('pid', 'number');
+            ds.addRelation('pc', 'p', 'c', 'id', 'pid');
+            parents.addRow({ id: 1 });
+            children.beginLoadData();
+            children.addRow({ id: 1, pid: 1 });
+            children.addRow({ id: 2, pid: 5 });
+            children.addRow({ id: 3, pid: 6 });
+            expect(() => children.endLoadData()).toThrow(/5/);
+            expect(children.getErrors()).toEqual([children.rows(1), children.rows(2)]);
+            expect(children.rows(1).rowError).toBeTruthy();
+            expect(children.rows(2).getColumnError('pid')).toBeTruthy();
+            expect(ds.hasErrors).toBe(true);
+        });
+
+        test('flag the CSV lines that can\'t be read with flagErrors', () => {
+            const errors = [];
+            const table = DataTable.fromCsv('id,price\n1,2\n2,n/a\n3,4\n', { types: { price: 'number' }, flagErrors: true, errors });
+            expect(table.rows.count).toBe(3);
+            expect(errors).toEqual([]);
+            expect(table.getErrors()).toEqual([table.rows(1)]);
+            expect(table.rows(1).get('price')).toBeNull();
+            expect(table.rows(1).rowError).toBe('Line 3 has fields that can\'t be read');
+            expect(table.rows(1).getColumnError('price')).toBe('Value \'n/a\' cannot be converted to number for column \'price\'');
+            expect(() => DataTable.fromCsv('id,price\n1,x\n', { types: { price: 'number' } })).toThrow();
+        });
+
+        test('are sent in change sets and read back on merge', () => {
+            const table = new DataTable('items');
+            table.addColumn('id', 'number');
+            table.addColumn('email', 'string');
+            table.primaryKey = ['id'];
+            const row = table.addRow({ id: 1, email: 'a' });
+            row.setColumnError('email', 'local');
+            const changeSet = table.getChanges({ format: 'changeSet' });
+            expect(changeSet.changes[0].columnErrors).toEqual({ email: 'local' });
+            expect(table.getChanges({ format: 'table' }).rows(0).getColumnError('email')).toBe('local');
+
+            table.acceptAllChanges();
+            const reply = JSON.parse(JSON.stringify(changeSet));
+            reply.changes[0].columnErrors = { email: 'server says no' };
+            reply.changes[0].rowError = 'rejected';
+            table.merge(reply);
+            expect(row.getColumnError('email')).toBe('server says no');
+            expect(row.rowError).toBe('rejected');
+        });
+    });
+
+    describe('sortMultiple()', () => {
+        test('compares each column by its data type', () => {
+            const table = new DataTable('prices');
+            table.addColumn('currency', 'string');
+            table.addColumn('amount', 'decimal');
+            table.addRow({ currency: 'EUR', amount: '9.9' });
+            table.addRow({ currency: 'EUR', amount: '10.5' });
+            table.addRow({ currency: 'EUR', amount: null });
+            table.addRow({ currency: 'CHF', amount: '100' });
+            table.sortMultiple({ column: 'currency' }, { column: 'amount', order: 'desc' });
+            expect(Array.from(table.rows, row => [row.get('currency'), row.get('amount')])).toEqual([
+                ['CHF', '100'], ['EUR', '10.5'], ['EUR', '9.9'], ['EUR', null]
+            ]);
+        });
+    });
+
+    describe('merge()', () => {
+        test('reads back a change set sent through JSON', () => {
+            const table = new DataTable('files');
+            table.addColumn('id', 'bigint');
+            table.addColumn('created', 'date');
+            table.addColumn('content', 'binary');
+            table.primaryKey = ['id'];
+            table.addRow({ id: 1n, created: new Date(0), content: Buffer.from('a') });
+            table.acceptAllChanges();
+            const server = table.clone();
+
+            table.rows.find(1n).set('content', Buffer.from('b'));
+            table.addRow({ id: 9007199254740993n, created: new Date(1000), content: Buffer.from('c') });
+            const changeSet = JSON.parse(JSON.stringify(table.getChanges({ format: 'changeSet' })));
+            server.merge(changeSet);
+
+            const changed = server.rows.find(1n);
+            expect(changed.getRowState()).toBe('MODIFIED');
+            expect(changed.get('created')).toEqual(new Date(0));
+            expect(Buffer.from(changed.get('content')).toString()).toBe('b');
+            const added = server.rows.find(9007199254740993n);
+            expect(added.get('created')).toEqual(new Date(1000));
+            expect(Buffer.from(added.get('content')).toString()).toBe('c');
+        });
+
+        test('rejects change sets with an unknown row state', () => {
+            const table = new DataTable('items');
+            table.addColumn('id', 'number');
+            table.addColumn('name', 'string');
+            table.primaryKey = ['id'];
+            table.addRow({ id: 1, name: 'a' });
+            table.acceptAllChanges();
+            const changeSet = {
+                tableName: 'items',
+                changes: [
+                    { rowState: 'MODIFIED', key: [1], before: { id: 1, name: 'a' }, after: { id: 1, name: 'b' } },
+                    { rowState: 'Modified', key: null, before: null, after: { id: 2, name: 'c' } }
+                ]
+            };
+            expect(() => table.merge(changeSet)).toThrow('Unknown row state \'Modified\'');
+            expect(Array.from(table.rows, row => [row.get('name'), row.getRowState()])).toEqual([['a', 'UNCHANGED']]);
+        });
+    });
+
+    describe('fromCsv()', () => {
+        test('reads quoted fields and infers column types', () => {
+            const table = DataTable.fromCsv('\ufeffid,name,price,ok,when\r\n'
+                + '1,"Smith, J",1.5,true,2024-01-02\r\n'
+                + '2,"He said ""hi""\nthere",,false,\r\n'
+                + '3,"",2,TRUE,2024-03-04T10:00:00Z');
+            expect(columnTypes(table)).toEqual({ id: 'number', name: 'string', price: 'number', ok: 'boolean', when: 'date' });
+            expect(table.rows(1).get('name')).toBe('He said "hi"\nthere');
+            expect(table.rows(1).get('price')).toBeNull();
+            expect(table.rows(2).get('name')).toBe('');
+            expect(table.rows(2).get('ok')).toBe(true);
+            expect(table.rows(0).get('when')).toBeInstanceOf(Date);
+
+            const untitled = DataTable.fromCsv('1,x\n2,y', { header: false });
+            expect(Array.from(untitled.columns, column => column.columnName)).toEqual(['Column1', 'Column2']);
+        });
+
+        test('parses localized values and collects the errors of each line', () => {
+            const errors = [];
+            const table = DataTable.fromCsv('a;b;c\n1.234,5;22.11.2024;x\nfoo;01.02.2024;y\n3;31.02.2024;z\n4;01.01.2024;z;extra\n', {
+                delimiter: ';', locale: 'de-DE', types: { a: 'number', b: 'date' }, errors
+            });
+            expect(table.rows.count).toBe(1);
+            expect(table.rows(0).get('a')).toBe(1234.5);
+            expect(table.rows(0).get('b').getDate()).toBe(22);
+            expect(errors.map(({ line, error }) => [line, error.message])).toEqual([
+                [3, 'Value \'foo\' cannot be converted to number for column \'a\''],
+                [4, 'Value \'31.02.2024\' cannot be converted to date for column \'b\''],
+                [5, 'Line 5 has 4 fields, expected 3']
+            ]);
+            expect(DataTable.fromCsv('b\n22.11.2024\n1.2.2024', { dateFormat: 'D.M.YYYY' }).columns._columns.get('b').dataType).toBe('date');
+        });
+
+        test('rejects malformed quoting', () => {
+            expect(() => DataTable.fromCsv('a\n"x')).toThrow(/Unterminated/);
+            expect(() => DataTable.fromCsv('a\n"x"y')).toThrow(/after a closing quote/);
+        });
+
+        test('loads into an existing table, collecting constraint errors', () => {
+            const table = new DataTable('people');
+            table.addColumn('id', 'number');
+            table.addColumn('name', 'string');
+            table.primaryKey = ['id'];
+            const errors = [];
+            DataTable.fromCsv('id,name\n1,a\n1,b\n,c', { table, errors });
+            expect(table.rows.count).toBe(1);
+            expect(errors.map(({ error }) => error.name)).toEqual(['ConstraintException', 'NoNullAllowedException']);
+        });
+
+        test('reads streams split inside characters, in UTF-16 too', async () => {
+            const chunks = [Buffer.from('a,b\n1,'), Buffer.from([0xc3]), Buffer.from([0xa9]), Buffer.from('\n')];
+            expect((await DataTable.fromCsv(Readable.from(chunks))).rows(0).get('b')).toBe('é');
+
+            const utf16 = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('id,s\n1,"é""1"\n', 'utf16le')]);
+            const table = await DataTable.fromCsv(Readable.from([utf16.subarray(0, 5), utf16.subarray(5)]), { encoding: 'utf-16le' });
+            expect(Array.from(table.columns, column => column.columnName)).toEqual(['id', 's']);
+            expect(table.rows(0).get('s')).toBe('é"1');
+        });
+
+        test('keeps codes with leading zeros as strings', () => {
+            const table = DataTable.fromCsv('zip,amount\n00123,10\n45000,0.5\n');
+            expect(Array.from(table.columns, column => column.dataType)).toEqual(['string', 'number']);
+            expect(Array.from(table.rows, row => row.get('zip'))).toEqual(['00123', '45000']);
+        });
+
+        test('hands over batches smaller than the sample', async () => {
+            const lines = ['id'];
+            for (let id = 1; id <= 25; id++) {
+                lines.push(String(id));
+            }
+            const batches = [];
+            await DataTable.fromCsv(Readable.from([lines.join('\n')]), {
+                batchSize: 10,
+                onBatch: table => { batches.push(table.rows.count); }
+            });
+            expect(batches).toEqual([10, 10, 5]);
+        });
+    });
+
+    describe('toCsv()', () => {
+        test('writes a CSV that reads back the same values', () => {
+            const table = DataTable.fromCsv('id,name,when\n1,"Smith, J",2024-01-02\n2,"He said ""hi""\nthere",\n3,"",2024-03-04T10:00:00Z');
+            const csv = table.toCsv();
+            expect(csv).toBe('id,name,when\r\n'
+                + '1,"Smith, J",2024-01-02T00:00:00.000Z\r\n'
+                + '2,"He said ""hi""\nthere",\r\n'
+                + '3,"",2024-03-04T10:00:00.000Z\r\n');
+            const copy = DataTable.fromCsv(csv, { types: { when: 'date' } });
+            expect(Array.from(copy.rows, row => row.get('name'))).toEqual(Array.from(table.rows, row => row.get('name')));
+            expect(copy.rows(1).get('when')).toBeNull();
+        });
+
+        test('formats values for a locale', () => {
+            const table = new DataTable('out');
+            table.addColumn('d', 'date');
+            table.addColumn('n', 'number');
+            table.addColumn('j', null);
+            table.addRow({ d: new Date(2024, 0, 5), n: 1.5, j: { a: 1 } });
+            expect(table.toCsv({ delimiter: ';', locale: 'de-DE', dateFormat: 'DD.MM.YYYY', newline: '\n' }))
+                .toBe('d;n;j\n05.01.2024;1,5;"{""a"":1}"\n');
+        });
+
+        test('streams rows with writeCsv()', async () => {
+            const table = new DataTable('big');
+            table.addColumn('id', 'number');
+            table.addColumn('s', 'string');
+            for (let id = 0; id < 30; id++) {
+                table.addRow({ id, s: `é"${id}` });
+            }
+            const chunks = [];
+            const stream = new Writable({
+                write(chunk, encoding, callback) {
+                    chunks.push(chunk);
+                    callback();
+                }
+            });
+            await table.writeCsv(stream, { encoding: 'utf-16le', bom: true });
+            const output = Buffer.concat(chunks);
+            expect([...output.subarray(0, 2)]).toEqual([0xff, 0xfe]);
+
+            const copy = await DataTable.fromCsv(Readable.from([output]), { encoding: 'utf-16le' });
+            expect(copy.rows.count).toBe(30);
+            expect(copy.rows(5).get('s')).toBe('é"5');
+        });
+    });
+
+    describe('fromJSON()', () => {
+        test('rejects rows with an unknown row state', () => {
+            const table = new DataTable('items');
+            table.addColumn('id', 'number');
+            table.addRow({ id: 1 });
+            const json = table.toJSON();
+            json.rows[0].rowState = 'CHANGED';
+            expect(() => DataTable.fromJSON(json)).toThrow('Unknown row state \'CHANGED\' in the rows of table \'items\'');
+        });
+    });
+
+    describe('toJSON()', () => {
+        test('writes the errors of the rows without their changes', () => {
+            const table = new DataTable('items');
+            table.addColumn('id', 'number');
+            table.addColumn('name', 'string');
+            const row = table.addRow({ id: 1, name: 'a' });
+            row.rowError = 'Rejected by the server';
+            row.setColumnError('name', 'Too short');
+
+            const copy = DataTable.fromJSON(JSON.stringify(table.toJSON({ includeChanges: false })));
+            const copied = Array.from(copy.rows)[0];
+            expect(copied.getRowState()).toBe('UNCHANGED');
+            expect(copied.rowError).toBe('Rejected by the server');
+            expect(copied.getColumnError('name')).toBe('Too short');
+        });
+    });
+});
@@ -0,0 +1,353 @@
+const { DataTable, DataView, DataRowState, DataRowVersion, ChangeJournal } = require('../src');
+
+describe('DataView', () => {
+    describe('over a table with an aggregate column', () => {
+        let table;
+        let view;
+
+        beforeEach(() => {
+            table = new DataTable('items');
+            table.addColumn('v', 'number');
+            table.addColumn('total', 'number').expression = 'Sum(v)';
+            view = new DataView(table);
+            table.addRow({ v: 1 });
+            expect(view.count).toBe(1);
+        });
+
+        test('adds a new row once', () => {
+            table.addRow({ v: 2 });
+            expect(view.count).toBe(2);
+            expect(Array.from(view).map(row => row.get('total'))).toEqual([3, 3]);
+        });
+
+        test('drops a removed row', () => {
+            const row = table.addRow({ v: 2 });
+            table.rows.remove(row);
+            expect(view.count).toBe(1);
+        });
+
+        test('drops a deleted added row from a sorted view', () => {
+            view.setSort('v');
+            expect(view.count).toBe(1);
+            table.addRow({ v: 2 }).delete();
+            expect(view.count).toBe(1);
+        });
+
+        test('follows a failing journal transaction back', () => {
+            const journal = new ChangeJournal(table);
+            expect(() => journal.transaction(() => {
+                table.addRow({ v: 2 });
+                table.addRow({ v: 3 }).delete();
+                throw new Error('failed');
+            })).toThrow('failed');
+            expect(view.count).toBe(1);
+            expect(Array.from(view)[0].get('total')).toBe(1);
+        });
+    });
+});
+
+describe('DataView live updates', () => {
+    const createTable = () => {
+        const table = new DataTable('people');
+        table.addColumn('id', 'number');
+        table.addColumn('name', 'string');
+        table.addColumn('age', 'number');
+        [[1, 'a', 30], [2, 'b', 20], [3, 'c', 40], [4, 'd', null]].forEach(([id, name, age]) => table.addRow({ id, name, age }));
+        return table;
+    };
+
+    const names = view => view.getRows().map(row => row.get('name')).join('');
+
+    test('return the rows of the table', () => {
+        const table = createTable();
+        const view = new DataView(table, { age: { $gte: 20 } }, 'age', 'desc');
+        expect(names(view)).toBe('cab');
+        expect(view.row(0)).toBe(table.rows(2));
+        expect(view.firstRow).toBe(table.rows(2));
+    });
+
+    test('follow added, changed, deleted and removed rows with listChanged events', () => {
+        const table = createTable();
+        const view = new DataView(table, { age: { $gte: 20 } }, 'age', 'desc');
+        expect(view.count).toBe(3);
+        const changes = [];
+        view.on('listChanged', event => changes.push([event.listChangedType, event.newIndex, event.oldIndex]));
+
+        const added = table.addRow({ id: 5, name: 'e', age: 35 });
+        expect(names(view)).toBe('ceab');
+        table.rows(1).set('age', 50);
+        table.rows(0).set('name', 'A');
+        table.rows(0).set('age', 5);
+        table.rows(2).delete();
+        table.rows.remove(added);
+        expect(changes).toEqual([
+            ['ItemAdded', 1, -1],
+            ['ItemMoved', 0, 3],
+            ['ItemChanged', 3, 3],
+            ['ItemDeleted', -1, 3],
+            ['ItemDeleted', -1, 1],
+            ['ItemDeleted', -1, 1]
+        ]);
+        expect(names(view)).toBe('b');
+
+        changes.length = 0;
+        table.clear();
+        expect(view.count).toBe(0);
+        expect(changes).toEqual([['Reset', -1, -1]]);
+        table.addRow({ id: 9, name: 'z', age: 99 });
+        expect(view.count).toBe(1);
+    });
+
+    test('sort with a function and change sort', () => {
+        const view = new DataView(createTable(), 'age > 25', row => row.get('name'));
+        expect(names(view)).toBe('ac');
+        view.setSort('id', 'desc');
+        expect(view.firstRow.get('id')).toBe(3);
+    });
+
+    test('are released when a column they use is removed', () => {
+        const table = createTable();
+        const view = new DataView(table, null, 'age');
+        expect(view.count).toBe(4);
+        expect(table._views.has(view)).toBe(true);
+        table.removeColumn('age');
+        expect(table._views.has(view)).toBe(false);
+    });
+});
+
+describe('DataView sort and row state filter', () => {
+    const createTable = () => {
+        const table = new DataTable('people');
+        table.addColumn('last', 'string');
+        table.addColumn('first', 'string');
+        table.addColumn('created', 'date');
+        table.addColumn('n', 'number');
+        [
+            ['smith', 'bob', '2020-01-01', 1],
+            ['Adams', 'zoe', '2021-01-01', 2],
+            ['Smith', 'al', '2022-01-01', 3],
+            ['adams', 'zoe', '2019-01-01', null],
+            ['Öz', 'x', '2018-01-01', 10]
+        ].forEach(([last, first, created, n]) => table.addRow({ last, first, created: new Date(created), n }));
+        table.acceptAllChanges();
+        return table;
+    };
+
+    const values = (view, columnName) => view.getRows().map(row => row.get(columnName));
+
+    test('sorts on several typed columns from a sort expression', () => {
+        const view = new DataView(createTable(), null, 'last ASC, first ASC, created DESC');
+        expect(view.getRows().map(row => `${row.get('last')}/${row.get('first')}/${row.get('n')}`))
+            .toEqual(['Adams/zoe/2', 'adams/zoe/null', 'Öz/x/10', 'Smith/al/3', 'smith/bob/1']);
+        expect(values(new DataView(createTable(), null, 'n', 'desc'), 'n')).toEqual([10, 3, 2, 1, null]);
+        expect(values(new DataView(createTable(), null, row => row.get('n')), 'n')).toEqual([1, 2, 3, 10, null]);
+
+        const swedish = new DataView(createTable(), null, 'last');
+        swedish.setSort('last', 'asc', { locale: 'sv' });
+        expect(values(swedish, 'last').pop()).toBe('Öz');
+    });
+
+    test('rejects unknown columns and directions', () => {
+        const table = createTable();
+        expect(() => new DataView(table, null, 'nope DESC')).toThrow();
+        expect(() => new DataView(table, null, 'last SIDEWAYS')).toThrow();
+    });
+
+    test('finds rows by their sort values', () => {
+        const view = new DataView(createTable(), null, 'last, first');
+        expect(view.find('ADAMS')).toBe(0);
+        expect(view.findRows(['adams', 'zoe'])).toHaveLength(2);
+        expect(view.find(['smith', 'al'])).toBe(3);
+        expect(view.find('nobody')).toBe(-1);
+        expect(() => view.find([1, 2, 3])).toThrow();
+        expect(new DataView(createTable(), null, 'n', 'desc').find('3')).toBe(1);
+    });
+
+    test('shows the rows in the chosen states and versions', () => {
+        const table = createTable();
+        table.rows(0).set('n', 100);
+        table.rows(1).delete();
+        table.addRow({ last: 'new', n: 7 });
+        expect(new DataView(table).count).toBe(5);
+
+        const view = new DataView(table, null, 'n', 'asc', [DataRowState.MODIFIED, DataRowState.DELETED]);
+        expect(view.toArray().map(values => values.n)).toEqual([2, 100]);
+        view.setRowStateFilter([DataRowState.MODIFIED, DataRowState.DELETED], DataRowVersion.ORIGINAL);
+        expect(view.toArray().map(values => values.n)).toEqual([1, 2]);
+        expect(new DataView(table, 'n > 5', null, 'asc', DataRowState.ADDED).count).toBe(1);
+
+        const original = new DataView(table, { n: 1 }, null, 'asc', [DataRowState.MODIFIED]);
+        expect(original.count).toBe(0);
+        original.setRowStateFilter([DataRowState.MODIFIED], DataRowVersion.ORIGINAL);
+        expect(original.count).toBe(1);
+
+        table.rows(0).rejectChanges();
+        expect(view.count).toBe(1);
+        expect(() => view.setRowStateFilter(['GONE'])).toThrow();
+    });
+});
+
+describe('DataView paging', () => {
+    const createView = () => {
+        const table = new DataTable('numbers');
+        table.addColumn('id', 'number');
+        table.addColumn('parity', 'string');
+        for (let id = 1; id <= 23; id++) {
+            table.addRow({ id, parity: id % 2 ? 'odd' : 'even' });
+        }
+        return new DataView(table, { parity: 'odd' }, 'id', 'desc');
+    };
+
+    test('page() returns a page of the filtered and sorted rows', () => {
+        const view = createView();
+        const page = view.page(1, 5);
+        expect(page.rows.map(row => row.get('id'))).toEqual([13, 11, 9, 7, 5]);
+        expect(page).toMatchObject({ totalCount: 12, pageCount: 3, pageIndex: 1, pageSize: 5, lastKey: [5] });
+        expect(view.page(10, 5).rows).toEqual([]);
+    });
+
+    test('page() reads the pages after a key', () => {
+        const view = createView();
+        const ids = [];
+        let page = view.page({ pageSize: 5 });
+        while (page.rows.length > 0) {
+            ids.push(...page.rows.map(row => row.get('id')));
+            page = view.page({ after: page.lastKey, pageSize: 5 });
+        }
+        expect(ids).toEqual([23, 21, 19, 17, 15, 13, 11, 9, 7, 5, 3, 1]);
+    });
+
+    test('windows skip and take rows, after a key or not', () => {
+        const view = createView();
+        const window = view.skip(2).take(3);
+        expect(window.toArray().map(values => values.id)).toEqual([19, 17, 15]);
+        expect(window.firstRow.get('id')).toBe(19);
+        expect(window.toTable().rows.count).toBe(3);
+        expect(window.compute('Sum(id)')).toBe(51);
+
+        const after = window.skip(0).take(2).after(19);
+        expect(Array.from(after, row => row.get('id'))).toEqual([17, 15]);
+        expect(after.after(100).getRows().map(row => row.get('id'))).toEqual([23, 21]);
+    });
+
+    test('rejects invalid counts and keys on views not sorted by columns', () => {
+        const view = createView();
+        expect(() => view.page(-1, 5)).toThrow();
+        expect(() => view.page(0, 0)).toThrow();
+        expect(() => view.skip(1.5)).toThrow();
+        view.setSort(row => row.get('id'));
+        expect(() => view.page({ after: 3, pageSize: 2 })).toThrow();
+    });
+});
+
+describe('DataView keyset pagination', () => {
+    const names = ['Smith', 'Adams', 'Smith', 'Young', 'Smith'];
+
+    const createTable = primaryKey => {
+        const table = new DataTable('people');
+        table.addColumn('id', 'number');
+        table.addColumn('name', 'string');
+        if (primaryKey) {
+            table.primaryKey = ['id'];
+        }
+        names.forEach((name, i) => table.addRow({ id: i + 1, name }));
+        return table;
+    };
+
+    const readAll = view => {
+        const ids = [];
+        let page = view.page({ pageSize: 2 });
+        while (page.rows.length > 0) {
+            ids.push(...page.rows.map(row => row.get('id')));
+            page = view.page({ after: page.lastKey, pageSize: 2 });
+        }
+        return ids;
+    };
+
+    test('reads the rows tied on the sort values', () => {
+        const view = new DataView(createTable(true), null, 'name');
+        expect(readAll(view)).toEqual([2, 1, 3, 5, 4]);
+        expect(view.page({ pageSize: 2 }).lastKey).toEqual(['Smith', 1]);
+    });
+
+    test('keeps keys of unique sorts as they are', () => {
+        const view = new DataView(createTable(true), null, 'name, id DESC');
+        expect(readAll(view)).toEqual([2, 5, 3, 1, 4]);
+        expect(view.page({ pageSize: 1 }).lastKey).toEqual(['Adams', 2]);
+    });
+
+    test('orders ties by primary key', () => {
+        const table = createTable(true);
+        const view = new DataView(table, null, 'name');
+        table.addRow({ id: 0, name: 'Smith' });
+        expect(view.findRows('Smith').map(row => row.get('id'))).toEqual([0, 1, 3, 5]);
+        expect(view.after(['Smith', 1]).toArray().map(row => row.id)).toEqual([3, 5, 4]);
+    });
+
+    test('rejects whole keys matching rows that nothing orders', () => {
+        const view = new DataView(createTable(false), null, 'name');
+        const { lastKey } = view.page({ pageSize: 2 });
+        expect(lastKey).toEqual(['Smith']);
+        expect(() => view.page({ after: lastKey, pageSize: 2 })).toThrow(/needs a sort on unique columns or a primary key/);
+        expect(view.page({ after: ['Adams'], pageSize: 2 }).rows.map(row => row.get('id'))).toEqual([1, 3]);
+    });
+});
+
+describe('DataView dispose()', () => {
+    test('stops following the table until the view is used again', () => {
+        const table = new DataTable('items');
+        table.addColumn('v', 'number');
+        table.addRow({ v: 1 });
+        const view = new DataView(table, null, 'v');
+        const changes = [];
+        view.on('listChanged', event => changes.push(event.listChangedType));
+        expect(view.count).toBe(1);
+
+        table.addRow({ v: 2 });
+        expect(changes).toHaveLength(1);
+
+        view.dispose();
+        expect(table._views.has(view)).toBe(false);
+        table.addRow({ v: 3 });
+        expect(changes).toHaveLength(1);
+
+        expect(view.count).toBe(3);
+        table.addRow({ v: 4 });
+        expect(changes).toHaveLength(2);
+    });
+});
+
+describe('DataView windows', () => {
+    const createTable = () => {
+        const table = new DataTable('items');
+        table.addColumn('id', 'number');
+        table.primaryKey = ['id'];
+        for (let id = 1; id <= 5; id++) {
+            table.addRow({ id });
+        }
+        return table;
+    };
+
+    test('leave the view unchanged', () => {
+        const view = new DataView(createTable(), null, 'id');
+        const window = view.skip(1).take(2);
+        expect(window.getRows().map(row => row.get('id'))).toEqual([2, 3]);
+        expect(window.count).toBe(2);
+        expect(window.totalCount).toBe(5);
+        expect(view.count).toBe(5);
+        expect(view.firstRow.get('id')).toBe(1);
+        expect(Array.from(view).length).toBe(5);
+    });
+
+    test('follow the rows of the view', () => {
+        const table = createTable();
+        const view = new DataView(table, null, 'id');
+        const window = view.after(2).take(2);
+        expect(window.toArray()).toEqual([{ id: 3 }, { id: 4 }]);
+        table.rows.find(3).delete();
+        expect(window.toArray()).toEqual([{ id: 4 }, { id: 5 }]);
+        expect(window.row(1).get('id')).toBe(5);
+        expect(() => window.row(2)).toThrow('out of range');
+        expect(window.take(null).skip(0).count).toBe(2);
+    });
+});
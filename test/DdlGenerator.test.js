@@ -0,0 +1,142 @@
+const { DataSet, DataTable, Rule } = require('../src');
+
+/**
+ * @returns {DataSet} Orders and their lines, related by 'FK_Lines_Orders' with SetNull on delete
+ */
+function createDataSet() {
+    const ds = new DataSet('shop');
+    const orders = ds.addTable('Orders');
+    orders.addColumn('id', 'number').autoIncrement = true;
+    orders.addColumn('code', 'string');
+    orders.addColumn('total', 'decimal');
+    orders.addColumn('paid', 'boolean').defaultValue = false;
+    orders.addColumn('created', 'date').allowNull = false;
+    orders.addColumn('tax', 'number').expression = 'total * 0.2';
+    orders.columns._columns.get('code').defaultValue = 'it\'s';
+    orders.columns._columns.get('code').unique = true;
+    orders.primaryKey = ['id'];
+    const lines = ds.addTable('Lines');
+    lines.addColumn('lid', 'number');
+    lines.addColumn('orderId', 'number');
+    lines.addColumn('doc', 'json');
+    lines.primaryKey = ['lid'];
+    ds.addRelation('FK_Lines_Orders', 'Orders', 'Lines', 'id', 'orderId');
+    lines.constraints.get('FK_Lines_Orders').deleteRule = Rule.SET_NULL;
+    return ds;
+}
+
+describe('DdlGenerator', () => {
+    describe('CREATE TABLE', () => {
+        test('maps types, defaults, keys and skips computed columns', () => {
+            const orders = createDataSet().table('Orders');
+            expect(orders.toCreateTableSql('postgres')).toBe([
+                'CREATE TABLE "Orders" (',
+                '    "id" INTEGER GENERATED BY DEFAULT AS IDENTITY NOT NULL,',
+                '    "code" TEXT DEFAULT \'it\'\'s\',',
+                '    "total" NUMERIC,',
+                '    "paid" BOOLEAN DEFAULT FALSE,',
+                '    "created" TIMESTAMP NOT NULL,',
+                '    CONSTRAINT "PK_Orders" PRIMARY KEY ("id"),',
+                '    CONSTRAINT "UQ_Orders_code" UNIQUE ("code")',
+                ')'
+            ].join('\n'));
+            const mysql = orders.toCreateTableSql('mysql');
+            expect(mysql).toContain('`id` INT AUTO_INCREMENT NOT NULL');
+            expect(mysql).toContain('`total` DECIMAL(18, 4)');
+            expect(orders.toCreateTableSql('sqlite')).toContain('"id" INTEGER PRIMARY KEY AUTOINCREMENT');
+        });
+
+        test('adds the foreign keys of the data set relations', () => {
+            const ds = createDataSet();
+            const ddl = ds.toDdl('mssql');
+            expect(ddl.indexOf('CREATE TABLE [Orders]')).toBeLessThan(ddl.indexOf('CREATE TABLE [Lines]'));
+            expect(ddl).toContain('[doc] NVARCHAR(MAX)');
+            expect(ddl).toContain(
+                'CONSTRAINT [FK_Lines_Orders] FOREIGN KEY ([orderId]) REFERENCES [Orders] ([id]) ON DELETE SET NULL ON UPDATE CASCADE'
+            );
+            expect(ds.toDdl('postgres')).toContain('"doc" JSONB');
+        });
+
+        test('needs a known dialect', () => {
+            const orders = createDataSet().table('Orders');
+            expect(() => orders.toCreateTableSql({ quoteIdentifier: name => name, parameter: () => '?' })).toThrow(/doesn't support/);
+        });
+    });
+
+    describe('migrations', () => {
+        const createTarget = orders => {
+            const target = orders.clone();
+            target.tableName = 'Orders';
+            target.addColumn('note', 'string');
+            target.columns._columns.get('paid').dataType = 'string';
+            target.columns._columns.get('created').allowNull = true;
+            return target;
+        };
+
+        test('alter columns to match the target schema', () => {
+            const orders = createDataSet().table('Orders');
+            const target = createTarget(orders);
+            expect(orders.toMigrationSql(target, 'postgres').trim().split('\n')).toEqual([
+                'ALTER TABLE "Orders" ADD COLUMN "note" TEXT;',
+                'ALTER TABLE "Orders" ALTER COLUMN "paid" TYPE TEXT;',
+                'ALTER TABLE "Orders" ALTER COLUMN "created" DROP NOT NULL;'
+            ]);
+            expect(orders.toMigrationSql(target, 'mssql').trim().split('\n')).toEqual([
+                'ALTER TABLE [Orders] ADD [note] NVARCHAR(MAX);',
+                'ALTER TABLE [Orders] ALTER COLUMN [paid] NVARCHAR(MAX) NULL;',
+                'ALTER TABLE [Orders] ALTER COLUMN [created] DATETIME2 NULL;'
+            ]);
+            expect(orders.toMigrationSql(target, 'mysql')).toContain('ALTER TABLE `Orders` MODIFY COLUMN `created` DATETIME;');
+            expect(orders.toMigrationSql(target, 'sqlite')).toContain(
+                'INSERT INTO "Orders__new" ("id", "code", "total", "paid", "created") SELECT "id", "code", "total", "paid", "created" FROM "Orders";'
+            );
+        });
+
+        test('are empty for identical schemas', () => {
+            const orders = createDataSet().table('Orders');
+            expect(orders.toMigrationSql(orders.clone())).toBe('');
+        });
+    });
+
+    describe('MySQL defaults', () => {
+        test('use VARCHAR for strings with a default', () => {
+            const table = new DataTable('people');
+            table.addColumn('name', 'string').defaultValue = 'O\'Brien';
+            table.columns._columns.get('name').allowNull = false;
+            table.addColumn('notes', 'string');
+            const sql = table.toCreateTableSql('mysql');
+            expect(sql).toContain('`name` VARCHAR(255) DEFAULT \'O\'\'Brien\' NOT NULL');
+            expect(sql).toContain('`notes` TEXT');
+        });
+
+        test('write the defaults of JSON and long strings as expressions', () => {
+            const table = new DataTable('settings');
+            table.addColumn('options', 'json').defaultValue = {};
+            table.addColumn('text', 'string').defaultValue = 'x'.repeat(300);
+            const sql = table.toCreateTableSql('mysql');
+            expect(sql).toContain('`options` JSON DEFAULT (\'{}\')');
+            expect(sql).toMatch(/`text` TEXT DEFAULT \('x{300}'\)/);
+        });
+
+        test('keep literal defaults in other dialects', () => {
+            const table = new DataTable('people');
+            table.addColumn('name', 'string').defaultValue = 'none';
+            expect(table.toCreateTableSql('postgres')).toContain('"name" TEXT DEFAULT \'none\'');
+        });
+    });
+
+    describe('SQLite rebuild', () => {
+        test('turns foreign keys off around a transaction', () => {
+            const table = new DataTable('orders');
+            table.addColumn('id', 'number');
+            table.addColumn('total', 'string');
+            const target = table.clone();
+            target.columns._columns.get('total').dataType = 'number';
+            const statements = table.toMigrationSql(target, 'sqlite').trim().split('\n');
+            expect(statements[0]).toBe('PRAGMA foreign_keys=OFF;');
+            expect(statements[1]).toBe('BEGIN;');
+            expect(statements.indexOf('DROP TABLE "orders";')).toBeGreaterThan(1);
+            expect(statements.slice(-2)).toEqual(['COMMIT;', 'PRAGMA foreign_keys=ON;']);
+        });
+    });
+});
@@ -0,0 +1,243 @@
+const { DataSet, DataTable, Rule, AcceptRejectRule, NoNullAllowedException, ReadOnlyException, ConstraintException } = require('../src');
+
+/**
+ * Departments with id 1 and 2, employees 10 and 11 in department 1, 12 in department 2
+ */
+function createDataSet() {
+    const ds = new DataSet('company');
+    const departments = new DataTable('Departments');
+    departments.addColumn('id', 'number');
+    departments.primaryKey = ['id'];
+    const employees = new DataTable('Employees');
+    employees.addColumn('id', 'number');
+    employees.addColumn('departmentId', 'number');
+    employees.primaryKey = ['id'];
+    ds.addTable(departments);
+    ds.addTable(employees);
+    departments.addRow({ id: 1 });
+    departments.addRow({ id: 2 });
+    employees.addRow({ id: 10, departmentId: 1 });
+    employees.addRow({ id: 11, departmentId: 1 });
+    employees.addRow({ id: 12, departmentId: 2 });
+    const relation = ds.addRelation('EmpDept', 'Departments', 'Employees', 'id', 'departmentId');
+    return { departments, employees, fk: relation.childKeyConstraint };
+}
+
+const departmentIds = employees => Array.from(employees.rows).map(row => row.get('departmentId'));
+
+describe('ForeignKeyConstraint', () => {
+    describe('child rows', () => {
+        test('are created with each relation, cascading by default', () => {
+            const { employees, fk } = createDataSet();
+            expect(fk.constraintName).toBe('EmpDept');
+            expect(fk.updateRule).toBe(Rule.CASCADE);
+            expect(fk.deleteRule).toBe(Rule.CASCADE);
+            expect(fk.acceptRejectRule).toBe(AcceptRejectRule.NONE);
+            expect(employees.constraints.contains('EmpDept')).toBe(true);
+        });
+
+        test('refuse keys missing from the parent table', () => {
+            const { employees } = createDataSet();
+            const message = 'ForeignKeyConstraint \'EmpDept\' requires the child key values (99) to exist in the parent table \'Departments\'';
+            expect(() => employees.addRow({ id: 20, departmentId: 99 })).toThrow(message);
+            expect(() => employees.findOne({ id: 10 }).set('departmentId', 99)).toThrow(ConstraintException);
+            employees.addRow({ id: 21, departmentId: null });
+            expect(employees.rows.count).toBe(4);
+        });
+
+        test('are checked when the relation is added and when constraints are enforced again', () => {
+            const { departments, employees } = createDataSet();
+            const ds = departments.dataSet;
+            ds.removeRelation('EmpDept');
+            expect(employees.constraints.contains('EmpDept')).toBe(false);
+            employees.addRow({ id: 20, departmentId: 99 });
+            expect(() => ds.addRelation('EmpDept', 'Departments', 'Employees', 'id', 'departmentId')).toThrow(ConstraintException);
+
+            ds.addRelation('Loose', 'Departments', 'Employees', 'id', 'departmentId', false);
+            employees.removeRow(3);
+            ds.addRelation('EmpDept', 'Departments', 'Employees', 'id', 'departmentId');
+            employees.enforceConstraints = false;
+            employees.addRow({ id: 30, departmentId: 77 });
+            expect(() => { employees.enforceConstraints = true; }).toThrow(ConstraintException);
+        });
+
+        test('keep their key columns and follow clones', () => {
+            const { departments, employees } = createDataSet();
+            expect(() => employees.removeColumn('departmentId'))
+                .toThrow('Cannot remove column \'departmentId\' because it is part of the foreign key constraint \'EmpDept\'');
+            const clone = departments.dataSet.clone();
+            expect(clone.relations[0].childKeyConstraint.relatedTable).toBe(clone.table('Departments'));
+            expect(() => clone.table('Employees').addRow({ id: 20, departmentId: 99 })).toThrow(ConstraintException);
+        });
+
+        test('refuse unknown rules', () => {
+            const { fk } = createDataSet();
+            expect(() => { fk.deleteRule = 'Bogus'; })
+                .toThrow('Invalid deleteRule \'Bogus\', expected one of Cascade, SetNull, SetDefault, None');
+        });
+    });
+
+    describe('update rules', () => {
+        test('refuse SetNull on a child column not allowing null before changing the parent', () => {
+            const { departments, employees, fk } = createDataSet();
+            fk.updateRule = Rule.SET_NULL;
+            employees.columns._columns.get('departmentId').allowNull = false;
+            const parent = departments.findOne({ id: 1 });
+            expect(() => parent.set('id', 7)).toThrow(NoNullAllowedException);
+            expect(parent.get('id')).toBe(1);
+            expect(departmentIds(employees)).toEqual([1, 1, 2]);
+        });
+
+        test('refuse Cascade into a read-only child column before changing the parent', () => {
+            const { departments, employees } = createDataSet();
+            employees.columns._columns.get('departmentId').readOnly = true;
+            const parent = departments.findOne({ id: 1 });
+            expect(() => parent.set('id', 7)).toThrow(ReadOnlyException);
+            expect(parent.get('id')).toBe(1);
+            expect(departmentIds(employees)).toEqual([1, 1, 2]);
+        });
+
+        test('cascade the new key', () => {
+            const { departments, employees } = createDataSet();
+            departments.findOne({ id: 1 }).set('id', 7);
+            expect(departmentIds(employees)).toEqual([7, 7, 2]);
+        });
+
+        test('refuse to change a key with child rows when the rule is None', () => {
+            const { departments, employees, fk } = createDataSet();
+            fk.updateRule = Rule.NONE;
+            expect(() => departments.findOne({ id: 1 }).set('id', 7))
+                .toThrow('Cannot change the key of this row because constraint \'EmpDept\' is enforced and the row has child rows');
+            departments.addRow({ id: 3 }).set('id', 8);
+            expect(departmentIds(employees)).toEqual([1, 1, 2]);
+        });
+
+        test('set the default value of the child column, which must exist in the parent table', () => {
+            const { departments, employees, fk } = createDataSet();
+            fk.updateRule = Rule.SET_DEFAULT;
+            employees.columns._columns.get('departmentId').defaultValue = 0;
+            expect(() => departments.findOne({ id: 1 }).set('id', 7)).toThrow(ConstraintException);
+            expect(departmentIds(employees)).toEqual([1, 1, 2]);
+
+            departments.addRow({ id: 0 });
+            departments.findOne({ id: 1 }).set('id', 7);
+            expect(departmentIds(employees)).toEqual([0, 0, 2]);
+        });
+    });
+
+    describe('delete rules', () => {
+        test('cascade to the children of the child rows', () => {
+            const { departments, employees } = createDataSet();
+            const ds = departments.dataSet;
+            const badges = new DataTable('Badges');
+            badges.addColumn('employeeId', 'number');
+            ds.addTable(badges);
+            badges.addRow({ employeeId: 11 });
+            badges.addRow({ employeeId: 12 });
+            ds.addRelation('EmpBadge', 'Employees', 'Badges', 'id', 'employeeId');
+
+            departments.findOne({ id: 1 }).delete();
+            expect(Array.from(employees.rows).map(row => row.getRowState())).toEqual(['DELETED', 'DELETED', 'ADDED']);
+            expect(Array.from(badges.rows).map(row => row.getRowState())).toEqual(['DELETED', 'ADDED']);
+        });
+
+        test('set the child keys to null', () => {
+            const { departments, employees, fk } = createDataSet();
+            fk.deleteRule = Rule.SET_NULL;
+            departments.findOne({ id: 1 }).delete();
+            expect(departmentIds(employees)).toEqual([null, null, 2]);
+        });
+
+        test('refuse to delete a row with child rows when the rule is None', () => {
+            const { departments, fk } = createDataSet();
+            fk.deleteRule = Rule.NONE;
+            expect(() => departments.findOne({ id: 1 }).delete())
+                .toThrow('Cannot delete this row because constraint \'EmpDept\' is enforced and the row has child rows');
+        });
+
+        test('refuse SetNull on a child column not allowing null before deleting the parent', () => {
+            const { departments, employees, fk } = createDataSet();
+            fk.deleteRule = Rule.SET_NULL;
+            employees.columns._columns.get('departmentId').allowNull = false;
+            const parent = departments.findOne({ id: 1 });
+            expect(() => parent.delete()).toThrow(NoNullAllowedException);
+            expect(parent.getRowState()).toBe('ADDED');
+            expect(departmentIds(employees)).toEqual([1, 1, 2]);
+        });
+
+        test('refuse a cascade reaching rows with protected children before deleting anything', () => {
+            const { departments, employees } = createDataSet();
+            const ds = departments.dataSet;
+            const badges = new DataTable('Badges');
+            badges.addColumn('employeeId', 'number');
+            ds.addTable(badges);
+            badges.addRow({ employeeId: 11 });
+            ds.addRelation('EmpBadge', 'Employees', 'Badges', 'id', 'employeeId').childKeyConstraint.deleteRule = Rule.NONE;
+
+            expect(() => departments.findOne({ id: 1 }).delete()).toThrow(ConstraintException);
+            expect(Array.from(employees.rows).map(row => row.getRowState())).toEqual(['ADDED', 'ADDED', 'ADDED']);
+            expect(departments.findOne({ id: 1 }).getRowState()).toBe('ADDED');
+        });
+    });
+
+    describe('accept/reject rule', () => {
+        test('cascades acceptChanges() and rejectChanges() to the child rows', () => {
+            const { departments, employees, fk } = createDataSet();
+            departments.acceptAllChanges();
+            employees.acceptAllChanges();
+            fk.acceptRejectRule = AcceptRejectRule.CASCADE;
+
+            const parent = departments.findOne({ id: 1 });
+            parent.set('id', 5);
+            expect(Array.from(employees.rows).map(row => row.getRowState())).toEqual(['MODIFIED', 'MODIFIED', 'UNCHANGED']);
+            parent.rejectChanges();
+            expect(parent.get('id')).toBe(1);
+            expect(departmentIds(employees)).toEqual([1, 1, 2]);
+            expect(Array.from(employees.rows).map(row => row.getRowState())).toEqual(['UNCHANGED', 'UNCHANGED', 'UNCHANGED']);
+
+            parent.delete();
+            parent.acceptChanges();
+            expect(departments.rows.count).toBe(1);
+            expect(departmentIds(employees)).toEqual([2]);
+        });
+    });
+
+    describe('removing parent rows', () => {
+        test('cascades the delete rule from rows.remove()', () => {
+            const { departments, employees } = createDataSet();
+            departments.rows.remove(departments.findOne({ id: 1 }));
+            expect(departments.rows.count).toBe(1);
+            expect(Array.from(employees.rows).map(row => row.getRowState())).toEqual(['DELETED', 'DELETED', 'ADDED']);
+        });
+
+        test('applies SetNull from rows.removeAt()', () => {
+            const { departments, employees, fk } = createDataSet();
+            fk.deleteRule = Rule.SET_NULL;
+            departments.rows.removeAt(0);
+            expect(departmentIds(employees)).toEqual([null, null, 2]);
+        });
+
+        test('refuses rows.remove() on a parent row with children when the delete rule is None', () => {
+            const { departments, employees, fk } = createDataSet();
+            fk.deleteRule = Rule.NONE;
+            expect(() => departments.removeRow(0)).toThrow(ConstraintException);
+            expect(departments.rows.count).toBe(2);
+            expect(departmentIds(employees)).toEqual([1, 1, 2]);
+        });
+
+        test('refuses to clear a parent table with child rows', () => {
+            const { departments, employees } = createDataSet();
+            expect(() => departments.clear()).toThrow(/Cannot clear table 'Departments'/);
+            expect(departments.rows.count).toBe(2);
+            employees.clear();
+            departments.clear();
+            expect(departments.rows.count).toBe(0);
+        });
+
+        test('clears a DataSet child tables first', () => {
+            const { departments, employees } = createDataSet();
+            departments.dataSet.clear();
+            expect(departments.rows.count + employees.rows.count).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,81 @@
+const { DataTable } = require('../src');
+
+/**
+ * @returns {DataTable} Sales of a few customers per month, the sale of Cy without amount
+ */
+function createTable() {
+    const table = new DataTable('sales');
+    table.addColumn('customer', 'string');
+    table.addColumn('month', 'number');
+    table.addColumn('amount', 'number');
+    table.addColumn('day', 'date');
+    const data = [['Ann', 2, 10], ['Ann', 1, 5], ['Bob', 1, 7], ['Ann', 2, 3], ['ann', 3, 1], ['Cy', 3, null]];
+    data.forEach(([customer, month, amount], index) => {
+        table.addRow({ customer, month, amount, day: new Date(2024, month - 1, index + 1) });
+    });
+    return table;
+}
+
+/**
+ * @param {DataTable} table - Table to describe
+ * @returns {Array<string>} Names and data types of the columns
+ */
+function schema(table) {
+    return Array.from(table.columns, column => `${column.columnName}:${column.dataType}`);
+}
+
+/**
+ * @param {DataTable} table - Table to read
+ * @returns {Array<Object>} Values of the rows
+ */
+function values(table) {
+    return Array.from(table.rows, row => ({ ...row._values }));
+}
+
+describe('PivotTransform', () => {
+    test('pivot() creates a typed column per value, grouping keys ignoring case', () => {
+        const table = createTable();
+        const pivot = table.pivot({ rows: ['customer'], columns: 'month', values: 'amount', aggregate: 'sum', fill: 0 });
+        expect(schema(pivot)).toEqual(['customer:string', '1:number', '2:number', '3:number']);
+        expect(values(pivot)).toEqual([
+            { customer: 'Ann', 1: 5, 2: 13, 3: 1 },
+            { customer: 'Bob', 1: 7, 2: 0, 3: 0 },
+            { customer: 'Cy', 1: 0, 2: 0, 3: 0 }
+        ]);
+
+        const lastDays = table.pivot({ rows: 'customer', columns: 'month', values: 'day', aggregate: 'max' });
+        expect(schema(lastDays)).toEqual(['customer:string', '1:date', '2:date', '3:date']);
+        expect(values(lastDays)[1]).toEqual({ customer: 'Bob', 1: new Date(2024, 0, 3), 2: null, 3: null });
+
+        expect(values(table.pivot({ columns: 'customer', values: 'amount', aggregate: 'count' })))
+            .toEqual([{ Ann: 4, Bob: 1, Cy: 0 }]);
+        expect(table.rows.count).toBe(6);
+        expect(schema(table)).toEqual(['customer:string', 'month:number', 'amount:number', 'day:date']);
+    });
+
+    test('unpivot() turns the value columns back into rows', () => {
+        const pivot = createTable().pivot({ rows: 'customer', columns: 'month', values: 'amount', aggregate: 'sum', fill: 0 });
+        const unpivot = pivot.unpivot({ id: ['customer'], nameColumn: 'month', valueColumn: 'amount' });
+        expect(schema(unpivot)).toEqual(['customer:string', 'month:string', 'amount:number']);
+        expect(values(unpivot).slice(0, 4)).toEqual([
+            { customer: 'Ann', month: '1', amount: 5 },
+            { customer: 'Ann', month: '2', amount: 13 },
+            { customer: 'Ann', month: '3', amount: 1 },
+            { customer: 'Bob', month: '1', amount: 7 }
+        ]);
+        expect(unpivot.rows.count).toBe(9);
+        expect(pivot.rows.count).toBe(3);
+
+        const selected = pivot.unpivot({ id: 'customer', valueColumns: ['2'] });
+        expect(values(selected)[0]).toEqual({ customer: 'Ann', name: '2', value: 13 });
+    });
+
+    test('rejects unknown and overlapping columns', () => {
+        const table = createTable();
+        expect(() => table.pivot({ columns: 'x', values: 'amount' })).toThrow('Column \'x\' does not exist in table \'sales\'');
+        expect(() => table.pivot({ rows: 'month', columns: 'month', values: 'amount' }))
+            .toThrow('Pivot options \'rows\', \'columns\' and \'values\' must use different columns');
+        expect(() => table.unpivot({ id: 'customer', nameColumn: 'customer' }))
+            .toThrow('Unpivot columns \'customer\' and \'value\' must differ from each other and from the id columns');
+    });
+});
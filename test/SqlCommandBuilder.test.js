@@ -0,0 +1,90 @@
+const { DataTable, SqlCommandBuilder, ConflictOption } = require('../src');
+
+/**
+ * @returns {{table: DataTable, changed: DataRow}} Table with a changed, a deleted and an added row,
+ * plus an added row deleted again
+ */
+function createTable() {
+    const table = new DataTable('Order Items');
+    table.addColumn('id', 'number');
+    table.addColumn('name', 'string');
+    table.addColumn('qty', 'number');
+    table.addColumn('note', 'string');
+    table.addColumn('total', 'number').expression = 'qty * 2';
+    table.primaryKey = ['id'];
+    const changed = table.addRow({ id: 1, name: 'a', qty: 1 });
+    const deleted = table.addRow({ id: 2, name: 'b', qty: 2 });
+    table.addRow({ id: 3, name: 'c', qty: 3 });
+    table.acceptAllChanges();
+    changed.set('name', 'A');
+    changed.set('id', 10);
+    deleted.delete();
+    table.addRow({ id: 4, name: 'd"x', qty: 4 });
+    table.addRow({ id: 5 }).delete();
+    return { table, changed };
+}
+
+/**
+ * @param {Array<Object>} commands - Commands to read
+ * @returns {Array<Array>} Text and values of the commands
+ */
+function read(commands) {
+    return commands.map(command => [command.text, command.values]);
+}
+
+describe('SqlCommandBuilder', () => {
+    test('generates updates, deletes and inserts keyed by the original primary key', () => {
+        const { table } = createTable();
+        expect(read(new SqlCommandBuilder(table).getCommands())).toEqual([
+            ['UPDATE "Order Items" SET "id" = $1, "name" = $2 WHERE "id" = $3', [10, 'A', 1]],
+            ['DELETE FROM "Order Items" WHERE "id" = $1', [2]],
+            ['INSERT INTO "Order Items" ("id", "name", "qty", "note") VALUES ($1, $2, $3, $4)', [4, 'd"x', 4, null]]
+        ]);
+    });
+
+    test('quotes identifiers and numbers parameters for each dialect', () => {
+        const { table } = createTable();
+        const updates = {
+            mysql: 'UPDATE `Order Items` SET `id` = ?, `name` = ? WHERE `id` = ?',
+            sqlite: 'UPDATE "Order Items" SET "id" = ?, "name" = ? WHERE "id" = ?',
+            mssql: 'UPDATE [Order Items] SET [id] = @p1, [name] = @p2 WHERE [id] = @p3'
+        };
+        for (const [dialect, update] of Object.entries(updates)) {
+            expect(new SqlCommandBuilder(table, { dialect }).getCommands()[0].text).toBe(update);
+        }
+        expect(new SqlCommandBuilder(table, { dialect: 'mssql' }).getCommands()[2].text)
+            .toBe('INSERT INTO [Order Items] ([id], [name], [qty], [note]) VALUES (@p1, @p2, @p3, @p4)');
+    });
+
+    test('compares original values for optimistic concurrency', () => {
+        const { table, changed } = createTable();
+        const all = new SqlCommandBuilder(table, { schema: 'sales', conflictOption: ConflictOption.COMPARE_ALL_VALUES });
+        expect(read(all.getCommands()).slice(0, 2)).toEqual([
+            [
+                'UPDATE "sales"."Order Items" SET "id" = $1, "name" = $2 WHERE "id" = $3 AND "name" = $4 AND "qty" = $5 AND "note" IS NULL',
+                [10, 'A', 1, 'a', 1]
+            ],
+            ['DELETE FROM "sales"."Order Items" WHERE "id" = $1 AND "name" = $2 AND "qty" = $3 AND "note" IS NULL', [2, 'b', 2]]
+        ]);
+
+        const command = new SqlCommandBuilder(table, { conflictOption: ConflictOption.COMPARE_CHANGED_VALUES }).getCommand(changed);
+        expect(read([command])).toEqual([['UPDATE "Order Items" SET "id" = $1, "name" = $2 WHERE "id" = $3 AND "name" = $4', [10, 'A', 1, 'a']]]);
+    });
+
+    test('accepts custom dialects', () => {
+        const { table } = createTable();
+        const dialect = { quoteIdentifier: name => `<${name}>`, parameter: position => `:${position}` };
+        expect(new SqlCommandBuilder(table, { dialect }).getCommands()[1].text).toBe('DELETE FROM <Order Items> WHERE <id> = :1');
+        expect(() => new SqlCommandBuilder(table, { dialect: {} }))
+            .toThrow('A custom SQL dialect needs quoteIdentifier(name) and parameter(position) functions');
+    });
+
+    test('rejects unknown options and tables without primary key', () => {
+        const { table } = createTable();
+        expect(() => new SqlCommandBuilder(table, { dialect: 'oracle' })).toThrow(/^Unknown SQL dialect 'oracle'/);
+        expect(() => new SqlCommandBuilder(table, { conflictOption: 'x' })).toThrow(/^Unknown conflict option 'x'/);
+        table.primaryKey = null;
+        expect(() => new SqlCommandBuilder(table).getCommands())
+            .toThrow('Table \'Order Items\' doesn\'t have a primary key, required to update and delete rows');
+    });
+});
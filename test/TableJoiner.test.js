@@ -0,0 +1,90 @@
+const { DataSet } = require('../src');
+
+/**
+ * @returns {DataSet} Customers and their orders related by 'CustOrders', order 13 without customer
+ */
+function createDataSet() {
+    const dataSet = new DataSet('shop');
+    const customers = dataSet.addTable('Customers');
+    customers.addColumn('id', 'number');
+    customers.addColumn('name', 'string');
+    customers.addColumn('code', 'string');
+    const orders = dataSet.addTable('Orders');
+    orders.addColumn('id', 'number');
+    orders.addColumn('customerId', 'number');
+    orders.addColumn('total', 'number');
+    orders.addColumn('code', 'string');
+    customers.addRow({ id: 1, name: 'Ann', code: 'A' });
+    customers.addRow({ id: 2, name: 'Bob', code: 'b' });
+    customers.addRow({ id: 3, name: 'Cy', code: null });
+    orders.addRow({ id: 10, customerId: 1, total: 5, code: 'a' });
+    orders.addRow({ id: 11, customerId: 1, total: 7, code: 'x' });
+    orders.addRow({ id: 12, customerId: 2, total: 9, code: 'B' });
+    orders.addRow({ id: 13, customerId: 9, total: 1, code: null });
+    dataSet.addRelation('CustOrders', 'Customers', 'Orders', 'id', 'customerId', false);
+    return dataSet;
+}
+
+/**
+ * @param {DataTable} table - Table to read
+ * @param {string} columnName - Column to read
+ * @returns {Array} Values of the column
+ */
+function column(table, columnName) {
+    return Array.from(table.rows, row => row.get(columnName));
+}
+
+describe('TableJoiner', () => {
+    test('joinRelation() joins the tables of a relation with a renamed schema', () => {
+        const dataSet = createDataSet();
+        const inner = dataSet.joinRelation('CustOrders');
+        expect(inner.tableName).toBe('CustOrders');
+        expect(Array.from(inner.columns, col => col.columnName))
+            .toEqual(['id', 'name', 'code', 'Orders_id', 'customerId', 'total', 'Orders_code']);
+        expect(inner.columns._columns.get('Orders_id').dataType).toBe('number');
+        expect(inner.rows(0)._values).toEqual({ id: 1, name: 'Ann', code: 'A', Orders_id: 10, customerId: 1, total: 5, Orders_code: 'a' });
+        expect(column(inner, 'Orders_id')).toEqual([10, 11, 12]);
+    });
+
+    test('keeps unmatched rows according to the join type', () => {
+        const dataSet = createDataSet();
+        expect(column(dataSet.joinRelation('CustOrders', 'left'), 'name')).toEqual(['Ann', 'Ann', 'Bob', 'Cy']);
+        expect(column(dataSet.joinRelation('CustOrders', 'right'), 'Orders_id')).toEqual([10, 11, 12, 13]);
+        const full = dataSet.joinRelation('CustOrders', 'full');
+        expect(column(full, 'id')).toEqual([1, 1, 2, 3, null]);
+        expect(column(full, 'Orders_id')).toEqual([10, 11, 12, null, 13]);
+    });
+
+    test('join() matches columns ignoring case and selects the result columns', () => {
+        const dataSet = createDataSet();
+        const customers = dataSet.table('Customers');
+        const orders = dataSet.table('Orders');
+        const byCode = customers.join(orders, { on: 'code', type: 'full', select: ['code', 'name', 'Orders.id', 'total'] });
+        expect(Array.from(byCode.rows, row => row._values)).toEqual([
+            { code: 'A', name: 'Ann', Orders_id: 10, total: 5 },
+            { code: 'b', name: 'Bob', Orders_id: 12, total: 9 },
+            { code: null, name: 'Cy', Orders_id: null, total: null },
+            { code: 'x', name: null, Orders_id: 11, total: 7 },
+            { code: null, name: null, Orders_id: 13, total: 1 }
+        ]);
+
+        const renamed = customers.join(orders, { on: { id: 'customerId' }, select: { customer: 'name', orderId: 'Orders.id' } });
+        expect(Array.from(renamed.rows, row => row._values)).toEqual([
+            { customer: 'Ann', orderId: 10 },
+            { customer: 'Ann', orderId: 11 },
+            { customer: 'Bob', orderId: 12 }
+        ]);
+    });
+
+    test('rejects unknown columns, join types and relations', () => {
+        const dataSet = createDataSet();
+        const customers = dataSet.table('Customers');
+        const orders = dataSet.table('Orders');
+        expect(() => customers.join(orders, { on: 'zzz' })).toThrow('Column \'zzz\' does not exist in table \'Customers\'');
+        expect(() => customers.join(orders, { on: 'id', type: 'cross' }))
+            .toThrow('Unknown join type \'cross\', expected one of inner, left, right, full');
+        expect(() => customers.join(orders, { on: { id: 'customerId' }, select: ['Nope.id'] }))
+            .toThrow('Column \'Nope.id\' does not exist in the joined tables');
+        expect(() => dataSet.joinRelation('x')).toThrow('Relation \'x\' does not exist');
+    });
+});
@@ -0,0 +1,241 @@
+const { DataTable, DataView, DataType, registerType, getType, hasType, typeNames } = require('../src');
+
+/**
+ * @param {string} name - Name of the data type
+ * @param {*} value - Value to convert
+ * @returns {*} The value converted for a column 'c'
+ */
+function convert(name, value) {
+    return getType(name).convert(value, 'c');
+}
+
+/**
+ * @returns {DataTable} Three invoices with a column of each built-in type
+ */
+function createTable() {
+    const table = new DataTable('invoices');
+    table.addColumn('id', 'uuid');
+    table.addColumn('amount', 'decimal');
+    table.addColumn('status', 'enum(\'draft\', \'sent\', \'paid\')');
+    table.addColumn('at', 'timestamp');
+    table.addColumn('data', 'json');
+    table.addColumn('bin', 'binary');
+    table.addColumn('d', 'date');
+    table.addRow({
+        id: '00000000-0000-0000-0000-000000000002', amount: '10.05', status: 'sent',
+        at: '2024-01-01T10:00:00+02:00', data: { a: [1] }, bin: [1], d: new Date(0)
+    });
+    table.addRow({
+        id: '00000000-0000-0000-0000-000000000001', amount: '9.9', status: 'paid',
+        at: '2024-01-01T09:00:00Z', data: { a: [2] }, bin: [2], d: new Date(1)
+    });
+    table.addRow({
+        id: '00000000-0000-0000-0000-000000000003', amount: '100', status: 'draft',
+        at: '2024-01-01T08:30:00Z', data: null, bin: [0], d: new Date(2)
+    });
+    return table;
+}
+
+const values = (table, columnName) => Array.from(table.rows, row => row.get(columnName));
+
+describe('TypeRegistry', () => {
+    describe('built-in types', () => {
+        test('convert and check values', () => {
+            expect(convert('decimal', '+0012.500')).toBe('12.5');
+            expect(convert('decimal', '1.5e3')).toBe('1500');
+            expect(convert('decimal', '-0.0')).toBe('0');
+            expect(convert('numeric', 0.1)).toBe('0.1');
+            expect(() => convert('decimal', 'abc')).toThrow('Value \'abc\' cannot be converted to decimal for column \'c\'');
+            expect(convert('int', '42')).toBe(42);
+            expect(() => convert('integer', 1.5)).toThrow(/cannot be converted to integer/);
+            expect(() => convert('integer', '')).toThrow(/cannot be converted/);
+            expect(convert('bigint', '9007199254740993')).toBe(9007199254740993n);
+            expect(convert('uuid', '{6F9619FF-8B86-D011-B42D-00C04FC964FF}')).toBe('6f9619ff-8b86-d011-b42d-00c04fc964ff');
+            expect(() => convert('guid', 'nope')).toThrow(/cannot be converted to uuid/);
+            expect(convert('timestamp', '2024-03-01 10:00+02')).toBe('2024-03-01T10:00:00.000+02:00');
+            expect(convert('timestamp', '2024-03-01T10:00:00+00:00')).toBe('2024-03-01T10:00:00.000Z');
+            expect(() => convert('timestamp', '2024-03-01T10:00:00')).toThrow(/cannot be converted to timestamp/);
+            expect([...convert('binary', [1, 2])]).toEqual([1, 2]);
+            expect(() => convert('binary', 'x')).toThrow(/cannot be converted to binary/);
+            expect(convert('enum(\'a\', \'b\')', 'b')).toBe('b');
+            expect(() => convert('enum(\'a\', \'b\')', 'z')).toThrow('Value \'z\' cannot be converted to enum(\'a\', \'b\')');
+        });
+
+        test('are looked up by name, ignoring case', () => {
+            expect(() => getType('enum()')).toThrow(/at least one value/);
+            expect(() => getType('nope')).toThrow('Unknown data type \'nope\'');
+            expect(hasType('TEXT')).toBe(true);
+            expect(hasType('nope')).toBe(false);
+            expect(typeNames()).toContain('enum');
+        });
+
+        test('check, sort and copy the values of columns', () => {
+            const table = createTable();
+            expect(() => table.addRow({ status: 'lost' })).toThrow(/cannot be converted to enum/);
+            expect(() => table.rows(0).set('amount', 'x')).toThrow(/cannot be converted to decimal/);
+
+            table.sort('amount');
+            expect(values(table, 'amount')).toEqual(['9.9', '10.05', '100']);
+            table.sort('status');
+            expect(values(table, 'status')).toEqual(['draft', 'sent', 'paid']);
+            table.sort('at');
+            expect(values(table, 'status')).toEqual(['sent', 'draft', 'paid']);
+            table.sort('id', 'desc');
+            expect(values(table, 'amount')).toEqual(['100', '10.05', '9.9']);
+            expect(Array.from(new DataView(table, null, 'status DESC'), row => row.get('status'))).toEqual(['paid', 'sent', 'draft']);
+
+            const source = table.rows(1);
+            const copy = table.clone().rows(1);
+            copy.get('data').a.push(9);
+            copy.get('bin')[0] = 99;
+            copy.get('d').setTime(5);
+            expect(source.get('data')).toEqual({ a: [1] });
+            expect(source.get('bin')[0]).toBe(1);
+            expect(source.get('d').getTime()).toBe(0);
+        });
+
+        test('go through JSON, CSV, merge and DDL', () => {
+            const table = createTable();
+            const back = DataTable.fromJSON(JSON.parse(JSON.stringify(table.toJSON())));
+            expect(values(back, 'bin').map(bin => bin[0])).toEqual([1, 2, 0]);
+            expect(back.rows(0).get('data')).toEqual({ a: [1] });
+            expect(back.rows(0).get('amount')).toBe('10.05');
+            expect(back.rows(0).get('d')).toBeInstanceOf(Date);
+
+            const types = Object.fromEntries(Array.from(table.columns, column => [column.columnName, column.dataType]));
+            const fromCsv = DataTable.fromCsv(table.toCsv(), { types });
+            expect(fromCsv.rows(0).get('amount')).toBe('10.05');
+            expect(fromCsv.rows(0).get('data')).toEqual({ a: [1] });
+            expect(fromCsv.rows(1).get('bin')[0]).toBe(2);
+            expect(fromCsv.rows(1).get('at')).toBe('2024-01-01T09:00:00.000Z');
+
+            table.acceptAllChanges();
+            table.primaryKey = ['id'];
+            table.merge(table.clone());
+            expect(Array.from(table.rows, row => row.getRowState())).toEqual(['UNCHANGED', 'UNCHANGED', 'UNCHANGED']);
+
+            const ddl = table.toCreateTableSql('postgres');
+            expect(ddl).toMatch(/UUID/);
+            expect(ddl).toMatch(/TIMESTAMPTZ/);
+            expect(ddl).toMatch(/NUMERIC/);
+        });
+
+        test('convert values in CONVERT() expressions', () => {
+            const table = new DataTable('e');
+            table.addColumn('n', 'number');
+            table.addColumn('exact', 'string').expression = 'CONVERT(n, \'decimal\')';
+            expect(table.addRow({ n: 1.5 }).get('exact')).toBe('1.5');
+        });
+    });
+
+    describe('registerType()', () => {
+        test('adds custom, parameterized and class-based types', () => {
+            registerType('money', {
+                coerce: value => Math.round(Number(value) * 100),
+                validate: cents => Number.isSafeInteger(cents),
+                format: cents => (cents / 100).toFixed(2)
+            });
+            registerType('shortText', ([length]) => ({ coerce: value => String(value), validate: text => text.length <= Number(length) }));
+            class Upper extends DataType {
+                coerce(value) {
+                    return String(value).toUpperCase();
+                }
+            }
+            registerType('upper', new Upper('upper'));
+            expect(() => registerType('money', {})).toThrow(/already registered/);
+            expect(() => registerType('int', {})).toThrow(/already registered/);
+            expect(getType('shortText(3)')).toBe(getType('SHORTTEXT(3)'));
+
+            const table = new DataTable('prices');
+            table.addColumn('amount', 'money');
+            table.addColumn('code', 'shortText(3)');
+            table.addColumn('label', 'upper');
+            const row = table.addRow({ amount: '19.99', code: 'abc', label: 'x' });
+            expect(row.get('amount')).toBe(1999);
+            expect(row.get('label')).toBe('X');
+            expect(() => row.set('code', 'abcd')).toThrow(/cannot be converted to shortText\(3\)/);
+            expect(table.toCsv()).toContain('19.99');
+        });
+    });
+
+    describe('data types of columns', () => {
+        let emitWarning;
+
+        beforeEach(() => {
+            emitWarning = jest.spyOn(process, 'emitWarning').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            emitWarning.mockRestore();
+        });
+
+        test('read object as json', () => {
+            const table = new DataTable('settings');
+            table.addColumn('options', 'object');
+            const options = { theme: 'dark' };
+            table.addRow({ options });
+            const copied = Array.from(table.clone().rows)[0].get('options');
+            expect(copied).toEqual(options);
+            expect(copied).not.toBe(options);
+            expect(emitWarning).not.toHaveBeenCalled();
+        });
+
+        test('keep unknown names untyped with a deprecation warning', () => {
+            const table = new DataTable('legacy');
+            table.addColumn('a', 'undefined');
+            table.addColumn('b', 'undefined');
+            const row = table.addRow({ a: '5', b: 5 });
+            expect(row.get('a')).toBe('5');
+            expect(row.get('b')).toBe(5);
+            expect(table.columns._columns.get('a').dataType).toBe('undefined');
+            expect(hasType('undefined')).toBe(false);
+            expect(emitWarning).toHaveBeenCalledTimes(1);
+            expect(emitWarning).toHaveBeenCalledWith(expect.stringContaining('\'undefined\' for column \'a\''), 'DeprecationWarning');
+        });
+
+        test('check the data type set on an existing column', () => {
+            const table = new DataTable('lines');
+            const column = table.addColumn('code', 'string');
+            column.dataType = 'varchar16';
+            expect(emitWarning).toHaveBeenCalledWith(expect.stringContaining('\'varchar16\''), 'DeprecationWarning');
+            expect(() => { column.dataType = 'enum()'; }).toThrow('at least one value');
+            expect(column.dataType).toBe('varchar16');
+
+            registerType('varchar16', { validate: text => text.length <= 16 });
+            expect(() => table.addRow({ code: 'x'.repeat(17) })).toThrow();
+        });
+    });
+
+    describe('json', () => {
+        test('rejects values that JSON does not keep', () => {
+            const table = new DataTable('settings');
+            table.addColumn('options', 'json');
+            const cycle = {};
+            cycle.self = cycle;
+            expect(() => table.addRow({ options: { onChange: () => {} } })).toThrow('cannot be converted to json for column \'options\'');
+            expect(() => table.addRow({ options: [Symbol('a')] })).toThrow('cannot be converted to json');
+            expect(() => table.addRow({ options: new Map() })).toThrow('cannot be converted to json');
+            expect(() => table.addRow({ options: cycle })).toThrow('cannot be converted to json');
+
+            expect(() => table.addRow({ options: { a: 1n } })).toThrow('cannot be converted to json');
+            expect(() => table.addRow({ options: { at: new Date(0) } })).toThrow('cannot be converted to json');
+            expect(() => table.addRow({ options: [Buffer.from('a')] })).toThrow('cannot be converted to json');
+            expect(() => table.addRow({ options: { ratio: NaN } })).toThrow('cannot be converted to json');
+
+            const shared = { a: 1 };
+            const row = table.addRow({ options: { left: shared, right: shared, items: [1, 'a', true, null] } });
+            expect(row.get('options').items).toEqual([1, 'a', true, null]);
+        });
+
+        test('copies values without structuredClone()', () => {
+            const table = new DataTable('settings');
+            table.addColumn('options', 'json');
+            const options = { tags: ['a'], nested: { value: 1 } };
+            table.addRow({ options });
+            const copied = Array.from(table.clone().rows)[0].get('options');
+            expect(copied).toEqual(options);
+            expect(copied.tags).not.toBe(options.tags);
+            expect(copied.nested).not.toBe(options.nested);
+        });
+    });
+});
@@ -0,0 +1,65 @@
+const { DataTable, ConstraintException, NoNullAllowedException } = require('../src');
+
+/**
+ * @returns {DataTable} Table keyed by id, with a unique email
+ */
+function createTable() {
+    const table = new DataTable('users');
+    table.addColumn('id', 'number');
+    table.addColumn('email', 'string');
+    table.columns._columns.get('id').isPrimaryKey = true;
+    table.columns._columns.get('email').unique = true;
+    table.addRow({ id: 1, email: 'a@example.com' });
+    return table;
+}
+
+describe('UniqueConstraint', () => {
+    test('rejects added rows repeating a primary key or unique value', () => {
+        const table = createTable();
+        expect(() => table.addRow({ id: 1, email: 'b@example.com' }))
+            .toThrow('Column \'id\' is constrained to be unique. Value \'1\' is already present');
+        expect(() => table.addRow({ id: 2, email: 'a@example.com' })).toThrow(ConstraintException);
+        expect(table.rows.count).toBe(1);
+    });
+
+    test('rejects changed values repeating a key and null keys', () => {
+        const table = createTable();
+        const row = table.addRow({ id: 2, email: 'b@example.com' });
+        expect(() => row.set('id', 1)).toThrow(ConstraintException);
+        expect(() => row.set('id', null)).toThrow(NoNullAllowedException);
+        expect(row.get('id')).toBe(2);
+    });
+
+    test('checks the rows loaded with constraints suspended once they are enforced again', () => {
+        const table = createTable();
+        table.beginLoadData();
+        table.addRow({ id: 1, email: 'c@example.com' });
+        expect(() => table.endLoadData()).toThrow(ConstraintException);
+        expect(table.enforceConstraints).toBe(false);
+    });
+
+    test('checks keys of several columns together', () => {
+        const table = DataTable.importSchema({
+            tableName: 'lines',
+            columns: [{ name: 'a' }, { name: 'b' }, { name: 'c' }],
+            primaryKey: ['a', 'b'],
+            uniqueConstraints: [{ name: 'UQ_bc', columns: ['b', 'c'] }]
+        });
+        table.addRow({ a: 1, b: 1, c: 1 });
+        table.addRow({ a: 1, b: 2, c: 1 });
+        expect(() => table.addRow({ a: 1, b: 2, c: 3 }))
+            .toThrow('Columns \'a, b\' are constrained to be unique. Value \'1, 2\' is already present');
+        expect(Array.from(table.constraints, constraint => constraint.constraintName)).toEqual(['PK_lines', 'UQ_bc']);
+    });
+
+    test('are exported, cloned and dropped with their columns', () => {
+        const table = createTable();
+        const schema = table.exportSchema();
+        expect(schema.primaryKey).toEqual(['id']);
+        expect(schema.uniqueConstraints).toEqual([{ columns: ['email'], name: 'UQ_users_email' }]);
+        expect(table.clone().constraints.count).toBe(2);
+
+        table.removeColumn('id');
+        expect(Array.from(table.constraints, constraint => constraint.constraintName)).toEqual(['UQ_users_email']);
+    });
+});